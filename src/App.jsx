@@ -1,7 +1,6 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom'
 import { lazy, Suspense } from 'react'
 import { useAuth } from './hooks/useAuth'
-import { useBugs } from './hooks/useBugs'
 import { ToastProvider } from './components/Toast'
 import { PageLoader } from './components/Skeleton'
 import { KeyboardShortcutsHelp } from './components/KeyboardShortcutsHelp'
@@ -10,6 +9,7 @@ import { initWatermark } from './lib/watermark'
 import ErrorBoundary from './components/ErrorBoundary' // PHASE 3 — ERROR BOUNDARY
 import Auth from './components/Auth'
 import Navbar from './components/Navbar'
+import OfflineQueueStatus from './components/OfflineQueueStatus'
 
 // Lazy load pages for code splitting
 const Dashboard = lazy(() => import('./pages/Dashboard'))
@@ -17,14 +17,17 @@ const CreateBug = lazy(() => import('./pages/CreateBug'))
 const BugDetail = lazy(() => import('./pages/BugDetail'))
 const EditProfile = lazy(() => import('./pages/EditProfile'))
 const Logs = lazy(() => import('./pages/Logs'))
+const ManageLabels = lazy(() => import('./pages/ManageLabels'))
+const Trash = lazy(() => import('./pages/Trash'))
+const ManageRedaction = lazy(() => import('./pages/ManageRedaction'))
+const ManageTemplates = lazy(() => import('./pages/ManageTemplates'))
+const ManageFields = lazy(() => import('./pages/ManageFields'))
 
 if (typeof window !== 'undefined') {
   initWatermark()
 }
 
 function AuthenticatedApp({ session, userProfile, isAdmin }) {
-  const { bugs } = useBugs()
-
   return (
     <>
       <Navbar
@@ -43,12 +46,33 @@ function AuthenticatedApp({ session, userProfile, isAdmin }) {
               element={<BugDetail session={session} isAdmin={isAdmin} />}
             />
             <Route path="/logs" element={<Logs />} />
+            <Route
+              path="/admin/labels"
+              element={isAdmin ? <ManageLabels /> : <Navigate to="/" replace />}
+            />
+            <Route
+              path="/admin/trash"
+              element={isAdmin ? <Trash /> : <Navigate to="/" replace />}
+            />
+            <Route
+              path="/admin/redaction"
+              element={isAdmin ? <ManageRedaction /> : <Navigate to="/" replace />}
+            />
+            <Route
+              path="/admin/templates"
+              element={isAdmin ? <ManageTemplates /> : <Navigate to="/" replace />}
+            />
+            <Route
+              path="/admin/fields"
+              element={isAdmin ? <ManageFields /> : <Navigate to="/" replace />}
+            />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </Suspense>
       </main>
       <KeyboardShortcutsHelp />
-      <QuickActions bugs={bugs} />
+      <QuickActions />
+      <OfflineQueueStatus userId={session.user.id} />
     </>
   )
 }
@@ -1,53 +1,29 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useEffect, useCallback } from 'react'
 import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { useQuery } from '../hooks/useQuery'
+import { enrichActivityActors } from '../hooks/useActivity'
 
 export default function ActivityTimeline({ bugId }) {
-  const [activities, setActivities] = useState([])
-  const [loading, setLoading] = useState(true)
-
   const fetchActivities = useCallback(async () => {
-    try {
-      const { data, error: fetchError } = await supabase
-        .from('bug_activity')
-        .select(`*`)
-        .eq('bug_id', bugId)
-        .order('created_at', { ascending: false })
-
-      if (fetchError) throw fetchError
-
-      // Fetch profiles
-      const actorIds = [...new Set((data || []).map(a => a.actor_id).filter(Boolean))]
-      let profilesMap = {}
-      if (actorIds.length > 0) {
-        const { data: profiles } = await supabase
-          .from('profiles')
-          .select('id, username, email, full_name')
-          .in('id', actorIds)
-
-        profilesMap = (profiles || []).reduce((acc, p) => {
-          acc[p.id] = p
-          return acc
-        }, {})
-      }
-
-      const enriched = (data || []).map(activity => ({
-        ...activity,
-        user: profilesMap[activity.actor_id] || {
-          email: activity.actor_email || 'Unknown',
-          username: activity.actor_email ? activity.actor_email.split('@')[0] : 'Unknown'
-        }
-      }))
+    const { data, error: fetchError } = await supabase
+      .from('bug_activity')
+      .select(`*`)
+      .eq('bug_id', bugId)
+      .order('created_at', { ascending: false })
 
-      setActivities(enriched)
-    } catch (err) {
-      console.error('Error fetching activities:', err)
-    } finally {
-      setLoading(false)
+    if (fetchError) {
+      console.error('Error fetching activities:', fetchError)
+      throw fetchError
     }
+
+    const enriched = await enrichActivityActors(data || [])
+    return enriched.map(({ actor, ...activity }) => ({ ...activity, user: actor }))
   }, [bugId])
 
+  const { data: activities = [], loading } = useQuery(['activity', 'bug', bugId], fetchActivities)
+
   useEffect(() => {
-    fetchActivities()
     const channel = supabase
       .channel(`bug-activity-${bugId}`)
       .on(
@@ -58,8 +34,8 @@ export default function ActivityTimeline({ bugId }) {
           table: 'bug_activity',
           filter: `bug_id=eq.${bugId}`,
         },
-        async () => {
-          await fetchActivities()
+        () => {
+          invalidateQueries(['activity', 'bug', bugId])
         }
       )
       .subscribe()
@@ -67,7 +43,7 @@ export default function ActivityTimeline({ bugId }) {
     return () => {
       supabase.removeChannel(channel)
     }
-  }, [bugId, fetchActivities])
+  }, [bugId])
 
   const getActionIcon = (action) => {
     switch (action) {
@@ -80,6 +56,7 @@ export default function ActivityTimeline({ bugId }) {
           </div>
         )
       case 'bug_restored':
+      case 'bug_restored_from_trash':
         return (
           <div className="w-8 h-8 bg-emerald-100 rounded-full flex items-center justify-center">
             <svg className="w-4 h-4 text-emerald-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -100,6 +77,7 @@ export default function ActivityTimeline({ bugId }) {
           </div>
         )
       case 'assignment_change':
+      case 'assignment_changed':
         return (
           <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center">
             <svg className="w-4 h-4 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -107,6 +85,40 @@ export default function ActivityTimeline({ bugId }) {
             </svg>
           </div>
         )
+      case 'bug_link_added':
+      case 'bug_link_removed':
+        return (
+          <div className="w-8 h-8 bg-indigo-100 rounded-full flex items-center justify-center">
+            <svg className="w-4 h-4 text-indigo-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+            </svg>
+          </div>
+        )
+      case 'bug_field_changed':
+        return (
+          <div className="w-8 h-8 bg-violet-100 rounded-full flex items-center justify-center">
+            <svg className="w-4 h-4 text-violet-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+            </svg>
+          </div>
+        )
+      case 'custom_field_changed':
+        return (
+          <div className="w-8 h-8 bg-amber-100 rounded-full flex items-center justify-center">
+            <svg className="w-4 h-4 text-amber-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h7" />
+            </svg>
+          </div>
+        )
+      case 'attachment_added':
+      case 'attachment_removed':
+        return (
+          <div className="w-8 h-8 bg-sky-100 rounded-full flex items-center justify-center">
+            <svg className="w-4 h-4 text-sky-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13" />
+            </svg>
+          </div>
+        )
       case 'comment_added':
       case 'comment_created':
         return (
@@ -151,6 +163,21 @@ export default function ActivityTimeline({ bugId }) {
             <span className="font-medium">{newVal || oldVal}</span>
           </>
         )
+      case 'assignment_changed': {
+        const newAssignee = activity.metadata?.new_assignee
+        const oldAssignee = activity.metadata?.old_assignee
+        return newAssignee ? (
+          <>
+            <span className="font-medium">{userName}</span> assigned this bug to{' '}
+            <span className="font-medium">{newAssignee}</span>
+          </>
+        ) : (
+          <>
+            <span className="font-medium">{userName}</span> unassigned{' '}
+            <span className="font-medium">{oldAssignee || 'this bug'}</span>
+          </>
+        )
+      }
       case 'comment_added':
       case 'comment_created':
         return (
@@ -182,6 +209,65 @@ export default function ActivityTimeline({ bugId }) {
             <span className="font-medium">{userName}</span> restored this bug
           </>
         )
+      case 'bug_restored_from_trash':
+        return (
+          <>
+            <span className="font-medium">{userName}</span> restored this bug from the trash
+          </>
+        )
+      case 'bug_link_added':
+        return (
+          <>
+            <span className="font-medium">{userName}</span> marked this bug{' '}
+            <span className="font-medium">{activity.metadata?.link_label?.toLowerCase()}</span>{' '}
+            <span className="font-medium">{activity.metadata?.other_bug_title || 'another bug'}</span>
+          </>
+        )
+      case 'bug_link_removed':
+        return (
+          <>
+            <span className="font-medium">{userName}</span> removed the link "{activity.metadata?.link_label?.toLowerCase()}"{' '}
+            <span className="font-medium">{activity.metadata?.other_bug_title || 'another bug'}</span>
+          </>
+        )
+      case 'attachment_added':
+      case 'attachment_removed': {
+        const fileNames = activity.metadata?.file_names || []
+        return (
+          <>
+            <span className="font-medium">{userName}</span> {activity.action === 'attachment_added' ? 'attached' : 'removed'}{' '}
+            <span className="font-medium">
+              {fileNames.length === 1 ? fileNames[0] : `${fileNames.length} files`}
+            </span>
+          </>
+        )
+      }
+      case 'bug_field_changed': {
+        const fieldLabel = (activity.metadata?.field_label || activity.metadata?.field || 'a field').toLowerCase()
+        return newVal ? (
+          <>
+            <span className="font-medium">{userName}</span> changed the {fieldLabel} from{' '}
+            <span className="font-medium">{oldVal || 'None'}</span> to <span className="font-medium">{newVal}</span>
+          </>
+        ) : (
+          <>
+            <span className="font-medium">{userName}</span> edited the {fieldLabel}
+          </>
+        )
+      }
+      case 'custom_field_changed': {
+        const fieldName = activity.metadata?.field_name || activity.metadata?.field_key || 'a field'
+        return newVal ? (
+          <>
+            <span className="font-medium">{userName}</span> set <span className="font-medium">{fieldName}</span> to{' '}
+            <span className="font-medium">{newVal}</span>
+          </>
+        ) : (
+          <>
+            <span className="font-medium">{userName}</span> cleared <span className="font-medium">{fieldName}</span>
+          </>
+        )
+      }
       case 'bug_created':
         return (
           <>
@@ -1,6 +1,10 @@
 import { useMemo } from 'react'
+import { useWorkflow } from '../hooks/useWorkflow'
+import { STATUS_CATEGORIES } from '../lib/constants'
 
 export default function Analytics({ bugs }) {
+  const { workflow } = useWorkflow()
+
   const stats = useMemo(() => {
     if (!bugs.length) return null
 
@@ -24,10 +28,12 @@ export default function Analytics({ bugs }) {
       bugsOverTime.push({ date: dateStr, count })
     }
     const recentBugs = bugs.filter(bug => new Date(bug.created_at) > sevenDaysAgo).length
+    // Any status in the "done" category counts as resolved
+    const isDone = (bug) => workflow.getStatusCategory(bug.status) === STATUS_CATEGORIES.DONE
     const resolvedThisWeek = bugs.filter(bug => 
-      bug.status === 'Resolved' && new Date(bug.updated_at) > sevenDaysAgo
+      isDone(bug) && new Date(bug.updated_at) > sevenDaysAgo
     ).length
-    const resolvedBugs = bugs.filter(b => b.status === 'Resolved')
+    const resolvedBugs = bugs.filter(isDone)
     const avgResolutionDays = resolvedBugs.length > 0
       ? Math.round(resolvedBugs.reduce((acc, bug) => {
           const created = new Date(bug.created_at)
@@ -54,7 +60,7 @@ export default function Analytics({ bugs }) {
       topReporters,
       total: bugs.length
     }
-  }, [bugs])
+  }, [bugs, workflow])
 
   if (!stats) {
     return (
@@ -65,16 +71,8 @@ export default function Analytics({ bugs }) {
   }
 
   const maxDailyBugs = Math.max(...stats.bugsOverTime.map(d => d.count), 1)
-  const statusColors = {
-    'Open': { bg: 'bg-blue-500', light: 'bg-blue-100' },
-    'In Progress': { bg: 'bg-purple-500', light: 'bg-purple-100' },
-    'Resolved': { bg: 'bg-green-500', light: 'bg-green-100' },
-  }
-  const priorityColors = {
-    'High': { bg: 'bg-red-500', light: 'bg-red-100' },
-    'Medium': { bg: 'bg-amber-500', light: 'bg-amber-100' },
-    'Low': { bg: 'bg-emerald-500', light: 'bg-emerald-100' },
-  }
+  // Most severe priority first
+  const priorities = [...workflow.priorityNames].reverse()
 
   return (
     <div className="space-y-6">
@@ -162,7 +160,8 @@ export default function Analytics({ bugs }) {
         <div className="bg-white rounded-xl border border-slate-200 p-6">
           <h3 className="text-sm font-semibold text-slate-800 mb-4">Status Distribution</h3>
           <div className="space-y-4">
-            {Object.entries(statusColors).map(([status, colors]) => {
+            {workflow.statusNames.map((status) => {
+              const colors = workflow.getStatusColors(status)
               const count = stats.statusCounts[status] || 0
               const percentage = stats.total > 0 ? Math.round((count / stats.total) * 100) : 0
               return (
@@ -173,7 +172,7 @@ export default function Analytics({ bugs }) {
                   </div>
                   <div className={`h-2 ${colors.light} rounded-full overflow-hidden`}>
                     <div 
-                      className={`h-full ${colors.bg} rounded-full transition-all duration-500`}
+                      className={`h-full ${colors.dot} rounded-full transition-all duration-500`}
                       style={{ width: `${percentage}%` }}
                     />
                   </div>
@@ -186,8 +185,9 @@ export default function Analytics({ bugs }) {
         {/* Priority Breakdown */}
         <div className="bg-white rounded-xl border border-slate-200 p-6">
           <h3 className="text-sm font-semibold text-slate-800 mb-4">Priority Breakdown</h3>
-          <div className="flex items-center justify-center gap-8">
-            {Object.entries(priorityColors).map(([priority, colors]) => {
+          <div className="flex flex-wrap items-center justify-center gap-8">
+            {priorities.map((priority) => {
+              const colors = workflow.getPriorityColors(priority)
               const count = stats.priorityCounts[priority] || 0
               const percentage = stats.total > 0 ? Math.round((count / stats.total) * 100) : 0
               return (
@@ -200,7 +200,7 @@ export default function Analytics({ bugs }) {
                         stroke="currentColor"
                         strokeWidth="3"
                         strokeDasharray={`${percentage}, 100`}
-                        className={priority === 'High' ? 'text-red-500' : priority === 'Medium' ? 'text-amber-500' : 'text-emerald-500'}
+                        className={colors.stroke}
                       />
                     </svg>
                     <span className="text-lg font-bold text-slate-800">{count}</span>
@@ -0,0 +1,33 @@
+import { useProfileDirectory } from '../hooks/useProfiles'
+import { getProfileDisplayName } from '../lib/profileCache'
+
+/**
+ * Assignee select backed by the shared profile directory
+ * `compact` renders the small inline variant used on Kanban cards.
+ */
+export default function AssigneePicker({ value, onChange, currentUserId, disabled = false, compact = false }) {
+  const { profiles, loading } = useProfileDirectory()
+
+  // Keep the current assignee selectable even if the directory has not loaded (or no longer lists them)
+  const hasValue = !value || profiles.some((profile) => profile.id === value)
+
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      disabled={disabled || loading}
+      title="Assignee"
+      className={compact
+        ? 'max-w-[9rem] px-1.5 py-0.5 bg-white border border-slate-200 rounded text-xs text-slate-600 focus:outline-none focus:ring-1 focus:ring-blue-500 disabled:opacity-50'
+        : 'w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50'}
+    >
+      <option value="">Unassigned</option>
+      {!hasValue && <option value={value}>{loading ? 'Loading…' : 'Unknown user'}</option>}
+      {profiles.map((profile) => (
+        <option key={profile.id} value={profile.id}>
+          {getProfileDisplayName(profile)}{profile.id === currentUserId ? ' (me)' : ''}
+        </option>
+      ))}
+    </select>
+  )
+}
@@ -0,0 +1,289 @@
+import { useState, useEffect } from 'react'
+import { useToast } from './Toast'
+import { useBugAttachments, useBugAttachmentMutations } from '../hooks/useBugAttachments'
+import { getAttachmentKind, formatFileSize, prepareAttachmentFiles } from '../lib/bugAttachments'
+import { getProfileDisplayName } from '../lib/profileCache'
+import { formatSmartDate } from '../lib/dateUtils'
+import { FILE_UPLOAD } from '../lib/constants'
+
+const FILE_ICON_PATHS = {
+  pdf: 'M7 21h10a2 2 0 002-2V9.414a1 1 0 00-.293-.707l-5.414-5.414A1 1 0 0012.586 3H7a2 2 0 00-2 2v14a2 2 0 002 2z',
+  text: 'M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z',
+  file: 'M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13',
+}
+
+/**
+ * Full-screen viewer for image and video attachments; ←/→ step through them, Esc closes
+ */
+function AttachmentLightbox({ items, index, onIndexChange, onClose }) {
+  const item = items[index]
+  const count = items.length
+
+  useEffect(() => {
+    // Capture phase, so page shortcuts (Esc leaves BugDetail) do not also fire
+    const handleKeyDown = (e) => {
+      if (!['Escape', 'ArrowLeft', 'ArrowRight'].includes(e.key)) return
+      e.preventDefault()
+      e.stopPropagation()
+      if (e.key === 'Escape') onClose()
+      if (e.key === 'ArrowLeft') onIndexChange((index - 1 + count) % count)
+      if (e.key === 'ArrowRight') onIndexChange((index + 1) % count)
+    }
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [index, count, onIndexChange, onClose])
+
+  if (!item) return null
+
+  return (
+    <div className="fixed inset-0 z-50 flex flex-col bg-slate-900/90" role="dialog" aria-modal="true" aria-label={item.file_name}>
+      <div className="flex items-center justify-between gap-4 px-6 py-4 text-white">
+        <div className="min-w-0">
+          <p className="font-medium truncate">{item.file_name}</p>
+          <p className="text-xs text-slate-300">
+            {index + 1} of {count}
+            {item.size != null && ` · ${formatFileSize(item.size)}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <a
+            href={item.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="px-3 py-1.5 text-sm rounded-lg bg-white/10 hover:bg-white/20"
+          >
+            Open original
+          </a>
+          <button type="button" onClick={onClose} className="p-2 rounded-lg hover:bg-white/10" aria-label="Close">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      <div className="relative flex-1 flex items-center justify-center px-16 pb-8 min-h-0" onClick={onClose}>
+        {getAttachmentKind(item.mime_type) === 'video' ? (
+          <video key={item.id} src={item.url} controls autoPlay className="max-w-full max-h-full rounded-lg" onClick={(e) => e.stopPropagation()} />
+        ) : (
+          <img src={item.url} alt={item.file_name} className="max-w-full max-h-full object-contain rounded-lg" onClick={(e) => e.stopPropagation()} />
+        )}
+
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation()
+                onIndexChange((index - 1 + count) % count)
+              }}
+              className="absolute left-4 p-3 rounded-full bg-white/10 text-white hover:bg-white/20"
+              aria-label="Previous attachment"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+            </button>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation()
+                onIndexChange((index + 1) % count)
+              }}
+              className="absolute right-4 p-3 rounded-full bg-white/10 text-white hover:bg-white/20"
+              aria-label="Next attachment"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Attachments section on BugDetail: image/video gallery with a lightbox, a list of
+ * other files, uploads (button or drag and drop) and per-file delete.
+ */
+export default function BugAttachments({ bug, session, isAdmin = false }) {
+  const { showToast } = useToast()
+  const { attachments, loading } = useBugAttachments(bug)
+  const { addAttachments, deleteAttachment, loading: saving } = useBugAttachmentMutations()
+  const [lightboxIndex, setLightboxIndex] = useState(null)
+  const [isDragging, setIsDragging] = useState(false)
+  const [preparing, setPreparing] = useState(false)
+
+  const userId = session?.user?.id
+  const media = attachments.filter((attachment) => attachment.url && ['image', 'video'].includes(getAttachmentKind(attachment.mime_type)))
+  const files = attachments.filter((attachment) => !media.includes(attachment))
+  const canDelete = (attachment) => isAdmin || attachment.uploaded_by === userId || bug.user_id === userId
+
+  const handleFiles = async (fileList) => {
+    const selected = Array.from(fileList || [])
+    if (selected.length === 0) return
+    if (selected.length > FILE_UPLOAD.MAX_FILES) {
+      showToast(`Attach at most ${FILE_UPLOAD.MAX_FILES} files at a time`, 'warning')
+      return
+    }
+
+    let prepared
+    setPreparing(true)
+    try {
+      prepared = await prepareAttachmentFiles(selected)
+    } catch (err) {
+      showToast(err.message, 'error')
+      return
+    } finally {
+      setPreparing(false)
+    }
+
+    const result = await addAttachments(bug, prepared.map((entry) => entry.file), userId, session?.user?.email)
+    if (result.success) {
+      const compressed = prepared.filter((entry) => entry.compressed)
+      const saved = compressed.reduce((total, entry) => total + entry.originalSize - entry.file.size, 0)
+      showToast(
+        `${result.count} file${result.count !== 1 ? 's' : ''} attached${compressed.length ? ` (images compressed, ${formatFileSize(saved)} saved)` : ''}`,
+        'success'
+      )
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  const handleDelete = async (attachment) => {
+    const result = await deleteAttachment(bug, attachment, userId, session?.user?.email)
+    if (result.success) {
+      setLightboxIndex(null)
+      showToast(`Deleted ${attachment.file_name}`, 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  const deleteButton = (attachment, className) => canDelete(attachment) && (
+    <button
+      type="button"
+      onClick={() => handleDelete(attachment)}
+      disabled={saving}
+      className={`p-1 rounded text-slate-400 hover:text-red-600 disabled:opacity-50 ${className}`}
+      aria-label={`Delete ${attachment.file_name}`}
+    >
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+      </svg>
+    </button>
+  )
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault()
+        setIsDragging(true)
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault()
+        setIsDragging(false)
+        handleFiles(e.dataTransfer.files)
+      }}
+      className={`rounded-xl transition-colors ${isDragging ? 'bg-blue-50 ring-2 ring-blue-400' : ''}`}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-slate-700">
+          Attachments {attachments.length > 0 && <span className="text-slate-400 font-normal">({attachments.length})</span>}
+        </h3>
+        <label className={`text-xs font-medium text-blue-600 hover:text-blue-700 cursor-pointer ${saving || preparing ? 'opacity-50 pointer-events-none' : ''}`}>
+          {preparing ? 'Compressing...' : saving ? 'Uploading...' : '+ Add files'}
+          <input
+            type="file"
+            multiple
+            onChange={(e) => {
+              handleFiles(e.target.files)
+              e.target.value = ''
+            }}
+            disabled={saving || preparing}
+            className="sr-only"
+          />
+        </label>
+      </div>
+
+      {loading && attachments.length === 0 ? (
+        <p className="text-sm text-slate-400">Loading attachments...</p>
+      ) : attachments.length === 0 ? (
+        <p className="text-sm text-slate-400">No attachments. Drop files here to add logs, screenshots, HAR files or recordings.</p>
+      ) : (
+        <div className="space-y-4">
+          {media.length > 0 && (
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+              {media.map((attachment, index) => (
+                <div key={attachment.id} className="group relative aspect-video rounded-lg overflow-hidden border border-slate-200 bg-slate-100">
+                  <button type="button" onClick={() => setLightboxIndex(index)} className="w-full h-full" aria-label={`View ${attachment.file_name}`}>
+                    {getAttachmentKind(attachment.mime_type) === 'video' ? (
+                      <>
+                        <video src={attachment.url} preload="metadata" muted className="w-full h-full object-cover" />
+                        <span className="absolute inset-0 flex items-center justify-center">
+                          <span className="w-10 h-10 rounded-full bg-slate-900/60 flex items-center justify-center">
+                            <svg className="w-5 h-5 text-white" fill="currentColor" viewBox="0 0 24 24">
+                              <path d="M8 5v14l11-7z" />
+                            </svg>
+                          </span>
+                        </span>
+                      </>
+                    ) : (
+                      <img src={attachment.url} alt={attachment.file_name} loading="lazy" className="w-full h-full object-cover" />
+                    )}
+                  </button>
+                  {deleteButton(attachment, 'absolute top-1 right-1 bg-white/90 opacity-0 group-hover:opacity-100 focus:opacity-100')}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {files.length > 0 && (
+            <ul className="divide-y divide-slate-100 rounded-lg border border-slate-200">
+              {files.map((attachment) => {
+                const kind = getAttachmentKind(attachment.mime_type)
+                return (
+                  <li key={attachment.id} className="flex items-center gap-3 px-3 py-2">
+                    <svg className="w-5 h-5 text-slate-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d={FILE_ICON_PATHS[kind] || FILE_ICON_PATHS.file} />
+                    </svg>
+                    <div className="flex-1 min-w-0">
+                      {attachment.url ? (
+                        <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="block text-sm text-slate-700 hover:text-blue-600 truncate" title={attachment.file_name}>
+                          {attachment.file_name}
+                        </a>
+                      ) : (
+                        <p className="text-sm text-slate-500 truncate">{attachment.file_name}</p>
+                      )}
+                      <p className="text-xs text-slate-400 truncate">
+                        {[
+                          formatFileSize(attachment.size),
+                          attachment.uploader && getProfileDisplayName(attachment.uploader),
+                          formatSmartDate(attachment.created_at),
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                    {deleteButton(attachment, '')}
+                  </li>
+                )
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {lightboxIndex !== null && (
+        <AttachmentLightbox
+          items={media}
+          index={Math.min(lightboxIndex, media.length - 1)}
+          onIndexChange={setLightboxIndex}
+          onClose={() => setLightboxIndex(null)}
+        />
+      )}
+    </div>
+  )
+}
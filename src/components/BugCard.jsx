@@ -1,24 +1,26 @@
 import { Link } from 'react-router-dom'
 import StatusBadge from './StatusBadge'
+import { LabelList } from './BugHelpers'
 import { formatSmartDate } from '../lib/dateUtils'
 import { useAuth } from '../hooks/useAuth'
 import { useBugMutations } from '../hooks/useBugs'
+import { useBugPreviewImage } from '../hooks/useBugPreviewImage'
+import { useProfileSummary } from '../hooks/useProfiles'
+import { getProfileDisplayName } from '../lib/profileCache'
 import { useToast } from './Toast'
-
-const priorityConfig = {
-  High: { color: 'text-red-600', bg: 'bg-red-50', dot: 'bg-red-500', ring: 'ring-red-200', border: 'border-red-100' },
-  Medium: { color: 'text-amber-600', bg: 'bg-amber-50', dot: 'bg-amber-500', ring: 'ring-amber-200', border: 'border-amber-100' },
-  Low: { color: 'text-emerald-600', bg: 'bg-emerald-50', dot: 'bg-emerald-500', ring: 'ring-emerald-200', border: 'border-emerald-100' },
-}
+import { useWorkflow } from '../hooks/useWorkflow'
 
 import { cleanMarkdown } from './MarkdownRenderer'
 
 export default function BugCard({ bug }) {
-  const priority = priorityConfig[bug.priority] || priorityConfig.Medium
-  const hasImage = bug.preview_image
+  const { workflow } = useWorkflow()
+  const priority = workflow.getPriorityColors(bug.priority)
+  const previewImage = useBugPreviewImage(bug.user_id, bug.id, bug.preview_image)
+  const hasImage = Boolean(previewImage)
   const { session } = useAuth()
   const { showToast } = useToast()
   const { archiveBug, loading: archiveLoading } = useBugMutations()
+  const assignee = useProfileSummary(bug.assigned_to)
 
   // Strip markdown for card preview
   const previewText = cleanMarkdown(bug.description)
@@ -36,12 +38,14 @@ export default function BugCard({ bug }) {
     }
 
     try {
-      const result = await archiveBug(bug.id, session.user.id, session.user.email)
+      const result = await archiveBug(bug.id, session.user.id, session.user.email, { expectedUpdatedAt: bug.updated_at })
 
-      if (result.success) {
+      if (result.conflict) {
+        showToast(result.error, 'error')
+      } else if (result.queued) {
+        showToast('You are offline - the bug will be archived when you reconnect', 'info')
+      } else if (result.success) {
         showToast('Bug archived', 'success')
-        // Dispatch event to remove from active list
-        window.dispatchEvent(new CustomEvent('bug-archived', { detail: { id: bug.id } }))
       } else {
         showToast(result.error || 'Failed to archive bug', 'error')
       }
@@ -53,12 +57,12 @@ export default function BugCard({ bug }) {
 
   return (
     <Link to={`/bug/${bug.id}`} className="block group">
-      <div className={`bg-white rounded-2xl border border-slate-200 hover:border-slate-300 hover:shadow-xl transition-all duration-300 h-full flex flex-col overflow-hidden ${bug.priority === 'High' ? 'ring-2 ring-red-100 border-red-200' : ''}`}>
+      <div className={`bg-white rounded-2xl border border-slate-200 hover:border-slate-300 hover:shadow-xl transition-all duration-300 h-full flex flex-col overflow-hidden ${bug.priority === workflow.topPriority ? 'ring-2 ring-red-100 border-red-200' : ''}`}>
         {/* Image Preview */}
         {hasImage && (
           <div className="h-36 bg-gradient-to-br from-slate-100 to-slate-50 overflow-hidden relative">
             <img
-              src={bug.preview_image}
+              src={previewImage}
               alt=""
               className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
               loading="lazy"
@@ -74,7 +78,7 @@ export default function BugCard({ bug }) {
               {bug.title}
             </h3>
             <div className="flex items-center gap-2">
-              <span className={`flex-shrink-0 inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-semibold ${priority.bg} ${priority.color} border ${priority.border}`}>
+              <span className={`flex-shrink-0 inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-semibold border ${priority.badge}`}>
                 <span className={`w-1.5 h-1.5 rounded-full ${priority.dot} animate-pulse`}></span>
                 {bug.priority}
               </span>
@@ -110,9 +114,16 @@ export default function BugCard({ bug }) {
             {previewText}
           </p>
 
+          <LabelList labelIds={bug.label_ids} max={3} className="mb-4" />
+
           {/* Footer */}
           <div className="flex items-center justify-between pt-4 border-t border-slate-100">
             <StatusBadge status={bug.status} />
+            {assignee && (
+              <span className="ml-auto mr-2 truncate text-xs text-blue-600 bg-blue-50 px-2 py-1 rounded-full font-medium" title="Assignee">
+                {bug.assigned_to === session?.user?.id ? 'Assigned to you' : getProfileDisplayName(assignee)}
+              </span>
+            )}
             {bug.is_archived && (
               <span className="text-xs text-amber-600 bg-amber-50 px-2 py-1 rounded-full font-medium">
                 Archived
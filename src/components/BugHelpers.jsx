@@ -1,27 +1,17 @@
-import { useState, useMemo } from 'react'
+import { useState } from 'react'
+import { useLabels, getLabelClasses } from '../hooks/useLabels'
+import { useWorkflow } from '../hooks/useWorkflow'
+import { useSimilarBugs } from '../hooks/useSearchIndex'
+import { useDebounce } from '../hooks/useDebounce'
 
-/* eslint-disable react-refresh/only-export-components */
-export function findSimilarBugs(title, bugs, threshold = 0.3) {
-  if (!title || title.length < 3 || !bugs.length) return []
-
-  const words = title.toLowerCase().split(/\s+/).filter(w => w.length > 2)
-  
-  return bugs
-    .map(bug => {
-      const bugWords = bug.title.toLowerCase().split(/\s+/)
-      const matches = words.filter(word => 
-        bugWords.some(bw => bw.includes(word) || word.includes(bw))
-      )
-      const score = words.length > 0 ? matches.length / words.length : 0
-      return { bug, score }
-    })
-    .filter(item => item.score >= threshold)
-    .sort((a, b) => b.score - a.score)
-    .slice(0, 5)
-    .map(item => item.bug)
-}
-export function DuplicateDetector({ title, bugs, onSelect }) {
-  const similarBugs = useMemo(() => findSimilarBugs(title, bugs), [title, bugs])
+/**
+ * "Possible duplicates" while filing a bug, ranked by the shared search index
+ */
+export function DuplicateDetector({ title, description = '', onSelect }) {
+  const text = useDebounce(title && title.trim().length >= 3 ? `${title}\n${description}` : '', 300)
+  const { results } = useSimilarBugs({ text })
+  const similarBugs = results.map((result) => result.bug)
+  const { workflow } = useWorkflow()
 
   if (similarBugs.length === 0) return null
 
@@ -51,11 +41,7 @@ export function DuplicateDetector({ title, bugs, onSelect }) {
                   <span className="text-sm font-medium text-slate-800 truncate flex-1">
                     {bug.title}
                   </span>
-                  <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${
-                    bug.status === 'Open' ? 'bg-blue-100 text-blue-700' :
-                    bug.status === 'In Progress' ? 'bg-purple-100 text-purple-700' :
-                    'bg-green-100 text-green-700'
-                  }`}>
+                  <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${workflow.getStatusColors(bug.status).pill}`}>
                     {bug.status}
                   </span>
                 </div>
@@ -67,25 +53,53 @@ export function DuplicateDetector({ title, bugs, onSelect }) {
     </div>
   )
 }
-const PRESET_LABELS = [
-  { name: 'UI/UX', color: 'bg-pink-100 text-pink-700' },
-  { name: 'Backend', color: 'bg-indigo-100 text-indigo-700' },
-  { name: 'Database', color: 'bg-cyan-100 text-cyan-700' },
-  { name: 'Security', color: 'bg-red-100 text-red-700' },
-  { name: 'Performance', color: 'bg-orange-100 text-orange-700' },
-  { name: 'Mobile', color: 'bg-purple-100 text-purple-700' },
-  { name: 'API', color: 'bg-blue-100 text-blue-700' },
-  { name: 'Documentation', color: 'bg-slate-100 text-slate-700' },
-]
+/**
+ * Label chips for a list of label ids; ids no longer in the catalogue are skipped
+ */
+export function LabelList({ labelIds = [], max = null, onRemove = null, className = '' }) {
+  const { labelsById } = useLabels()
+  const labels = (labelIds || []).map((id) => labelsById.get(id)).filter(Boolean)
+  if (labels.length === 0) return null
+
+  const shown = max ? labels.slice(0, max) : labels
+  const hidden = labels.length - shown.length
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {shown.map((label) => (
+        <span
+          key={label.id}
+          title={label.description || undefined}
+          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${getLabelClasses(label)}`}
+        >
+          {label.name}
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(label.id)}
+              className="hover:opacity-70"
+            >
+              ×
+            </button>
+          )}
+        </span>
+      ))}
+      {hidden > 0 && (
+        <span className="px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-500">+{hidden}</span>
+      )}
+    </div>
+  )
+}
 
-export function LabelSelector({ selected = [], onChange }) {
+export function LabelSelector({ selected = [], onChange, disabled = false }) {
   const [isOpen, setIsOpen] = useState(false)
+  const { labels, loading } = useLabels()
 
   const toggleLabel = (label) => {
-    if (selected.includes(label.name)) {
-      onChange(selected.filter(l => l !== label.name))
+    if (selected.includes(label.id)) {
+      onChange(selected.filter(id => id !== label.id))
     } else {
-      onChange([...selected, label.name])
+      onChange([...selected, label.id])
     }
   }
 
@@ -94,7 +108,8 @@ export function LabelSelector({ selected = [], onChange }) {
       <button
         type="button"
         onClick={() => setIsOpen(!isOpen)}
-        className="flex items-center gap-2 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-600 hover:bg-slate-100 transition-colors"
+        disabled={disabled}
+        className="flex items-center gap-2 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-600 hover:bg-slate-100 transition-colors disabled:opacity-50"
       >
         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
@@ -112,20 +127,25 @@ export function LabelSelector({ selected = [], onChange }) {
           <div className="fixed inset-0 z-40" onClick={() => setIsOpen(false)} />
           <div className="absolute top-full left-0 mt-2 w-56 bg-white rounded-lg shadow-lg border border-slate-200 p-2 z-50">
             <p className="text-xs text-slate-500 px-2 py-1 mb-1">Select labels</p>
-            <div className="space-y-1">
-              {PRESET_LABELS.map(label => (
+            {loading && <p className="text-xs text-slate-400 px-2 py-1">Loading labels...</p>}
+            {!loading && labels.length === 0 && (
+              <p className="text-xs text-slate-400 px-2 py-1">No labels defined yet</p>
+            )}
+            <div className="space-y-1 max-h-64 overflow-y-auto">
+              {labels.map(label => (
                 <button
-                  key={label.name}
+                  key={label.id}
                   type="button"
                   onClick={() => toggleLabel(label)}
+                  title={label.description || undefined}
                   className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-md text-sm transition-colors ${
-                    selected.includes(label.name) ? 'bg-slate-100' : 'hover:bg-slate-50'
+                    selected.includes(label.id) ? 'bg-slate-100' : 'hover:bg-slate-50'
                   }`}
                 >
-                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${label.color}`}>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${getLabelClasses(label)}`}>
                     {label.name}
                   </span>
-                  {selected.includes(label.name) && (
+                  {selected.includes(label.id) && (
                     <svg className="w-4 h-4 text-blue-600 ml-auto" fill="currentColor" viewBox="0 0 20 20">
                       <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
                     </svg>
@@ -138,30 +158,11 @@ export function LabelSelector({ selected = [], onChange }) {
       )}
 
       {/* Display selected labels */}
-      {selected.length > 0 && (
-        <div className="flex flex-wrap gap-1 mt-2">
-          {selected.map(labelName => {
-            const label = PRESET_LABELS.find(l => l.name === labelName)
-            return (
-              <span
-                key={labelName}
-                className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium ${label?.color || 'bg-slate-100 text-slate-700'}`}
-              >
-                {labelName}
-                <button
-                  type="button"
-                  onClick={() => onChange(selected.filter(l => l !== labelName))}
-                  className="hover:opacity-70"
-                >
-                  ×
-                </button>
-              </span>
-            )
-          })}
-        </div>
-      )}
+      <LabelList
+        labelIds={selected}
+        onRemove={disabled ? null : (labelId) => onChange(selected.filter(id => id !== labelId))}
+        className="mt-2"
+      />
     </div>
   )
 }
-
-export { PRESET_LABELS }
@@ -0,0 +1,166 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import StatusBadge from './StatusBadge'
+import { useToast } from './Toast'
+import { useBugs } from '../hooks/useBugs'
+import { useBugLinks, useBugLinkMutations } from '../hooks/useBugLinks'
+import { useDebounce } from '../hooks/useDebounce'
+import { BUG_LINK_OPTIONS } from '../lib/constants'
+
+const MIN_SEARCH_LENGTH = 2
+
+/**
+ * "Linked bugs" section on BugDetail: links in both directions, grouped by how they
+ * read from this bug, plus a picker to add one.
+ */
+export default function BugLinks({ bug, session, disabled = false }) {
+  const { showToast } = useToast()
+  const { links, loading } = useBugLinks(bug.id)
+  const { addLink, removeLink, loading: saving } = useBugLinkMutations()
+
+  const [adding, setAdding] = useState(false)
+  const [linkType, setLinkType] = useState(BUG_LINK_OPTIONS[0].value)
+  const [search, setSearch] = useState('')
+  const debouncedSearch = useDebounce(search.trim(), 300)
+
+  const { bugs: results, loading: searching } = useBugs({
+    includeArchived: true,
+    filters: { search: debouncedSearch },
+    limit: 8,
+    previews: false,
+    enabled: adding && debouncedSearch.length >= MIN_SEARCH_LENGTH,
+  })
+  const candidates = results.filter((result) => result.id !== bug.id)
+
+  const groups = links.reduce((acc, link) => {
+    acc[link.label] = [...(acc[link.label] || []), link]
+    return acc
+  }, {})
+
+  const closePicker = () => {
+    setAdding(false)
+    setSearch('')
+  }
+
+  const handleAdd = async (otherBug) => {
+    const result = await addLink(bug, linkType, otherBug, session.user.id, session.user.email)
+    if (!result.success) {
+      showToast(result.error || 'Failed to link bugs', 'error')
+      return
+    }
+
+    closePicker()
+    if (result.resolvedStatus) {
+      showToast(`Marked as duplicate and moved to ${result.resolvedStatus}`, 'success')
+    } else if (result.resolveError) {
+      showToast(`Linked, but the bug could not be resolved: ${result.resolveError}`, 'warning')
+    } else {
+      showToast('Bugs linked', 'success')
+    }
+  }
+
+  const handleRemove = async (link) => {
+    const result = await removeLink(bug, link, session.user.id, session.user.email)
+    if (!result.success) showToast(result.error || 'Failed to remove link', 'error')
+  }
+
+  return (
+    <div>
+      {loading && links.length === 0 ? (
+        <p className="text-sm text-slate-400">Loading links...</p>
+      ) : links.length === 0 ? (
+        <p className="text-sm text-slate-400">No linked bugs</p>
+      ) : (
+        <div className="space-y-3">
+          {Object.entries(groups).map(([label, groupLinks]) => (
+            <div key={label}>
+              <p className="text-xs font-medium text-slate-500 mb-1">{label}</p>
+              <ul className="space-y-1">
+                {groupLinks.map((link) => (
+                  <li key={link.id} className="group flex items-center gap-2">
+                    <Link
+                      to={`/bug/${link.bug.id}`}
+                      className={`flex-1 min-w-0 text-sm truncate hover:text-blue-600 ${link.bug.is_archived ? 'text-slate-400' : 'text-slate-700'}`}
+                      title={link.bug.title}
+                    >
+                      {link.bug.title}
+                    </Link>
+                    <StatusBadge status={link.bug.status} />
+                    <button
+                      type="button"
+                      onClick={() => handleRemove(link)}
+                      disabled={disabled || saving}
+                      className="p-1 text-slate-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity disabled:opacity-50"
+                      aria-label={`Remove link to ${link.bug.title}`}
+                    >
+                      <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {adding ? (
+        <div className="mt-3 space-y-2">
+          <select
+            value={linkType}
+            onChange={(e) => setLinkType(e.target.value)}
+            className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {BUG_LINK_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && closePicker()}
+            placeholder="Search bugs by title..."
+            autoFocus
+            className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {debouncedSearch.length >= MIN_SEARCH_LENGTH && (
+            <div className="max-h-56 overflow-y-auto rounded-lg border border-slate-200 divide-y divide-slate-100">
+              {searching && candidates.length === 0 ? (
+                <p className="px-3 py-2 text-xs text-slate-400">Searching...</p>
+              ) : candidates.length === 0 ? (
+                <p className="px-3 py-2 text-xs text-slate-400">No matching bugs</p>
+              ) : candidates.map((candidate) => (
+                <button
+                  key={candidate.id}
+                  type="button"
+                  onClick={() => handleAdd(candidate)}
+                  disabled={saving}
+                  className="w-full flex items-center justify-between gap-2 px-3 py-2 text-left text-sm hover:bg-slate-50 disabled:opacity-50"
+                >
+                  <span className="truncate text-slate-700">{candidate.title}</span>
+                  <span className="text-xs text-slate-400 flex-shrink-0">{candidate.status}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={closePicker}
+            className="text-xs font-medium text-slate-500 hover:text-slate-700"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setAdding(true)}
+          disabled={disabled}
+          className="mt-3 text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+        >
+          + Link a bug
+        </button>
+      )}
+    </div>
+  )
+}
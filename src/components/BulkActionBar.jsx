@@ -0,0 +1,147 @@
+import { useWorkflow } from '../hooks/useWorkflow'
+
+/**
+ * Toolbar for the selected bugs on the Dashboard grid, plus the outcome of the last batch
+ * `result` is the summary returned by useBulkBugActions, with a `label` for the action.
+ */
+export default function BulkActionBar({
+  count,
+  matchingCount,
+  archived = false,
+  running = false,
+  progress = null,
+  result = null,
+  onSelectAllMatching,
+  onClear,
+  onSetStatus,
+  onSetPriority,
+  onArchive,
+  onRestore,
+  onDelete,
+  onDismissResult,
+}) {
+  const { workflow } = useWorkflow()
+
+  if (count === 0 && !result) return null
+
+  const selectClass = 'px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50'
+
+  return (
+    <div className="mb-4 space-y-2">
+      {count > 0 && (
+        <div className="flex flex-wrap items-center gap-3 px-4 py-3 bg-blue-50 border border-blue-200 rounded-xl">
+          <span className="text-sm font-medium text-blue-800">
+            {running && progress ? `Working… ${progress.done}/${progress.total}` : `${count} selected`}
+          </span>
+          {matchingCount > count && (
+            <button
+              type="button"
+              onClick={onSelectAllMatching}
+              disabled={running}
+              className="text-sm font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+            >
+              Select all {matchingCount} matching
+            </button>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 ml-auto">
+            {!archived && (
+              <>
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && onSetStatus(e.target.value)}
+                  disabled={running}
+                  className={selectClass}
+                >
+                  <option value="">Set status…</option>
+                  {workflow.statusNames.map((status) => <option key={status} value={status}>{status}</option>)}
+                </select>
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && onSetPriority(e.target.value)}
+                  disabled={running}
+                  className={selectClass}
+                >
+                  <option value="">Set priority…</option>
+                  {workflow.priorityNames.map((priority) => <option key={priority} value={priority}>{priority}</option>)}
+                </select>
+                <button
+                  type="button"
+                  onClick={onArchive}
+                  disabled={running}
+                  className="px-3 py-2 text-sm font-medium text-amber-700 bg-white border border-amber-200 hover:bg-amber-50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  Archive
+                </button>
+              </>
+            )}
+            {archived && (
+              <button
+                type="button"
+                onClick={onRestore}
+                disabled={running}
+                className="px-3 py-2 text-sm font-medium text-green-700 bg-white border border-green-200 hover:bg-green-50 rounded-lg transition-colors disabled:opacity-50"
+              >
+                Restore
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onDelete}
+              disabled={running}
+              className="px-3 py-2 text-sm font-medium text-red-600 bg-white border border-red-200 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+            >
+              Delete
+            </button>
+            <button
+              type="button"
+              onClick={onClear}
+              disabled={running}
+              className="px-3 py-2 text-sm text-slate-600 hover:text-slate-800 hover:bg-white rounded-lg transition-colors disabled:opacity-50"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className={`px-4 py-3 rounded-xl border text-sm ${result.failed.length > 0 || result.error
+          ? 'bg-red-50 border-red-200 text-red-800'
+          : 'bg-green-50 border-green-200 text-green-800'
+          }`}
+        >
+          <div className="flex items-start justify-between gap-4">
+            <p>
+              <span className="font-medium">{result.label}:</span>{' '}
+              {result.error
+                ? result.error
+                : [
+                  `${result.succeeded.length} updated`,
+                  result.failed.length > 0 && `${result.failed.length} failed`,
+                  result.skipped.length > 0 && `${result.skipped.length} already up to date`,
+                  result.missing > 0 && `${result.missing} no longer exist`,
+                ].filter(Boolean).join(' · ')}
+            </p>
+            <button
+              type="button"
+              onClick={onDismissResult}
+              className="text-xs font-medium opacity-70 hover:opacity-100 flex-shrink-0"
+            >
+              Dismiss
+            </button>
+          </div>
+          {result.failed.length > 0 && (
+            <ul className="mt-2 space-y-1 text-xs">
+              {result.failed.map(({ bug, error }) => (
+                <li key={bug.id}>
+                  <span className="font-medium">{bug.title}</span> - {error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,8 +1,70 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { supabase } from '../lib/supabaseClient'
+import { fetchProfileSummaries } from '../lib/profileCache'
+import { enqueueMutation, isNetworkError } from '../lib/offlineQueue'
+import { MUTATION_TYPES, createComment } from '../lib/offlineMutations'
+import { useOptimisticList } from '../hooks/useOptimistic'
+import { useOfflineQueue } from '../hooks/useOfflineQueue'
+import { useBugAttachments, useBugAttachmentMutations } from '../hooks/useBugAttachments'
+import { getPastedImages, prepareAttachmentFiles, getAttachmentKind, formatFileSize } from '../lib/bugAttachments'
+import { removeBugObjects } from '../lib/bugImageStorage'
+import { invalidateQueries } from '../lib/queryCache'
+import { FILE_UPLOAD } from '../lib/constants'
+import { useRedactionPatterns } from '../hooks/useRedactionPatterns'
+import { scanFields, maskFields } from '../lib/redaction'
+import RedactionReview from './RedactionReview'
+
+const REDACTION_FIELD_LABELS = { content: 'Comment' }
+
+/**
+ * Files attached to a comment: images inline, anything else as a download link
+ */
+function CommentAttachments({ attachments }) {
+  if (!attachments?.length) return null
+
+  const images = attachments.filter((attachment) => attachment.url && getAttachmentKind(attachment.mime_type) === 'image')
+  const others = attachments.filter((attachment) => !images.includes(attachment))
 
-export default function CommentSection({ bugId, session, bugReporterId, bugReporterName, bugReporterEmail }) {
-  const [comments, setComments] = useState([])
+  return (
+    <div className="mt-2 space-y-2">
+      {images.map((attachment) => (
+        <a key={attachment.id} href={attachment.url} target="_blank" rel="noopener noreferrer" className="block w-fit">
+          <img
+            src={attachment.url}
+            alt={attachment.file_name}
+            loading="lazy"
+            className="max-h-64 max-w-full rounded-lg border border-slate-200 hover:border-blue-300 transition-colors"
+          />
+        </a>
+      ))}
+      {others.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {others.map((attachment) => (
+            <a
+              key={attachment.id}
+              href={attachment.url || undefined}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-2 py-1 text-xs text-slate-600 bg-slate-100 rounded-md hover:text-blue-600"
+            >
+              {attachment.file_name} <span className="text-slate-400">{formatFileSize(attachment.size)}</span>
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function CommentSection({ bugId, session, bugReporterId, bugReporterName, bugReporterEmail, bugCreatedAt }) {
+  const {
+    optimisticItems: loadedComments,
+    addItem,
+    removeItem,
+    updateItem,
+    setInitialItems: setComments,
+  } = useOptimisticList([])
+  const { pending } = useOfflineQueue()
   const [newComment, setNewComment] = useState('')
   const [loading, setLoading] = useState(true)
   const [submitting, setSubmitting] = useState(false)
@@ -10,6 +72,23 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
   const [editingCommentId, setEditingCommentId] = useState(null)
   const [editText, setEditText] = useState('')
   const [commentActionId, setCommentActionId] = useState(null)
+  // Images pasted into the composer: [{ file, originalSize, compressed }]
+  const [pastedImages, setPastedImages] = useState([])
+  const [preparingImages, setPreparingImages] = useState(false)
+  const [reviewingRedaction, setReviewingRedaction] = useState(false)
+  const { rules: redactionRules } = useRedactionPatterns()
+
+  const bug = useMemo(
+    () => ({ id: bugId, user_id: bugReporterId, created_at: bugCreatedAt }),
+    [bugId, bugReporterId, bugCreatedAt]
+  )
+  const { attachments } = useBugAttachments(bug)
+  const { addAttachments } = useBugAttachmentMutations()
+
+  const attachmentsByComment = useMemo(() => attachments.reduce((acc, attachment) => {
+    if (attachment.comment_id) acc[attachment.comment_id] = [...(acc[attachment.comment_id] || []), attachment]
+    return acc
+  }, {}), [attachments])
 
   const fetchComments = useCallback(async () => {
     try {
@@ -22,42 +101,19 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
       if (fetchError) throw fetchError
       const commentsData = data || []
 
-      // Load commenter profiles in a separate query
-      const userIds = Array.from(new Set(commentsData.map(c => c.user_id).filter(Boolean)))
-      let profilesMap = {}
-
-      // Parallel fetch: Profiles AND Activity Logs (to find emails for deleted/missing users)
-      const tasks = []
-
-      if (userIds.length > 0) {
-        tasks.push(supabase
-          .from('profiles')
-          .select('id, username, email, full_name')
-          .in('id', userIds)
-          .then(({ data }) => ({ type: 'profiles', data }))
-        )
-      }
-
-      // Fetch activity logs where comments were created to find actor_email if profile is missing
-      tasks.push(supabase
-        .from('bug_activity')
-        .select('user_id, actor_email, actor_id')
-        .eq('bug_id', bugId)
-        .eq('action', 'comment_created')
-        .then(({ data }) => ({ type: 'activity', data }))
-      )
-
-      const results = await Promise.all(tasks)
-
-      const profilesData = results.find(r => r.type === 'profiles')?.data || []
-      const activityData = results.find(r => r.type === 'activity')?.data || []
-
-      profilesMap = profilesData.reduce((acc, p) => {
-        acc[p.id] = p
-        return acc
-      }, {})
-
-      const activityMap = activityData.reduce((acc, a) => {
+      // Parallel fetch: cached profiles AND Activity Logs (to find emails for deleted/missing users)
+      const userIds = commentsData.map(c => c.user_id)
+      const [profilesMap, { data: activityData }] = await Promise.all([
+        fetchProfileSummaries(userIds),
+        // Activity logs where comments were created hold actor_email if the profile is missing
+        supabase
+          .from('bug_activity')
+          .select('user_id, actor_email, actor_id')
+          .eq('bug_id', bugId)
+          .eq('action', 'comment_created'),
+      ])
+
+      const activityMap = (activityData || []).reduce((acc, a) => {
         // Map user_id (or actor_id) to the email active at that time
         const uid = a.user_id || a.actor_id
         if (uid && a.actor_email) {
@@ -99,7 +155,7 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
     } finally {
       setLoading(false)
     }
-  }, [bugId])
+  }, [bugId, setComments])
 
   useEffect(() => {
     fetchComments()
@@ -123,50 +179,130 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
     }
   }, [bugId, fetchComments])
 
-  const handleSubmit = async (e) => {
+  // Comments still waiting in the offline queue (also after a reload) are shown until they sync
+  const comments = useMemo(() => {
+    const queuedEntries = pending.filter((entry) => entry.type === MUTATION_TYPES.COMMENT_CREATE && entry.payload.bugId === bugId)
+    const queuedIds = new Set(queuedEntries.map((entry) => entry.payload.id))
+    const loadedIds = new Set(loadedComments.map((c) => c.id))
+
+    const queuedOnly = queuedEntries
+      .filter((entry) => !loadedIds.has(entry.payload.id))
+      .map(({ payload, createdAt }) => ({
+        id: payload.id,
+        bug_id: bugId,
+        user_id: payload.userId,
+        content: payload.content,
+        created_at: createdAt,
+        user: { id: payload.userId, email: payload.userEmail, username: payload.userEmail?.split('@')[0] },
+      }))
+
+    return [...loadedComments, ...queuedOnly].map((c) => (queuedIds.has(c.id) ? { ...c, pending_sync: true } : c))
+  }, [loadedComments, pending, bugId])
+
+  const handlePaste = async (e) => {
+    const images = getPastedImages(e.clipboardData)
+    if (images.length === 0) return
     e.preventDefault()
-    if (!newComment.trim()) return
+    if (pastedImages.length + images.length > FILE_UPLOAD.MAX_FILES) {
+      setError(`A comment can have up to ${FILE_UPLOAD.MAX_FILES} images`)
+      return
+    }
+
+    setPreparingImages(true)
+    try {
+      const prepared = await prepareAttachmentFiles(images)
+      setPastedImages((prev) => [...prev, ...prepared])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPreparingImages(false)
+    }
+  }
+
+  const redactionFindings = reviewingRedaction ? scanFields({ content: newComment }, redactionRules) : []
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!newComment.trim() && pastedImages.length === 0) return
+    // Possible secrets are reviewed (and masked) before the comment is saved
+    if (scanFields({ content: newComment }, redactionRules).length > 0) {
+      setReviewingRedaction(true)
+      return
+    }
+    postComment(newComment)
+  }
+
+  const handleRedactionMask = (findings) => {
+    setNewComment((prev) => maskFields({ content: prev }, findings).content ?? prev)
+  }
+
+  const handleRedactionProceed = ({ maskAll }) => {
+    const text = maskAll ? maskFields({ content: newComment }, redactionFindings).content ?? newComment : newComment
+    setNewComment(text)
+    setReviewingRedaction(false)
+    postComment(text)
+  }
+
+  const postComment = async (text) => {
+    const content = text.trim()
+    const files = pastedImages.map((entry) => entry.file)
 
     setSubmitting(true)
     setError(null)
 
-    try {
-      const { data: inserted, error: insertError } = await supabase
-        .from('comments')
-        .insert({
-          bug_id: bugId,
-          user_id: session.user.id,
-          content: newComment.trim(),
-        })
-        .select(`*`)
-        .single()
+    // Client-generated id: the optimistic item, the queued entry and the stored row all share it
+    const payload = {
+      id: crypto.randomUUID(),
+      bugId,
+      content,
+      userId: session.user.id,
+      userEmail: session.user.email,
+    }
 
-      if (insertError) throw insertError
+    const result = await addItem(
+      {
+        id: payload.id,
+        bug_id: bugId,
+        user_id: payload.userId,
+        content,
+        created_at: new Date().toISOString(),
+        user: { id: payload.userId, email: payload.userEmail, username: payload.userEmail.split('@')[0] },
+      },
+      async () => {
+        let inserted
+        try {
+          inserted = await createComment(payload)
+        } catch (err) {
+          if (!isNetworkError(err)) throw err
+          // Only the text can wait in the offline queue
+          if (files.length > 0) throw new Error('Pasted images need a connection. Try again once you are back online.')
+          await enqueueMutation(MUTATION_TYPES.COMMENT_CREATE, payload, payload.userId)
+          return { queued: true }
+        }
+        if (!inserted) return undefined
+
+        if (files.length > 0) {
+          const upload = await addAttachments(bug, files, payload.userId, payload.userEmail, { commentId: payload.id })
+          if (!upload.success) {
+            // Roll back, so a retry does not leave a comment without its images
+            await supabase.from('comments').delete().eq('id', payload.id)
+            throw new Error(upload.error)
+          }
+        }
 
-      if (inserted) {
         // attach current user's profile for immediate UI
-        const { data: [profile] = [] } = await supabase
-          .from('profiles')
-          .select('id, username, email, full_name')
-          .eq('id', session.user.id)
-
-        const enriched = { ...inserted, user: profile || null }
-        setComments((prev) => [...prev, enriched])
-        setNewComment('')
-        await supabase.from('bug_activity').insert({
-          bug_id: bugId,
-          user_id: session.user.id,
-          actor_id: session.user.id,
-          actor_email: session.user.email,
-          action: 'comment_created',
-          metadata: { comment_id: inserted.id },
-        })
+        const { [session.user.id]: profile } = await fetchProfileSummaries([session.user.id])
+        return { ...inserted, user: profile || null }
       }
-    } catch (err) {
-      setError('Failed to post comment: ' + err.message)
-    } finally {
-      setSubmitting(false)
+    )
+
+    if (result.success) {
+      setNewComment('')
+      setPastedImages([])
+    } else {
+      setError('Failed to post comment: ' + result.error.message)
     }
+    setSubmitting(false)
   }
 
   const handleDelete = async (comment) => {
@@ -175,7 +311,8 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
     if (!confirmed) return
     setCommentActionId(comment.id)
     setError(null)
-    try {
+
+    const result = await removeItem(comment.id, async () => {
       const { error: deleteError } = await supabase
         .from('comments')
         .delete()
@@ -183,7 +320,13 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
 
       if (deleteError) throw deleteError
 
-      setComments((prev) => prev.filter((c) => c.id !== comment.id))
+      // Attachment rows go with the comment; their files are removed best-effort
+      const commentFiles = attachmentsByComment[comment.id] || []
+      if (commentFiles.length > 0) {
+        const cleanup = await removeBugObjects(commentFiles.map((attachment) => attachment.object_path))
+        if (!cleanup.success) console.warn('⚠️ Comment attachment cleanup failed (non-fatal):', cleanup.error)
+        invalidateQueries(['bugAttachments', bugId])
+      }
 
       await supabase.from('bug_activity').insert({
         bug_id: bugId,
@@ -193,11 +336,10 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
         action: 'comment_deleted',
         metadata: { comment_id: comment.id },
       })
-    } catch (err) {
-      setError('Failed to delete comment: ' + err.message)
-    } finally {
-      setCommentActionId(null)
-    }
+    })
+
+    if (!result.success) setError('Failed to delete comment: ' + result.error.message)
+    setCommentActionId(null)
   }
 
   const startEditing = (comment) => {
@@ -211,21 +353,19 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
   }
 
   const handleUpdate = async (comment) => {
-    if (!editText.trim()) return
+    const content = editText.trim()
+    if (!content) return
     setCommentActionId(comment.id)
     setError(null)
-    try {
+
+    const result = await updateItem(comment.id, { content }, async () => {
       const { error: updateError } = await supabase
         .from('comments')
-        .update({ content: editText.trim() })
+        .update({ content })
         .eq('id', comment.id)
 
       if (updateError) throw updateError
 
-      setComments((prev) => prev.map((c) => (c.id === comment.id ? { ...c, content: editText.trim() } : c)))
-      setEditingCommentId(null)
-      setEditText('')
-
       await supabase.from('bug_activity').insert({
         bug_id: bugId,
         user_id: session.user.id,
@@ -234,11 +374,15 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
         action: 'comment_updated',
         metadata: { comment_id: comment.id },
       })
-    } catch (err) {
-      setError('Failed to update comment: ' + err.message)
-    } finally {
-      setCommentActionId(null)
+    })
+
+    if (result.success) {
+      setEditingCommentId(null)
+      setEditText('')
+    } else {
+      setError('Failed to update comment: ' + result.error.message)
     }
+    setCommentActionId(null)
   }
 
   return (
@@ -277,7 +421,12 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
                   <span className="text-xs text-slate-400">
                     {new Date(comment.created_at).toLocaleString()}
                   </span>
-                  {comment.user_id === session?.user?.id && (
+                  {comment.pending_sync && (
+                    <span className="text-xs font-medium text-amber-600 bg-amber-50 border border-amber-100 rounded-full px-2 py-0.5">
+                      Pending sync
+                    </span>
+                  )}
+                  {comment.user_id === session?.user?.id && !comment.pending_sync && (
                     <div className="ml-auto flex items-center gap-3 text-xs font-medium">
                       <button
                         type="button"
@@ -327,7 +476,10 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
                     </div>
                   </div>
                 ) : (
-                  <p className="text-slate-600 text-sm whitespace-pre-wrap">{comment.content}</p>
+                  <>
+                    {comment.content && <p className="text-slate-600 text-sm whitespace-pre-wrap">{comment.content}</p>}
+                    <CommentAttachments attachments={attachmentsByComment[comment.id]} />
+                  </>
                 )}
               </div>
             </div>
@@ -335,19 +487,57 @@ export default function CommentSection({ bugId, session, bugReporterId, bugRepor
         </div>
       )}
 
+      {reviewingRedaction && (
+        <RedactionReview
+          values={{ content: newComment }}
+          fieldLabels={REDACTION_FIELD_LABELS}
+          findings={redactionFindings}
+          actionLabel="Post Comment"
+          onMask={handleRedactionMask}
+          onProceed={handleRedactionProceed}
+          onCancel={() => setReviewingRedaction(false)}
+        />
+      )}
+
       <form onSubmit={handleSubmit} className="border-t border-slate-100 pt-4">
         <textarea
           value={newComment}
           onChange={(e) => setNewComment(e.target.value)}
-          placeholder="Write a comment..."
+          onPaste={handlePaste}
+          placeholder="Write a comment... (paste screenshots with Ctrl+V)"
           rows={3}
           disabled={submitting}
           className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent mb-3 disabled:opacity-50 disabled:bg-slate-100 resize-none"
         />
+        {(pastedImages.length > 0 || preparingImages) && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {pastedImages.map(({ file }, index) => (
+              <div key={`${file.name}-${index}`} className="group relative w-20 h-20 rounded-lg overflow-hidden border border-slate-200 bg-slate-100">
+                <img src={URL.createObjectURL(file)} alt={file.name} className="w-full h-full object-cover" />
+                <button
+                  type="button"
+                  onClick={() => setPastedImages((prev) => prev.filter((_, i) => i !== index))}
+                  disabled={submitting}
+                  className="absolute top-1 right-1 p-0.5 rounded bg-white/90 text-slate-500 hover:text-red-600"
+                  aria-label={`Remove ${file.name}`}
+                >
+                  <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+            ))}
+            {preparingImages && (
+              <div className="w-20 h-20 rounded-lg border border-dashed border-slate-300 flex items-center justify-center text-xs text-slate-400">
+                Preparing...
+              </div>
+            )}
+          </div>
+        )}
         <div className="flex justify-end">
           <button
             type="submit"
-            disabled={submitting || !newComment.trim()}
+            disabled={submitting || preparingImages || (!newComment.trim() && pastedImages.length === 0)}
             className="bg-blue-600 text-white px-5 py-2.5 rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
           >
             {submitting && (
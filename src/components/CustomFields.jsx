@@ -0,0 +1,180 @@
+import { useProfileDirectory } from '../hooks/useProfiles'
+import { getProfileDisplayName } from '../lib/profileCache'
+import { formatCustomFieldValue, isEmptyCustomValue } from '../lib/customFields'
+
+const INPUT_CLASSES = 'w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all disabled:opacity-50'
+
+function UserFieldInput({ id, value, onChange, disabled }) {
+  const { profiles, loading } = useProfileDirectory()
+  const hasValue = !value || profiles.some((profile) => profile.id === value)
+
+  return (
+    <select id={id} value={value || ''} onChange={(e) => onChange(e.target.value || null)} disabled={disabled || loading} className={INPUT_CLASSES}>
+      <option value="">None</option>
+      {!hasValue && <option value={value}>{loading ? 'Loading…' : 'Unknown user'}</option>}
+      {profiles.map((profile) => (
+        <option key={profile.id} value={profile.id}>{getProfileDisplayName(profile)}</option>
+      ))}
+    </select>
+  )
+}
+
+/**
+ * Input for one custom field, picked by its type
+ */
+export function CustomFieldInput({ field, value, onChange, disabled = false }) {
+  const id = `custom-field-${field.key}`
+  const validation = field.validation || {}
+
+  switch (field.type) {
+    case 'number':
+      return (
+        <input
+          id={id}
+          type="number"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          min={validation.min ?? undefined}
+          max={validation.max ?? undefined}
+          step={validation.integer ? 1 : 'any'}
+          disabled={disabled}
+          className={INPUT_CLASSES}
+        />
+      )
+    case 'date':
+      return (
+        <input
+          id={id}
+          type="date"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          min={validation.min || undefined}
+          max={validation.max || undefined}
+          disabled={disabled}
+          className={INPUT_CLASSES}
+        />
+      )
+    case 'select':
+      return (
+        <select id={id} value={value || ''} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={INPUT_CLASSES}>
+          <option value="">None</option>
+          {/* A value whose option was removed stays visible until it is changed */}
+          {value && !field.options.includes(value) && <option value={value}>{value}</option>}
+          {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+        </select>
+      )
+    case 'multiselect': {
+      const selected = Array.isArray(value) ? value : []
+      const toggle = (option) => onChange(
+        selected.includes(option) ? selected.filter((item) => item !== option) : [...selected, option]
+      )
+      return (
+        <div id={id} className="flex flex-wrap gap-2">
+          {field.options.map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => toggle(option)}
+              disabled={disabled}
+              aria-pressed={selected.includes(option)}
+              className={`px-2.5 py-1 rounded-full text-xs font-medium border transition-colors disabled:opacity-50 ${selected.includes(option)
+                ? 'bg-blue-50 border-blue-200 text-blue-700'
+                : 'bg-white border-slate-200 text-slate-600 hover:border-slate-300'
+                }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      )
+    }
+    case 'user':
+      return <UserFieldInput id={id} value={value} onChange={onChange} disabled={disabled} />
+    case 'url':
+      return (
+        <input
+          id={id}
+          type="url"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="https://"
+          disabled={disabled}
+          className={INPUT_CLASSES}
+        />
+      )
+    default:
+      return (
+        <input
+          id={id}
+          type="text"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          maxLength={validation.max_length || undefined}
+          disabled={disabled}
+          className={INPUT_CLASSES}
+        />
+      )
+  }
+}
+
+/**
+ * Inputs for every custom field, with their validation errors
+ * @param {Object} props
+ * @param {Object[]} props.fields - From useCustomFields
+ * @param {Object} props.values - { key: value }
+ * @param {Object} [props.errors] - { key: message }
+ * @param {Function} props.onChange - Called with (key, value)
+ */
+export function CustomFieldsForm({ fields, values, errors = {}, onChange, disabled = false }) {
+  return (
+    <div className="space-y-4">
+      {fields.map((field) => (
+        <div key={field.key}>
+          <label htmlFor={`custom-field-${field.key}`} className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
+            {field.name} {field.required && <span className="text-red-500">*</span>}
+          </label>
+          <CustomFieldInput
+            field={field}
+            value={values?.[field.key]}
+            onChange={(value) => onChange(field.key, value)}
+            disabled={disabled}
+          />
+          {errors[field.key] ? (
+            <p className="mt-1 text-xs text-red-600">{errors[field.key]}</p>
+          ) : field.description && (
+            <p className="mt-1 text-xs text-slate-400">{field.description}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Read-only list of a bug's custom field values (empty ones are skipped)
+ */
+export function CustomFieldList({ fields, values }) {
+  const { profiles } = useProfileDirectory()
+  const profilesById = new Map(profiles.map((profile) => [profile.id, profile]))
+  const filled = fields.filter((field) => !isEmptyCustomValue(values?.[field.key]))
+
+  if (filled.length === 0) return <p className="text-sm text-slate-400">No details yet</p>
+
+  return (
+    <dl className="space-y-1 text-sm">
+      {filled.map((field) => {
+        const text = formatCustomFieldValue(field, values[field.key], { profilesById })
+        return (
+          <div key={field.key} className="flex justify-between gap-2">
+            <dt className="text-slate-500">{field.name}</dt>
+            <dd className="text-slate-800 text-right break-all">
+              {field.type === 'url'
+                ? <a href={values[field.key]} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{text}</a>
+                : text}
+            </dd>
+          </div>
+        )
+      })}
+    </dl>
+  )
+}
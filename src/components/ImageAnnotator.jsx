@@ -0,0 +1,351 @@
+/**
+ * ImageAnnotator Component
+ *
+ * Canvas editor for marking up a screenshot before it is attached to a bug:
+ * - Arrows, rectangles, freehand lines, text callouts and numbered markers
+ * - Pixelate tool to redact secrets and personal data
+ * - Undo / redo (Ctrl+Z, Ctrl+Shift+Z), tool keys A R F T M B
+ * - Exports the flattened image as a new file, optionally keeping the original
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react'
+import {
+  ANNOTATION_TOOLS,
+  ANNOTATION_COLORS,
+  getAnnotationScale,
+  isMeaningfulShape,
+  renderAnnotations,
+  exportAnnotatedImage,
+} from '../lib/imageAnnotation'
+
+const TOOL_ICON_PATHS = {
+  arrow: 'M5 19L19 5m0 0h-9m9 0v9',
+  rect: 'M4 6a2 2 0 012-2h12a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V6z',
+  pen: 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z',
+  text: 'M4 6h16M12 6v14M8 20h8',
+  marker: 'M12 21a9 9 0 100-18 9 9 0 000 18zm-1-12h2v6',
+  blur: 'M4 4h4v4H4V4zm8 0h4v4h-4V4zM8 8h4v4H8V8zm8 0h4v4h-4V8zM4 12h4v4H4v-4zm8 0h4v4h-4v-4zm-4 4h4v4H8v-4zm8 0h4v4h-4v-4z',
+}
+
+/**
+ * Main ImageAnnotator component
+ * @param {Object} props
+ * @param {File} props.imageFile - The screenshot to annotate
+ * @param {boolean} [props.canKeepOriginal] - Whether there is room to attach the original as well
+ * @param {Function} props.onComplete - Called with (annotatedFile, { keepOriginal })
+ * @param {Function} props.onCancel - Called when the user closes the editor without saving
+ */
+export function ImageAnnotator({ imageFile, canKeepOriginal = true, onComplete, onCancel }) {
+  const [image, setImage] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+  const [tool, setTool] = useState('arrow')
+  const [color, setColor] = useState(ANNOTATION_COLORS[0])
+  const [history, setHistory] = useState({ shapes: [], undone: [] })
+  const [draft, setDraft] = useState(null)
+  const [textDraft, setTextDraft] = useState(null)
+  const [keepOriginal, setKeepOriginal] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const canvasRef = useRef(null)
+  const containerRef = useRef(null)
+  const { shapes, undone } = history
+
+  // Load the file into an <img> the canvas can draw
+  useEffect(() => {
+    if (!imageFile) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      const img = new Image()
+      img.onload = () => setImage(img)
+      img.onerror = () => setLoadError('This image could not be opened for annotation.')
+      img.src = e.target.result
+    }
+    reader.onerror = () => setLoadError('This image could not be read.')
+    reader.readAsDataURL(imageFile)
+  }, [imageFile])
+
+  // Redraw on every change; the draft is the shape still being dragged out
+  useEffect(() => {
+    if (!image || !canvasRef.current) return
+    renderAnnotations(canvasRef.current, image, draft ? [...shapes, draft] : shapes)
+  }, [image, shapes, draft])
+
+  const scale = image ? getAnnotationScale(image.naturalWidth, image.naturalHeight) : null
+
+  const addShape = useCallback((shape) => {
+    setHistory((prev) => ({ shapes: [...prev.shapes, shape], undone: [] }))
+  }, [])
+
+  const undo = useCallback(() => {
+    setHistory((prev) => (prev.shapes.length === 0 ? prev : {
+      shapes: prev.shapes.slice(0, -1),
+      undone: [...prev.undone, prev.shapes[prev.shapes.length - 1]],
+    }))
+  }, [])
+
+  const redo = useCallback(() => {
+    setHistory((prev) => (prev.undone.length === 0 ? prev : {
+      shapes: [...prev.shapes, prev.undone[prev.undone.length - 1]],
+      undone: prev.undone.slice(0, -1),
+    }))
+  }, [])
+
+  // The text box commits on blur only, so Enter and clicking away cannot add it twice
+  const commitText = () => {
+    if (textDraft?.text.trim()) {
+      addShape({ type: 'text', color, x: textDraft.x, y: textDraft.y, text: textDraft.text.trim() })
+    }
+    setTextDraft(null)
+  }
+
+  // Capture phase, so page shortcuts (Esc leaves CreateBug, N opens a new bug) do not also fire
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.dataset?.annotationText) {
+        if (e.key === 'Escape') {
+          e.preventDefault()
+          e.stopPropagation()
+          setTextDraft(null)
+        }
+        return
+      }
+
+      e.stopPropagation()
+      const mod = e.ctrlKey || e.metaKey
+      if (e.key === 'Escape') {
+        e.preventDefault()
+        if (!saving) onCancel()
+      } else if (mod && e.key.toLowerCase() === 'z') {
+        e.preventDefault()
+        if (e.shiftKey) redo()
+        else undo()
+      } else if (mod && e.key.toLowerCase() === 'y') {
+        e.preventDefault()
+        redo()
+      } else if (!mod && !e.altKey) {
+        const match = ANNOTATION_TOOLS.find((option) => option.shortcut === e.key.toLowerCase())
+        if (match) setTool(match.id)
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [undo, redo, onCancel, saving])
+
+  // Pointer position in image pixels (the canvas is shown scaled down to fit)
+  const toImagePoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return {
+      x: Math.round(((e.clientX - rect.left) / rect.width) * canvasRef.current.width),
+      y: Math.round(((e.clientY - rect.top) / rect.height) * canvasRef.current.height),
+    }
+  }
+
+  const handlePointerDown = (e) => {
+    if (!image || e.button !== 0) return
+    // Clicking away from an open text box only commits it (on blur)
+    if (textDraft) return
+    const point = toImagePoint(e)
+
+    if (tool === 'text') {
+      const containerRect = containerRef.current.getBoundingClientRect()
+      setTextDraft({
+        ...point,
+        text: '',
+        left: e.clientX - containerRect.left,
+        top: e.clientY - containerRect.top,
+      })
+      return
+    }
+
+    if (tool === 'marker') {
+      const number = shapes.filter((shape) => shape.type === 'marker').length + 1
+      addShape({ type: 'marker', color, ...point, number })
+      return
+    }
+
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setDraft(tool === 'pen'
+      ? { type: 'pen', color, points: [point] }
+      : { type: tool, color, x1: point.x, y1: point.y, x2: point.x, y2: point.y })
+  }
+
+  const handlePointerMove = (e) => {
+    if (!draft) return
+    const point = toImagePoint(e)
+    setDraft((prev) => (prev.type === 'pen'
+      ? { ...prev, points: [...prev.points, point] }
+      : { ...prev, x2: point.x, y2: point.y }))
+  }
+
+  const handlePointerUp = () => {
+    if (!draft) return
+    if (isMeaningfulShape(draft, scale)) addShape(draft)
+    setDraft(null)
+  }
+
+  const handleSave = async () => {
+    if (!image) return
+    setSaving(true)
+    try {
+      const annotated = await exportAnnotatedImage(image, shapes, imageFile)
+      onComplete(annotated, { keepOriginal: canKeepOriginal && keepOriginal })
+    } catch (error) {
+      console.error('❌ Annotation export failed:', error)
+      setLoadError(error.message)
+      setSaving(false)
+    }
+  }
+
+  const hasRedaction = shapes.some((shape) => shape.type === 'blur')
+
+  return (
+    <div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-label="Annotate screenshot">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-full flex flex-col overflow-hidden">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-slate-200 flex items-center justify-between gap-4">
+          <div className="min-w-0">
+            <h3 className="text-lg font-bold text-slate-900">Annotate Screenshot</h3>
+            <p className="text-sm text-slate-500 truncate">{imageFile?.name}</p>
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={undo}
+              disabled={shapes.length === 0}
+              className="px-3 py-1.5 text-sm font-medium text-slate-600 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+              title="Undo (Ctrl+Z)"
+            >
+              Undo
+            </button>
+            <button
+              type="button"
+              onClick={redo}
+              disabled={undone.length === 0}
+              className="px-3 py-1.5 text-sm font-medium text-slate-600 rounded-lg hover:bg-slate-100 disabled:opacity-40"
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              Redo
+            </button>
+            <button
+              type="button"
+              onClick={() => setHistory({ shapes: [], undone: [] })}
+              disabled={shapes.length === 0}
+              className="px-3 py-1.5 text-sm font-medium text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-40"
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+
+        {/* Toolbar */}
+        <div className="px-6 py-3 border-b border-slate-100 flex flex-wrap items-center gap-4">
+          <div className="flex items-center gap-1" role="toolbar" aria-label="Annotation tools">
+            {ANNOTATION_TOOLS.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => setTool(option.id)}
+                aria-pressed={tool === option.id}
+                title={`${option.label} (${option.shortcut.toUpperCase()})`}
+                className={`p-2 rounded-lg transition-colors ${tool === option.id ? 'bg-blue-100 text-blue-700' : 'text-slate-500 hover:bg-slate-100'}`}
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={TOOL_ICON_PATHS[option.id]} />
+                </svg>
+                <span className="sr-only">{option.label}</span>
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-1.5" aria-label="Colour">
+            {ANNOTATION_COLORS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setColor(option)}
+                aria-pressed={color === option}
+                aria-label={`Colour ${option}`}
+                className={`w-6 h-6 rounded-full border border-slate-300 transition-transform ${color === option ? 'ring-2 ring-offset-2 ring-blue-500 scale-110' : 'hover:scale-110'}`}
+                style={{ backgroundColor: option }}
+              />
+            ))}
+          </div>
+          {tool === 'blur' && (
+            <p className="text-xs text-slate-500">Drag over secrets or personal data to pixelate them.</p>
+          )}
+        </div>
+
+        {/* Canvas */}
+        <div ref={containerRef} className="relative flex-1 min-h-0 overflow-auto bg-slate-100 flex items-center justify-center p-4">
+          {loadError ? (
+            <p className="text-sm text-red-600">{loadError}</p>
+          ) : !image ? (
+            <p className="text-sm text-slate-500">Loading image...</p>
+          ) : null}
+          <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className={`max-w-full max-h-[60vh] shadow-lg touch-none select-none ${tool === 'text' ? 'cursor-text' : 'cursor-crosshair'} ${image ? '' : 'hidden'}`}
+          />
+          {textDraft && (
+            <textarea
+              data-annotation-text="true"
+              autoFocus
+              value={textDraft.text}
+              onChange={(e) => setTextDraft((prev) => ({ ...prev, text: e.target.value }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                  e.preventDefault()
+                  e.currentTarget.blur()
+                }
+              }}
+              onBlur={commitText}
+              placeholder="Type, then Enter"
+              rows={2}
+              className="absolute w-48 px-2 py-1 text-sm bg-white border-2 rounded-md shadow-lg focus:outline-none resize"
+              style={{ left: textDraft.left, top: textDraft.top, borderColor: color }}
+            />
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex flex-wrap items-center gap-3">
+          <label className={`flex items-center gap-2 text-sm text-slate-600 mr-auto ${canKeepOriginal ? 'cursor-pointer' : 'opacity-50'}`}>
+            <input
+              type="checkbox"
+              checked={canKeepOriginal && keepOriginal}
+              onChange={(e) => setKeepOriginal(e.target.checked)}
+              disabled={!canKeepOriginal}
+              className="rounded border-slate-300"
+            />
+            Also attach the original
+            {hasRedaction && keepOriginal && canKeepOriginal && (
+              <span className="text-amber-600">(it is not redacted)</span>
+            )}
+          </label>
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-4 py-2.5 bg-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-300 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || !image}
+            className="px-4 py-2.5 bg-blue-500 text-white rounded-xl font-medium hover:bg-blue-600 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Annotations'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImageAnnotator
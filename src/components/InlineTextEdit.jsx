@@ -0,0 +1,94 @@
+import { useState } from 'react'
+
+/**
+ * In-place editor for one text field
+ * Enter saves a single line, Ctrl/Cmd+Enter saves multi-line text, Esc cancels.
+ *
+ * @param {Object} props
+ * @param {string} props.initialValue
+ * @param {Function} props.onSave - Called with the new text
+ * @param {Function} props.onCancel
+ * @param {boolean} [props.multiline=false]
+ * @param {boolean} [props.required=false] - Saving an empty value is blocked
+ */
+export default function InlineTextEdit({
+  initialValue,
+  onSave,
+  onCancel,
+  multiline = false,
+  required = false,
+  rows = 6,
+  maxLength,
+  placeholder,
+  disabled = false,
+  className = '',
+}) {
+  const [value, setValue] = useState(initialValue || '')
+  const canSave = !disabled && (!required || value.trim().length > 0)
+
+  const save = () => {
+    if (canSave) onSave(value)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault()
+      onCancel()
+    } else if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) {
+      e.preventDefault()
+      save()
+    }
+  }
+
+  const inputClasses = `w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 ${className}`
+
+  return (
+    <div>
+      {multiline ? (
+        <textarea
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          rows={rows}
+          maxLength={maxLength}
+          placeholder={placeholder}
+          disabled={disabled}
+          autoFocus
+          className={`${inputClasses} resize-y`}
+        />
+      ) : (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          maxLength={maxLength}
+          placeholder={placeholder}
+          disabled={disabled}
+          autoFocus
+          className={inputClasses}
+        />
+      )}
+      <div className="flex items-center justify-end gap-2 mt-2">
+        <span className="mr-auto text-xs text-slate-400">
+          {multiline ? 'Ctrl+Enter to save' : 'Enter to save'} · Esc to cancel
+        </span>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={save}
+          disabled={!canSave}
+          className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+        >
+          Save
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,22 +1,20 @@
 import { useState } from 'react'
 import { Link } from 'react-router-dom'
-import { supabase } from '../lib/supabaseClient'
 import StatusBadge from './StatusBadge'
-
-const columns = [
-  { id: 'Open', title: 'Open', color: 'bg-blue-500' },
-  { id: 'In Progress', title: 'In Progress', color: 'bg-purple-500' },
-  { id: 'Resolved', title: 'Resolved', color: 'bg-green-500' },
-]
-
-const priorityOrder = { High: 0, Medium: 1, Low: 2 }
-const priorityColors = {
-  High: 'border-l-red-500',
-  Medium: 'border-l-amber-500',
-  Low: 'border-l-emerald-500',
-}
+import AssigneePicker from './AssigneePicker'
+import { LabelList } from './BugHelpers'
+import { useAuth } from '../hooks/useAuth'
+import { useBugMutations } from '../hooks/useBugs'
+import { useBlockedBugs } from '../hooks/useBugLinks'
+import { useToast } from './Toast'
+import { useWorkflow } from '../hooks/useWorkflow'
 
 export default function KanbanBoard({ bugs, onUpdate }) {
+  const { session } = useAuth()
+  const { showToast } = useToast()
+  const { updateStatus, updateAssignee } = useBugMutations()
+  const { workflow } = useWorkflow()
+  const blockedBugs = useBlockedBugs(bugs)
   const [draggedBug, setDraggedBug] = useState(null)
   const [dragOverColumn, setDragOverColumn] = useState(null)
   const [updating, setUpdating] = useState(null)
@@ -24,7 +22,7 @@ export default function KanbanBoard({ bugs, onUpdate }) {
   const getBugsByStatus = (status) => {
     return bugs
       .filter(bug => bug.status === status && !bug.is_archived)
-      .sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority])
+      .sort((a, b) => workflow.getPriorityRank(b.priority) - workflow.getPriorityRank(a.priority))
   }
 
   const handleDragStart = (e, bug) => {
@@ -40,6 +38,8 @@ export default function KanbanBoard({ bugs, onUpdate }) {
   }
 
   const handleDragOver = (e, columnId) => {
+    // Only columns the workflow allows the dragged bug to move to accept the drop
+    if (draggedBug && !workflow.canTransition(draggedBug.status, columnId)) return
     e.preventDefault()
     e.dataTransfer.dropEffect = 'move'
     setDragOverColumn(columnId)
@@ -55,19 +55,45 @@ export default function KanbanBoard({ bugs, onUpdate }) {
 
     if (!draggedBug || draggedBug.status === newStatus) return
 
-    setUpdating(draggedBug.id)
+    const bug = draggedBug
+    setUpdating(bug.id)
+
+    try {
+      // Only applies if nobody changed the bug since the board loaded it
+      const result = await updateStatus(bug.id, newStatus, session?.user?.id, session?.user?.email, bug.status, {
+        expectedUpdatedAt: bug.updated_at,
+      })
+
+      if (result.conflict) {
+        showToast(result.current
+          ? `"${bug.title}" was changed by someone else - the board now shows the latest version`
+          : `"${bug.title}" has been deleted`, 'error')
+      } else if (!result.success) {
+        showToast(result.error || 'Failed to move bug', 'error')
+      } else if (onUpdate) {
+        onUpdate()
+      }
+    } finally {
+      setUpdating(null)
+    }
+  }
+
+  const handleAssign = async (bug, assigneeId) => {
+    setUpdating(bug.id)
 
     try {
-      const { error } = await supabase
-        .from('bugs')
-        .update({ status: newStatus, updated_at: new Date().toISOString() })
-        .eq('id', draggedBug.id)
-
-      if (error) throw error
-      
-      if (onUpdate) onUpdate()
-    } catch {
-      // Fail silently - UI reverts on refresh
+      const result = await updateAssignee(bug.id, assigneeId, session?.user?.id, session?.user?.email, bug.assigned_to || null, {
+        expectedUpdatedAt: bug.updated_at,
+        bugTitle: bug.title,
+      })
+
+      if (result.conflict) {
+        showToast(result.current
+          ? `"${bug.title}" was changed by someone else - the board now shows the latest version`
+          : `"${bug.title}" has been deleted`, 'error')
+      } else if (!result.success) {
+        showToast(result.error || 'Failed to update assignee', 'error')
+      }
     } finally {
       setUpdating(null)
     }
@@ -75,9 +101,11 @@ export default function KanbanBoard({ bugs, onUpdate }) {
 
   return (
     <div className="flex gap-4 overflow-x-auto pb-4">
-      {columns.map(column => {
+      {workflow.statuses.map(status => {
+        const column = { id: status.name, title: status.name, colors: workflow.getStatusColors(status.name) }
         const columnBugs = getBugsByStatus(column.id)
         const isOver = dragOverColumn === column.id
+        const isBlocked = draggedBug && draggedBug.status !== column.id && !workflow.canTransition(draggedBug.status, column.id)
 
         return (
           <div 
@@ -89,7 +117,7 @@ export default function KanbanBoard({ bugs, onUpdate }) {
           >
             {/* Column Header */}
             <div className="flex items-center gap-2 mb-4">
-              <div className={`w-3 h-3 rounded-full ${column.color}`} />
+              <div className={`w-3 h-3 rounded-full ${column.colors.dot}`} />
               <h3 className="font-semibold text-slate-800">{column.title}</h3>
               <span className="ml-auto bg-slate-100 text-slate-600 px-2 py-0.5 rounded-full text-xs font-medium">
                 {columnBugs.length}
@@ -99,41 +127,59 @@ export default function KanbanBoard({ bugs, onUpdate }) {
             {/* Column Content */}
             <div 
               className={`bg-slate-50 rounded-xl p-3 min-h-[400px] transition-all ${
-                isOver ? 'bg-blue-50 ring-2 ring-blue-300 ring-dashed' : ''
+                isOver ? 'bg-blue-50 ring-2 ring-blue-300 ring-dashed' : isBlocked ? 'opacity-50' : ''
               }`}
             >
               <div className="space-y-3">
-                {columnBugs.map(bug => (
-                  <div
-                    key={bug.id}
-                    draggable
-                    onDragStart={(e) => handleDragStart(e, bug)}
-                    onDragEnd={handleDragEnd}
-                    className={`bg-white rounded-lg border border-slate-200 p-4 cursor-grab active:cursor-grabbing hover:shadow-md transition-all border-l-4 ${priorityColors[bug.priority]} ${
-                      updating === bug.id ? 'opacity-50 pointer-events-none' : ''
-                    }`}
-                  >
-                    <Link to={`/bug/${bug.id}`} className="block">
-                      <h4 className="font-medium text-slate-800 text-sm mb-2 line-clamp-2 hover:text-blue-600">
-                        {bug.title}
-                      </h4>
-                      <p className="text-xs text-slate-500 line-clamp-2 mb-3">
-                        {bug.description}
-                      </p>
-                      <div className="flex items-center justify-between">
-                        <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${
-                          bug.priority === 'High' ? 'bg-red-100 text-red-700' :
-                          bug.priority === 'Medium' ? 'bg-amber-100 text-amber-700' :
-                          'bg-emerald-100 text-emerald-700'
-                        }`}>
+                {columnBugs.map(bug => {
+                  const blockers = blockedBugs.get(bug.id)
+
+                  return (
+                    <div
+                      key={bug.id}
+                      draggable
+                      onDragStart={(e) => handleDragStart(e, bug)}
+                      onDragEnd={handleDragEnd}
+                      className={`bg-white rounded-lg border border-slate-200 p-4 cursor-grab active:cursor-grabbing hover:shadow-md transition-all border-l-4 ${workflow.getPriorityColors(bug.priority).accent} ${
+                        updating === bug.id ? 'opacity-50 pointer-events-none' : ''
+                      }`}
+                    >
+                      <Link to={`/bug/${bug.id}`} className="block">
+                        {blockers && (
+                          <span
+                            className="inline-flex items-center gap-1 mb-2 px-2 py-0.5 rounded-full text-xs font-medium bg-red-50 text-red-700 border border-red-200"
+                            title={`Blocked by ${blockers.map((blocker) => blocker.title).join(', ')}`}
+                          >
+                            <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18.364 18.364A9 9 0 005.636 5.636m12.728 12.728A9 9 0 015.636 5.636m12.728 12.728L5.636 5.636" />
+                            </svg>
+                            Blocked{blockers.length > 1 ? ` by ${blockers.length}` : ''}
+                          </span>
+                        )}
+                        <h4 className="font-medium text-slate-800 text-sm mb-2 line-clamp-2 hover:text-blue-600">
+                          {bug.title}
+                        </h4>
+                        <p className="text-xs text-slate-500 line-clamp-2 mb-3">
+                          {bug.description}
+                        </p>
+                        <LabelList labelIds={bug.label_ids} max={3} className="mb-3" />
+                      </Link>
+                      {/* Outside the link so picking an assignee does not open the bug */}
+                      <div className="flex items-center justify-between gap-2">
+                        <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${workflow.getPriorityColors(bug.priority).pill}`}>
                           {bug.priority}
                         </span>
-                        {/* Assignment disabled in schema */}
-                        <span className="text-xs text-slate-400">—</span>
+                        <AssigneePicker
+                          value={bug.assigned_to}
+                          onChange={(assigneeId) => handleAssign(bug, assigneeId)}
+                          currentUserId={session?.user?.id}
+                          disabled={updating === bug.id}
+                          compact
+                        />
                       </div>
-                    </Link>
-                  </div>
-                ))}
+                    </div>
+                  )
+                })}
 
                 {columnBugs.length === 0 && (
                   <div className="text-center py-8 text-slate-400 text-sm">
@@ -90,7 +90,15 @@ function formatAction(activity) {
         case 'bug_status_changed': return 'changed status'
         case 'bug_archived': return 'archived a bug'
         case 'bug_restored': return 'restored a bug'
+        case 'bug_restored_from_trash': return 'restored a deleted bug'
+        case 'bug_link_added': return 'linked a bug to another'
+        case 'bug_link_removed': return 'unlinked a bug'
+        case 'assignment_changed': return activity.metadata?.new_assignee ? `assigned a bug to ${activity.metadata.new_assignee}` : 'unassigned a bug'
         case 'deleted': return 'deleted a bug'
+        case 'attachment_added': return 'attached files to a bug'
+        case 'attachment_removed': return 'removed a file from a bug'
+        case 'bug_field_changed': return `edited the ${(activity.metadata?.field_label || 'details').toLowerCase()} of a bug`
+        case 'custom_field_changed': return `changed ${activity.metadata?.field_name || 'a field'} on a bug`
         case 'comment_created': return 'commented on'
         case 'comment_updated': return 'edited a comment on'
         case 'comment_deleted': return 'deleted a comment on'
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react'
 import { Link, useLocation, useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabaseClient'
 import { resolveAvatar } from '../lib/avatarUtils'
+import { migrateLegacyBugDescriptions } from '../lib/bugFields'
 import { useAuth } from '../hooks/useAuth'
 import { useToast } from './Toast'
 import { ConfirmDialog, useConfirmDialog } from './ConfirmDialog'
@@ -14,6 +15,7 @@ export default function Navbar({ session, userProfile, isAdmin }) {
   // PHASE 2 — PROCEDURAL AVATAR FIX: Get seed from single source of truth (useAuth)
   const { isTestAccount, deleteAccount, proceduralAvatarSeed, proceduralAvatarOverride, loading: profileLoading = false } = useAuth()
   const deleteDialog = useConfirmDialog()
+  const migrationDialog = useConfirmDialog()
   const [showShortcutsHelp, setShowShortcutsHelp] = useState(false)
   const [showUserMenu, setShowUserMenu] = useState(false)
 
@@ -102,6 +104,35 @@ export default function Navbar({ session, userProfile, isAdmin }) {
     }
   }, [deleteDialog, deleteAccount, showToast])
 
+  // Admin: one-time move of legacy folded descriptions into structured bug fields
+  const handleMigrateBugFields = useCallback(async () => {
+    setShowUserMenu(false)
+    const preview = await migrateLegacyBugDescriptions({ dryRun: true })
+    if (!preview.success) {
+      showToast(preview.error || 'Failed to scan bugs', 'error')
+      return
+    }
+    if (preview.migrated === 0) {
+      showToast('No legacy bug descriptions to migrate', 'info')
+      return
+    }
+
+    const confirmed = await migrationDialog.confirm({
+      title: 'Migrate legacy bug descriptions?',
+      description: `${preview.migrated} bug(s) still have steps, expected/actual behaviour or environment folded into the description. They will be moved into structured fields.`,
+      confirmLabel: 'Migrate',
+      confirmVariant: 'primary',
+    })
+    if (!confirmed) return
+
+    const result = await migrateLegacyBugDescriptions()
+    if (result.success && result.failed.length === 0) {
+      showToast(`Migrated ${result.migrated} bug(s)`, 'success')
+    } else {
+      showToast(`Migrated ${result.migrated} bug(s), ${result.failed.length} failed`, 'error')
+    }
+  }, [migrationDialog, showToast])
+
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'x') {
@@ -273,6 +304,93 @@ export default function Navbar({ session, userProfile, isAdmin }) {
                       <kbd className="text-xs bg-slate-100 px-2 py-1 rounded-md text-slate-500 font-semibold">Ctrl+/</kbd>
                     </button>
 
+                    {isAdmin && (
+                      <button
+                        onClick={() => {
+                          navigate('/admin/labels')
+                          setShowUserMenu(false)
+                        }}
+                        className="w-full px-4 py-2.5 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2.5 transition-colors"
+                      >
+                        <svg className="w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                        </svg>
+                        Manage Labels
+                      </button>
+                    )}
+
+                    {isAdmin && (
+                      <button
+                        onClick={() => {
+                          navigate('/admin/trash')
+                          setShowUserMenu(false)
+                        }}
+                        className="w-full px-4 py-2.5 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2.5 transition-colors"
+                      >
+                        <svg className="w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                        Trash
+                      </button>
+                    )}
+
+                    {isAdmin && (
+                      <button
+                        onClick={() => {
+                          navigate('/admin/redaction')
+                          setShowUserMenu(false)
+                        }}
+                        className="w-full px-4 py-2.5 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2.5 transition-colors"
+                      >
+                        <svg className="w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                        </svg>
+                        Redaction Rules
+                      </button>
+                    )}
+
+                    {isAdmin && (
+                      <button
+                        onClick={() => {
+                          navigate('/admin/templates')
+                          setShowUserMenu(false)
+                        }}
+                        className="w-full px-4 py-2.5 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2.5 transition-colors"
+                      >
+                        <svg className="w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                        </svg>
+                        Report Templates
+                      </button>
+                    )}
+
+                    {isAdmin && (
+                      <button
+                        onClick={() => {
+                          navigate('/admin/fields')
+                          setShowUserMenu(false)
+                        }}
+                        className="w-full px-4 py-2.5 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2.5 transition-colors"
+                      >
+                        <svg className="w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h10M4 18h6" />
+                        </svg>
+                        Custom Fields
+                      </button>
+                    )}
+
+                    {isAdmin && (
+                      <button
+                        onClick={handleMigrateBugFields}
+                        className="w-full px-4 py-2.5 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2.5 transition-colors"
+                      >
+                        <svg className="w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+                        </svg>
+                        Migrate Legacy Bug Fields
+                      </button>
+                    )}
+
                     <div className="border-t border-slate-100 mt-1 pt-1">
                       <button
                         onClick={handleSignOut}
@@ -337,6 +455,7 @@ export default function Navbar({ session, userProfile, isAdmin }) {
       />
 
       <ConfirmDialog {...deleteDialog.dialogProps} />
+      <ConfirmDialog {...migrationDialog.dialogProps} />
     </>
   )
 }
@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { useOfflineQueue, useOfflineSync } from '../hooks/useOfflineQueue'
+import { MUTATION_TYPES } from '../lib/offlineMutations'
+import { useToast } from './Toast'
+
+const describeEntry = ({ type, payload }) => {
+  switch (type) {
+    case MUTATION_TYPES.BUG_STATUS:
+      return `Status → ${payload.newStatus}`
+    case MUTATION_TYPES.BUG_ARCHIVE:
+      return 'Archive bug'
+    case MUTATION_TYPES.BUG_UNARCHIVE:
+      return 'Restore bug'
+    case MUTATION_TYPES.COMMENT_CREATE:
+      return `Comment: "${payload.content.slice(0, 40)}${payload.content.length > 40 ? '…' : ''}"`
+    default:
+      return type
+  }
+}
+
+/**
+ * Offline indicator: pending change count, replay progress and conflicts to review
+ * Also drives replay of the signed-in user's queue.
+ */
+export default function OfflineQueueStatus({ userId }) {
+  const { pending, conflicts, replaying, isOnline, discard } = useOfflineQueue()
+  const { showToast } = useToast()
+  const [expanded, setExpanded] = useState(false)
+
+  useOfflineSync(userId, ({ applied, conflicts: newConflicts }) => {
+    if (applied > 0) {
+      showToast(`Synced ${applied} offline change${applied !== 1 ? 's' : ''}`, 'success')
+    }
+    if (newConflicts.length > 0) {
+      showToast(`${newConflicts.length} offline change${newConflicts.length !== 1 ? 's' : ''} could not be applied`, 'error')
+      setExpanded(true)
+    }
+  })
+
+  const ownPending = pending.filter((entry) => entry.userId === userId)
+  const ownConflicts = conflicts.filter((entry) => entry.userId === userId)
+
+  if (isOnline && ownPending.length === 0 && ownConflicts.length === 0) return null
+
+  const label = !isOnline
+    ? `Offline${ownPending.length > 0 ? ` · ${ownPending.length} change${ownPending.length !== 1 ? 's' : ''} queued` : ''}`
+    : replaying
+      ? 'Syncing offline changes…'
+      : ownConflicts.length > 0
+        ? `${ownConflicts.length} offline change${ownConflicts.length !== 1 ? 's' : ''} need review`
+        : `${ownPending.length} change${ownPending.length !== 1 ? 's' : ''} waiting to sync`
+
+  return (
+    <div className="fixed bottom-4 left-4 z-40 max-w-sm">
+      {expanded && ownConflicts.length > 0 && (
+        <div className="mb-2 bg-white rounded-xl border border-red-200 shadow-lg p-4">
+          <h4 className="text-sm font-semibold text-slate-800 mb-2">Changes that no longer apply</h4>
+          <ul className="space-y-2">
+            {ownConflicts.map((entry) => (
+              <li key={entry.seq} className="flex items-start justify-between gap-3 text-sm">
+                <div className="min-w-0">
+                  <p className="text-slate-700 truncate">{describeEntry(entry)}</p>
+                  <p className="text-xs text-red-600">{entry.conflict}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => discard(entry.seq)}
+                  className="text-xs font-medium text-slate-500 hover:text-slate-700 flex-shrink-0"
+                >
+                  Dismiss
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => setExpanded((prev) => !prev)}
+        disabled={ownConflicts.length === 0}
+        className={`flex items-center gap-2 px-4 py-2 rounded-full shadow-lg text-sm font-medium border ${ownConflicts.length > 0
+          ? 'bg-red-50 border-red-200 text-red-700 hover:bg-red-100'
+          : 'bg-amber-50 border-amber-200 text-amber-700 cursor-default'
+          }`}
+      >
+        <span className={`w-2 h-2 rounded-full ${isOnline ? 'bg-amber-500' : 'bg-slate-400'} ${replaying ? 'animate-pulse' : ''}`}></span>
+        {label}
+      </button>
+    </div>
+  )
+}
@@ -1,12 +1,23 @@
-import { useState, useEffect, useRef, useMemo } from 'react'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useKeyboardShortcut } from '../hooks/useKeyboardShortcut'
+import { useWorkflow } from '../hooks/useWorkflow'
+import { useAuth } from '../hooks/useAuth'
+import { useBugSearch, useSearchIndex } from '../hooks/useSearchIndex'
+import { useSearchQuery } from '../hooks/useSearchQuery'
+import { useSavedViews } from '../hooks/useSavedViews'
+import { matchesQueryClauses } from '../lib/searchQuery'
+import { SEARCH_INDEX } from '../lib/constants'
+import SearchQueryInput from './SearchQueryInput'
 
 /**
  * Command palette / Quick Actions component (Cmd+K style)
  * Enhanced with categories, recent items, and better UI
+ * Bug results come from the shared search index (typo tolerant, best match first) and
+ * understand the Dashboard's query language (status:open label:backend ...). Saved
+ * Dashboard views are listed too.
  */
-export function QuickActions({ bugs = [] }) {
+export function QuickActions() {
   const [isOpen, setIsOpen] = useState(false)
   const [query, setQuery] = useState('')
   const [selectedIndex, setSelectedIndex] = useState(0)
@@ -14,6 +25,25 @@ export function QuickActions({ bugs = [] }) {
   const inputRef = useRef(null)
   const resultsRef = useRef(null)
   const navigate = useNavigate()
+  const { workflow } = useWorkflow()
+  const { session } = useAuth()
+  const { query: parsedQuery, context: queryContext } = useSearchQuery(query, { userId: session?.user?.id })
+  const hasClauses = parsedQuery.clauses.length > 0
+  // Field clauses filter ranked hits before the cut, so matching bugs are not crowded out
+  const matchesClauses = useCallback((bug) => matchesQueryClauses(bug, parsedQuery.clauses), [parsedQuery.clauses])
+  const { results: textMatches } = useBugSearch(parsedQuery.text, {
+    limit: 5,
+    enabled: isOpen,
+    filter: hasClauses ? matchesClauses : null,
+  })
+  const { bugsById } = useSearchIndex()
+  const { views: savedViews } = useSavedViews({ enabled: isOpen })
+  const bugMatches = useMemo(() => {
+    if (!hasClauses || parsedQuery.text.trim().length >= SEARCH_INDEX.MIN_QUERY_LENGTH) {
+      return textMatches.map(({ bug }) => bug)
+    }
+    return [...bugsById.values()].filter(matchesClauses).slice(0, 5)
+  }, [hasClauses, textMatches, parsedQuery, bugsById, matchesClauses])
   useEffect(() => {
     const saved = localStorage.getItem('bugtracker-recent-searches')
     if (saved) {
@@ -120,16 +150,8 @@ export function QuickActions({ bugs = [] }) {
     },
   ]
   const bugResults = useMemo(() => {
-    if (query.length < 2) return []
-    const q = query.toLowerCase()
-    return bugs
-      .filter(bug => 
-        bug.title?.toLowerCase().includes(q) ||
-        bug.description?.toLowerCase().includes(q) ||
-        bug.id?.toLowerCase().includes(q)
-      )
-      .slice(0, 5)
-      .map(bug => ({
+    return bugMatches
+      .map((bug) => ({
         id: `bug-${bug.id}`,
         label: bug.title,
         sublabel: `#${bug.id.slice(0, 8)} · ${bug.status} · ${bug.priority}`,
@@ -139,9 +161,7 @@ export function QuickActions({ bugs = [] }) {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
           </svg>
         ),
-        iconBg: bug.priority === 'High' ? 'bg-red-100 text-red-600' : 
-                bug.priority === 'Medium' ? 'bg-amber-100 text-amber-600' : 
-                'bg-emerald-100 text-emerald-600',
+        iconBg: workflow.getPriorityColors(bug.priority).pill,
         status: bug.status,
         priority: bug.priority,
         action: () => {
@@ -149,7 +169,7 @@ export function QuickActions({ bugs = [] }) {
           navigate(`/bug/${bug.id}`)
         },
       }))
-  }, [bugs, query, navigate])
+  }, [bugMatches, navigate, workflow])
   const recentItems = recentSearches.map((item, i) => ({
     id: `recent-${i}`,
     label: item.label,
@@ -162,18 +182,31 @@ export function QuickActions({ bugs = [] }) {
     iconBg: 'bg-slate-100 text-slate-600',
     action: () => navigate(item.path),
   }))
-  const allActions = [...quickActions, ...bugResults]
-  
+  const viewItems = savedViews.map((view) => ({
+    id: `view-${view.id}`,
+    label: view.name,
+    sublabel: view.owner_id === session?.user?.id ? (view.is_shared ? 'My view · shared' : 'My view') : 'Team view',
+    category: 'views',
+    icon: (
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+      </svg>
+    ),
+    iconBg: 'bg-amber-100 text-amber-600',
+    action: () => navigate({ pathname: '/', search: view.params ? `?${view.params}` : '' }),
+  }))
   const filteredActions = useMemo(() => {
     if (!query) {
-      // Show recent + quick actions when no query
-      return [...recentItems, ...quickActions]
+      // Show recent + saved views + quick actions when no query
+      return [...recentItems, ...viewItems, ...quickActions]
     }
-    return allActions.filter(action => 
-      action.label.toLowerCase().includes(query.toLowerCase()) ||
-      action.sublabel?.toLowerCase().includes(query.toLowerCase())
-    )
-  }, [query, allActions, recentItems, quickActions])
+    // Bug results are already matched and ranked by the index
+    return [
+      ...viewItems.filter(item => item.label.toLowerCase().includes(query.toLowerCase())),
+      ...quickActions.filter(action => action.label.toLowerCase().includes(query.toLowerCase())),
+      ...bugResults,
+    ]
+  }, [query, bugResults, recentItems, viewItems, quickActions])
   const groupedActions = useMemo(() => {
     const groups = {}
     filteredActions.forEach(action => {
@@ -189,11 +222,12 @@ export function QuickActions({ bugs = [] }) {
     actions: 'Quick Actions',
     navigation: 'Navigation',
     bugs: 'Bug Reports',
+    views: 'Saved Views',
     help: 'Help',
     account: 'Account',
   }
 
-  const categoryOrder = ['recent', 'bugs', 'actions', 'navigation', 'help', 'account']
+  const categoryOrder = ['recent', 'views', 'bugs', 'actions', 'navigation', 'help', 'account']
   const flatActions = categoryOrder.flatMap(cat => groupedActions[cat] || [])
   const handleKeyDown = (e) => {
     switch (e.key) {
@@ -247,17 +281,20 @@ export function QuickActions({ bugs = [] }) {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
               </svg>
             </div>
-            <input
-              ref={inputRef}
-              type="text"
+            <SearchQueryInput
+              inputRef={inputRef}
               value={query}
-              onChange={(e) => {
-                setQuery(e.target.value)
+              onChange={(value) => {
+                setQuery(value)
                 setSelectedIndex(0)
               }}
               onKeyDown={handleKeyDown}
-              placeholder="Search bugs, actions, or type a command..."
-              className="flex-1 py-5 text-lg text-slate-800 placeholder-slate-400 bg-transparent border-none outline-none"
+              context={queryContext}
+              errors={parsedQuery.errors}
+              suggestOnEmpty={false}
+              placeholder="Search bugs, actions, or filter with status:open..."
+              containerClassName="flex-1"
+              className="w-full py-5 text-lg text-slate-800 placeholder-slate-400 bg-transparent border-none outline-none"
             />
             <kbd className="hidden sm:flex items-center gap-1 px-2.5 py-1.5 text-xs font-semibold text-slate-400 bg-slate-100 rounded-lg border border-slate-200">
               ESC
@@ -319,11 +356,7 @@ export function QuickActions({ bugs = [] }) {
                               <div className="flex items-center gap-2 mt-0.5">
                                 <p className="text-xs text-slate-400 truncate">{action.sublabel}</p>
                                 {action.status && (
-                                  <span className={`text-xs px-1.5 py-0.5 rounded-full ${
-                                    action.status === 'Open' ? 'bg-blue-100 text-blue-600' :
-                                    action.status === 'In Progress' ? 'bg-purple-100 text-purple-600' :
-                                    'bg-emerald-100 text-emerald-600'
-                                  }`}>
+                                  <span className={`text-xs px-1.5 py-0.5 rounded-full ${workflow.getStatusColors(action.status).pill}`}>
                                     {action.status}
                                   </span>
                                 )}
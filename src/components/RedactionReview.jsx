@@ -0,0 +1,112 @@
+import { useEffect } from 'react'
+
+const CONTEXT_CHARS = 40
+
+// The finding highlighted inside a short excerpt of its field
+function FindingSnippet({ text, finding }) {
+  const from = Math.max(0, finding.start - CONTEXT_CHARS)
+  const to = Math.min(text.length, finding.end + CONTEXT_CHARS)
+  return (
+    <p className="font-mono text-xs text-slate-600 break-all whitespace-pre-wrap">
+      {from > 0 && '…'}
+      {text.slice(from, finding.start)}
+      <mark className="bg-amber-200 text-slate-900 rounded px-0.5">{finding.value}</mark>
+      {text.slice(finding.end, to)}
+      {to < text.length && '…'}
+    </p>
+  )
+}
+
+/**
+ * Review dialog for possible secrets and personal data found by lib/redaction
+ * Each finding can be masked on its own; the footer masks everything and continues,
+ * continues without masking, or goes back to editing.
+ *
+ * @param {Object} props
+ * @param {Object} props.values - { fieldName: text } that was scanned
+ * @param {Object} props.fieldLabels - { fieldName: label }
+ * @param {Object[]} props.findings - From scanFields on the current values
+ * @param {string} props.actionLabel - e.g. "Submit Bug"
+ * @param {Function} props.onMask - Called with the findings to mask
+ * @param {Function} props.onProceed - Called with { maskAll } to continue
+ * @param {Function} props.onCancel - Back to editing
+ */
+export default function RedactionReview({ values, fieldLabels, findings, actionLabel, onMask, onProceed, onCancel }) {
+  // Capture phase, so page shortcuts (Esc leaves CreateBug) do not also fire
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return
+      e.preventDefault()
+      e.stopPropagation()
+      onCancel()
+    }
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [onCancel])
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4" role="dialog" aria-modal="true" aria-labelledby="redaction-review-title">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-full flex flex-col overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-200">
+          <h3 id="redaction-review-title" className="text-lg font-bold text-slate-900">
+            {findings.length > 0 ? 'Possible secrets or personal data' : 'Everything is masked'}
+          </h3>
+          <p className="text-sm text-slate-500">
+            {findings.length > 0
+              ? `${findings.length} item${findings.length !== 1 ? 's' : ''} may be sensitive. Mask them before anything is saved.`
+              : 'No sensitive data left in the text.'}
+          </p>
+        </div>
+
+        {findings.length > 0 && (
+          <ul className="flex-1 min-h-0 overflow-y-auto divide-y divide-slate-100">
+            {findings.map((finding) => (
+              <li key={finding.id} className="px-6 py-3 flex items-start gap-4">
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs font-medium text-slate-500 mb-1">
+                    <span className="text-amber-700">{finding.label}</span> in {fieldLabels[finding.field] || finding.field}
+                  </p>
+                  <FindingSnippet text={values[finding.field]} finding={finding} />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onMask([finding])}
+                  className="px-3 py-1.5 text-sm font-medium text-blue-600 hover:bg-blue-50 rounded-lg flex-shrink-0"
+                >
+                  Mask
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="px-6 py-4 bg-slate-50 border-t border-slate-200 flex flex-wrap justify-end gap-3">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2.5 text-slate-600 hover:text-slate-800 rounded-xl font-medium"
+          >
+            Keep Editing
+          </button>
+          {findings.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onProceed({ maskAll: false })}
+              className="px-4 py-2.5 bg-slate-200 text-slate-700 rounded-xl font-medium hover:bg-slate-300 transition-colors"
+            >
+              {actionLabel} Without Masking
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => onProceed({ maskAll: true })}
+            autoFocus
+            className="px-4 py-2.5 bg-blue-500 text-white rounded-xl font-medium hover:bg-blue-600 transition-colors"
+          >
+            {findings.length > 0 ? `Mask All & ${actionLabel}` : actionLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import { Link } from 'react-router-dom'
+import StatusBadge from './StatusBadge'
+import { useSimilarBugs } from '../hooks/useSearchIndex'
+
+/**
+ * Bugs whose text is closest to this one, from the shared search index
+ */
+export default function RelatedBugs({ bugId }) {
+  const { results, ready } = useSimilarBugs({ bugId })
+
+  if (!ready) return <p className="text-sm text-slate-400">Looking for related bugs...</p>
+  if (results.length === 0) return <p className="text-sm text-slate-400">No similar bugs found</p>
+
+  return (
+    <ul className="space-y-2">
+      {results.map(({ bug, score }) => (
+        <li key={bug.id} className="flex items-center gap-2">
+          <Link
+            to={`/bug/${bug.id}`}
+            className="flex-1 min-w-0 text-sm text-slate-700 truncate hover:text-blue-600"
+            title={bug.title}
+          >
+            {bug.title}
+          </Link>
+          <span className="text-xs text-slate-400 flex-shrink-0" title="Text similarity">
+            {Math.round(score * 100)}%
+          </span>
+          <StatusBadge status={bug.status} />
+        </li>
+      ))}
+    </ul>
+  )
+}
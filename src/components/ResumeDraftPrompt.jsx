@@ -0,0 +1,72 @@
+import { formatRelativeTime } from '../lib/dateUtils'
+
+/**
+ * "Resume draft" banner for CreateBug, listing the reporter's unsent drafts
+ * @param {Object} props
+ * @param {Object[]} props.drafts - From useBugDrafts, newest first
+ * @param {Function} props.onResume - Called with the draft to load
+ * @param {Function} props.onDiscard - Called with a draft id
+ * @param {Function} props.onDiscardAll - Discard every listed draft
+ * @param {Function} props.onDismiss - Hide the banner and keep the drafts
+ */
+export default function ResumeDraftPrompt({ drafts, onResume, onDiscard, onDiscardAll, onDismiss }) {
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-2xl p-5 mb-6">
+      <div className="flex items-start justify-between gap-4 mb-3">
+        <div>
+          <h2 className="text-sm font-bold text-slate-800">Resume a draft?</h2>
+          <p className="text-xs text-slate-500 mt-0.5">
+            {drafts.length === 1 ? 'You have an unsent bug report' : `You have ${drafts.length} unsent bug reports`} saved in this browser
+          </p>
+        </div>
+        <div className="flex items-center gap-2 flex-shrink-0">
+          {drafts.length > 1 && (
+            <button
+              type="button"
+              onClick={onDiscardAll}
+              className="px-3 py-1.5 text-xs text-red-600 hover:bg-red-50 rounded-lg font-medium transition-colors"
+            >
+              Discard all
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="px-3 py-1.5 text-xs text-slate-600 hover:text-slate-800 hover:bg-white rounded-lg font-medium transition-colors"
+          >
+            Start fresh
+          </button>
+        </div>
+      </div>
+
+      <ul className="divide-y divide-blue-100 bg-white rounded-xl border border-blue-100">
+        {drafts.map((draft) => (
+          <li key={draft.id} className="flex items-center gap-4 px-4 py-3">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-slate-800 truncate">{draft.name}</p>
+              <p className="text-xs text-slate-500">
+                {draft.formData?.category && `${draft.formData.category} · `}
+                Saved {formatRelativeTime(draft.updatedAt)}
+                {draft.attachmentCount > 0 && ` · ${draft.attachmentCount} attachment${draft.attachmentCount === 1 ? '' : 's'}`}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => onResume(draft)}
+              className="px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+            >
+              Resume
+            </button>
+            <button
+              type="button"
+              onClick={() => onDiscard(draft.id)}
+              className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg font-medium transition-colors"
+            >
+              Discard
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -0,0 +1,175 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useToast } from './Toast'
+import { useSavedViews, useSavedViewMutations } from '../hooks/useSavedViews'
+import { toDashboardSearch } from '../lib/dashboardView'
+
+/**
+ * Dashboard sidebar: the caller's saved views and the team's shared ones, plus a form
+ * to save the current view. Views are plain links, so they open in a new tab too.
+ */
+export default function SavedViewsSidebar({ currentSearch, session, isAdmin = false }) {
+  const { showToast } = useToast()
+  const { views, loading } = useSavedViews()
+  const { saveView, setViewShared, deleteView, loading: saving } = useSavedViewMutations()
+
+  const [adding, setAdding] = useState(false)
+  const [name, setName] = useState('')
+  const [shared, setShared] = useState(false)
+
+  const userId = session?.user?.id
+  const myViews = views.filter((view) => view.owner_id === userId)
+  const teamViews = views.filter((view) => view.owner_id !== userId && view.is_shared)
+
+  const closeForm = () => {
+    setAdding(false)
+    setName('')
+    setShared(false)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    const result = await saveView({ name, params: currentSearch, shared }, userId)
+    if (result.success) {
+      showToast(`Saved view "${name.trim()}"`, 'success')
+      closeForm()
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  const handleToggleShared = async (view) => {
+    const result = await setViewShared(view.id, !view.is_shared)
+    if (!result.success) showToast(result.error, 'error')
+  }
+
+  const handleDelete = async (view) => {
+    const result = await deleteView(view.id)
+    if (!result.success) showToast(result.error, 'error')
+  }
+
+  const renderView = (view) => {
+    const active = toDashboardSearch(view.params) === currentSearch
+    const canManage = view.owner_id === userId
+    return (
+      <li key={view.id} className="group flex items-center gap-1">
+        <Link
+          to={{ pathname: '/', search: view.params ? `?${view.params}` : '' }}
+          className={`flex-1 min-w-0 px-2 py-1.5 rounded-md text-sm truncate transition-colors ${active ? 'bg-blue-50 text-blue-700 font-medium' : 'text-slate-600 hover:bg-slate-100'}`}
+          title={view.name}
+        >
+          {view.name}
+        </Link>
+        {canManage && (
+          <button
+            type="button"
+            onClick={() => handleToggleShared(view)}
+            disabled={saving}
+            className={`p-1 rounded transition-opacity disabled:opacity-50 ${view.is_shared ? 'text-blue-500' : 'text-slate-400 opacity-0 group-hover:opacity-100 focus:opacity-100'} hover:text-blue-600`}
+            aria-label={view.is_shared ? `Stop sharing ${view.name}` : `Share ${view.name} with the team`}
+            title={view.is_shared ? 'Shared with the team' : 'Share with the team'}
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+            </svg>
+          </button>
+        )}
+        {(canManage || isAdmin) && (
+          <button
+            type="button"
+            onClick={() => handleDelete(view)}
+            disabled={saving}
+            className="p-1 text-slate-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity disabled:opacity-50"
+            aria-label={`Delete view ${view.name}`}
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        )}
+      </li>
+    )
+  }
+
+  return (
+    <aside className="bg-white rounded-xl border border-slate-200 p-4 space-y-4">
+      <div>
+        <p className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">Views</p>
+        <Link
+          to="/"
+          className={`block px-2 py-1.5 rounded-md text-sm transition-colors ${currentSearch === '' ? 'bg-blue-50 text-blue-700 font-medium' : 'text-slate-600 hover:bg-slate-100'}`}
+        >
+          All active bugs
+        </Link>
+      </div>
+
+      <div>
+        <p className="text-xs font-medium text-slate-500 mb-1">My views</p>
+        {loading && views.length === 0 ? (
+          <p className="px-2 text-sm text-slate-400">Loading...</p>
+        ) : myViews.length === 0 ? (
+          <p className="px-2 text-sm text-slate-400">No saved views yet</p>
+        ) : (
+          <ul className="space-y-0.5">{myViews.map(renderView)}</ul>
+        )}
+      </div>
+
+      {teamViews.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-slate-500 mb-1">Team views</p>
+          <ul className="space-y-0.5">{teamViews.map(renderView)}</ul>
+        </div>
+      )}
+
+      {adding ? (
+        <form onSubmit={handleSave} className="space-y-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && closeForm()}
+            placeholder="View name"
+            maxLength={60}
+            autoFocus
+            className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <label className="flex items-center gap-2 text-xs text-slate-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={shared}
+              onChange={(e) => setShared(e.target.checked)}
+              className="rounded border-slate-300"
+            />
+            Share with the team
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving || !name.trim()}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-xs font-medium hover:bg-blue-700 disabled:opacity-50"
+            >
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-3 py-1.5 text-xs font-medium text-slate-500 hover:text-slate-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setAdding(true)}
+          disabled={!userId}
+          className="text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+        >
+          + Save current view
+        </button>
+      )}
+    </aside>
+  )
+}
@@ -0,0 +1,122 @@
+import { useState, useMemo } from 'react'
+import { getSearchSuggestions, applySearchSuggestion } from '../lib/searchQuery'
+
+/**
+ * Search box for the query language (status:open label:backend "phrase" ...)
+ * Suggests field names and values for the token under the caret; ↑/↓ pick one and
+ * Tab or Enter accept it. Other keys go to `onKeyDown` so callers keep their own
+ * keyboard handling while no suggestion is showing.
+ */
+export default function SearchQueryInput({
+  value,
+  onChange,
+  context,
+  errors = [],
+  inputRef,
+  onKeyDown,
+  suggestOnEmpty = true,
+  placeholder = 'Search bugs...',
+  className = '',
+  containerClassName = '',
+}) {
+  const [caret, setCaret] = useState(value.length)
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+
+  const suggestions = useMemo(() => {
+    if (!open || (!suggestOnEmpty && !value.trim())) return []
+    return getSearchSuggestions(value, caret, context)
+  }, [open, suggestOnEmpty, value, caret, context])
+  const active = Math.min(activeIndex, suggestions.length - 1)
+
+  const accept = (suggestion) => {
+    const next = applySearchSuggestion(value, suggestion)
+    onChange(next.value)
+    setCaret(next.caret)
+    setActiveIndex(0)
+    requestAnimationFrame(() => inputRef?.current?.setSelectionRange(next.caret, next.caret))
+  }
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setActiveIndex((active + step + suggestions.length) % suggestions.length)
+        return
+      }
+      // Tab only completes a token being typed, so it still moves focus from an empty box
+      const typing = suggestions[active].end > suggestions[active].start
+      if ((e.key === 'Tab' && typing) || e.key === 'Enter') {
+        e.preventDefault()
+        accept(suggestions[active])
+        return
+      }
+      if (e.key === 'Escape') {
+        e.stopPropagation()
+        setOpen(false)
+        return
+      }
+    }
+    onKeyDown?.(e)
+  }
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart ?? e.target.value.length)
+
+  return (
+    <div className={`relative ${containerClassName}`}>
+      <input
+        ref={inputRef}
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value)
+          trackCaret(e)
+          setOpen(true)
+          setActiveIndex(0)
+        }}
+        onSelect={trackCaret}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        aria-invalid={errors.length > 0}
+        aria-autocomplete="list"
+        autoComplete="off"
+        spellCheck={false}
+        className={`${className} ${errors.length > 0 ? 'ring-1 ring-amber-400' : ''}`}
+      />
+
+      {open && (suggestions.length > 0 || errors.length > 0) && (
+        <div className="absolute left-0 right-0 top-full mt-1 z-20 bg-white border border-slate-200 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.length > 0 && (
+            <ul role="listbox" className="max-h-64 overflow-y-auto py-1">
+              {suggestions.map((suggestion, index) => (
+                <li key={suggestion.replacement} role="option" aria-selected={index === active}>
+                  <button
+                    type="button"
+                    // Keep focus in the input
+                    onMouseDown={(e) => {
+                      e.preventDefault()
+                      accept(suggestion)
+                    }}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`w-full flex items-center justify-between gap-3 px-3 py-1.5 text-left text-sm ${index === active ? 'bg-blue-50 text-blue-700' : 'text-slate-700'}`}
+                  >
+                    <span className="font-mono truncate">{suggestion.label}</span>
+                    <span className="text-xs text-slate-400 truncate">{suggestion.description}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {errors.length > 0 && (
+            <div className="px-3 py-2 border-t border-slate-100 bg-amber-50 text-xs text-amber-700 space-y-0.5">
+              {errors.map((error) => <p key={error}>{error}</p>)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
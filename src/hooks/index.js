@@ -1,7 +1,26 @@
 export { useAuth } from './useAuth'
-export { useBugs, useBug, useBugMutations } from './useBugs'
+export { useQuery } from './useQuery'
+export { useBugs, useBugStats, useBug, useBugMutations } from './useBugs'
+export { useBugPreviewImage } from './useBugPreviewImage'
 export { useKeyboardShortcut, useKeyboardShortcuts } from './useKeyboardShortcut'
 export { useDebounce } from './useDebounce'
 export { useClipboard } from './useClipboard'
 export { useLocalStorage, useRecentSearches } from './useLocalStorage'
 export { useOptimistic, useOptimisticList } from './useOptimistic'
+export { useOfflineQueue, useOfflineSync } from './useOfflineQueue'
+export { useProfileDirectory, useProfileSummary } from './useProfiles'
+export { useLabels, useLabelMutations } from './useLabels'
+export { useWorkflow } from './useWorkflow'
+export { useTrash, useTrashMutations } from './useTrash'
+export { useSelection } from './useSelection'
+export { useBulkBugActions } from './useBulkBugActions'
+export { useBugLinks, useBlockedBugs, useBugLinkMutations } from './useBugLinks'
+export { useSearchIndex, useBugSearch, useSimilarBugs } from './useSearchIndex'
+export { useSearchQuery } from './useSearchQuery'
+export { useDashboardView } from './useDashboardView'
+export { useSavedViews, useSavedViewMutations } from './useSavedViews'
+export { useBugAttachments, useBugAttachmentMutations } from './useBugAttachments'
+export { useRedactionPatterns, useRedactionPatternMutations } from './useRedactionPatterns'
+export { useBugTemplates, useBugTemplateMutations } from './useBugTemplates'
+export { useCustomFields, useCustomFieldMutations } from './useCustomFields'
+export { useBugDrafts } from './useBugDrafts'
@@ -1,64 +1,48 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useEffect, useCallback } from 'react'
 import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { fetchProfileSummaries } from '../lib/profileCache'
+import { useQuery } from './useQuery'
 
-export function useActivity(options = {}) {
-    const { limit = 100 } = options
-    const [activities, setActivities] = useState([])
-    const [loading, setLoading] = useState(true)
-    const [error, setError] = useState(null)
-
-    const fetchActivities = useCallback(async () => {
-        try {
-            setLoading(true)
+const EMPTY_ACTIVITIES = []
 
-            // Fetch activity with actor profile info
-            // Note: We need to fetch profiles manually since we might not have a clean relation or want to avoid complex joins if RLS is strict
-            const { data, error: fetchError } = await supabase
-                .from('bug_activity')
-                .select('*')
-                .order('created_at', { ascending: false })
-                .limit(limit)
+/**
+ * Attach actor profiles to activity rows, falling back to the logged email
+ */
+export async function enrichActivityActors(rows) {
+    // Profiles are fetched separately (and cached) rather than joined, so strict RLS on profiles cannot hide activity rows
+    const profilesMap = await fetchProfileSummaries(rows.map(a => a.actor_id))
 
-            if (fetchError) throw fetchError
-
-            // Get unique actor IDs
-            const actorIds = [...new Set(data.map(a => a.actor_id).filter(Boolean))]
-
-            let profilesMap = {}
-            if (actorIds.length > 0) {
-                const { data: profiles } = await supabase
-                    .from('profiles')
-                    .select('id, username, email, full_name, avatar_url')
-                    .in('id', actorIds)
+    return rows.map(activity => ({
+        ...activity,
+        actor: profilesMap[activity.actor_id] || {
+            email: activity.actor_email || 'Unknown',
+            username: activity.actor_email ? activity.actor_email.split('@')[0] : 'Unknown'
+        }
+    }))
+}
 
-                profilesMap = (profiles || []).reduce((acc, p) => {
-                    acc[p.id] = p
-                    return acc
-                }, {})
-            }
+export function useActivity(options = {}) {
+    const { limit = 100 } = options
 
-            // Merge profile data
-            const enriched = data.map(activity => ({
-                ...activity,
-                actor: profilesMap[activity.actor_id] || {
-                    email: activity.actor_email || 'Unknown',
-                    username: activity.actor_email ? activity.actor_email.split('@')[0] : 'Unknown'
-                }
-            }))
+    const fetchActivities = useCallback(async () => {
+        const { data, error: fetchError } = await supabase
+            .from('bug_activity')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit)
 
-            setActivities(enriched)
-            setError(null)
-        } catch (err) {
-            console.error('Error fetching activity:', err)
-            setError(err.message)
-        } finally {
-            setLoading(false)
+        if (fetchError) {
+            console.error('Error fetching activity:', fetchError)
+            throw fetchError
         }
+
+        return enrichActivityActors(data || [])
     }, [limit])
 
-    useEffect(() => {
-        fetchActivities()
+    const { data, loading, error, refetch } = useQuery(['activity', 'feed', { limit }], fetchActivities)
 
+    useEffect(() => {
         const channel = supabase
             .channel('public:bug_activity')
             .on(
@@ -69,8 +53,8 @@ export function useActivity(options = {}) {
                     table: 'bug_activity',
                 },
                 () => {
-                    // Refresh on new activity
-                    fetchActivities()
+                    // Refresh every cached activity feed (this one and any per-bug timelines)
+                    invalidateQueries(['activity'])
                 }
             )
             .subscribe()
@@ -78,7 +62,12 @@ export function useActivity(options = {}) {
         return () => {
             supabase.removeChannel(channel)
         }
-    }, [fetchActivities])
+    }, [])
 
-    return { activities, loading, error, refetch: fetchActivities }
+    return {
+        activities: data || EMPTY_ACTIVITIES,
+        loading,
+        error: error ? error.message : null,
+        refetch,
+    }
 }
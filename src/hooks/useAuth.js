@@ -1,5 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { supabase } from '../lib/supabaseClient'
+import { clearQueryCache, fetchQuery } from '../lib/queryCache'
 
 // AVATAR INVARIANTS (DO NOT BREAK):
 // - profiles.avatar_url stores ONLY provider or user-uploaded avatars
@@ -12,6 +13,96 @@ import { supabase } from '../lib/supabaseClient'
 // - OAuth redirects are explicit; no localhost in production
 // - No partial auth states
 
+// Profiles change rarely; revalidate at most every few minutes
+const PROFILE_STALE_TIME_MS = 5 * 60 * 1000
+
+/**
+ * Read a profile row, retrying briefly while the signup trigger creates it
+ * Never writes to the database (see PROFILE INVARIANTS above).
+ */
+async function loadProfileRow(userId, userEmail) {
+  // PHASE 3 — OAUTH FIX: Ensure userId is valid before query
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle()
+
+  // PHASE 3 — OAUTH FIX: Log full error details for debugging
+  if (error && (error.code === 'PGRST301' || error.code === '409' || error.message?.includes('permission'))) {
+    console.error('❌ PHASE 3 — OAUTH FIX: RLS/Permission error fetching profile:', {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      hint: error.hint,
+      userId,
+      userEmail
+    })
+    throw new Error(`Database access denied. Please contact support. (${error.code})`)
+  }
+
+  // INVARIANT ENFORCED: Profile must exist already (no healing/upserts on read)
+  // NOTE: Database trigger may create the profile asynchronously on auth signup/login.
+  // Retry a few times before failing to avoid transient race conditions.
+  const noProfile = (!data && !error) || error?.code === 'PGRST116'
+  if (noProfile) {
+    const maxRetries = 5
+    const retryDelayMs = 300
+    let found = null
+    for (let i = 0; i < maxRetries; i++) {
+      // small backoff
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((res) => setTimeout(res, retryDelayMs))
+      // eslint-disable-next-line no-await-in-loop
+      const { data: retryData, error: retryError } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', userId)
+        .maybeSingle()
+      if (retryError) {
+        // If permission errors occur, surface immediately
+        if (retryError.code === 'PGRST301' || retryError.message?.includes('permission')) {
+          console.error('❌ RLS/Permission error fetching profile on retry:', retryError)
+          throw new Error(`Database access denied. Please contact support. (${retryError.code})`)
+        }
+        continue
+      }
+      if (retryData && retryData.id) {
+        found = retryData
+        break
+      }
+    }
+
+    if (found) {
+      // proceed without attempting any frontend writes
+      return found
+    }
+
+    // After retries, still missing -> invariant violation
+    throw new Error('INVARIANT VIOLATION: profile missing for authenticated user')
+  }
+
+  if (error) {
+    // DB/RLS AUDIT: All profile fetch errors must fail loudly
+    console.error('❌ DB/RLS AUDIT: Error fetching profile:', {
+      code: error.code,
+      message: error.message,
+      userId
+    })
+    throw error
+  }
+  
+  // INVARIANT ENFORCED: Profile data must exist and come from database
+  if (!data || !data.id) {
+    throw new Error('INVARIANT VIOLATION: profiles row missing. Frontend must not fabricate profiles.')
+  }
+
+  // Use profile data as-is from database. Do NOT perform frontend writes (no upserts/updates).
+  return data
+}
+
+const profileQueryKey = (userId) => ['profiles', 'self', userId]
+
 /**
  * Custom hook for authentication state management
  * Provides session, user profile, and auth utilities
@@ -107,7 +198,7 @@ export function useAuth() {
     }
   }, [emitProceduralState])
 
-  const fetchUserProfile = useCallback(async (userId, userEmail, userMetadata) => {
+  const fetchUserProfile = useCallback(async (userId, userEmail, userMetadata, { force = false } = {}) => {
     // PHASE 3 — OAUTH FIX: Guard against undefined/null userId before any DB queries
     if (!userId || typeof userId !== 'string') {
       console.error('❌ PHASE 3 — OAUTH FIX: Invalid userId provided to fetchUserProfile:', { userId, userEmail })
@@ -124,86 +215,8 @@ export function useAuth() {
     const usernameFromEmail = userEmail ? userEmail.split('@')[0] : 'user'
 
     try {
-      // PHASE 3 — OAUTH FIX: Ensure userId is valid before query
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('id', userId)
-        .maybeSingle()
-
-      // PHASE 3 — OAUTH FIX: Log full error details for debugging
-      if (error && (error.code === 'PGRST301' || error.code === '409' || error.message?.includes('permission'))) {
-        console.error('❌ PHASE 3 — OAUTH FIX: RLS/Permission error fetching profile:', {
-          code: error.code,
-          message: error.message,
-          details: error.details,
-          hint: error.hint,
-          userId,
-          userEmail
-        })
-        throw new Error(`Database access denied. Please contact support. (${error.code})`)
-      }
-
-      // INVARIANT ENFORCED: Profile must exist already (no healing/upserts on read)
-      // NOTE: Database trigger may create the profile asynchronously on auth signup/login.
-      // Retry a few times before failing to avoid transient race conditions.
-      const noProfile = (!data && !error) || error?.code === 'PGRST116'
-      if (noProfile) {
-        const maxRetries = 5
-        const retryDelayMs = 300
-        let found = null
-        for (let i = 0; i < maxRetries; i++) {
-          // small backoff
-          // eslint-disable-next-line no-await-in-loop
-          await new Promise((res) => setTimeout(res, retryDelayMs))
-          // eslint-disable-next-line no-await-in-loop
-          const { data: retryData, error: retryError } = await supabase
-            .from('profiles')
-            .select('*')
-            .eq('id', userId)
-            .maybeSingle()
-          if (retryError) {
-            // If permission errors occur, surface immediately
-            if (retryError.code === 'PGRST301' || retryError.message?.includes('permission')) {
-              console.error('❌ RLS/Permission error fetching profile on retry:', retryError)
-              throw new Error(`Database access denied. Please contact support. (${retryError.code})`)
-            }
-            continue
-          }
-          if (retryData && retryData.id) {
-            found = retryData
-            break
-          }
-        }
-
-        if (found) {
-          setUserProfile(found)
-          // proceed without attempting any frontend writes
-          fetchingRef.current = false
-          setLoading(false)
-          return
-        }
-
-        // After retries, still missing -> invariant violation
-        throw new Error('INVARIANT VIOLATION: profile missing for authenticated user')
-      }
-
-      if (error) {
-        // DB/RLS AUDIT: All profile fetch errors must fail loudly
-        console.error('❌ DB/RLS AUDIT: Error fetching profile:', {
-          code: error.code,
-          message: error.message,
-          userId
-        })
-        throw error
-      }
-      
-      // INVARIANT ENFORCED: Profile data must exist and come from database
-      if (!data || !data.id) {
-        throw new Error('INVARIANT VIOLATION: profiles row missing. Frontend must not fabricate profiles.')
-      }
-
-      // Use profile data as-is from database. Do NOT perform frontend writes (no upserts/updates).
+      // Shared query cache: every useAuth instance reuses one profile request
+      const data = await fetchQuery(profileQueryKey(userId), () => loadProfileRow(userId, userEmail), { force, staleTime: PROFILE_STALE_TIME_MS })
       setUserProfile(data)
     } catch (err) {
       // PHASE 2 FIX: Fatal errors should surface to user - no silent fallback
@@ -308,6 +321,7 @@ export function useAuth() {
           persistProceduralSeed(null, null)
           persistProceduralOverride(null, false)
           lastFetchedUserIdRef.current = null // PHASE 3 — AUTH RACE FIX: Clear fetch tracking
+          clearQueryCache()
           setLoading(false)
         }
       }
@@ -327,6 +341,7 @@ export function useAuth() {
     persistProceduralOverride(null, false)
     lastFetchedUserIdRef.current = null
     fetchingRef.current = false
+    clearQueryCache()
     await supabase.auth.signOut()
   }, [persistProceduralOverride, persistProceduralSeed])
 
@@ -403,7 +418,7 @@ export function useAuth() {
       if (session?.user) {
         lastFetchedUserIdRef.current = null // Allow refetch
         fetchingRef.current = false
-        await fetchUserProfile(session.user.id, session.user.email, session.user.user_metadata)
+        await fetchUserProfile(session.user.id, session.user.email, session.user.user_metadata, { force: true })
       }
     }
     // PHASE 2 FIX: Removed updateProfileState - profiles must come from DB only
@@ -0,0 +1,119 @@
+import { useState, useCallback, useEffect } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { logBugActivity } from '../lib/activityLogger'
+import { invalidateQueries } from '../lib/queryCache'
+import { fetchProfileSummaries } from '../lib/profileCache'
+import { fetchBugAttachments, uploadBugAttachments, deleteBugAttachment } from '../lib/bugAttachments'
+
+const BUG_ATTACHMENTS_KEY = ['bugAttachments']
+// Signed URLs last an hour; refetching well before that keeps them valid
+const ATTACHMENTS_STALE_MS = 5 * 60 * 1000
+const EMPTY_ATTACHMENTS = []
+
+const fetchAttachmentsWithUploaders = async (bug) => {
+  const attachments = await fetchBugAttachments(bug)
+  const uploaders = await fetchProfileSummaries(attachments.map((attachment) => attachment.uploaded_by))
+  return attachments.map((attachment) => ({ ...attachment, uploader: uploaders[attachment.uploaded_by] || null }))
+}
+
+/**
+ * Custom hook for a bug's attachments (any file type), oldest first
+ * Each attachment has a signed `url` and its `uploader` profile summary.
+ *
+ * @param {Object|null} bug - Needs id, user_id and created_at
+ * @returns {Object} - { attachments, loading, error, refetch }
+ */
+export function useBugAttachments(bug) {
+  const bugId = bug?.id
+  const ownerId = bug?.user_id
+  const createdAt = bug?.created_at
+  const fetchAttachments = useCallback(
+    () => fetchAttachmentsWithUploaders({ id: bugId, user_id: ownerId, created_at: createdAt }),
+    [bugId, ownerId, createdAt]
+  )
+
+  const { data, loading, error, refetch } = useQuery([...BUG_ATTACHMENTS_KEY, bugId], fetchAttachments, {
+    enabled: Boolean(bugId && ownerId),
+    staleTime: ATTACHMENTS_STALE_MS,
+  })
+
+  useEffect(() => {
+    if (error) console.error('Failed to load attachments:', error)
+  }, [error])
+
+  return { attachments: data || EMPTY_ATTACHMENTS, loading, error: error ? error.message : null, refetch }
+}
+
+const logAttachmentChange = async (action, bug, fileNames, actorId, actorEmail, commentId = null) => {
+  await logBugActivity({
+    action,
+    bugId: bug.id,
+    actorId,
+    actorEmail,
+    field: 'attachments',
+    oldValue: action === 'attachment_removed' ? fileNames.join(', ') : null,
+    newValue: action === 'attachment_added' ? fileNames.join(', ') : null,
+  })
+
+  const { error } = await supabase.from('bug_activity').insert({
+    bug_id: bug.id,
+    user_id: actorId,
+    actor_id: actorId,
+    actor_email: actorEmail,
+    action,
+    metadata: commentId ? { file_names: fileNames, comment_id: commentId } : { file_names: fileNames },
+  })
+
+  if (error) console.warn('⚠️ Could not add attachment change to the timeline:', error)
+}
+
+/**
+ * Custom hook for adding and deleting bug attachments
+ * Anyone signed in can attach files; uploaders, the reporter and admins can delete them (RLS).
+ */
+export function useBugAttachmentMutations() {
+  const [loading, setLoading] = useState(false)
+
+  /**
+   * Upload files to a bug, or to one of its comments (all or nothing)
+   * @param {Object} [options] - { commentId }
+   * @returns {Promise<Object>} - { success, error?, count? }
+   */
+  const addAttachments = useCallback(async (bug, files, actorId, actorEmail, { commentId = null } = {}) => {
+    if (!files.length) return { success: true, count: 0 }
+    setLoading(true)
+    try {
+      const rows = await uploadBugAttachments(bug.id, files, actorId, { commentId })
+      invalidateQueries([...BUG_ATTACHMENTS_KEY, bug.id])
+      await logAttachmentChange('attachment_added', bug, rows.map((row) => row.file_name), actorId, actorEmail, commentId)
+      return { success: true, count: rows.length }
+    } catch (err) {
+      console.error('❌ Attachment upload failed:', err)
+      return { success: false, error: err.message || 'Failed to upload attachments' }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * Delete one attachment and its file
+   * @returns {Promise<Object>} - { success, error? }
+   */
+  const deleteAttachment = useCallback(async (bug, attachment, actorId, actorEmail) => {
+    setLoading(true)
+    try {
+      await deleteBugAttachment(attachment)
+      invalidateQueries([...BUG_ATTACHMENTS_KEY, bug.id])
+      await logAttachmentChange('attachment_removed', bug, [attachment.file_name], actorId, actorEmail, attachment.comment_id)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Attachment delete failed:', err)
+      return { success: false, error: err.message || 'Failed to delete attachment' }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  return { addAttachments, deleteAttachment, loading }
+}
@@ -0,0 +1,33 @@
+import { useCallback } from 'react'
+import { useLocalStorage } from './useLocalStorage'
+import { deleteDraftAttachments } from '../lib/bugDrafts'
+import { BUG_DRAFTS } from '../lib/constants'
+
+/**
+ * Custom hook for a user's unsent CreateBug drafts
+ * Drafts live in localStorage, newest first; their attachments are in IndexedDB (lib/bugDrafts).
+ *
+ * @param {string} userId - Drafts are kept per user
+ * @returns {Object} - { drafts, saveDraft, discardDraft, discardDrafts }
+ *   A draft is { id, name, formData, customValues, labelIds, attachmentCount, updatedAt }.
+ */
+export function useBugDrafts(userId) {
+  const [drafts, setDrafts] = useLocalStorage(`bug-drafts:${userId || 'anonymous'}`, [])
+
+  const saveDraft = useCallback((draft) => {
+    const saved = { ...draft, updatedAt: new Date().toISOString() }
+    const others = drafts.filter((existing) => existing.id !== draft.id)
+    const kept = [saved, ...others].slice(0, BUG_DRAFTS.MAX_DRAFTS)
+    others.slice(BUG_DRAFTS.MAX_DRAFTS - 1).forEach((dropped) => deleteDraftAttachments(dropped.id))
+    setDrafts(kept)
+  }, [drafts, setDrafts])
+
+  const discardDrafts = useCallback((draftIds) => {
+    draftIds.forEach((draftId) => deleteDraftAttachments(draftId))
+    setDrafts(drafts.filter((draft) => !draftIds.includes(draft.id)))
+  }, [drafts, setDrafts])
+
+  const discardDraft = useCallback((draftId) => discardDrafts([draftId]), [discardDrafts])
+
+  return { drafts, saveDraft, discardDraft, discardDrafts }
+}
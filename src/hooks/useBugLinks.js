@@ -0,0 +1,241 @@
+import { useState, useCallback, useMemo, useEffect } from 'react'
+import { useQuery } from './useQuery'
+import { useBugMutations, fetchBugsByIds } from './useBugs'
+import { useWorkflow } from './useWorkflow'
+import { supabase } from '../lib/supabaseClient'
+import { logBugActivity } from '../lib/activityLogger'
+import { invalidateQueries } from '../lib/queryCache'
+import { loadWorkflow } from '../lib/workflow'
+import { quoteFilterValue } from '../lib/searchQuery'
+import { BUG_LINK_TYPES, BUG_LINK_OPTIONS, STATUS_CATEGORIES } from '../lib/constants'
+
+const BUG_LINKS_KEY = ['bugLinks']
+const BLOCKING_LINKS_KEY = [...BUG_LINKS_KEY, 'blocking']
+const EMPTY_LINKS = []
+
+const fetchBugLinks = async (bugId) => {
+  // The id comes from the route, so it is quoted rather than spliced into the filter
+  const quotedId = quoteFilterValue(bugId)
+  const { data, error } = await supabase
+    .from('bug_links')
+    .select('id, source_bug_id, target_bug_id, link_type, created_at')
+    .or(`source_bug_id.eq.${quotedId},target_bug_id.eq.${quotedId}`)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  const links = (data || []).filter((link) => BUG_LINK_TYPES[link.link_type])
+  const otherIds = links.map((link) => (link.source_bug_id === bugId ? link.target_bug_id : link.source_bug_id))
+  const bugsById = new Map((await fetchBugsByIds([...new Set(otherIds)])).map((bug) => [bug.id, bug]))
+
+  return links
+    .map((link) => {
+      const outgoing = link.source_bug_id === bugId
+      const type = BUG_LINK_TYPES[link.link_type]
+      return {
+        ...link,
+        outgoing,
+        label: outgoing ? type.label : type.inverse,
+        bug: bugsById.get(outgoing ? link.target_bug_id : link.source_bug_id) || null,
+      }
+    })
+    // Bugs the user cannot read are left out rather than shown as blank rows
+    .filter((link) => link.bug)
+}
+
+/**
+ * Custom hook for the links on one bug, in both directions
+ * Each link carries the label as read from this bug ("Blocks" / "Blocked by") and the other bug.
+ *
+ * @param {string} bugId
+ * @returns {Object} - { links, loading, error, refetch }
+ */
+export function useBugLinks(bugId) {
+  const { data, loading, error, refetch } = useQuery([...BUG_LINKS_KEY, bugId], () => fetchBugLinks(bugId), {
+    enabled: Boolean(bugId),
+  })
+
+  useEffect(() => {
+    if (error) console.error('Failed to load bug links:', error)
+  }, [error])
+
+  return { links: data || EMPTY_LINKS, loading, error: error ? error.message : null, refetch }
+}
+
+const fetchBlockingLinks = async () => {
+  const { data, error } = await supabase
+    .from('bug_links')
+    .select('source_bug_id, target_bug_id')
+    .eq('link_type', 'blocks')
+
+  if (error) throw error
+
+  const blockers = await fetchBugsByIds([...new Set((data || []).map((link) => link.source_bug_id))])
+  const blockersById = new Map(blockers.map((bug) => [bug.id, bug]))
+
+  return (data || [])
+    .filter((link) => blockersById.has(link.source_bug_id))
+    .map((link) => ({ blockedId: link.target_bug_id, blocker: blockersById.get(link.source_bug_id) }))
+}
+
+/**
+ * Custom hook for bugs that still have unresolved blockers
+ * A blocker counts until its status is in the workflow's `done` category. Statuses
+ * from `liveBugs` (e.g. the rows on the board) win over the fetched ones, so moving
+ * a blocker updates its dependents straight away.
+ *
+ * @param {Object[]} [liveBugs]
+ * @returns {Map<string, Object[]>} - blocked bug id -> its unresolved blockers
+ */
+export function useBlockedBugs(liveBugs = EMPTY_LINKS) {
+  const { workflow } = useWorkflow()
+  const { data } = useQuery(BLOCKING_LINKS_KEY, fetchBlockingLinks)
+
+  return useMemo(() => {
+    const liveById = new Map(liveBugs.map((bug) => [bug.id, bug]))
+    const blocked = new Map()
+
+    ;(data || EMPTY_LINKS).forEach(({ blockedId, blocker }) => {
+      const current = liveById.get(blocker.id) || blocker
+      if (workflow.getStatusCategory(current.status) === STATUS_CATEGORIES.DONE) return
+      blocked.set(blockedId, [...(blocked.get(blockedId) || []), current])
+    })
+    return blocked
+  }, [data, liveBugs, workflow])
+}
+
+/**
+ * Resolve a bug that was just marked as a duplicate
+ * Prefers a `done` status named like "Duplicate", else the first `done` status.
+ * @returns {Promise<string|null>} - The status to move to, or null when already resolved
+ */
+const getDuplicateStatus = async (bug) => {
+  const workflow = await loadWorkflow()
+  if (workflow.getStatusCategory(bug.status) === STATUS_CATEGORIES.DONE) return null
+
+  const doneStatuses = workflow.getStatusesInCategory(STATUS_CATEGORIES.DONE)
+  const target = doneStatuses.find((name) => /duplicate/i.test(name)) || doneStatuses[0]
+  return target || null
+}
+
+// "Blocked by" -> "Blocks", "Duplicate of" -> "Duplicated by", ...
+const getInverseLabel = (label) => {
+  const type = Object.values(BUG_LINK_TYPES).find((candidate) => candidate.label === label || candidate.inverse === label)
+  if (!type) return label
+  return type.label === label ? type.inverse : type.label
+}
+
+/**
+ * Audit log entry on `bug`, plus timeline entries on both bugs worded from each side
+ * @param {Object} option - { value, label } as read from `bug`
+ */
+const logLinkChange = async (action, bug, otherBug, option, actorId, actorEmail) => {
+  await logBugActivity({
+    action,
+    bugId: bug.id,
+    actorId,
+    actorEmail,
+    field: option.value,
+    oldValue: action === 'bug_link_removed' ? otherBug.id : null,
+    newValue: action === 'bug_link_added' ? otherBug.id : null,
+  })
+
+  const inverseLabel = getInverseLabel(option.label)
+  const { error } = await supabase.from('bug_activity').insert([
+    { bug, other: otherBug, label: option.label },
+    { bug: otherBug, other: bug, label: inverseLabel },
+  ].map((entry) => ({
+    bug_id: entry.bug.id,
+    user_id: actorId,
+    actor_id: actorId,
+    actor_email: actorEmail,
+    action,
+    metadata: { link_label: entry.label, other_bug_id: entry.other.id, other_bug_title: entry.other.title },
+  })))
+
+  if (error) console.warn('⚠️ Could not add bug link to the timeline:', error)
+}
+
+/**
+ * Custom hook for adding and removing bug links
+ * Both bugs get a timeline entry; the audit log entry goes on the bug the change was made from.
+ */
+export function useBugLinkMutations() {
+  const { updateStatus } = useBugMutations()
+  const [loading, setLoading] = useState(false)
+
+  /**
+   * Link `bug` to `otherBug`
+   * Marking a bug as a duplicate also moves it to a resolved status.
+   * @param {Object} bug - The bug being edited (needs status and updated_at)
+   * @param {string} optionValue - One of BUG_LINK_OPTIONS values
+   * @param {Object} otherBug
+   * @returns {Promise<Object>} - { success, error?, resolvedStatus?, resolveError? }
+   */
+  const addLink = useCallback(async (bug, optionValue, otherBug, actorId, actorEmail) => {
+    const option = BUG_LINK_OPTIONS.find((candidate) => candidate.value === optionValue)
+    if (!option) return { success: false, error: 'Unknown link type' }
+    if (otherBug.id === bug.id) return { success: false, error: 'A bug cannot be linked to itself' }
+
+    setLoading(true)
+
+    try {
+      const [source, target] = option.reverse ? [otherBug, bug] : [bug, otherBug]
+      const { error } = await supabase.from('bug_links').insert({
+        source_bug_id: source.id,
+        target_bug_id: target.id,
+        link_type: option.type,
+        created_by: actorId,
+      })
+
+      if (error?.code === '23505') throw new Error('These bugs are already linked that way')
+      if (error) throw error
+      console.log('✅ Bug link added:', option.value, bug.id, otherBug.id)
+
+      await logLinkChange('bug_link_added', bug, otherBug, option, actorId, actorEmail)
+      invalidateQueries(BUG_LINKS_KEY)
+
+      if (option.type !== 'duplicate_of') return { success: true }
+
+      const resolvedStatus = await getDuplicateStatus(source)
+      if (!resolvedStatus) return { success: true }
+
+      const resolved = await updateStatus(source.id, resolvedStatus, actorId, actorEmail, source.status, {
+        expectedUpdatedAt: source.updated_at,
+      })
+      return resolved.success
+        ? { success: true, resolvedStatus }
+        : { success: true, resolveError: resolved.error || 'Could not resolve the duplicate' }
+    } catch (err) {
+      console.error('❌ Adding bug link failed:', err)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [updateStatus])
+
+  /**
+   * Remove a link returned by useBugLinks(bug.id)
+   * Removing a duplicate link does not reopen the bug.
+   */
+  const removeLink = useCallback(async (bug, link, actorId, actorEmail) => {
+    setLoading(true)
+
+    try {
+      const { error } = await supabase.from('bug_links').delete().eq('id', link.id)
+      if (error) throw error
+
+      const option = { value: link.link_type, label: link.label }
+      await logLinkChange('bug_link_removed', bug, link.bug, option, actorId, actorEmail)
+      invalidateQueries(BUG_LINKS_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Removing bug link failed:', err)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  return { addLink, removeLink, loading }
+}
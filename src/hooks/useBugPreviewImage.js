@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react'
+import { getBugPreviewImage, getBugPreviewRefreshDelay } from '../lib/bugImageStorage'
+
+/**
+ * Custom hook for a bug's preview image
+ * Reads from the shared signed-URL cache and re-signs shortly before the URL expires,
+ * so long-lived pages never render a dead image link.
+ *
+ * @param {string} ownerId - The bug reporter's user id (storage folder owner)
+ * @param {string} bugId - The bug id
+ * @param {string|null} initialUrl - URL already resolved by useBugs/useBug, if any
+ * @returns {string|null} - The current preview URL
+ */
+export function useBugPreviewImage(ownerId, bugId, initialUrl = null) {
+  const [resolved, setResolved] = useState({ bugId: null, url: null })
+
+  useEffect(() => {
+    if (!ownerId || !bugId) return
+
+    let cancelled = false
+    let timer = null
+
+    const schedule = (delay) => {
+      if (delay === null) return
+      timer = setTimeout(async () => {
+        const url = await getBugPreviewImage(ownerId, bugId)
+        if (cancelled) return
+        setResolved({ bugId, url })
+        schedule(url ? getBugPreviewRefreshDelay(bugId) : null)
+      }, delay)
+    }
+
+    schedule(initialUrl ? getBugPreviewRefreshDelay(bugId) : 0)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [ownerId, bugId, initialUrl])
+
+  return resolved.bugId === bugId ? resolved.url || initialUrl : initialUrl
+}
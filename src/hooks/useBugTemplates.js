@@ -0,0 +1,112 @@
+import { useState, useCallback, useMemo } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { DEFAULT_BUG_TEMPLATES, TEMPLATE_SECTIONS, normalizeBugTemplate } from '../lib/bugTemplates'
+
+const BUG_TEMPLATES_KEY = ['bugTemplates']
+const BUG_TEMPLATES_STALE_MS = 5 * 60 * 1000
+
+const fetchBugTemplates = async () => {
+  const { data, error } = await supabase
+    .from('bug_templates')
+    .select('id, name, description_template, sections, required_sections, default_priority, default_label_ids, is_default')
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Custom hook for the bug report templates offered on CreateBug
+ * Falls back to the built-in templates while the table is empty or cannot be loaded;
+ * `custom` tells the admin page whether the rows came from the database.
+ *
+ * @returns {Object} - { templates, custom, loading, error }
+ */
+export function useBugTemplates() {
+  const { data, loading, error } = useQuery(BUG_TEMPLATES_KEY, fetchBugTemplates, {
+    staleTime: BUG_TEMPLATES_STALE_MS,
+  })
+  const custom = Boolean(data?.length)
+  const templates = useMemo(() => (custom ? data.map(normalizeBugTemplate) : DEFAULT_BUG_TEMPLATES), [custom, data])
+
+  return { templates, custom, loading, error: error ? error.message : null }
+}
+
+const toTemplateError = (err) => (
+  err?.code === '23505' ? 'A template with that name already exists' : err?.message || 'Failed to save template'
+)
+
+const SECTION_KEYS = TEMPLATE_SECTIONS.map((section) => section.key)
+
+const cleanTemplateFields = ({ name, description_template, sections, required_sections, default_priority, default_label_ids, is_default }) => {
+  const required = (required_sections || []).filter((key) => SECTION_KEYS.includes(key))
+  return {
+    name: name.trim(),
+    description_template: description_template || '',
+    sections: SECTION_KEYS.filter((key) => sections?.includes(key) || required.includes(key)),
+    required_sections: required,
+    default_priority: default_priority || null,
+    default_label_ids: default_label_ids || [],
+    is_default: Boolean(is_default),
+  }
+}
+
+// Only one template is preselected on CreateBug
+const clearOtherDefaults = async (templateId) => {
+  let query = supabase.from('bug_templates').update({ is_default: false }).eq('is_default', true)
+  if (templateId) query = query.neq('id', templateId)
+  const { error } = await query
+  if (error) throw error
+}
+
+/**
+ * Custom hook for managing bug report templates (admins only; enforced by RLS)
+ */
+export function useBugTemplateMutations() {
+  const [loading, setLoading] = useState(false)
+
+  const run = useCallback(async (operation) => {
+    setLoading(true)
+    try {
+      await operation()
+      invalidateQueries(BUG_TEMPLATES_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Bug template update failed:', err)
+      return { success: false, error: toTemplateError(err) }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const createTemplate = useCallback((fields) => run(async () => {
+    const row = cleanTemplateFields(fields)
+    if (row.is_default) await clearOtherDefaults(null)
+    const { error } = await supabase.from('bug_templates').insert(row)
+    if (error) throw error
+  }), [run])
+
+  const updateTemplate = useCallback((templateId, fields) => run(async () => {
+    const row = cleanTemplateFields(fields)
+    if (row.is_default) await clearOtherDefaults(templateId)
+    const { error } = await supabase.from('bug_templates').update(row).eq('id', templateId)
+    if (error) throw error
+  }), [run])
+
+  const deleteTemplate = useCallback((templateId) => run(async () => {
+    const { error } = await supabase.from('bug_templates').delete().eq('id', templateId)
+    if (error) throw error
+  }), [run])
+
+  // Copy the built-in templates into the table so admins can edit them
+  const importBuiltInTemplates = useCallback(() => run(async () => {
+    const { error } = await supabase
+      .from('bug_templates')
+      .insert(DEFAULT_BUG_TEMPLATES.map(cleanTemplateFields))
+    if (error) throw error
+  }), [run])
+
+  return { createTemplate, updateTemplate, deleteTemplate, importBuiltInTemplates, loading }
+}
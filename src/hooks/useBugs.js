@@ -1,111 +1,589 @@
-import { useState, useEffect, useCallback, useRef } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { useQuery } from './useQuery'
+import { useOfflineQueue } from './useOfflineQueue'
+import { applyBugChangeToSearchIndex, SEARCH_INDEX_KEY } from './useSearchIndex'
 import { supabase } from '../lib/supabaseClient'
-import { deleteBugImages, getBugPreviewImage } from '../lib/bugImageStorage'
+import { deleteBugImages, removeBugObjects, getBugPreviewImage, resolveBugPreviewImages } from '../lib/bugImageStorage'
+import { fetchAttachmentPaths } from '../lib/bugAttachments'
 import { logBugActivity } from '../lib/activityLogger'
+import { createNotification } from '../components/NotificationCenter'
+import { fetchProfileSummaries, getProfileDisplayName } from '../lib/profileCache'
+import { normalizeBugFields, canEditBugFields, EDITABLE_BUG_FIELDS } from '../lib/bugFields'
+import { validateCustomFieldValues, cleanCustomFieldValues, formatCustomFieldValue, getChangedCustomFieldKeys } from '../lib/customFields'
+import { invalidateQueries, setQueryData, updateQueries, serializeQueryKey } from '../lib/queryCache'
+import { enqueueMutation, isNetworkError } from '../lib/offlineQueue'
+import { MUTATION_TYPES } from '../lib/offlineMutations'
+import { loadWorkflow } from '../lib/workflow'
+import { TEXT_COLUMNS, sanitizeSearchTerm, applyQueryClauses, matchesText, matchesQueryClauses, quoteFilterValue } from '../lib/searchQuery'
+import { BUG_SORT_OPTIONS, DEFAULT_BUG_SORT, VALIDATION } from '../lib/constants'
+
+/**
+ * Apply archive scope and dashboard filters to a PostgREST query on `bugs`
+ */
+const applyBugFilters = (query, { includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where }) => {
+  if (archivedOnly) {
+    query = query.eq('is_archived', true)
+  } else if (!includeArchived) {
+    query = query.eq('is_archived', false)
+  }
+
+  if (priority) query = query.eq('priority', priority)
+  if (status) query = query.eq('status', status)
+  if (assignedTo) query = query.eq('assigned_to', assignedTo)
+  if (label) query = query.contains('label_ids', [label])
+  if (category) query = query.eq('category', category)
+  // Results of a search index lookup; an empty list matches nothing
+  if (ids) query = query.in('id', ids)
+
+  const term = sanitizeSearchTerm(search)
+  if (term) query = query.or(TEXT_COLUMNS.map((column) => `${column}.ilike.%${term}%`).join(','))
+
+  // Compiled search query clauses (lib/searchQuery)
+  return where ? applyQueryClauses(query, where) : query
+}
+
+/**
+ * Client-side mirror of applyBugFilters, used to place realtime changes and to narrow search index hits
+ */
+export const matchesBugFilters = (bug, { includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where }) => {
+  if (archivedOnly && !bug.is_archived) return false
+  if (!archivedOnly && !includeArchived && bug.is_archived) return false
+  if (priority && bug.priority !== priority) return false
+  if (status && bug.status !== status) return false
+  if (assignedTo && bug.assigned_to !== assignedTo) return false
+  if (label && !(bug.label_ids || []).includes(label)) return false
+  if (category && bug.category !== category) return false
+  if (ids && !ids.includes(bug.id)) return false
+
+  const term = sanitizeSearchTerm(search)
+  if (term && !matchesText(bug, term)) return false
+  return !where || matchesQueryClauses(bug, where)
+}
+
+// Length limits of the editable text fields, matching the CreateBug and BugDetail inputs
+const FIELD_MAX_LENGTHS = {
+  title: VALIDATION.TITLE.MAX_LENGTH,
+  description: VALIDATION.DESCRIPTION.MAX_LENGTH,
+  steps_to_reproduce: VALIDATION.SECTION.MAX_LENGTH,
+  expected_behavior: VALIDATION.SECTION.MAX_LENGTH,
+  actual_behavior: VALIDATION.SECTION.MAX_LENGTH,
+}
+
+// PostgREST `in()` filters go in the URL - keep id batches well under URL length limits
+const ID_BATCH_SIZE = 100
+
+/**
+ * Ids of every bug matching the given scope and filters (not just the loaded page)
+ * @param {Object} options - { includeArchived, archivedOnly, filters }
+ * @returns {Promise<string[]>}
+ */
+export async function fetchMatchingBugIds({ includeArchived = false, archivedOnly = false, filters = {} } = {}) {
+  const { data, error } = await applyBugFilters(
+    supabase.from('bugs').select('id'),
+    { includeArchived, archivedOnly, ...filters }
+  )
+
+  if (error) throw error
+  return (data || []).map((bug) => bug.id)
+}
+
+/**
+ * Current rows for a set of bug ids, in batches; ids that no longer exist are left out
+ * @param {string[]} ids
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchBugsByIds(ids) {
+  const rows = []
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('bugs')
+      .select('*')
+      .in('id', ids.slice(i, i + ID_BATCH_SIZE))
+
+    if (error) throw error
+    rows.push(...(data || []).map(normalizeBugFields))
+  }
+  return rows
+}
+
+const toSortable = (value, column) => (
+  column.endsWith('_at') ? new Date(value).getTime() || 0 : String(value ?? '').toLowerCase()
+)
+
+// Order inside each priority when sorting by priority
+const PRIORITY_SORT_ORDER = { column: 'created_at', ascending: false }
+
+// Priority sort position: workflow priorities most severe first, unknown priorities last
+const priorityBucket = (bug, priorityNames) => {
+  const rank = priorityNames.indexOf(bug.priority)
+  return rank === -1 ? priorityNames.length : priorityNames.length - 1 - rank
+}
+
+// Same ordering as the PostgREST query: sort column, then id as tie-breaker
+const compareBugs = (a, b, { column, ascending, byPriority, priorityNames = [] }) => {
+  if (byPriority) {
+    return priorityBucket(a, priorityNames) - priorityBucket(b, priorityNames) || compareBugs(a, b, PRIORITY_SORT_ORDER)
+  }
+
+  const left = toSortable(a[column], column)
+  const right = toSortable(b[column], column)
+  let result = left < right ? -1 : left > right ? 1 : 0
+  if (result === 0) result = a.id < b.id ? -1 : a.id > b.id ? 1 : 0
+  return ascending ? result : -result
+}
+
+/**
+ * Merge one realtime change into a loaded list
+ * Rows that sort past the end of a partially loaded list are left for loadMore().
+ *
+ * @returns {{ list: Object[], delta: number }} - delta is the change in matching rows
+ */
+const mergeBugChange = (list, { removedId, row, matches, sortOption, hasMore }) => {
+  const id = removedId || row?.id
+  const index = list.findIndex((bug) => bug.id === id)
+  const existing = index === -1 ? null : list[index]
+  const without = existing ? list.filter((bug) => bug.id !== id) : list
+
+  if (!row || !matches) {
+    return existing ? { list: without, delta: -1 } : { list, delta: 0 }
+  }
+
+  const merged = { ...row, preview_image: existing?.preview_image ?? row.preview_image ?? null }
+  const position = without.findIndex((bug) => compareBugs(merged, bug, sortOption) < 0)
+
+  if (position === -1 && hasMore) {
+    return existing ? { list: without, delta: -1 } : { list, delta: 0 }
+  }
+
+  const next = [...without]
+  next.splice(position === -1 ? next.length : position, 0, merged)
+  return { list: next, delta: existing ? 0 : 1 }
+}
+
+/**
+ * Keyset condition for rows after `cursor` in (column, id) order, with nulls sorted last
+ * @param {Object} cursor - { value, id } of the last row already loaded
+ */
+const afterCursor = (column, ascending, { value, id }) => {
+  const op = ascending ? 'gt' : 'lt'
+  const tieBreak = `id.${op}.${quoteFilterValue(id)}`
+  if (value === null || value === undefined) return `and(${column}.is.null,${tieBreak})`
+
+  const quoted = quoteFilterValue(value)
+  return `${column}.${op}.${quoted},and(${column}.eq.${quoted},${tieBreak}),${column}.is.null`
+}
+
+/**
+ * Rows after `cursor` in (column, id) order
+ * One extra row is requested to learn whether another page follows.
+ *
+ * @returns {Promise<Object>} - { rows, more }
+ */
+const fetchKeysetRows = async (query, { column, ascending }, cursor, size) => {
+  query = query
+    .order(column, { ascending, nullsFirst: false })
+    .order('id', { ascending })
+  if (cursor) query = query.or(afterCursor(column, ascending, cursor))
+  if (size) query = query.limit(size + 1)
+
+  const { data, error } = await query
+  if (error) throw error
+
+  const rows = data || []
+  return size && rows.length > size ? { rows: rows.slice(0, size), more: true } : { rows, more: false }
+}
+
+/**
+ * Filters for the priority sort buckets: each workflow priority, most severe first,
+ * then everything else (unknown or missing priority)
+ */
+const priorityBuckets = (priorityNames) => [
+  ...[...priorityNames].reverse().map((name) => (query) => query.eq('priority', name)),
+  (query) => (priorityNames.length
+    ? query.or(`priority.is.null,priority.not.in.(${priorityNames.map(quoteFilterValue).join(',')})`)
+    : query),
+]
+
+/**
+ * Priority sort: a keyset walk through each bucket in turn, newest first inside a bucket
+ * The cursor carries the bucket of the last row, so pages can span buckets.
+ *
+ * @param {Function} selectBugs - (columns) => filtered query on `bugs`
+ * @returns {Promise<Object>} - { rows, more, bucket } - bucket of the last row
+ */
+const fetchByPriority = async (selectBugs, buckets, cursor, size) => {
+  const rows = []
+  let bucket = cursor?.bucket ?? 0
+
+  for (; bucket < buckets.length; bucket += 1) {
+    const needed = size ? size - rows.length : null
+    const page = await fetchKeysetRows(
+      buckets[bucket](selectBugs('*')),
+      PRIORITY_SORT_ORDER,
+      cursor && bucket === cursor.bucket ? cursor : null,
+      needed
+    )
+    rows.push(...page.rows)
+    if (page.more) return { rows, more: true, bucket }
+    if (size && rows.length === size) break
+  }
+
+  // The page filled up exactly at the end of a bucket: look ahead for any row left
+  for (let next = bucket + 1; next < buckets.length; next += 1) {
+    const { data, error } = await buckets[next](selectBugs('id')).limit(1)
+    if (error) throw error
+    if (data?.length) return { rows, more: true, bucket }
+  }
+  return { rows, more: false, bucket: Math.min(bucket, buckets.length - 1) }
+}
+
+const attachDerivedFields = async (rows, { previews: withPreviews = true } = {}) => {
+  // One batched signing request per page instead of one per bug;
+  // legacy folded descriptions are split out for rows not yet migrated
+  const previews = withPreviews ? await resolveBugPreviewImages(rows) : new Map()
+  return (rows || []).map((bug) => ({ ...normalizeBugFields(bug), preview_image: previews.get(bug.id) || null }))
+}
+
+// Query keys in the shared cache (lib/queryCache)
+const BUG_LIST_KEY = ['bugs', 'list']
+const BUG_STATS_KEY = ['bugs', 'stats']
+const BUG_DETAIL_KEY = ['bugs', 'detail']
+
+const EMPTY_LIST = []
+const EMPTY_STATS = { byStatus: {}, highPriority: 0, total: 0, archived: 0 }
+
+/**
+ * Push a mutation result into the cache; fall back to refetching when RLS hid the row
+ */
+const syncMutatedBug = (rows) => {
+  if (rows?.[0]) {
+    applyBugChangeToCache({ row: rows[0] })
+  } else {
+    invalidateQueries(['bugs'])
+    invalidateQueries(SEARCH_INDEX_KEY)
+  }
+}
+
+/**
+ * Apply one bug change to every cached list, stats and detail entry
+ * Used by the realtime subscription and by useBugMutations, and safe to apply twice.
+ *
+ * @param {Object} change - { removedId } for deletes, { row } for inserts/updates (row = full bugs row)
+ */
+const applyBugChangeToCache = ({ removedId = null, row = null }) => {
+  const normalized = row ? normalizeBugFields(row) : null
+
+  updateQueries(BUG_LIST_KEY, (data, key) => {
+    const scope = key[2]
+    const sortOption = BUG_SORT_OPTIONS.find((option) => option.value === scope.sort) || BUG_SORT_OPTIONS[0]
+    const { list, delta } = mergeBugChange(data.rows, {
+      removedId,
+      row: normalized,
+      matches: normalized ? matchesBugFilters(normalized, scope) : false,
+      sortOption: { ...sortOption, priorityNames: data.priorityNames },
+      hasMore: data.nextCursor !== null,
+    })
+    if (list === data.rows) return data
+
+    // The keyset cursor points at the last loaded row's sort key, so it stays valid as is
+    return { ...data, rows: list, count: Math.max(data.count + delta, 0) }
+  })
+
+  const id = removedId || normalized?.id
+  updateQueries([...BUG_DETAIL_KEY, id], (bug) => (
+    normalized ? { ...normalized, preview_image: bug?.preview_image ?? null } : null
+  ))
+  invalidateQueries(BUG_STATS_KEY)
+  applyBugChangeToSearchIndex({ removedId, row })
+}
+
+/**
+ * Write to one bug, optionally only if it is unchanged since `expectedUpdatedAt`
+ * `updated_at` is bumped on every write so the next writer can check against it.
+ *
+ * @returns {Promise<Object>} - { row } on success, { conflict: true, current } when the row changed or was deleted
+ */
+const updateBugRow = async (bugId, changes, expectedUpdatedAt = null) => {
+  let query = supabase
+    .from('bugs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', bugId)
+  if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt)
+
+  const { data: updated, error: updateError } = await query.select('*')
+  if (updateError) throw updateError
+
+  if (updated?.[0] || !expectedUpdatedAt) {
+    syncMutatedBug(updated)
+    return { row: updated?.[0] || null }
+  }
+
+  // Nothing matched: someone else wrote first (or deleted the bug). Show their version.
+  const { data: current, error: fetchError } = await supabase
+    .from('bugs')
+    .select('*')
+    .eq('id', bugId)
+    .maybeSingle()
+  if (fetchError) throw fetchError
+
+  applyBugChangeToCache(current ? { row: current } : { removedId: bugId })
+  return { conflict: true, current: current ? normalizeBugFields(current) : null }
+}
+
+const conflictResult = ({ current }) => ({
+  success: false,
+  conflict: true,
+  current,
+  error: current
+    ? 'This bug was changed by someone else. Review the latest version and try again.'
+    : 'This bug has been deleted.',
+})
+
+/**
+ * Overlay queued offline changes so they stay visible until they replay
+ */
+const withPendingChanges = (bug, patches) => {
+  const patch = patches.get(bug.id)
+  return patch ? { ...bug, ...patch, pending_sync: true } : bug
+}
+
+/**
+ * Queue a mutation that could not reach the server
+ * @returns {Promise<Object|null>} - A queued result, or null when the error was not a network failure
+ */
+const queueIfOffline = async (err, type, payload) => {
+  if (!isNetworkError(err)) return null
+  await enqueueMutation(type, payload, payload.userId)
+  return { success: true, queued: true }
+}
+
+// One realtime channel feeds every mounted list, shared by reference count
+let realtimeChannel = null
+let realtimeSubscribers = 0
+
+const retainBugsRealtime = () => {
+  realtimeSubscribers += 1
+  if (!realtimeChannel) {
+    realtimeChannel = supabase
+      .channel('bugs-cache')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'bugs' },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            applyBugChangeToCache({ removedId: payload.old?.id })
+          } else {
+            applyBugChangeToCache({ row: payload.new })
+          }
+        }
+      )
+      .subscribe()
+  }
+
+  return () => {
+    realtimeSubscribers -= 1
+    if (realtimeSubscribers === 0 && realtimeChannel) {
+      supabase.removeChannel(realtimeChannel)
+      realtimeChannel = null
+    }
+  }
+}
 
 /**
  * Custom hook for fetching and managing bugs
- * Provides bugs data, loading state, and refetch capability
+ * Filtering, sorting and paging all run as PostgREST queries. Results live in the
+ * shared query cache, so hooks with the same options share one request, and live
+ * INSERT/UPDATE/DELETE events on `bugs` are merged into every cached list.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.includeArchived=false] - Include archived bugs alongside active ones
+ * @param {boolean} [options.archivedOnly=false] - Only return archived bugs
+ * @param {number} [options.limit] - Hard row limit (ignored when pageSize is set)
+ * @param {Object} [options.filters] - { priority, status, assignedTo, label, category, search, ids, where }
+ *   `ids` limits the list to those bugs (e.g. search index hits); keep its identity stable between renders
+ * @param {string} [options.sort] - One of BUG_SORT_OPTIONS values
+ * @param {number} [options.pageSize] - Enables keyset paging with loadMore() on (sort column, id)
+ * @param {boolean} [options.enabled=true] - Skip fetching while false
+ * @param {boolean} [options.previews=true] - Resolve `preview_image`; full-set loads that never show cards skip it
+ * @returns {Object} - { bugs, loading, loadingMore, error, hasMore, totalCount, loadMore, refetch }
  */
 export function useBugs(options = {}) {
-  const { includeArchived = false, limit = null } = options
-  const [bugs, setBugs] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
+  const {
+    includeArchived = false,
+    archivedOnly = false,
+    limit = null,
+    filters = {},
+    sort = DEFAULT_BUG_SORT,
+    pageSize = null,
+    enabled = true,
+    previews = true,
+  } = options
+  const { priority = '', status = '', assignedTo = '', label = '', category = '', search = '', ids = null, where = null } = filters
+  const sortOption = BUG_SORT_OPTIONS.find((option) => option.value === sort) || BUG_SORT_OPTIONS[0]
 
-  const fetchBugs = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
 
-      let query = supabase
-        .from('bugs')
-        .select(`*`)
-        .order('created_at', { ascending: false })
+  const scope = { includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where, sort: sortOption.value, pageSize, limit, previews }
+  // Same identity across renders with equal options, like useQuery's key
+  const queryHash = serializeQueryKey([...BUG_LIST_KEY, scope])
+  const queryKey = useMemo(() => JSON.parse(queryHash), [queryHash])
 
-      if (!includeArchived) {
-        query = query.eq('is_archived', false)
-      }
+  const fetchPage = useCallback(async (cursor) => {
+    const filterOptions = { includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where }
+    const selectBugs = (columns) => applyBugFilters(supabase.from('bugs').select(columns), filterOptions)
+    const size = pageSize || limit
+    // Keyset filters narrow later pages, so the total is counted once with the first page
+    const countRequest = pageSize && !cursor ? countBugs((query) => applyBugFilters(query, filterOptions)) : null
 
-      if (limit) {
-        query = query.limit(limit)
-      }
+    const fetchRows = async () => {
+      if (!sortOption.byPriority) return fetchKeysetRows(selectBugs('*'), sortOption, cursor, size)
+      const { priorityNames } = await loadWorkflow()
+      return { ...await fetchByPriority(selectBugs, priorityBuckets(priorityNames), cursor, size), priorityNames }
+    }
 
-      const { data, error: fetchError } = await query
+    const [page, count] = await Promise.all([fetchRows(), countRequest])
+    const rows = await attachDerivedFields(page.rows, { previews })
+    const last = page.rows[page.rows.length - 1]
+    const column = sortOption.byPriority ? PRIORITY_SORT_ORDER.column : sortOption.column
+    const nextCursor = pageSize && page.more
+      ? { value: last[column] ?? null, id: last.id, bucket: page.bucket }
+      : null
 
-      if (fetchError) throw fetchError
+    return { rows, count: pageSize ? count : rows.length, nextCursor, priorityNames: page.priorityNames }
+  }, [includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where, sortOption, pageSize, limit, previews])
 
-      const bugsWithImages = await Promise.all((data || []).map(async (bug) => {
-        const preview = await getBugPreviewImage(bug.user_id, bug.id)
-        // Extract synthetic steps_to_reproduce from description if present
-        let steps = null
-        if (bug.description && bug.description.includes('\n\n---\n\n**Steps to Reproduce:**\n\n')) {
-          const parts = bug.description.split('\n\n---\n\n**Steps to Reproduce:**\n\n')
-          steps = parts[1]?.split('\n\n---')?.[0] || null
-        }
-        return { ...bug, preview_image: preview || null, steps_to_reproduce: steps }
-      }))
+  const fetchFirstPage = useCallback(() => fetchPage(null), [fetchPage])
+  const { data, error, loading, refetch } = useQuery(queryKey, fetchFirstPage, { enabled })
+
+  const nextCursor = data?.nextCursor ?? null
+
+  const { pendingBugPatches } = useOfflineQueue()
+  const bugs = useMemo(() => {
+    const rows = data?.rows || EMPTY_LIST
+    if (pendingBugPatches.size === 0) return rows
+    // A queued archive or status change can move a bug out of this list
+    return rows
+      .map((bug) => withPendingChanges(bug, pendingBugPatches))
+      .filter((bug) => !bug.pending_sync || matchesBugFilters(bug, { includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where }))
+  }, [data, pendingBugPatches, includeArchived, archivedOnly, priority, status, assignedTo, label, category, search, ids, where])
+
+  const loadMore = useCallback(async () => {
+    if (nextCursor === null || loadingMore) return
 
-      setBugs(bugsWithImages)
+    try {
+      setLoadingMore(true)
+      setLoadMoreError(null)
+      const page = await fetchPage(nextCursor)
+
+      setQueryData(queryKey, (prev) => {
+        if (!prev) return prev
+        const seen = new Set(prev.rows.map((bug) => bug.id))
+        return {
+          ...prev,
+          // A realtime insert can land in the list before its page arrives
+          rows: [...prev.rows, ...page.rows.filter((bug) => !seen.has(bug.id))],
+          nextCursor: page.nextCursor,
+        }
+      })
     } catch (err) {
-      setError(err.message || 'Failed to load bugs')
+      setLoadMoreError(err.message || 'Failed to load more bugs')
     } finally {
-      setLoading(false)
+      setLoadingMore(false)
     }
-  }, [includeArchived, limit])
+  }, [fetchPage, queryKey, nextCursor, loadingMore])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    return retainBugsRealtime()
+  }, [enabled])
+
+  return {
+    bugs,
+    loading,
+    loadingMore,
+    error: error ? (error.message || 'Failed to load bugs') : loadMoreError,
+    hasMore: nextCursor !== null,
+    totalCount: data ? data.count : null,
+    loadMore,
+    refetch,
+  }
+}
+
+const countBugs = async (apply) => {
+  const { count, error } = await apply(
+    supabase.from('bugs').select('id', { count: 'exact', head: true })
+  )
+  if (error) throw error
+  return count || 0
+}
+
+const fetchBugStats = async () => {
+  const workflow = await loadWorkflow()
+  const [statusCounts, highPriority, total, archived] = await Promise.all([
+    Promise.all(workflow.statusNames.map((status) => countBugs((q) => q.eq('is_archived', false).eq('status', status)))),
+    countBugs((q) => q.eq('is_archived', false).eq('priority', workflow.topPriority)),
+    countBugs((q) => q.eq('is_archived', false)),
+    countBugs((q) => q.eq('is_archived', true)),
+  ])
+  const byStatus = Object.fromEntries(workflow.statusNames.map((status, i) => [status, statusCounts[i]]))
+  return { byStatus, highPriority, total, archived }
+}
+
+/**
+ * Custom hook for dashboard counters
+ * Uses head-only count queries so stats stay correct while the grid is paged;
+ * any bug change (realtime or mutation) invalidates them.
+ */
+export function useBugStats() {
+  const { data, loading, error, refetch } = useQuery(BUG_STATS_KEY, fetchBugStats)
 
   useEffect(() => {
-    fetchBugs()
-  }, [fetchBugs])
+    if (error) console.error('Failed to load bug stats:', error)
+  }, [error])
+
+  useEffect(() => retainBugsRealtime(), [])
 
-  return { bugs, loading, error, refetch: fetchBugs }
+  return { stats: data || EMPTY_STATS, loading, refetch }
 }
 
 /**
  * Custom hook for fetching a single bug by ID
  */
 export function useBug(bugId) {
-  const [bug, setBug] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
   const fetchBug = useCallback(async () => {
-    if (!bugId) return
+    const { data, error: fetchError } = await supabase
+      .from('bugs')
+      .select(`*`)
+      .eq('id', bugId)
+      .single()
 
-    try {
-      setLoading(true)
-      setError(null)
-
-      const { data, error: fetchError } = await supabase
-        .from('bugs')
-        .select(`*`)
-        .eq('id', bugId)
-        .single()
-
-      if (fetchError) throw fetchError
-      const preview = await getBugPreviewImage(data.user_id, data.id)
-      let steps = null
-      if (data.description && data.description.includes('\n\n---\n\n**Steps to Reproduce:**\n\n')) {
-        const parts = data.description.split('\n\n---\n\n**Steps to Reproduce:**\n\n')
-        steps = parts[1]?.split('\n\n---')?.[0] || null
-      }
-      setBug({ ...data, preview_image: preview || null, steps_to_reproduce: steps })
-    } catch (err) {
-      setError(err.message || 'Bug not found')
-    } finally {
-      setLoading(false)
-    }
+    if (fetchError) throw fetchError
+    const preview = await getBugPreviewImage(data.user_id, data.id)
+    return { ...normalizeBugFields(data), preview_image: preview || null }
   }, [bugId])
 
+  const { data, loading, error, refetch } = useQuery([...BUG_DETAIL_KEY, bugId], fetchBug, { enabled: Boolean(bugId) })
+
   useEffect(() => {
-    fetchBug()
-  }, [fetchBug])
+    if (!bugId) return undefined
+    return retainBugsRealtime()
+  }, [bugId])
 
   const updateBug = useCallback((updates) => {
-    setBug(prev => prev ? { ...prev, ...updates } : null)
-  }, [])
+    setQueryData([...BUG_DETAIL_KEY, bugId], (prev) => (prev ? { ...prev, ...updates } : prev))
+  }, [bugId])
+
+  const { pendingBugPatches } = useOfflineQueue()
+  const bug = useMemo(() => (data ? withPendingChanges(data, pendingBugPatches) : null), [data, pendingBugPatches])
 
-  return { bug, loading, error, refetch: fetchBug, updateBug }
+  return {
+    bug,
+    loading,
+    error: error ? (error.message || 'Bug not found') : null,
+    refetch,
+    updateBug,
+  }
 }
 
 /**
@@ -115,17 +593,27 @@ export function useBugMutations() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
 
-  const updateStatus = useCallback(async (bugId, newStatus, userId, userEmail, oldStatus) => {
+  /**
+   * Every bug write takes `{ expectedUpdatedAt }`: the `updated_at` of the version the
+   * user acted on. If the row has changed since, nothing is written and the result is
+   * { success: false, conflict: true, current } with the latest row (null if deleted).
+   *
+   * Status changes must also be allowed by the workflow's transition rules.
+   */
+  const updateStatus = useCallback(async (bugId, newStatus, userId, userEmail, oldStatus, { expectedUpdatedAt } = {}) => {
     setLoading(true)
     setError(null)
 
     try {
-      const { error: updateError } = await supabase
-        .from('bugs')
-        .update({ status: newStatus })
-        .eq('id', bugId)
+      const workflow = await loadWorkflow()
+      if (!workflow.canTransition(oldStatus, newStatus)) {
+        const message = `A bug cannot move from "${oldStatus}" to "${newStatus}"`
+        setError(message)
+        return { success: false, error: message }
+      }
 
-      if (updateError) throw updateError
+      const write = await updateBugRow(bugId, { status: newStatus }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
 
       // Log with centralized helper - entity_id is bugId
       await logBugActivity({
@@ -138,6 +626,66 @@ export function useBugMutations() {
         newValue: newStatus,
       })
 
+      return { success: true }
+    } catch (err) {
+      const queued = await queueIfOffline(err, MUTATION_TYPES.BUG_STATUS, { bugId, newStatus, oldStatus, userId, userEmail })
+      if (queued) return queued
+
+      setError(err.message)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * Assign a bug (assigneeId null = unassign)
+   * Logs `assignment_changed` and notifies the new assignee unless they assigned themselves.
+   */
+  const updateAssignee = useCallback(async (bugId, assigneeId, userId, userEmail, oldAssigneeId, { expectedUpdatedAt, bugTitle } = {}) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const write = await updateBugRow(bugId, { assigned_to: assigneeId || null }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
+
+      await logBugActivity({
+        action: 'assignment_changed',
+        bugId: bugId,
+        actorId: userId,
+        actorEmail: userEmail,
+        field: 'assigned_to',
+        oldValue: oldAssigneeId || null,
+        newValue: assigneeId || null,
+      })
+
+      // Timeline entry, with names resolved now so it still reads well if a profile is removed later
+      const names = await fetchProfileSummaries([oldAssigneeId, assigneeId])
+      await supabase.from('bug_activity').insert({
+        bug_id: bugId,
+        user_id: userId,
+        actor_id: userId,
+        actor_email: userEmail,
+        action: 'assignment_changed',
+        metadata: {
+          old_value: oldAssigneeId || null,
+          new_value: assigneeId || null,
+          old_assignee: oldAssigneeId ? getProfileDisplayName(names[oldAssigneeId]) : null,
+          new_assignee: assigneeId ? getProfileDisplayName(names[assigneeId]) : null,
+        },
+      })
+
+      if (assigneeId && assigneeId !== userId) {
+        await createNotification({
+          userId: assigneeId,
+          type: 'assignment',
+          title: 'Bug assigned to you',
+          message: `${userEmail} assigned you "${bugTitle || write.row?.title || 'a bug'}"`,
+          bugId,
+        })
+      }
+
       return { success: true }
     } catch (err) {
       setError(err.message)
@@ -147,25 +695,239 @@ export function useBugMutations() {
     }
   }, [])
 
-  // SCHEMA COMPLIANCE: assigned_to field does not exist in authoritative schema
-  // Only user_id (owner) exists. Assignment feature disabled.
-  const updateAssignee = useCallback(async (bugId, assigneeId) => {
-    console.warn('Assignment feature disabled: schema only supports user_id (owner)')
-    return { success: false, error: 'Assignment not supported in current schema' }
+  /**
+   * Change a bug's priority
+   * Same permission as the other editable fields (canEditBugFields).
+   *
+   * @param {Object} bug - Needs id, priority, user_id and assigned_to
+   */
+  const updatePriority = useCallback(async (bug, newPriority, userId, userEmail, isAdmin = false, { expectedUpdatedAt } = {}) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      if (!canEditBugFields(bug, userId, isAdmin)) {
+        const message = 'Permission denied: you cannot change the priority of this bug'
+        setError(message)
+        return { success: false, error: message }
+      }
+
+      const write = await updateBugRow(bug.id, { priority: newPriority }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
+
+      await logBugActivity({
+        action: 'priority_changed',
+        bugId: bug.id,
+        actorId: userId,
+        actorEmail: userEmail,
+        field: 'priority',
+        oldValue: bug.priority,
+        newValue: newPriority,
+      })
+
+      return { success: true }
+    } catch (err) {
+      setError(err.message)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
   }, [])
 
-  const archiveBug = useCallback(async (bugId, userId, userEmail) => {
+  /**
+   * Replace a bug's labels (array of label ids)
+   */
+  const updateLabels = useCallback(async (bugId, labelIds, userId, userEmail, oldLabelIds, { expectedUpdatedAt } = {}) => {
     setLoading(true)
     setError(null)
 
     try {
-      // 1. Update the bug first
-      const { error: archiveError } = await supabase
-        .from('bugs')
-        .update({ is_archived: true })
-        .eq('id', bugId)
+      const write = await updateBugRow(bugId, { label_ids: labelIds }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
 
-      if (archiveError) throw archiveError
+      await logBugActivity({
+        action: 'labels_changed',
+        bugId: bugId,
+        actorId: userId,
+        actorEmail: userEmail,
+        field: 'label_ids',
+        oldValue: (oldLabelIds || []).join(','),
+        newValue: labelIds.join(','),
+      })
+
+      return { success: true }
+    } catch (err) {
+      setError(err.message)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * Correct a bug's title, description, priority or reproduction sections
+   * Allowed for admins, the reporter and whoever BUG_EDIT_PERMISSION adds. Each changed
+   * field is logged on its own with its old and new value. All editable fields are written
+   * as displayed, which also moves a legacy folded description into its own columns.
+   *
+   * @param {Object} changes - { field: value } for keys of EDITABLE_BUG_FIELDS
+   * @param {Object} oldBug - The (normalised) version being edited
+   * @param {Object} [options] - { expectedUpdatedAt, isAdmin }
+   */
+  const updateBugFields = useCallback(async (bugId, changes, userId, userEmail, oldBug, { expectedUpdatedAt, isAdmin = false } = {}) => {
+    setLoading(true)
+    setError(null)
+
+    const reject = (message) => {
+      setError(message)
+      return { success: false, error: message }
+    }
+
+    try {
+      if (!canEditBugFields(oldBug, userId, isAdmin)) return reject('Permission denied: you cannot edit this bug')
+
+      const values = Object.fromEntries(EDITABLE_BUG_FIELDS.map(({ key }) => {
+        const value = key in changes ? changes[key] : oldBug[key]
+        return [key, typeof value === 'string' ? value.trim() || null : value ?? null]
+      }))
+
+      if (!values.title) return reject('A title is required')
+      if (!values.description) return reject('A description is required')
+      if (values.priority !== oldBug.priority) {
+        const workflow = await loadWorkflow()
+        if (!workflow.priorityNames.includes(values.priority)) return reject(`Unknown priority "${values.priority}"`)
+      }
+
+      const changed = EDITABLE_BUG_FIELDS.filter(({ key }) => values[key] !== (oldBug[key] || null))
+      if (changed.length === 0) return { success: true }
+
+      // Only edited fields are checked, so older reports with longer texts stay editable
+      const tooLong = changed.find(({ key }) => FIELD_MAX_LENGTHS[key] && values[key]?.length > FIELD_MAX_LENGTHS[key])
+      if (tooLong) return reject(`${tooLong.label} is limited to ${FIELD_MAX_LENGTHS[tooLong.key]} characters`)
+
+      const write = await updateBugRow(bugId, values, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
+
+      for (const { key, label } of changed) {
+        const oldValue = oldBug[key] || null
+        const newValue = values[key]
+
+        await logBugActivity({
+          action: key === 'priority' ? 'priority_changed' : 'bug_field_changed',
+          bugId: bugId,
+          actorId: userId,
+          actorEmail: userEmail,
+          field: key,
+          oldValue,
+          newValue,
+        })
+
+        // Long texts stay in the audit log; the timeline only names the field
+        const isShort = key === 'title' || key === 'priority'
+        await supabase.from('bug_activity').insert({
+          bug_id: bugId,
+          user_id: userId,
+          actor_id: userId,
+          actor_email: userEmail,
+          action: 'bug_field_changed',
+          metadata: {
+            field: key,
+            field_label: label,
+            ...(isShort ? { old_value: oldValue, new_value: newValue } : {}),
+          },
+        })
+      }
+
+      return { success: true }
+    } catch (err) {
+      setError(err.message)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * Save custom field values (`bugs.custom_fields`)
+   * Same permission as the other editable fields (canEditBugFields). Each changed field
+   * is logged as its own `custom_field_changed` entry, with readable values so the
+   * history survives option renames and removed users.
+   *
+   * @param {Object[]} fields - Definitions from useCustomFields
+   * @param {Object} values - Form values for those fields
+   * @param {Object} oldBug - The version being edited (its `custom_fields` are the old values)
+   * @param {Object} [options] - { expectedUpdatedAt, isAdmin }
+   */
+  const updateCustomFields = useCallback(async (bugId, fields, values, userId, userEmail, oldBug, { expectedUpdatedAt, isAdmin = false } = {}) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      if (!canEditBugFields(oldBug, userId, isAdmin)) {
+        const message = 'Permission denied: you cannot edit this bug'
+        setError(message)
+        return { success: false, error: message }
+      }
+
+      const oldValues = oldBug.custom_fields || {}
+      const invalid = Object.values(validateCustomFieldValues(fields, values))
+      if (invalid.length > 0) return { success: false, error: invalid[0] }
+
+      const customFields = cleanCustomFieldValues(fields, values, oldValues)
+      const changedKeys = getChangedCustomFieldKeys(oldValues, customFields)
+      if (changedKeys.length === 0) return { success: true }
+
+      const write = await updateBugRow(bugId, { custom_fields: customFields }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
+
+      const fieldsByKey = new Map(fields.map((field) => [field.key, field]))
+      const userIds = changedKeys
+        .filter((key) => fieldsByKey.get(key)?.type === 'user')
+        .flatMap((key) => [oldValues?.[key], customFields[key]])
+      const profilesById = userIds.length > 0 ? await fetchProfileSummaries(userIds) : {}
+
+      for (const key of changedKeys) {
+        const field = fieldsByKey.get(key) || { key, name: key, type: 'text' }
+        const oldValue = formatCustomFieldValue(field, oldValues?.[key], { profilesById }) || null
+        const newValue = formatCustomFieldValue(field, customFields[key], { profilesById }) || null
+
+        await logBugActivity({
+          action: 'custom_field_changed',
+          bugId: bugId,
+          actorId: userId,
+          actorEmail: userEmail,
+          field: key,
+          oldValue,
+          newValue,
+        })
+
+        await supabase.from('bug_activity').insert({
+          bug_id: bugId,
+          user_id: userId,
+          actor_id: userId,
+          actor_email: userEmail,
+          action: 'custom_field_changed',
+          metadata: { field_key: key, field_name: field.name, old_value: oldValue, new_value: newValue },
+        })
+      }
+
+      return { success: true }
+    } catch (err) {
+      setError(err.message)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const archiveBug = useCallback(async (bugId, userId, userEmail, { expectedUpdatedAt } = {}) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      // 1. Update the bug first
+      const write = await updateBugRow(bugId, { is_archived: true }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
 
       // 2. Log activity with entity_id (bugId is the entity)
       await logBugActivity({
@@ -180,6 +942,9 @@ export function useBugMutations() {
 
       return { success: true }
     } catch (err) {
+      const queued = await queueIfOffline(err, MUTATION_TYPES.BUG_ARCHIVE, { bugId, userId, userEmail })
+      if (queued) return queued
+
       setError(err.message)
       return { success: false, error: err.message }
     } finally {
@@ -187,18 +952,14 @@ export function useBugMutations() {
     }
   }, [])
 
-  const unarchiveBug = useCallback(async (bugId, userId, userEmail) => {
+  const unarchiveBug = useCallback(async (bugId, userId, userEmail, { expectedUpdatedAt } = {}) => {
     setLoading(true)
     setError(null)
 
     try {
       // 1. Update the bug first
-      const { error: unarchiveError } = await supabase
-        .from('bugs')
-        .update({ is_archived: false })
-        .eq('id', bugId)
-
-      if (unarchiveError) throw unarchiveError
+      const write = await updateBugRow(bugId, { is_archived: false }, expectedUpdatedAt)
+      if (write.conflict) return conflictResult(write)
 
       // 2. Log activity with entity_id (bugId is the entity)
       await logBugActivity({
@@ -213,6 +974,9 @@ export function useBugMutations() {
 
       return { success: true }
     } catch (err) {
+      const queued = await queueIfOffline(err, MUTATION_TYPES.BUG_UNARCHIVE, { bugId, userId, userEmail })
+      if (queued) return queued
+
       setError(err.message)
       return { success: false, error: err.message }
     } finally {
@@ -228,7 +992,7 @@ export function useBugMutations() {
    * 1. Snapshot → Insert full bug data into `deleted_bugs`
    * 2. Log → Insert ONE `bug_deleted` into `bug_activity`
    * 3. Delete → Hard delete from `bugs`
-   * 4. Cleanup → Delete images from storage (best-effort)
+   * 4. Cleanup → Delete images and attachment files from storage (best-effort)
    * 
    * IDEMPOTENCY: A bug can only be deleted ONCE. Subsequent calls are rejected.
    */
@@ -284,6 +1048,12 @@ export function useBugMutations() {
           is_archived: bug.is_archived,
           category: bug.category,
           environment: bug.environment,
+          steps_to_reproduce: bug.steps_to_reproduce,
+          expected_behavior: bug.expected_behavior,
+          actual_behavior: bug.actual_behavior,
+          assigned_to: bug.assigned_to || null,
+          label_ids: bug.label_ids || [],
+          custom_fields: bug.custom_fields || {},
         }
       }
 
@@ -320,6 +1090,8 @@ export function useBugMutations() {
       // ═══════════════════════════════════════════════════════════════
       // STEP 3: HARD DELETE FROM bugs (CRITICAL - FAIL IF ERROR)
       // ═══════════════════════════════════════════════════════════════
+      // Attachment rows cascade with the bug, so read their paths first
+      const attachmentPaths = await fetchAttachmentPaths(bug.id)
       const { error: deleteError } = await supabase
         .from('bugs')
         .delete()
@@ -330,6 +1102,7 @@ export function useBugMutations() {
         throw new Error(`Delete failed: ${deleteError.message}`)
       }
       console.log('✅ STEP 3: Bug deleted from bugs table')
+      applyBugChangeToCache({ removedId: bug.id })
 
       // ═══════════════════════════════════════════════════════════════
       // STEP 4: CLEANUP IMAGES (BEST-EFFORT - DON'T FAIL)
@@ -340,6 +1113,11 @@ export function useBugMutations() {
       } else {
         console.log('✅ STEP 4: Images cleaned up')
       }
+      // Files other users attached live in their own folders
+      const attachmentCleanup = await removeBugObjects(attachmentPaths)
+      if (!attachmentCleanup.success) {
+        console.warn('⚠️ STEP 4: Attachment cleanup failed (non-fatal):', attachmentCleanup.error)
+      }
 
       // Keep bug.id in deletingBugIdsRef on success (it's permanently deleted)
       // This prevents any stale UI from attempting to re-delete
@@ -359,7 +1137,11 @@ export function useBugMutations() {
     loading,
     error,
     updateStatus,
+    updatePriority,
     updateAssignee,
+    updateLabels,
+    updateCustomFields,
+    updateBugFields,
     archiveBug,
     unarchiveBug,
     deleteBug,
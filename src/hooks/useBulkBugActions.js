@@ -0,0 +1,88 @@
+import { useState, useCallback } from 'react'
+import { useBugMutations, fetchBugsByIds } from './useBugs'
+
+/**
+ * Custom hook for batch operations on selected bugs
+ * Each bug goes through useBugMutations on its own, so it gets its own activity
+ * log entry and conflict check. Rows are re-read first so earlier batches on the
+ * same selection do not look like someone else's edit.
+ *
+ * Every action resolves with { succeeded, failed: [{ bug, error }], skipped, missing }.
+ *
+ * @returns {Object} - { running, progress, setStatus, setPriority, archive, restore, remove }
+ */
+export function useBulkBugActions() {
+  const { updateStatus, updatePriority, archiveBug, unarchiveBug, deleteBug } = useBugMutations()
+  const [progress, setProgress] = useState(null) // { done, total } while running
+
+  /**
+   * @param {string[]} bugIds
+   * @param {Function} shouldSkip - (bug) => true when the bug already has the target value
+   * @param {Function} apply - async (bug) => { success, error }
+   */
+  const run = useCallback(async (bugIds, shouldSkip, apply) => {
+    const summary = { succeeded: [], failed: [], skipped: [], missing: 0 }
+
+    let bugs
+    try {
+      bugs = await fetchBugsByIds(bugIds)
+    } catch (err) {
+      console.error('❌ Batch aborted: could not load selected bugs', err)
+      return { ...summary, error: err.message }
+    }
+    summary.missing = bugIds.length - bugs.length
+
+    setProgress({ done: 0, total: bugs.length })
+    for (const bug of bugs) {
+      if (shouldSkip(bug)) {
+        summary.skipped.push(bug)
+      } else {
+        const result = await apply(bug)
+        if (result.success) {
+          summary.succeeded.push(bug)
+        } else {
+          summary.failed.push({ bug, error: result.error || 'Failed' })
+        }
+      }
+      setProgress((prev) => ({ ...prev, done: prev.done + 1 }))
+    }
+    setProgress(null)
+
+    console.log(`✅ Batch finished: ${summary.succeeded.length} updated, ${summary.failed.length} failed, ${summary.skipped.length} unchanged`)
+    return summary
+  }, [])
+
+  const setStatus = useCallback((bugIds, newStatus, actorId, actorEmail) => run(
+    bugIds,
+    (bug) => bug.status === newStatus,
+    (bug) => updateStatus(bug.id, newStatus, actorId, actorEmail, bug.status, { expectedUpdatedAt: bug.updated_at })
+  ), [run, updateStatus])
+
+  // updatePriority checks canEditBugFields per bug; others are reported as failures
+  const setPriority = useCallback((bugIds, newPriority, actorId, actorEmail, isAdmin) => run(
+    bugIds,
+    (bug) => bug.priority === newPriority,
+    (bug) => updatePriority(bug, newPriority, actorId, actorEmail, isAdmin, { expectedUpdatedAt: bug.updated_at })
+  ), [run, updatePriority])
+
+  const archive = useCallback((bugIds, actorId, actorEmail) => run(
+    bugIds,
+    (bug) => bug.is_archived,
+    (bug) => archiveBug(bug.id, actorId, actorEmail, { expectedUpdatedAt: bug.updated_at })
+  ), [run, archiveBug])
+
+  const restore = useCallback((bugIds, actorId, actorEmail) => run(
+    bugIds,
+    (bug) => !bug.is_archived,
+    (bug) => unarchiveBug(bug.id, actorId, actorEmail, { expectedUpdatedAt: bug.updated_at })
+  ), [run, unarchiveBug])
+
+  // deleteBug checks admin-or-reporter per bug; others are reported as failures
+  const remove = useCallback((bugIds, actorId, actorEmail, isAdmin) => run(
+    bugIds,
+    () => false,
+    (bug) => deleteBug(bug, actorId, actorEmail, isAdmin)
+  ), [run, deleteBug])
+
+  return { running: progress !== null, progress, setStatus, setPriority, archive, restore, remove }
+}
@@ -0,0 +1,95 @@
+import { useState, useCallback, useMemo } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { validateCustomFieldDefinition } from '../lib/customFields'
+
+const CUSTOM_FIELDS_KEY = ['customFields']
+const CUSTOM_FIELDS_STALE_MS = 5 * 60 * 1000
+const EMPTY_FIELDS = []
+
+const fetchCustomFields = async () => {
+  const { data, error } = await supabase
+    .from('custom_fields')
+    .select('id, key, name, type, options, required, validation, description, position')
+    .order('position', { ascending: true })
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return (data || []).map((field) => ({ ...field, options: field.options || [], validation: field.validation || {} }))
+}
+
+/**
+ * Custom hook for the custom field definitions
+ * Bugs store values in `bugs.custom_fields` keyed by `field.key`.
+ *
+ * @returns {Object} - { fields, fieldsByKey, loading, error }
+ */
+export function useCustomFields() {
+  const { data, loading, error } = useQuery(CUSTOM_FIELDS_KEY, fetchCustomFields, { staleTime: CUSTOM_FIELDS_STALE_MS })
+  const fields = data || EMPTY_FIELDS
+  const fieldsByKey = useMemo(() => new Map(fields.map((field) => [field.key, field])), [fields])
+
+  return { fields, fieldsByKey, loading, error: error ? error.message : null }
+}
+
+const toFieldError = (err) => (
+  err?.code === '23505' ? 'A field with that key already exists' : err?.message || 'Failed to save field'
+)
+
+const cleanFieldDefinition = ({ key, name, type, options, required, validation, description, position }) => {
+  const definition = {
+    key,
+    name: name.trim(),
+    type,
+    options: type === 'select' || type === 'multiselect' ? (options || []).map((option) => option.trim()).filter(Boolean) : [],
+    required: Boolean(required),
+    validation: Object.fromEntries(Object.entries(validation || {}).filter(([, value]) => value !== '' && value != null && value !== false)),
+    description: description?.trim() || null,
+    position: Number(position) || 0,
+  }
+  const invalid = validateCustomFieldDefinition(definition)
+  if (invalid) throw new Error(invalid)
+  return definition
+}
+
+/**
+ * Custom hook for managing custom field definitions (admins only; enforced by RLS)
+ * A field's key and type are fixed once created, so stored values always match them.
+ */
+export function useCustomFieldMutations() {
+  const [loading, setLoading] = useState(false)
+
+  const run = useCallback(async (operation) => {
+    setLoading(true)
+    try {
+      await operation()
+      invalidateQueries(CUSTOM_FIELDS_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Custom field update failed:', err)
+      return { success: false, error: toFieldError(err) }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const createField = useCallback((fields) => run(async () => {
+    const { error } = await supabase.from('custom_fields').insert(cleanFieldDefinition(fields))
+    if (error) throw error
+  }), [run])
+
+  const updateField = useCallback((fieldId, fields) => run(async () => {
+    const { key: _key, type: _type, ...changes } = cleanFieldDefinition(fields)
+    const { error } = await supabase.from('custom_fields').update(changes).eq('id', fieldId)
+    if (error) throw error
+  }), [run])
+
+  // Values stored on bugs are kept, and show up again if a field with the same key is added back
+  const deleteField = useCallback((fieldId) => run(async () => {
+    const { error } = await supabase.from('custom_fields').delete().eq('id', fieldId)
+    if (error) throw error
+  }), [run])
+
+  return { createField, updateField, deleteField, loading }
+}
@@ -0,0 +1,21 @@
+import { useMemo, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { parseDashboardView, toDashboardParams, toDashboardSearch } from '../lib/dashboardView'
+
+/**
+ * Custom hook for the Dashboard view state kept in the URL query string
+ * Changes push a history entry so back/forward step through views; pass
+ * `{ replace: true }` for keystroke-level updates such as the search box.
+ *
+ * @returns {Object} - { view, search, updateView }
+ */
+export function useDashboardView() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const view = useMemo(() => parseDashboardView(searchParams), [searchParams])
+
+  const updateView = useCallback((changes, { replace = false } = {}) => {
+    setSearchParams((current) => toDashboardParams({ ...parseDashboardView(current), ...changes }), { replace })
+  }, [setSearchParams])
+
+  return { view, search: toDashboardSearch(view), updateView }
+}
@@ -0,0 +1,99 @@
+import { useState, useCallback, useMemo } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { DEFAULT_LABEL_COLOR, LABEL_COLORS } from '../lib/constants'
+
+const LABELS_KEY = ['labels']
+const LABELS_STALE_MS = 5 * 60 * 1000
+const EMPTY_LABELS = []
+
+const fetchLabels = async () => {
+  const { data, error } = await supabase
+    .from('labels')
+    .select('id, name, color, description')
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Tailwind classes for a label's colour key
+ */
+export const getLabelClasses = (label) => LABEL_COLORS[label?.color] || LABEL_COLORS[DEFAULT_LABEL_COLOR]
+
+/**
+ * Custom hook for the label catalogue
+ * Bugs store label ids (`bugs.label_ids`); resolve them through labelsById.
+ *
+ * @returns {Object} - { labels, labelsById, loading, error, refetch }
+ */
+export function useLabels() {
+  const { data, loading, error, refetch } = useQuery(LABELS_KEY, fetchLabels, { staleTime: LABELS_STALE_MS })
+  const labels = data || EMPTY_LABELS
+  const labelsById = useMemo(() => new Map(labels.map((label) => [label.id, label])), [labels])
+
+  return { labels, labelsById, loading, error: error ? error.message : null, refetch }
+}
+
+const toLabelError = (err) => (
+  err?.code === '23505' ? 'A label with that name already exists' : err?.message || 'Failed to save label'
+)
+
+const cleanLabelFields = ({ name, color, description }) => ({
+  name: name.trim(),
+  color: LABEL_COLORS[color] ? color : DEFAULT_LABEL_COLOR,
+  description: description?.trim() || null,
+})
+
+/**
+ * Custom hook for managing the label catalogue (admins only; enforced by RLS)
+ */
+export function useLabelMutations() {
+  const [loading, setLoading] = useState(false)
+
+  const run = useCallback(async (operation) => {
+    setLoading(true)
+    try {
+      await operation()
+      invalidateQueries(LABELS_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Label update failed:', err)
+      return { success: false, error: toLabelError(err) }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const createLabel = useCallback((fields) => run(async () => {
+    const { error } = await supabase.from('labels').insert(cleanLabelFields(fields))
+    if (error) throw error
+  }), [run])
+
+  const updateLabel = useCallback((labelId, fields) => run(async () => {
+    const { error } = await supabase.from('labels').update(cleanLabelFields(fields)).eq('id', labelId)
+    if (error) throw error
+  }), [run])
+
+  const deleteLabel = useCallback((labelId) => run(async () => {
+    const { error } = await supabase.from('labels').delete().eq('id', labelId)
+    if (error) throw error
+
+    // Best-effort: strip the id from bugs that carry it (unknown ids are ignored when rendering anyway)
+    const { data: tagged } = await supabase
+      .from('bugs')
+      .select('id, label_ids')
+      .contains('label_ids', [labelId])
+
+    for (const bug of tagged || []) {
+      await supabase
+        .from('bugs')
+        .update({ label_ids: bug.label_ids.filter((id) => id !== labelId) })
+        .eq('id', bug.id)
+    }
+  }), [run])
+
+  return { createLabel, updateLabel, deleteLabel, loading }
+}
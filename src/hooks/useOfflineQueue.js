@@ -0,0 +1,77 @@
+import { useEffect, useMemo, useRef, useSyncExternalStore } from 'react'
+import {
+  discardMutation,
+  getOfflineQueueSnapshot,
+  replayMutations,
+  subscribeOfflineQueue,
+} from '../lib/offlineQueue'
+import { getPendingBugPatches } from '../lib/offlineMutations'
+import { invalidateQueries } from '../lib/queryCache'
+
+const subscribeOnline = (listener) => {
+  window.addEventListener('online', listener)
+  window.addEventListener('offline', listener)
+  return () => {
+    window.removeEventListener('online', listener)
+    window.removeEventListener('offline', listener)
+  }
+}
+
+const getOnline = () => navigator.onLine
+
+/**
+ * Custom hook for the offline mutation queue
+ * @returns {Object} - { pending, conflicts, pendingBugPatches, replaying, isOnline, discard }
+ */
+export function useOfflineQueue() {
+  const snapshot = useSyncExternalStore(subscribeOfflineQueue, getOfflineQueueSnapshot)
+  const isOnline = useSyncExternalStore(subscribeOnline, getOnline)
+
+  return useMemo(() => ({
+    pending: snapshot.entries.filter((entry) => entry.status === 'pending'),
+    conflicts: snapshot.entries.filter((entry) => entry.status === 'conflict'),
+    pendingBugPatches: getPendingBugPatches(snapshot.entries),
+    replaying: snapshot.replaying,
+    isOnline,
+    discard: discardMutation,
+  }), [snapshot, isOnline])
+}
+
+/**
+ * Replays the signed-in user's queued mutations on load and whenever the browser comes back online
+ * Mount once, near the app root.
+ *
+ * @param {string} userId
+ * @param {Function} [onReplayed] - Called with { applied, conflicts, remaining } after each run
+ */
+export function useOfflineSync(userId, onReplayed) {
+  // Latest callback without restarting the listener (callers often pass inline functions)
+  const onReplayedRef = useRef(onReplayed)
+  useEffect(() => {
+    onReplayedRef.current = onReplayed
+  })
+
+  useEffect(() => {
+    if (!userId) return undefined
+    let cancelled = false
+
+    const replay = async () => {
+      const result = await replayMutations(userId)
+      if (result.applied > 0 || result.conflicts.length > 0) {
+        // Replays bypass the optimistic cache paths - pull fresh server state
+        invalidateQueries(['bugs'])
+        invalidateQueries(['activity'])
+      }
+      if (!cancelled && (result.applied > 0 || result.conflicts.length > 0)) {
+        onReplayedRef.current?.(result)
+      }
+    }
+
+    replay()
+    window.addEventListener('online', replay)
+    return () => {
+      cancelled = true
+      window.removeEventListener('online', replay)
+    }
+  }, [userId])
+}
@@ -1,6 +1,10 @@
 /**
  * Hook for optimistic updates with rollback support
  * Inspired by TanStack Query's optimistic update pattern
+ *
+ * An async function may resolve with { queued: true } (see lib/offlineQueue) when the
+ * change was stored for replay. The optimistic value is then kept and reported as queued
+ * instead of being committed or rolled back.
  */
 import { useState, useCallback, useRef } from 'react'
 
@@ -9,7 +13,7 @@ import { useState, useCallback, useRef } from 'react'
  * 
  * @param {any} initialValue - Initial state value
  * @param {Function} updateFn - Async function to perform the actual update
- * @returns {Object} - { value, optimisticValue, update, isPending, error }
+ * @returns {Object} - { value, optimisticValue, update, isPending, isQueued, error }
  * 
  * @example
  * const { value, optimisticValue, update, isPending } = useOptimistic(
@@ -32,6 +36,7 @@ export function useOptimistic(initialValue) {
   const [value, setValue] = useState(initialValue)
   const [optimisticValue, setOptimisticValue] = useState(initialValue)
   const [isPending, setIsPending] = useState(false)
+  const [isQueued, setIsQueued] = useState(false)
   const [error, setError] = useState(null)
   
   const previousValueRef = useRef(initialValue)
@@ -43,11 +48,18 @@ export function useOptimistic(initialValue) {
     // Immediately update optimistic value
     setOptimisticValue(newOptimisticValue)
     setIsPending(true)
+    setIsQueued(false)
     setError(null)
 
     try {
       // Perform the actual async operation
       const result = await asyncUpdateFn()
+
+      if (result?.queued) {
+        // Stored for offline replay - keep showing the optimistic value
+        setIsQueued(true)
+        return { success: true, queued: true, data: newOptimisticValue }
+      }
       
       // Update both values on success
       const finalValue = result !== undefined ? result : newOptimisticValue
@@ -70,11 +82,13 @@ export function useOptimistic(initialValue) {
     setOptimisticValue(value)
     setError(null)
     setIsPending(false)
+    setIsQueued(false)
   }, [value])
 
   const setInitialValue = useCallback((newValue) => {
     setValue(newValue)
     setOptimisticValue(newValue)
+    setIsQueued(false)
     previousValueRef.current = newValue
   }, [])
 
@@ -83,6 +97,7 @@ export function useOptimistic(initialValue) {
     optimisticValue,
     update,
     isPending,
+    isQueued,
     error,
     reset,
     setInitialValue,
@@ -91,11 +106,14 @@ export function useOptimistic(initialValue) {
 
 /**
  * useOptimisticList hook for lists with add/remove/update operations
+ * Items whose async function resolves with { queued: true } stay in optimisticItems
+ * and are reported by isQueued(id) until setInitialItems() replaces the list.
  */
 export function useOptimisticList(initialItems = []) {
   const [items, setItems] = useState(initialItems)
   const [optimisticItems, setOptimisticItems] = useState(initialItems)
   const [pendingIds, setPendingIds] = useState(new Set())
+  const [queuedIds, setQueuedIds] = useState(new Set())
   const [errors, setErrors] = useState(new Map())
 
   const previousItemsRef = useRef(initialItems)
@@ -111,6 +129,10 @@ export function useOptimisticList(initialItems = []) {
 
     try {
       const result = await asyncAddFn()
+      if (result?.queued) {
+        setQueuedIds(prev => new Set([...prev, tempId]))
+        return { success: true, queued: true, data: itemWithId }
+      }
       const finalItem = result || itemWithId
       
       setItems(prev => [...prev, finalItem])
@@ -139,7 +161,11 @@ export function useOptimisticList(initialItems = []) {
     setPendingIds(prev => new Set([...prev, itemId]))
 
     try {
-      await asyncRemoveFn()
+      const result = await asyncRemoveFn()
+      if (result?.queued) {
+        setQueuedIds(prev => new Set([...prev, itemId]))
+        return { success: true, queued: true }
+      }
       setItems(prev => prev.filter(item => item.id !== itemId))
       return { success: true }
     } catch (err) {
@@ -165,6 +191,10 @@ export function useOptimisticList(initialItems = []) {
 
     try {
       const result = await asyncUpdateFn()
+      if (result?.queued) {
+        setQueuedIds(prev => new Set([...prev, itemId]))
+        return { success: true, queued: true, data: updates }
+      }
       const finalUpdates = result || updates
       
       setItems(prev => 
@@ -189,6 +219,7 @@ export function useOptimisticList(initialItems = []) {
   }, [optimisticItems])
 
   const isPending = useCallback((itemId) => pendingIds.has(itemId), [pendingIds])
+  const isQueued = useCallback((itemId) => queuedIds.has(itemId), [queuedIds])
   const getError = useCallback((itemId) => errors.get(itemId), [errors])
   const clearError = useCallback((itemId) => {
     setErrors(prev => {
@@ -201,6 +232,7 @@ export function useOptimisticList(initialItems = []) {
   const setInitialItems = useCallback((newItems) => {
     setItems(newItems)
     setOptimisticItems(newItems)
+    setQueuedIds(new Set())
     previousItemsRef.current = newItems
   }, [])
 
@@ -211,6 +243,7 @@ export function useOptimisticList(initialItems = []) {
     removeItem,
     updateItem,
     isPending,
+    isQueued,
     getError,
     clearError,
     pendingCount: pendingIds.size,
@@ -0,0 +1,39 @@
+import { useCallback } from 'react'
+import { useQuery } from './useQuery'
+import { fetchProfileDirectory, fetchProfileSummaries } from '../lib/profileCache'
+
+const PROFILE_DIRECTORY_KEY = ['profiles', 'directory']
+const PROFILE_DIRECTORY_STALE_MS = 5 * 60 * 1000
+const EMPTY_PROFILES = []
+
+/**
+ * Custom hook for the list of users bugs can be assigned to
+ * @returns {Object} - { profiles, loading, error }
+ */
+export function useProfileDirectory({ enabled = true } = {}) {
+  const { data, loading, error } = useQuery(PROFILE_DIRECTORY_KEY, fetchProfileDirectory, {
+    enabled,
+    staleTime: PROFILE_DIRECTORY_STALE_MS,
+  })
+
+  return { profiles: data || EMPTY_PROFILES, loading, error }
+}
+
+/**
+ * Custom hook for one user's profile summary (shared with every other lookup of that user)
+ * @param {string|null} userId
+ * @returns {Object|null} - { id, username, email, full_name, avatar_url } or null
+ */
+export function useProfileSummary(userId) {
+  const fetchSummary = useCallback(async () => {
+    const profiles = await fetchProfileSummaries([userId])
+    return profiles[userId] || null
+  }, [userId])
+
+  const { data } = useQuery(['profiles', 'lookup', userId], fetchSummary, {
+    enabled: Boolean(userId),
+    staleTime: PROFILE_DIRECTORY_STALE_MS,
+  })
+
+  return userId ? data ?? null : null
+}
@@ -0,0 +1,42 @@
+import { useEffect, useCallback, useMemo, useSyncExternalStore } from 'react'
+import { fetchQuery, getQueryState, serializeQueryKey, subscribeQuery } from '../lib/queryCache'
+
+/**
+ * Custom hook for reading a shared query cache entry
+ * Components using the same key share one request and one copy of the data.
+ *
+ * @param {Array} key - Query key; every value the fetcher depends on must be part of it
+ * @param {Function} fetcher - async () => data
+ * @param {Object} options
+ * @param {boolean} [options.enabled=true] - Skip fetching while false
+ * @param {number} [options.staleTime] - How long cached data is served without revalidating (ms)
+ * @returns {Object} - { data, error, loading, isFetching, refetch }
+ */
+export function useQuery(key, fetcher, options = {}) {
+  const { enabled = true, staleTime } = options
+  const hash = serializeQueryKey(key)
+  // Stable key identity across renders with equal contents
+  const stableKey = useMemo(() => JSON.parse(hash), [hash])
+
+  const subscribe = useCallback((listener) => subscribeQuery(stableKey, listener), [stableKey])
+  const getSnapshot = useCallback(() => getQueryState(stableKey), [stableKey])
+  const state = useSyncExternalStore(subscribe, getSnapshot)
+
+  useEffect(() => {
+    if (!enabled) return
+    fetchQuery(stableKey, fetcher, { staleTime }).catch(() => {})
+  }, [enabled, stableKey, fetcher, staleTime])
+
+  const refetch = useCallback(
+    () => fetchQuery(stableKey, fetcher, { force: true }).catch(() => {}),
+    [stableKey, fetcher]
+  )
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: enabled && state.data === undefined && state.status !== 'error',
+    isFetching: state.isFetching,
+    refetch,
+  }
+}
@@ -0,0 +1,88 @@
+import { useState, useCallback, useMemo } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { BUILT_IN_REDACTION_RULES, compileRedactionPatterns, validateRedactionPattern } from '../lib/redaction'
+
+const REDACTION_PATTERNS_KEY = ['redactionPatterns']
+const REDACTION_PATTERNS_STALE_MS = 5 * 60 * 1000
+const EMPTY_PATTERNS = []
+
+const fetchRedactionPatterns = async () => {
+  const { data, error } = await supabase
+    .from('redaction_patterns')
+    .select('id, name, pattern, flags, description')
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Custom hook for the redaction scanner rules: the built-in ones plus admin patterns
+ * If the patterns cannot be loaded, the built-in rules still apply.
+ *
+ * @returns {Object} - { patterns, rules, loading, error }
+ */
+export function useRedactionPatterns() {
+  const { data, loading, error } = useQuery(REDACTION_PATTERNS_KEY, fetchRedactionPatterns, {
+    staleTime: REDACTION_PATTERNS_STALE_MS,
+  })
+  const patterns = data || EMPTY_PATTERNS
+  const rules = useMemo(() => [...BUILT_IN_REDACTION_RULES, ...compileRedactionPatterns(patterns)], [patterns])
+
+  return { patterns, rules, loading, error: error ? error.message : null }
+}
+
+const toPatternError = (err) => (
+  err?.code === '23505' ? 'A pattern with that name already exists' : err?.message || 'Failed to save pattern'
+)
+
+const cleanPatternFields = ({ name, pattern, flags, description }) => {
+  const invalid = validateRedactionPattern(pattern, flags)
+  if (invalid) throw new Error(invalid)
+  return {
+    name: name.trim(),
+    pattern,
+    flags: flags || '',
+    description: description?.trim() || null,
+  }
+}
+
+/**
+ * Custom hook for managing custom redaction patterns (admins only; enforced by RLS)
+ */
+export function useRedactionPatternMutations() {
+  const [loading, setLoading] = useState(false)
+
+  const run = useCallback(async (operation) => {
+    setLoading(true)
+    try {
+      await operation()
+      invalidateQueries(REDACTION_PATTERNS_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Redaction pattern update failed:', err)
+      return { success: false, error: toPatternError(err) }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const createPattern = useCallback((fields) => run(async () => {
+    const { error } = await supabase.from('redaction_patterns').insert(cleanPatternFields(fields))
+    if (error) throw error
+  }), [run])
+
+  const updatePattern = useCallback((patternId, fields) => run(async () => {
+    const { error } = await supabase.from('redaction_patterns').update(cleanPatternFields(fields)).eq('id', patternId)
+    if (error) throw error
+  }), [run])
+
+  const deletePattern = useCallback((patternId) => run(async () => {
+    const { error } = await supabase.from('redaction_patterns').delete().eq('id', patternId)
+    if (error) throw error
+  }), [run])
+
+  return { createPattern, updatePattern, deletePattern, loading }
+}
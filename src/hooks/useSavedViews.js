@@ -0,0 +1,84 @@
+import { useState, useCallback } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { invalidateQueries } from '../lib/queryCache'
+import { toDashboardSearch } from '../lib/dashboardView'
+
+const SAVED_VIEWS_KEY = ['savedViews']
+const SAVED_VIEWS_STALE_MS = 60 * 1000
+const EMPTY_VIEWS = []
+
+// RLS returns the caller's own views plus every shared one
+const fetchSavedViews = async () => {
+  const { data, error } = await supabase
+    .from('saved_views')
+    .select('id, owner_id, name, params, is_shared, created_at')
+    .order('name', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Custom hook for saved Dashboard views (own and team-shared)
+ * `params` is the view's canonical query string (lib/dashboardView).
+ *
+ * @param {Object} [options] - { enabled }
+ * @returns {Object} - { views, loading, error }
+ */
+export function useSavedViews({ enabled = true } = {}) {
+  const { data, loading, error } = useQuery(SAVED_VIEWS_KEY, fetchSavedViews, {
+    enabled,
+    staleTime: SAVED_VIEWS_STALE_MS,
+  })
+
+  return { views: data || EMPTY_VIEWS, loading, error: error ? error.message : null }
+}
+
+const toViewError = (err) => (
+  err?.code === '23505' ? 'You already have a view with that name' : err?.message || 'Failed to save view'
+)
+
+/**
+ * Custom hook for saving and deleting Dashboard views
+ * Owners manage their own views; admins may also delete shared ones (enforced by RLS).
+ */
+export function useSavedViewMutations() {
+  const [loading, setLoading] = useState(false)
+
+  const run = useCallback(async (operation) => {
+    setLoading(true)
+    try {
+      await operation()
+      invalidateQueries(SAVED_VIEWS_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Saved view update failed:', err)
+      return { success: false, error: toViewError(err) }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  const saveView = useCallback(({ name, params, shared = false }, userId) => run(async () => {
+    const { error } = await supabase.from('saved_views').insert({
+      owner_id: userId,
+      name: name.trim(),
+      params: toDashboardSearch(params),
+      is_shared: shared,
+    })
+    if (error) throw error
+  }), [run])
+
+  const setViewShared = useCallback((viewId, shared) => run(async () => {
+    const { error } = await supabase.from('saved_views').update({ is_shared: shared }).eq('id', viewId)
+    if (error) throw error
+  }), [run])
+
+  const deleteView = useCallback((viewId) => run(async () => {
+    const { error } = await supabase.from('saved_views').delete().eq('id', viewId)
+    if (error) throw error
+  }), [run])
+
+  return { saveView, setViewShared, deleteView, loading }
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { indexSearchDocuments, updateSearchDocuments, querySearchIndex, querySimilarDocuments } from '../lib/searchClient'
+import { getQueryState, invalidateQueries, updateQueries } from '../lib/queryCache'
+import { SEARCH_INDEX } from '../lib/constants'
+
+export const SEARCH_INDEX_KEY = ['searchIndex']
+const EMPTY_MATCHES = []
+const EMPTY_BUGS = new Map()
+
+// Enough of each bug to render a search result and apply search query clauses without another request
+const SUMMARY_FIELDS = [
+  'id', 'title', 'description', 'steps_to_reproduce', 'status', 'priority', 'is_archived', 'created_at', 'updated_at',
+  'label_ids', 'assigned_to', 'user_id', 'reported_by_name', 'reported_by_email',
+  'category', 'expected_behavior', 'actual_behavior', 'environment', 'custom_fields',
+]
+const SUMMARY_COLUMNS = SUMMARY_FIELDS.join(', ')
+
+const toSummary = (row) => Object.fromEntries(SUMMARY_FIELDS.map((field) => [field, row[field] ?? null]))
+
+// Comments are added by buildIndex; live updates keep the ones already indexed
+const toDocument = (bug, comments) => ({
+  id: bug.id,
+  title: bug.title,
+  description: bug.description,
+  steps: bug.steps_to_reproduce,
+  reporter: [bug.reported_by_name, bug.reported_by_email].filter(Boolean).join(' '),
+  ...(comments === undefined ? {} : { comments }),
+})
+
+/**
+ * Read a whole table in pages, so PostgREST's max-rows cap (1000 on Supabase) does not cut it short
+ * @param {Function} buildQuery - Returns a fresh select query, ordered by a unique column
+ */
+const fetchAllRows = async (buildQuery) => {
+  const rows = []
+  for (let from = 0; ; from += SEARCH_INDEX.PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + SEARCH_INDEX.PAGE_SIZE - 1)
+    if (error) throw error
+    rows.push(...(data || []))
+    if (!data || data.length < SEARCH_INDEX.PAGE_SIZE) return rows
+  }
+}
+
+/**
+ * Load every bug and comment, hand them to the search worker and keep the summaries
+ * The index itself lives in the worker; the cache entry only marks it as built.
+ */
+const buildIndex = async () => {
+  const [bugs, comments] = await Promise.all([
+    fetchAllRows(() => supabase.from('bugs').select(SUMMARY_COLUMNS).order('id', { ascending: true })),
+    fetchAllRows(() => supabase.from('comments').select('id, bug_id, content').order('id', { ascending: true }))
+      .catch((commentsError) => {
+        console.warn('⚠️ Search index built without comments:', commentsError)
+        return []
+      }),
+  ])
+
+  const commentsByBug = comments.reduce((acc, comment) => {
+    acc[comment.bug_id] = acc[comment.bug_id] ? `${acc[comment.bug_id]}\n${comment.content}` : comment.content
+    return acc
+  }, {})
+
+  await indexSearchDocuments(bugs.map((bug) => toDocument(bug, commentsByBug[bug.id] || '')))
+  console.log(`✅ Search index built: ${bugs.length} bugs, ${comments.length} comments`)
+
+  return { bugsById: new Map(bugs.map((bug) => [bug.id, bug])) }
+}
+
+// Live changes waiting to be re-indexed: bugId -> full row, or null when deleted
+const pendingChanges = new Map()
+let flushTimer = null
+
+const flushPendingChanges = () => {
+  flushTimer = null
+  const changes = [...pendingChanges]
+  pendingChanges.clear()
+
+  const state = getQueryState(SEARCH_INDEX_KEY)
+  if (!state.data) return
+  // A build already running may have read the rows before these changes
+  if (state.isFetching) {
+    invalidateQueries(SEARCH_INDEX_KEY)
+    return
+  }
+
+  const rows = changes.filter(([, row]) => row).map(([, row]) => row)
+  const removedIds = changes.filter(([, row]) => !row).map(([id]) => id)
+  updateQueries(SEARCH_INDEX_KEY, (data) => {
+    const bugsById = new Map(data.bugsById)
+    removedIds.forEach((id) => bugsById.delete(id))
+    rows.forEach((row) => bugsById.set(row.id, toSummary(row)))
+    return { ...data, bugsById }
+  })
+  updateSearchDocuments(rows.map((row) => toDocument(row)), removedIds)
+    .catch((err) => console.error('❌ Search index update failed:', err))
+}
+
+/**
+ * Re-index one changed or deleted bug (realtime events and useBugMutations writes)
+ * Changes are batched for SEARCH_INDEX.UPDATE_DELAY_MS; nothing happens before the index is built.
+ *
+ * @param {Object} change - { removedId } for deletes, { row } for inserts/updates (row = full bugs row)
+ */
+export function applyBugChangeToSearchIndex({ removedId = null, row = null }) {
+  const id = removedId || row?.id
+  if (!id) return
+  pendingChanges.set(id, row)
+  if (!flushTimer) flushTimer = setTimeout(flushPendingChanges, SEARCH_INDEX.UPDATE_DELAY_MS)
+}
+
+/**
+ * Custom hook for the shared client-side search index
+ * Built once in a Web Worker over titles, descriptions, steps, reporters and comments,
+ * kept current with live bug changes (applyBugChangeToSearchIndex) and rebuilt when
+ * older than SEARCH_INDEX.STALE_MS.
+ *
+ * @returns {Object} - { bugsById, ready, loading, error }
+ */
+export function useSearchIndex() {
+  const { data, loading, error } = useQuery(SEARCH_INDEX_KEY, buildIndex, { staleTime: SEARCH_INDEX.STALE_MS })
+
+  useEffect(() => {
+    if (error) console.error('Failed to build search index:', error)
+  }, [error])
+
+  return { bugsById: data?.bugsById || EMPTY_BUGS, ready: Boolean(data), loading, error: error ? error.message : null }
+}
+
+/**
+ * Run one request against the worker whenever it (or the index) changes
+ * @param {Object|null} request - { type: 'search' | 'similar', ... }, null to skip
+ * @returns {Object} - { matches, bugsById, ready, searching }
+ */
+const useIndexRequest = (request) => {
+  const { bugsById, ready } = useSearchIndex()
+  const key = request && ready ? JSON.stringify(request) : null
+  const [response, setResponse] = useState({ key: null, matches: EMPTY_MATCHES })
+
+  useEffect(() => {
+    if (!key) return undefined
+    let cancelled = false
+    const { type, query, target, options } = JSON.parse(key)
+
+    const pending = type === 'search' ? querySearchIndex(query, options) : querySimilarDocuments(target, options)
+    pending
+      .then((matches) => {
+        if (!cancelled) setResponse({ key, matches })
+      })
+      .catch((err) => console.error('❌ Search index query failed:', err))
+
+    return () => { cancelled = true }
+    // bugsById changes when the index is rebuilt, so results are refreshed with it
+  }, [key, bugsById])
+
+  return {
+    // Previous results stay up while the next query runs, so lists do not flash empty
+    matches: key ? response.matches : EMPTY_MATCHES,
+    bugsById,
+    ready,
+    searching: Boolean(key) && response.key !== key,
+  }
+}
+
+/**
+ * Custom hook for ranked full-text search (stemming, typo tolerance, prefix match on the last word)
+ *
+ * @param {string} query
+ * @param {Object} [options] - { limit, enabled, filter }
+ *   `filter(bug)` runs on the summaries before the limit, so matches it keeps are never cut
+ *   by ones it drops; keep its identity stable between renders
+ * @returns {Object} - { results: [{ id, score, bug }], ready, searching }
+ */
+export function useBugSearch(query, { limit = 20, enabled = true, filter = null } = {}) {
+  const active = enabled && (query || '').trim().length >= SEARCH_INDEX.MIN_QUERY_LENGTH
+  const { matches, bugsById, ready, searching } = useIndexRequest(
+    active ? { type: 'search', query, options: { limit: filter ? null : limit } } : null
+  )
+
+  const results = useMemo(
+    () => matches
+      .map((match) => ({ ...match, bug: bugsById.get(match.id) }))
+      .filter((match) => match.bug && (!filter || filter(match.bug)))
+      .slice(0, limit),
+    [matches, bugsById, filter, limit]
+  )
+
+  return { results, ready, searching }
+}
+
+/**
+ * Custom hook for bugs similar to an existing bug or to text being written
+ *
+ * @param {Object} target - { bugId } or { text }
+ * @param {Object} [options] - { limit, threshold, includeArchived }
+ * @returns {Object} - { results: [{ id, score, bug }], ready }
+ */
+export function useSimilarBugs({ bugId = null, text = '' }, {
+  limit = 5,
+  threshold = SEARCH_INDEX.SIMILAR_THRESHOLD,
+  includeArchived = false,
+} = {}) {
+  const trimmed = text.trim()
+  const target = bugId ? { id: bugId } : trimmed.length >= 3 ? { text: trimmed } : null
+  // Ask for extra matches so archived ones can be dropped without coming up short
+  const { matches, bugsById, ready } = useIndexRequest(
+    target ? { type: 'similar', target, options: { limit: includeArchived ? limit : limit * 3, threshold } } : null
+  )
+
+  const results = useMemo(
+    () => matches
+      .map((match) => ({ ...match, bug: bugsById.get(match.id) }))
+      .filter((match) => match.bug && match.id !== bugId && (includeArchived || !match.bug.is_archived))
+      .slice(0, limit),
+    [matches, bugsById, bugId, includeArchived, limit]
+  )
+
+  return { results, ready }
+}
@@ -0,0 +1,31 @@
+import { useMemo } from 'react'
+import { useWorkflow } from './useWorkflow'
+import { useLabels } from './useLabels'
+import { useBugTemplates } from './useBugTemplates'
+import { useCustomFields } from './useCustomFields'
+import { useProfileDirectory } from './useProfiles'
+import { parseSearchQuery, compileSearchQuery } from '../lib/searchQuery'
+
+/**
+ * Custom hook for the search query language (status:open label:backend "phrase" ...)
+ * Resolves statuses, priorities, labels, templates, custom fields and people against the loaded catalogues.
+ *
+ * @param {string} input - Raw search box text
+ * @param {Object} [options] - { userId } for "me"
+ * @returns {Object} - { query: { clauses, text, archived, errors }, context } - context feeds autocomplete
+ */
+export function useSearchQuery(input, { userId = null } = {}) {
+  const { workflow } = useWorkflow()
+  const { labels } = useLabels()
+  const { templates } = useBugTemplates()
+  const { fields: customFields } = useCustomFields()
+  const { profiles } = useProfileDirectory()
+
+  const context = useMemo(
+    () => ({ workflow, labels, templates, customFields, profiles, userId }),
+    [workflow, labels, templates, customFields, profiles, userId]
+  )
+  const query = useMemo(() => compileSearchQuery(parseSearchQuery(input), context), [input, context])
+
+  return { query, context }
+}
@@ -0,0 +1,58 @@
+import { useState, useCallback, useRef } from 'react'
+
+const EMPTY_SELECTION = new Set()
+
+/**
+ * Custom hook for multi-select lists (checkboxes with shift-click ranges)
+ *
+ * @returns {Object} - { selectedIds, count, isSelected, toggle, selectMany, clear }
+ */
+export function useSelection() {
+  const [selectedIds, setSelectedIds] = useState(EMPTY_SELECTION)
+  // Last id toggled without shift; the start of the next shift-click range
+  const anchorRef = useRef(null)
+
+  const isSelected = useCallback((id) => selectedIds.has(id), [selectedIds])
+
+  /**
+   * Toggle one id, or with shiftKey every id between the anchor and this one
+   * @param {string} id
+   * @param {Object} options
+   * @param {boolean} [options.shiftKey=false]
+   * @param {string[]} [options.orderedIds=[]] - Ids in display order, for ranges
+   */
+  const toggle = useCallback((id, { shiftKey = false, orderedIds = [] } = {}) => {
+    const anchor = anchorRef.current
+    setSelectedIds((prev) => {
+      const next = new Set(prev)
+      const select = !prev.has(id)
+      const from = orderedIds.indexOf(anchor)
+      const to = orderedIds.indexOf(id)
+
+      if (shiftKey && from !== -1 && to !== -1) {
+        const [start, end] = from < to ? [from, to] : [to, from]
+        orderedIds.slice(start, end + 1).forEach((rangeId) => {
+          if (select) next.add(rangeId)
+          else next.delete(rangeId)
+        })
+      } else if (select) {
+        next.add(id)
+      } else {
+        next.delete(id)
+      }
+      return next
+    })
+    if (!shiftKey) anchorRef.current = id
+  }, [])
+
+  const selectMany = useCallback((ids) => {
+    setSelectedIds((prev) => new Set([...prev, ...ids]))
+  }, [])
+
+  const clear = useCallback(() => {
+    anchorRef.current = null
+    setSelectedIds(EMPTY_SELECTION)
+  }, [])
+
+  return { selectedIds, count: selectedIds.size, isSelected, toggle, selectMany, clear }
+}
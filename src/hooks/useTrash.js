@@ -0,0 +1,185 @@
+import { useState, useCallback, useEffect } from 'react'
+import { useQuery } from './useQuery'
+import { supabase } from '../lib/supabaseClient'
+import { logBugActivity } from '../lib/activityLogger'
+import { fetchProfileSummaries, getProfileDisplayName } from '../lib/profileCache'
+import { invalidateQueries } from '../lib/queryCache'
+import { normalizeBugFields } from '../lib/bugFields'
+
+const TRASH_KEY = ['trash']
+
+const fetchTrash = async () => {
+  const { data, error } = await supabase
+    .from('deleted_bugs')
+    .select('*')
+    .order('deleted_at', { ascending: false })
+
+  if (error) throw error
+
+  const profiles = await fetchProfileSummaries((data || []).map((snapshot) => snapshot.deleted_by))
+  return (data || []).map((snapshot) => ({
+    ...snapshot,
+    deleted_by_name: profiles[snapshot.deleted_by]
+      ? getProfileDisplayName(profiles[snapshot.deleted_by])
+      : 'Unknown user',
+  }))
+}
+
+/**
+ * Custom hook for the deleted bug snapshots (`deleted_bugs`), newest first
+ * Admin only; enforced by RLS.
+ *
+ * @returns {Object} - { snapshots, loading, error, refetch }
+ */
+export function useTrash() {
+  const { data, loading, error, refetch } = useQuery(TRASH_KEY, fetchTrash)
+
+  useEffect(() => {
+    if (error) console.error('Failed to load trash:', error)
+  }, [error])
+
+  return { snapshots: data || [], loading, error: error ? error.message : null, refetch }
+}
+
+/**
+ * Rebuild the `bugs` row a snapshot was taken from, keeping the original id
+ */
+const snapshotToBug = (snapshot) => {
+  const metadata = snapshot.metadata || {}
+  return normalizeBugFields({
+    id: snapshot.original_bug_id,
+    user_id: snapshot.user_id,
+    title: snapshot.title,
+    description: snapshot.description,
+    status: snapshot.status,
+    priority: snapshot.priority,
+    reported_by_email: snapshot.reported_by_email,
+    reported_by_name: snapshot.reported_by_name,
+    created_at: snapshot.original_created_at,
+    updated_at: new Date().toISOString(),
+    is_archived: Boolean(metadata.is_archived),
+    category: metadata.category ?? null,
+    environment: metadata.environment ?? null,
+    steps_to_reproduce: metadata.steps_to_reproduce ?? null,
+    expected_behavior: metadata.expected_behavior ?? null,
+    actual_behavior: metadata.actual_behavior ?? null,
+    assigned_to: metadata.assigned_to || null,
+    label_ids: metadata.label_ids || [],
+    custom_fields: metadata.custom_fields || {},
+  })
+}
+
+/**
+ * Custom hook for restoring and purging deleted bug snapshots
+ */
+export function useTrashMutations() {
+  const [loading, setLoading] = useState(false)
+
+  /**
+   * Put a snapshot back into `bugs` under its original id, log
+   * `bug_restored_from_trash`, then drop the snapshot.
+   * Comments and images were removed with the bug and are not brought back.
+   */
+  const restoreBug = useCallback(async (snapshot, actorId, actorEmail) => {
+    setLoading(true)
+
+    try {
+      const bug = snapshotToBug(snapshot)
+      let { error: insertError } = await supabase.from('bugs').insert(bug)
+
+      // The assignee's profile has been removed since - restore unassigned
+      if (insertError?.code === '23503' && bug.assigned_to) {
+        ({ error: insertError } = await supabase.from('bugs').insert({ ...bug, assigned_to: null }))
+      }
+      if (insertError?.code === '23505') {
+        throw new Error('A bug with this id already exists')
+      }
+      if (insertError) throw insertError
+      console.log('✅ Bug restored from trash:', bug.id)
+
+      await logBugActivity({
+        action: 'bug_restored_from_trash',
+        bugId: bug.id,
+        actorId,
+        actorEmail,
+        field: 'deleted',
+        oldValue: 'true',
+        newValue: 'false',
+      })
+
+      await supabase.from('bug_activity').insert({
+        bug_id: bug.id,
+        user_id: actorId,
+        actor_id: actorId,
+        actor_email: actorEmail,
+        action: 'bug_restored_from_trash',
+        metadata: { snapshot_id: snapshot.id, deleted_at: snapshot.deleted_at },
+      })
+
+      const { error: cleanupError } = await supabase.from('deleted_bugs').delete().eq('id', snapshot.id)
+      if (cleanupError) {
+        console.warn('⚠️ Restored bug but could not remove its snapshot:', cleanupError)
+      }
+
+      invalidateQueries(TRASH_KEY)
+      invalidateQueries(['bugs'])
+      return { success: true, bugId: bug.id }
+    } catch (err) {
+      console.error('❌ Restore from trash failed:', err)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * Permanently delete snapshots older than the retention window
+   * @param {number} retentionDays
+   * @returns {Promise<Object>} - { success, purged, error? }
+   */
+  const purgeExpired = useCallback(async (retentionDays) => {
+    setLoading(true)
+
+    try {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString()
+      const { data, error } = await supabase
+        .from('deleted_bugs')
+        .delete()
+        .lt('deleted_at', cutoff)
+        .select('id')
+
+      if (error) throw error
+      console.log(`✅ Purged ${data?.length || 0} expired bug snapshots`)
+
+      invalidateQueries(TRASH_KEY)
+      return { success: true, purged: data?.length || 0 }
+    } catch (err) {
+      console.error('❌ Trash purge failed:', err)
+      return { success: false, purged: 0, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  /**
+   * Permanently delete one snapshot
+   */
+  const purgeSnapshot = useCallback(async (snapshotId) => {
+    setLoading(true)
+
+    try {
+      const { error } = await supabase.from('deleted_bugs').delete().eq('id', snapshotId)
+      if (error) throw error
+
+      invalidateQueries(TRASH_KEY)
+      return { success: true }
+    } catch (err) {
+      console.error('❌ Snapshot purge failed:', err)
+      return { success: false, error: err.message }
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  return { restoreBug, purgeExpired, purgeSnapshot, loading }
+}
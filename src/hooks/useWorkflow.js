@@ -0,0 +1,17 @@
+import { useMemo } from 'react'
+import { useQuery } from './useQuery'
+import { createWorkflow, fetchWorkflowDefinition, WORKFLOW_KEY, WORKFLOW_STALE_MS } from '../lib/workflow'
+import { DEFAULT_WORKFLOW } from '../lib/constants'
+
+/**
+ * Custom hook for the bug workflow (statuses, priorities, allowed transitions)
+ * Serves the default workflow until the definition has loaded.
+ *
+ * @returns {Object} - { workflow, loading, error }
+ */
+export function useWorkflow() {
+  const { data, loading, error } = useQuery(WORKFLOW_KEY, fetchWorkflowDefinition, { staleTime: WORKFLOW_STALE_MS })
+  const workflow = useMemo(() => createWorkflow(data || DEFAULT_WORKFLOW), [data])
+
+  return { workflow, loading, error: error ? error.message : null }
+}
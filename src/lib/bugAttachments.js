@@ -0,0 +1,230 @@
+/**
+ * Bug attachments: files of any type stored in the bug bucket (lib/bugImageStorage)
+ * with one `bug_attachments` row each (object path, original name, size, MIME type,
+ * uploader). Files in the reporter's folder without a row - the single screenshot
+ * bugs had before attachments existed - are listed as legacy attachments.
+ */
+
+import { supabase } from './supabaseClient'
+import { uploadBugFile, removeBugObjects, signBugObjectPaths, listBugObjects, invalidateBugImages } from './bugImageStorage'
+import { compressImageToFit } from './imageCompressionClient'
+import { FILE_UPLOAD } from './constants'
+
+const ATTACHMENT_COLUMNS = 'id, bug_id, comment_id, object_path, file_name, size, mime_type, uploaded_by, created_at'
+
+const extensionOf = (fileName) => (fileName || '').split('.').pop().toLowerCase()
+
+/**
+ * MIME type to store for a file, falling back on its extension
+ * @param {File} file
+ * @returns {string}
+ */
+export const getAttachmentType = (file) => (
+  file.type || FILE_UPLOAD.TYPES_BY_EXTENSION[extensionOf(file.name)] || 'application/octet-stream'
+)
+
+/**
+ * How an attachment can be shown: 'image' | 'video' | 'pdf' | 'text' | 'file'
+ */
+export const getAttachmentKind = (mimeType) => {
+  if (!mimeType) return 'file'
+  if (mimeType.startsWith('image/')) return 'image'
+  if (mimeType.startsWith('video/')) return 'video'
+  if (mimeType === 'application/pdf') return 'pdf'
+  if (mimeType.startsWith('text/') || mimeType === 'application/json') return 'text'
+  return 'file'
+}
+
+/**
+ * Human-readable file size
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes == null) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Check a file against the upload limits
+ * @param {File} file
+ * @returns {string|null} - Error message, or null when the file can be uploaded
+ */
+export function validateAttachment(file) {
+  const isVideo = getAttachmentType(file).startsWith('video/')
+  const maxSize = isVideo ? FILE_UPLOAD.MAX_VIDEO_SIZE : FILE_UPLOAD.MAX_SIZE
+  if (file.size === 0) return `${file.name} is empty.`
+  if (file.size > maxSize) return `${file.name} is larger than ${formatFileSize(maxSize)}.`
+  return null
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+/**
+ * Image files on the clipboard of a paste event
+ * Browsers name every pasted screenshot "image.png", so they get a timestamped name instead.
+ *
+ * @param {DataTransfer|null} clipboardData
+ * @returns {File[]} - Empty when the paste holds no image (plain text pastes are left alone)
+ */
+export function getPastedImages(clipboardData) {
+  const images = Array.from(clipboardData?.items || [])
+    .filter((item) => item.kind === 'file' && item.type.startsWith('image/'))
+    .map((item) => item.getAsFile())
+    .filter(Boolean)
+
+  const now = new Date()
+  const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`
+  return images.map((file, index) => {
+    const extension = file.type.split('/')[1].replace('jpeg', 'jpg').replace(/\+.*$/, '')
+    const suffix = images.length > 1 ? `-${index + 1}` : ''
+    return new File([file], `pasted-${stamp}${suffix}.${extension}`, { type: file.type, lastModified: now.getTime() })
+  })
+}
+
+/**
+ * Get picked files ready to attach: images over FILE_UPLOAD.MAX_SIZE are downscaled
+ * and re-encoded first (lib/imageCompressionClient), then every file is validated
+ *
+ * @param {File[]} files
+ * @returns {Promise<Object[]>} - [{ file, originalSize, compressed }]
+ * @throws With a user-facing message when a file cannot be attached
+ */
+export async function prepareAttachmentFiles(files) {
+  const prepared = await Promise.all(files.map(async (file) => {
+    try {
+      return await compressImageToFit(file, { maxSize: FILE_UPLOAD.MAX_SIZE })
+    } catch (err) {
+      console.warn('⚠️ Image compression failed:', file.name, err)
+      return { file, originalSize: file.size, compressed: false }
+    }
+  }))
+
+  const invalid = prepared.map(({ file }) => validateAttachment(file)).find(Boolean)
+  if (invalid) throw new Error(invalid)
+  return prepared
+}
+
+const legacyAttachment = (bug, objectPath) => ({
+  id: objectPath,
+  bug_id: bug.id,
+  object_path: objectPath,
+  file_name: objectPath.split('/').pop(),
+  size: null,
+  mime_type: /\.png$/i.test(objectPath) ? 'image/png' : null,
+  uploaded_by: bug.user_id,
+  comment_id: null,
+  created_at: bug.created_at,
+  legacy: true,
+})
+
+/**
+ * Attachments of a bug, oldest first, each with a signed `url`
+ * @param {Object} bug - Needs id, user_id and created_at
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchBugAttachments(bug) {
+  const [{ data, error }, folderPaths] = await Promise.all([
+    supabase
+      .from('bug_attachments')
+      .select(ATTACHMENT_COLUMNS)
+      .eq('bug_id', bug.id)
+      .order('created_at', { ascending: true }),
+    listBugObjects(bug.user_id, bug.id),
+  ])
+
+  if (error) throw error
+
+  const rows = data || []
+  const known = new Set(rows.map((row) => row.object_path))
+  const attachments = [
+    ...folderPaths.filter((path) => !known.has(path)).map((path) => legacyAttachment(bug, path)),
+    ...rows,
+  ]
+
+  const urls = await signBugObjectPaths(attachments.map((attachment) => attachment.object_path))
+  return attachments.map((attachment) => ({ ...attachment, url: urls.get(attachment.object_path) || null }))
+}
+
+/**
+ * Upload files and record them as attachments of a bug
+ * All or nothing: if any upload or row insert fails, the files already uploaded in
+ * this call are removed again and the error is thrown.
+ *
+ * @param {string} bugId
+ * @param {File[]} files
+ * @param {string} uploaderId
+ * @param {Object} [options] - { commentId } to attach the files to a comment
+ * @returns {Promise<Object[]>} - The new attachment rows
+ */
+export async function uploadBugAttachments(bugId, files, uploaderId, { commentId = null } = {}) {
+  const invalid = files.map(validateAttachment).find(Boolean)
+  if (invalid) throw new Error(invalid)
+
+  const uploaded = []
+  try {
+    for (const file of files) {
+      const mimeType = getAttachmentType(file)
+      const objectPath = await uploadBugFile(file, bugId, mimeType)
+      uploaded.push({
+        bug_id: bugId,
+        comment_id: commentId,
+        object_path: objectPath,
+        file_name: file.name || objectPath.split('/').pop(),
+        size: file.size,
+        mime_type: mimeType,
+        uploaded_by: uploaderId,
+      })
+    }
+
+    const { data, error } = await supabase
+      .from('bug_attachments')
+      .insert(uploaded)
+      .select(ATTACHMENT_COLUMNS)
+
+    if (error) throw new Error(`Failed to save attachments: ${error.message}`)
+    // Previews are looked up from these rows, so drop any "no image" answer cached during the upload
+    invalidateBugImages(uploaderId, bugId)
+    return data || []
+  } catch (err) {
+    await removeBugObjects(uploaded.map((row) => row.object_path))
+    throw err
+  }
+}
+
+/**
+ * Delete one attachment: its row first (so RLS decides), then the file
+ * @param {Object} attachment - From fetchBugAttachments
+ */
+export async function deleteBugAttachment(attachment) {
+  if (!attachment.legacy) {
+    const { data, error } = await supabase
+      .from('bug_attachments')
+      .delete()
+      .eq('id', attachment.id)
+      .select('id')
+
+    if (error) throw error
+    if (!data || data.length === 0) throw new Error('You can only delete your own attachments')
+  }
+
+  const result = await removeBugObjects([attachment.object_path])
+  if (!result.success) throw new Error(`Failed to delete file: ${result.error}`)
+}
+
+/**
+ * Object paths of every attachment row of a bug (for cleanup when the bug is deleted)
+ * @returns {Promise<string[]>}
+ */
+export async function fetchAttachmentPaths(bugId) {
+  const { data, error } = await supabase
+    .from('bug_attachments')
+    .select('object_path')
+    .eq('bug_id', bugId)
+
+  if (error) {
+    console.warn('⚠️ Could not list attachments for cleanup:', error)
+    return []
+  }
+  return (data || []).map((row) => row.object_path)
+}
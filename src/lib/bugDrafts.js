@@ -0,0 +1,107 @@
+/**
+ * CreateBug drafts
+ *
+ * The form fields of each draft are kept in localStorage (useBugDrafts); the
+ * attachments picked for it are kept here in IndexedDB, keyed by draft id, since
+ * files do not fit in localStorage. Each record is
+ * `{ draftId, files: [{ file, originalSize, compressed }], savedAt }`.
+ */
+
+const DB_NAME = 'bug-tracker-drafts'
+const DB_VERSION = 1
+const STORE_NAME = 'attachments'
+
+let dbPromise = null
+
+// Attachments survive in memory (for this tab) when IndexedDB is unavailable
+const memoryAttachments = new Map()
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'draftId' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.warn('⚠️ DRAFTS: IndexedDB unavailable, draft attachments will not survive a reload', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+const withStore = async (mode, run) => {
+  const db = await openDatabase()
+  if (!db) return null
+  const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+  return requestToPromise(run(store))
+}
+
+/**
+ * Store the attachments of a draft, replacing what was stored before
+ * @param {string} draftId
+ * @param {Object[]} files - CreateBug attachment entries: { file, originalSize, compressed }
+ */
+export async function saveDraftAttachments(draftId, files) {
+  const entries = files.map(({ file, originalSize, compressed }) => ({ file, originalSize, compressed }))
+  memoryAttachments.set(draftId, entries)
+  try {
+    if (entries.length === 0) {
+      await withStore('readwrite', (store) => store.delete(draftId))
+    } else {
+      await withStore('readwrite', (store) => store.put({ draftId, files: entries, savedAt: new Date().toISOString() }))
+    }
+  } catch (err) {
+    // Usually the storage quota; the draft text is still saved
+    console.warn('⚠️ DRAFTS: Could not store draft attachments', err)
+  }
+}
+
+/**
+ * Attachments stored for a draft
+ * @returns {Promise<Object[]>} - [{ file, originalSize, compressed }]
+ */
+export async function loadDraftAttachments(draftId) {
+  try {
+    const record = await withStore('readonly', (store) => store.get(draftId))
+    if (record) return record.files
+  } catch (err) {
+    console.warn('⚠️ DRAFTS: Could not read draft attachments', err)
+  }
+  return memoryAttachments.get(draftId) || []
+}
+
+export async function deleteDraftAttachments(draftId) {
+  memoryAttachments.delete(draftId)
+  try {
+    await withStore('readwrite', (store) => store.delete(draftId))
+  } catch (err) {
+    console.warn('⚠️ DRAFTS: Could not delete draft attachments', err)
+  }
+}
+
+/**
+ * Whether the form holds anything worth keeping
+ * Detected browser/OS and an untouched template skeleton do not count.
+ *
+ * @param {Object} draft - { formData, customValues, attachmentCount }
+ * @param {string} [skeleton] - The selected template's description skeleton
+ */
+export function hasDraftContent({ formData, customValues = {}, attachmentCount = 0 }, skeleton = '') {
+  const typed = ['title', 'steps_to_reproduce', 'expected_behavior', 'actual_behavior', 'version']
+    .some((field) => formData[field]?.trim())
+  const described = Boolean(formData.description?.trim()) && formData.description.trim() !== skeleton.trim()
+  const customized = Object.values(customValues).some((value) => (Array.isArray(value) ? value.length > 0 : value != null && value !== ''))
+  return typed || described || customized || attachmentCount > 0
+}
+
+export const getDraftName = (formData) => formData.title?.trim() || 'Untitled draft'
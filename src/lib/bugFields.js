@@ -0,0 +1,208 @@
+/**
+ * Structured bug report fields
+ *
+ * Steps to reproduce, expected/actual behaviour and environment are stored in
+ * their own columns. Bugs filed before that change have them folded into
+ * `description` as markdown; the helpers here split that legacy format back out
+ * (for display of unmigrated rows, and for the one-time migration below).
+ */
+
+import { supabase } from './supabaseClient'
+import { BUG_EDIT_PERMISSION } from './constants'
+
+// Legacy markers written by the old CreateBug.handleSubmit
+const LEGACY_STEPS_DELIMITER = '\n\n---\n\n**Steps to Reproduce:**\n\n'
+const LEGACY_SECTION_BREAK = '\n\n---'
+const LEGACY_ENVIRONMENT_PATTERN = /\n\n\*\*Environment:\*\* ([^\n]*)$/
+const LEGACY_ACTUAL_PATTERN = /\n\n\*\*Actual:\*\* ([\s\S]*)$/
+const LEGACY_EXPECTED_PATTERN = /\n\n\*\*Expected:\*\* ([\s\S]*)$/
+const LEGACY_MARKERS = ['**Steps to Reproduce:**', '**Expected:**', '**Actual:**', '**Environment:**']
+
+export const ENVIRONMENT_KEYS = ['browser', 'os', 'version']
+
+// Fields that can be corrected on BugDetail after filing (useBugMutations().updateBugFields)
+export const EDITABLE_BUG_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'steps_to_reproduce', label: 'Steps to Reproduce' },
+  { key: 'expected_behavior', label: 'Expected Behavior' },
+  { key: 'actual_behavior', label: 'Actual Behavior' },
+]
+
+/**
+ * Whether a user may edit a bug's fields, per BUG_EDIT_PERMISSION
+ * Admins and the reporter always can.
+ */
+export function canEditBugFields(bug, userId, isAdmin = false) {
+  if (!bug || !userId) return false
+  if (isAdmin || bug.user_id === userId) return true
+  if (BUG_EDIT_PERMISSION === 'everyone') return true
+  return BUG_EDIT_PERMISSION === 'reporter_or_assignee' && bug.assigned_to === userId
+}
+
+/**
+ * Build an environment object, dropping empty values
+ * @returns {Object|null} - { browser, os, version } or null when nothing is set
+ */
+export function buildEnvironment({ browser, os, version } = {}) {
+  const environment = {}
+  if (browser?.trim()) environment.browser = browser.trim()
+  if (os?.trim()) environment.os = os.trim()
+  if (version?.trim()) environment.version = version.trim().replace(/^v(?=\d)/i, '')
+  return Object.keys(environment).length > 0 ? environment : null
+}
+
+/**
+ * Human-readable environment, e.g. "Chrome 120 / macOS 14.2 / v1.2.3"
+ */
+export function formatEnvironment(environment) {
+  if (!environment) return ''
+  return [
+    environment.browser,
+    environment.os,
+    environment.version ? `v${environment.version}` : null,
+  ].filter(Boolean).join(' / ')
+}
+
+export function hasLegacyFields(description) {
+  return Boolean(description) && LEGACY_MARKERS.some((marker) => description.includes(marker))
+}
+
+/**
+ * Split a legacy folded description into structured fields
+ * Sections are peeled off the end in the reverse order they were appended.
+ *
+ * @param {string} description
+ * @returns {Object} - { description, steps_to_reproduce, expected_behavior, actual_behavior, environment }
+ */
+export function parseLegacyDescription(description) {
+  let remaining = description || ''
+  let environment = null
+  let actual = null
+  let expected = null
+  let steps = null
+
+  const environmentMatch = remaining.match(LEGACY_ENVIRONMENT_PATTERN)
+  if (environmentMatch) {
+    const [browser, os, version] = environmentMatch[1].split(' / ').map((part) => part.trim())
+    environment = buildEnvironment({ browser, os, version })
+    remaining = remaining.slice(0, environmentMatch.index)
+  }
+
+  const actualMatch = remaining.match(LEGACY_ACTUAL_PATTERN)
+  if (actualMatch) {
+    actual = actualMatch[1].trim() || null
+    remaining = remaining.slice(0, actualMatch.index)
+  }
+
+  const expectedMatch = remaining.match(LEGACY_EXPECTED_PATTERN)
+  if (expectedMatch) {
+    expected = expectedMatch[1].trim() || null
+    remaining = remaining.slice(0, expectedMatch.index)
+  }
+
+  if ((actualMatch || expectedMatch) && remaining.endsWith(LEGACY_SECTION_BREAK)) {
+    remaining = remaining.slice(0, -LEGACY_SECTION_BREAK.length)
+  }
+
+  const stepsIndex = remaining.indexOf(LEGACY_STEPS_DELIMITER)
+  if (stepsIndex !== -1) {
+    steps = remaining.slice(stepsIndex + LEGACY_STEPS_DELIMITER.length).trim() || null
+    remaining = remaining.slice(0, stepsIndex)
+  }
+
+  return {
+    description: remaining.trim(),
+    steps_to_reproduce: steps,
+    expected_behavior: expected,
+    actual_behavior: actual,
+    environment,
+  }
+}
+
+/**
+ * Normalise a bug row for display
+ * Structured columns win; unmigrated rows fall back to parsing the description.
+ */
+export function normalizeBugFields(bug) {
+  if (!bug) return bug
+  const hasStructured = bug.steps_to_reproduce || bug.expected_behavior || bug.actual_behavior || bug.environment
+  if (hasStructured || !hasLegacyFields(bug.description)) {
+    return {
+      ...bug,
+      steps_to_reproduce: bug.steps_to_reproduce || null,
+      expected_behavior: bug.expected_behavior || null,
+      actual_behavior: bug.actual_behavior || null,
+      environment: bug.environment || null,
+    }
+  }
+  return { ...bug, ...parseLegacyDescription(bug.description) }
+}
+
+/**
+ * One-time migration: move legacy folded descriptions into structured columns
+ * Only rows with no structured values yet are touched, so re-running is safe.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.dryRun=false] - Parse and count without writing
+ * @param {number} [options.batchSize=200] - Rows fetched per request
+ * @returns {Promise<Object>} - { success, scanned, migrated, failed: [{ id, error }] }
+ */
+export async function migrateLegacyBugDescriptions({ dryRun = false, batchSize = 200 } = {}) {
+  const result = { success: true, scanned: 0, migrated: 0, failed: [] }
+  const markerFilter = LEGACY_MARKERS.map((marker) => `description.ilike."*${marker.replace(/\*/g, '')}*"`).join(',')
+
+  try {
+    // Keyset paging: migrated rows drop out of the marker filter, so offsets would skip rows
+    let lastId = null
+    while (true) {
+      let query = supabase
+        .from('bugs')
+        .select('id, description, steps_to_reproduce, expected_behavior, actual_behavior, environment')
+        .or(markerFilter)
+        .order('id')
+        .limit(batchSize)
+      if (lastId) query = query.gt('id', lastId)
+
+      const { data, error } = await query
+
+      if (error) throw error
+      if (!data || data.length === 0) break
+
+      for (const bug of data) {
+        result.scanned += 1
+        const alreadyStructured = bug.steps_to_reproduce || bug.expected_behavior || bug.actual_behavior || bug.environment
+        if (alreadyStructured || !hasLegacyFields(bug.description)) continue
+
+        const fields = parseLegacyDescription(bug.description)
+        if (dryRun) {
+          result.migrated += 1
+          continue
+        }
+
+        const { error: updateError } = await supabase
+          .from('bugs')
+          .update(fields)
+          .eq('id', bug.id)
+
+        if (updateError) {
+          result.failed.push({ id: bug.id, error: updateError.message })
+        } else {
+          result.migrated += 1
+        }
+      }
+
+      if (data.length < batchSize) break
+      lastId = data[data.length - 1].id
+    }
+  } catch (err) {
+    console.error('❌ MIGRATION: Legacy description migration failed:', err)
+    return { ...result, success: false, error: err.message }
+  }
+
+  if (result.failed.length > 0) {
+    console.error('❌ MIGRATION: Some bugs could not be migrated:', result.failed)
+  }
+  return result
+}
@@ -6,13 +6,20 @@
  * 2. NEVER reused for avatar uploads - separate concerns
  * 3. MUST fail loudly on errors - no silent failures
  * 4. NO shared logic with avatar uploads
- * 5. Required parameters: imageFile, bugTitle, reporter object
+ * 5. Required parameters: file, bugId
  * 
- * PHASE 3 — BUG IMAGE LIFECYCLE:
- * - Images are uploaded with upsert: true (replaces if exists)
- * - Old images are automatically replaced when bug image is updated
- * - Images are explicitly deleted when bug is deleted (see deleteBugImages)
- * - Filename format ensures uniqueness per bug: {title}-{reporter}.png
+ * PHASE 3 — BUG FILE LIFECYCLE:
+ * - Every upload gets its own object: bugs/{uploader}/{bugId}/{uuid}-{original name}
+ * - Uploads never overwrite (upsert: false); metadata rows live in bug_attachments (lib/bugAttachments)
+ * - Files are explicitly deleted with their attachment row, and with the bug (see deleteBugImages)
+ * - Bugs reported before attachments existed hold a single {title}-{reporter}.png
+ *
+ * PREVIEW CACHE:
+ * - A bug's preview is its first image attachment (bug_attachments, not comment uploads)
+ * - A page of bugs is resolved with ONE bug_attachments query, never one storage listing per bug
+ * - Signed URLs are short-lived and cached by object path (memory + sessionStorage)
+ * - A page of bugs is signed with ONE createSignedUrls call, never one call per bug
+ * - Cached URLs are treated as stale shortly before expiry and re-signed
  * 
  * This module is FORBIDDEN from being used for avatar operations.
  * Avatar uploads have their own dedicated logic.
@@ -26,6 +33,150 @@ const BUG_IMAGE_ROOT = 'bugs'
 
 const buildObjectPath = (ownerId, bugId, fileName) => `${BUG_IMAGE_ROOT}/${ownerId}/${bugId}/${fileName}`
 
+const IMAGE_PATH = /\.(png|jpe?g|gif|webp|avif|bmp)$/i
+const isImagePath = (path) => IMAGE_PATH.test(path)
+
+// PREVIEW CACHE: signed URL lifetime and how early to re-sign before it lapses
+const SIGNED_URL_TTL_SECONDS = 60 * 60
+const RESIGN_MARGIN_MS = 5 * 60 * 1000
+// Folder listings change rarely (upload/delete), but other reporters may still be uploading
+const LISTING_TTL_MS = 5 * 60 * 1000
+// Live-inserted bugs are listed before their image upload finishes - retry empty folders sooner
+const EMPTY_LISTING_TTL_MS = 30 * 1000
+// PostgREST `in()` filters go in the URL - keep bug id batches well under URL length limits
+const PREVIEW_BATCH_SIZE = 100
+const SIGNED_URL_STORAGE_KEY = 'bug-image-signed-urls'
+
+// objectPath -> { url, expiresAt }
+const signedUrlCache = new Map()
+// `${ownerId}/${bugId}` -> { paths, fetchedAt }
+const listingCache = new Map()
+const pendingListings = new Map()
+// bugId -> { path, fetchedAt } (path is null when the bug has no image)
+const previewPathCache = new Map()
+let sessionCacheLoaded = false
+
+const buildBugPrefix = (ownerId, bugId) => `${BUG_IMAGE_ROOT}/${ownerId}/${bugId}`
+
+const loadSessionCache = () => {
+  if (sessionCacheLoaded) return
+  sessionCacheLoaded = true
+  try {
+    const stored = JSON.parse(window.sessionStorage.getItem(SIGNED_URL_STORAGE_KEY) || '{}')
+    Object.entries(stored).forEach(([path, entry]) => {
+      if (entry?.url && entry.expiresAt > Date.now() + RESIGN_MARGIN_MS) {
+        signedUrlCache.set(path, entry)
+      }
+    })
+  } catch (err) {
+    console.warn('⚠️ STORAGE: Ignoring unreadable signed URL cache:', err)
+  }
+}
+
+const persistSessionCache = () => {
+  try {
+    const now = Date.now()
+    const entries = {}
+    signedUrlCache.forEach((entry, path) => {
+      if (entry.expiresAt > now) entries[path] = entry
+    })
+    window.sessionStorage.setItem(SIGNED_URL_STORAGE_KEY, JSON.stringify(entries))
+  } catch (err) {
+    console.warn('⚠️ STORAGE: Could not persist signed URL cache:', err)
+  }
+}
+
+const getFreshCacheEntry = (objectPath) => {
+  loadSessionCache()
+  const entry = signedUrlCache.get(objectPath)
+  if (!entry || entry.expiresAt - RESIGN_MARGIN_MS <= Date.now()) return null
+  return entry
+}
+
+/**
+ * Sign a batch of object paths, reusing cached URLs that are not about to expire
+ * @param {string[]} objectPaths
+ * @returns {Promise<Map<string, string>>} objectPath -> signed URL (failed paths omitted)
+ */
+async function signObjectPaths(objectPaths) {
+  const result = new Map()
+  const missing = []
+
+  ;[...new Set(objectPaths)].forEach((path) => {
+    const cached = getFreshCacheEntry(path)
+    if (cached) {
+      result.set(path, cached.url)
+    } else {
+      missing.push(path)
+    }
+  })
+
+  if (missing.length === 0) return result
+
+  const signedAt = Date.now()
+  const { data, error } = await supabase.storage
+    .from(BUG_IMAGES_BUCKET)
+    .createSignedUrls(missing, SIGNED_URL_TTL_SECONDS)
+
+  if (error) {
+    console.error('❌ STORAGE: Batch signing failed:', { bucket: BUG_IMAGES_BUCKET, count: missing.length, error: error.message })
+    return result
+  }
+
+  const expiresAt = signedAt + SIGNED_URL_TTL_SECONDS * 1000
+  ;(data || []).forEach((item) => {
+    if (item.error || !item.signedUrl || !item.path) return
+    signedUrlCache.set(item.path, { url: item.signedUrl, expiresAt })
+    result.set(item.path, item.signedUrl)
+  })
+  persistSessionCache()
+
+  return result
+}
+
+/**
+ * List the object paths stored for a bug (cached, in-flight requests shared)
+ */
+async function listBugObjectPaths(ownerId, bugId) {
+  const key = `${ownerId}/${bugId}`
+  const cached = listingCache.get(key)
+  const ttl = cached?.paths.length ? LISTING_TTL_MS : EMPTY_LISTING_TTL_MS
+  if (cached && Date.now() - cached.fetchedAt < ttl) return cached.paths
+  if (pendingListings.has(key)) return pendingListings.get(key)
+
+  const prefix = buildBugPrefix(ownerId, bugId)
+  const request = supabase.storage
+    .from(BUG_IMAGES_BUCKET)
+    .list(prefix, { limit: 100 })
+    .then(({ data: files, error }) => {
+      if (error) return []
+      const paths = (files || [])
+        .filter((file) => file.name && !file.name.startsWith('.'))
+        .map((file) => `${prefix}/${file.name}`)
+      listingCache.set(key, { paths, fetchedAt: Date.now() })
+      return paths
+    })
+    .finally(() => pendingListings.delete(key))
+
+  pendingListings.set(key, request)
+  return request
+}
+
+/**
+ * Drop cached listings and URLs for a bug after its images change
+ */
+export function invalidateBugImages(ownerId, bugId) {
+  if (!ownerId || !bugId) return
+  const prefix = buildBugPrefix(ownerId, bugId)
+  listingCache.delete(`${ownerId}/${bugId}`)
+  previewPathCache.delete(bugId)
+  loadSessionCache()
+  ;[...signedUrlCache.keys()]
+    .filter((path) => path.startsWith(`${prefix}/`))
+    .forEach((path) => signedUrlCache.delete(path))
+  persistSessionCache()
+}
+
 const getCurrentUserId = async () => {
   const { data: userData, error: userError } = await supabase.auth.getUser()
   const userId = userData?.user?.id || null
@@ -36,139 +187,208 @@ const getCurrentUserId = async () => {
 }
 
 /**
- * Upload a bug image to Supabase Storage "Bug images" bucket
+ * Sign object paths in the bug bucket (cached and batched like previews)
+ * @param {string[]} objectPaths
+ * @returns {Promise<Map<string, string>>} objectPath -> signed URL
+ */
+export function signBugObjectPaths(objectPaths) {
+  return signObjectPaths(objectPaths || [])
+}
+
+// Keep the original name readable in the object path, without characters storage rejects
+const sanitizeFileName = (fileName) => {
+  const cleaned = fileName
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/^[-.]+|-+$/g, '')
+  return cleaned.slice(-80) || 'file'
+}
+
+/**
+ * Upload one file for a bug to Supabase Storage "Bug images" bucket
  * 
- * STORAGE ISOLATION INVARIANT: This function is ONLY for bug images.
+ * STORAGE ISOLATION INVARIANT: This function is ONLY for bug files.
  * DO NOT use this for avatar uploads. DO NOT parameterize the bucket.
  * 
- * @param {File} imageFile - The image file to upload (REQUIRED)
- * @param {string} bugTitle - The bug title for filename (REQUIRED)
- * @param {Object} reporter - Reporter info with full_name, username, email (REQUIRED)
- * @returns {Promise<string>} The public URL of the uploaded image
+ * @param {File} file - The file to upload (REQUIRED, any type)
+ * @param {string} bugId - The bug it belongs to (REQUIRED)
+ * @param {string} contentType - MIME type to store it with
+ * @returns {Promise<string>} The new object path (unique, never overwritten)
  * @throws {Error} If upload fails, validation fails, or invariants violated
  */
-export async function uploadBugImage(imageFile, bugId, bugTitle, reporter) {
+export async function uploadBugFile(file, bugId, contentType) {
   // STORAGE ISOLATION INVARIANT: Validate ALL required parameters
-  if (!imageFile) {
-    throw new Error('INVARIANT VIOLATION: imageFile is required for bug image upload')
+  if (!file) {
+    throw new Error('INVARIANT VIOLATION: file is required for bug file upload')
   }
   if (!bugId || typeof bugId !== 'string') {
-    throw new Error('INVARIANT VIOLATION: bugId is required for bug image upload')
-  }
-  
-  if (!bugTitle || typeof bugTitle !== 'string' || bugTitle.trim().length === 0) {
-    throw new Error('INVARIANT VIOLATION: Valid bugTitle is required for bug image upload')
+    throw new Error('INVARIANT VIOLATION: bugId is required for bug file upload')
   }
-  
-  if (!reporter || typeof reporter !== 'object') {
-    throw new Error('INVARIANT VIOLATION: reporter object is required for bug image upload')
-  }
-  
-  // STORAGE ISOLATION: Determine reporter name with strict priority
-  const reportedBy = reporter.full_name || 
-                     reporter.username || 
-                     (reporter.email ? reporter.email.split('@')[0] : null)
-  
-  if (!reportedBy) {
-    throw new Error('INVARIANT VIOLATION: Could not determine reporter name from profile')
-  }
-  
-  // Sanitize bug title for filename
-  const sanitizedTitle = bugTitle
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .substring(0, 50)
-  
-  if (sanitizedTitle.length === 0) {
-    throw new Error('INVARIANT VIOLATION: Bug title resulted in empty filename after sanitization')
-  }
-  
-  // Sanitize reporter name
-  const sanitizedReporter = reportedBy
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-  
-  if (sanitizedReporter.length === 0) {
-    throw new Error('INVARIANT VIOLATION: Reporter name resulted in empty string after sanitization')
-  }
-  
-  // Build strict filename format
-  const fileName = `${sanitizedTitle}-${sanitizedReporter}.png`
 
   // RLS COMPLIANCE: Object path must be prefixed with auth.uid()
   const userId = await getCurrentUserId()
-  const objectPath = buildObjectPath(userId, bugId, fileName)
-  
+  const objectPath = buildObjectPath(userId, bugId, `${crypto.randomUUID()}-${sanitizeFileName(file.name || 'file')}`)
+
   // STORAGE ISOLATION INVARIANT: Upload to hardcoded bucket ONLY
   const { error: uploadError } = await supabase.storage
     .from(BUG_IMAGES_BUCKET) // INVARIANT: Uses constant, never parameterized
-    .upload(objectPath, imageFile, { upsert: true })
-  
+    .upload(objectPath, file, { upsert: false, contentType })
+
   if (uploadError) {
     // DB/RLS AUDIT: Fail loudly with detailed error
-    console.error('❌ STORAGE: Bug image upload failed:', {
+    console.error('❌ STORAGE: Bug file upload failed:', {
       bucket: BUG_IMAGES_BUCKET,
-      fileName,
+      objectPath,
       code: uploadError.statusCode,
       message: uploadError.message
     })
-    throw new Error(`Failed to upload bug image: ${uploadError.message}`)
-  }
-  
-  // STORAGE COMPLIANCE: Use signed URL for PRIVATE bucket (valid for 1 year)
-  const { data, error: urlError } = await supabase.storage
-    .from(BUG_IMAGES_BUCKET)
-    .createSignedUrl(objectPath, 31536000) // 1 year in seconds
-  
-  if (urlError || !data || !data.signedUrl) {
-    // DB/RLS AUDIT: Fail loudly if URL generation fails
-    console.error('❌ STORAGE: Failed to generate signed URL for bug image:', {
-      bucket: BUG_IMAGES_BUCKET,
-      fileName,
-      error: urlError
-    })
-    throw new Error('Failed to generate signed URL for uploaded bug image')
+    throw new Error(`Failed to upload ${file.name || 'file'}: ${uploadError.message}`)
   }
-  
+
+  invalidateBugImages(userId, bugId)
+
   // PERF POLISH: Remove noisy success log in production
   if (process.env.NODE_ENV === 'development') {
-    console.log('✅ Bug image uploaded:', objectPath)
+    console.log('✅ Bug file uploaded:', objectPath)
   }
-  
-  return data.signedUrl
+
+  return objectPath
+}
+
+/**
+ * Remove specific objects from the bug bucket
+ * @param {string[]} objectPaths
+ * @returns {Promise<Object>} - { success, error? }
+ */
+export async function removeBugObjects(objectPaths) {
+  const paths = [...new Set((objectPaths || []).filter(Boolean))]
+  if (paths.length === 0) return { success: true }
+
+  paths.forEach((path) => {
+    const [, ownerId, bugId] = path.split('/')
+    invalidateBugImages(ownerId, bugId)
+  })
+
+  const { error } = await supabase.storage.from(BUG_IMAGES_BUCKET).remove(paths)
+  if (error) {
+    console.error('❌ STORAGE LIFECYCLE: Bug file delete failed:', {
+      bucket: BUG_IMAGES_BUCKET,
+      count: paths.length,
+      error: error.message
+    })
+    return { success: false, error: error.message }
+  }
+  return { success: true }
+}
+
+/**
+ * Object paths in a reporter's folder for a bug (includes files from before attachment rows existed)
+ */
+export async function listBugObjects(ownerId, bugId) {
+  if (!ownerId || !bugId) return []
+  return listBugObjectPaths(ownerId, bugId)
 }
 
 export async function listBugImages(ownerId, bugId) {
   if (!ownerId || !bugId) return []
-  const prefix = `${BUG_IMAGE_ROOT}/${ownerId}/${bugId}`
+  const paths = await listBugObjectPaths(ownerId, bugId)
+  const signed = await signObjectPaths(paths)
+  return paths.map((path) => signed.get(path)).filter(Boolean)
+}
 
-  const { data: files, error } = await supabase.storage
-    .from(BUG_IMAGES_BUCKET)
-    .list(prefix, { limit: 20 })
+const getFreshPreviewPath = (bugId) => {
+  const cached = previewPathCache.get(bugId)
+  const ttl = cached?.path ? LISTING_TTL_MS : EMPTY_LISTING_TTL_MS
+  return cached && Date.now() - cached.fetchedAt < ttl ? cached : null
+}
 
-  if (error || !files || files.length === 0) return []
+/**
+ * First image attachment of each bug, from bug_attachments in batches of ids (cached)
+ * @param {string[]} bugIds
+ * @returns {Promise<Map<string, string|null>>} bugId -> object path
+ */
+async function fetchPreviewPaths(bugIds) {
+  const result = new Map()
+  const missing = []
+  bugIds.forEach((bugId) => {
+    const cached = getFreshPreviewPath(bugId)
+    if (cached) {
+      result.set(bugId, cached.path)
+    } else {
+      missing.push(bugId)
+    }
+  })
 
-  const signed = await Promise.all(files.map(async (file) => {
-    const { data: signedUrlData, error: urlError } = await supabase.storage
-      .from(BUG_IMAGES_BUCKET)
-      .createSignedUrl(`${prefix}/${file.name}`, 31536000)
-    if (urlError || !signedUrlData?.signedUrl) return null
-    return signedUrlData.signedUrl
-  }))
+  for (let i = 0; i < missing.length; i += PREVIEW_BATCH_SIZE) {
+    const batch = missing.slice(i, i + PREVIEW_BATCH_SIZE)
+    const { data, error } = await supabase
+      .from('bug_attachments')
+      .select('bug_id, object_path, mime_type')
+      .in('bug_id', batch)
+      .is('comment_id', null)
+      .order('created_at', { ascending: true })
 
-  return signed.filter(Boolean)
+    if (error) {
+      console.error('❌ STORAGE: Preview lookup failed:', { count: batch.length, error: error.message })
+      continue
+    }
+
+    const fetchedAt = Date.now()
+    batch.forEach((bugId) => result.set(bugId, null))
+    ;(data || []).forEach((row) => {
+      const isImage = row.mime_type ? row.mime_type.startsWith('image/') : isImagePath(row.object_path)
+      if (isImage && !result.get(row.bug_id)) result.set(row.bug_id, row.object_path)
+    })
+    batch.forEach((bugId) => previewPathCache.set(bugId, { path: result.get(bugId), fetchedAt }))
+  }
+
+  return result
+}
+
+/**
+ * Resolve preview images for a whole page of bugs
+ * Object paths come from one bug_attachments query per batch (and are cached);
+ * signing is a single batched request.
+ *
+ * @param {Array<{ id: string }>} bugs
+ * @returns {Promise<Map<string, string|null>>} bugId -> preview URL
+ */
+export async function resolveBugPreviewImages(bugs) {
+  const previews = new Map()
+  const bugIds = [...new Set((bugs || []).map((bug) => bug?.id).filter(Boolean))]
+  if (bugIds.length === 0) return previews
+
+  const paths = await fetchPreviewPaths(bugIds)
+  const signed = await signObjectPaths([...paths.values()].filter(Boolean))
+  bugIds.forEach((bugId) => {
+    const path = paths.get(bugId)
+    previews.set(bugId, path ? signed.get(path) || null : null)
+  })
+
+  return previews
 }
 
 export async function getBugPreviewImage(ownerId, bugId) {
-  const images = await listBugImages(ownerId, bugId)
-  return images[0] || null
+  if (!ownerId || !bugId) return null
+  const previews = await resolveBugPreviewImages([{ id: bugId, user_id: ownerId }])
+  return previews.get(bugId) || null
+}
+
+/**
+ * Milliseconds until a bug's cached preview should be re-signed, or null if nothing is cached
+ */
+export function getBugPreviewRefreshDelay(bugId) {
+  const path = previewPathCache.get(bugId)?.path
+  if (!path) return null
+  const entry = getFreshCacheEntry(path)
+  if (!entry) return 0
+  return Math.max(entry.expiresAt - RESIGN_MARGIN_MS - Date.now(), 0)
 }
 
 export async function deleteBugImages(ownerId, bugId) {
   if (!ownerId || !bugId) return { success: true }
-  const prefix = `${BUG_IMAGE_ROOT}/${ownerId}/${bugId}`
+  const prefix = buildBugPrefix(ownerId, bugId)
+  invalidateBugImages(ownerId, bugId)
   try {
     const { data: files, error: listError } = await supabase.storage
       .from(BUG_IMAGES_BUCKET)
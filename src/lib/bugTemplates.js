@@ -0,0 +1,136 @@
+import { ENVIRONMENT_KEYS } from './bugFields'
+
+/**
+ * Bug report templates ("Bug", "Feature Request", ...)
+ *
+ * A template is chosen on CreateBug and stored as the bug's `category`. It carries a
+ * description skeleton, which structured sections the form shows and which of those
+ * must be filled in, a default priority and default labels. Admins manage them on
+ * /admin/templates (`bug_templates`, useBugTemplates); the built-in set below is
+ * offered until the table has rows, or when it cannot be loaded.
+ */
+
+// Optional parts of the CreateBug form a template can show or require
+export const TEMPLATE_SECTIONS = [
+  { key: 'steps_to_reproduce', label: 'Steps to Reproduce' },
+  { key: 'expected_behavior', label: 'Expected Behavior' },
+  { key: 'actual_behavior', label: 'Actual Behavior' },
+  { key: 'environment', label: 'Environment' },
+]
+
+const SECTION_KEYS = TEMPLATE_SECTIONS.map((section) => section.key)
+
+export const DEFAULT_BUG_TEMPLATES = [
+  {
+    id: 'builtin:bug',
+    name: 'Bug',
+    description_template: '',
+    sections: SECTION_KEYS,
+    required_sections: ['steps_to_reproduce'],
+    default_priority: null,
+    default_label_ids: [],
+    is_default: true,
+  },
+  {
+    id: 'builtin:feature',
+    name: 'Feature Request',
+    description_template: '## Problem\n\n\n## Proposed solution\n\n\n## Alternatives considered\n\n',
+    sections: [],
+    required_sections: [],
+    default_priority: null,
+    default_label_ids: [],
+    is_default: false,
+  },
+  {
+    id: 'builtin:security',
+    name: 'Security Issue',
+    description_template: '## Vulnerability\n\n\n## Impact\n\n\n## Affected versions\n\n',
+    sections: SECTION_KEYS,
+    required_sections: ['steps_to_reproduce', 'environment'],
+    default_priority: null,
+    default_label_ids: [],
+    is_default: false,
+  },
+  {
+    id: 'builtin:performance',
+    name: 'Performance Regression',
+    description_template: '## What got slower\n\n\n## Measurements (before / after)\n\n\n## Last known good version\n\n',
+    sections: SECTION_KEYS,
+    required_sections: ['steps_to_reproduce', 'environment'],
+    default_priority: null,
+    default_label_ids: [],
+    is_default: false,
+  },
+]
+
+/**
+ * Normalise a `bug_templates` row: known section keys only, required sections always shown
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function normalizeBugTemplate(row) {
+  const required = (row.required_sections || []).filter((key) => SECTION_KEYS.includes(key))
+  const shown = new Set([...(row.sections || []), ...required])
+  return {
+    ...row,
+    description_template: row.description_template || '',
+    sections: SECTION_KEYS.filter((key) => shown.has(key)),
+    required_sections: required,
+    default_priority: row.default_priority || null,
+    default_label_ids: row.default_label_ids || [],
+    is_default: Boolean(row.is_default),
+  }
+}
+
+/**
+ * Template preselected on CreateBug: the one marked default, else the first
+ */
+export const getDefaultBugTemplate = (templates) => templates.find((template) => template.is_default) || templates[0] || null
+
+const sectionFilled = (key, data) => (
+  key === 'environment'
+    ? ENVIRONMENT_KEYS.some((envKey) => data[envKey]?.trim())
+    : Boolean(data[key]?.trim())
+)
+
+/**
+ * Required sections the form data leaves empty
+ * @param {Object} template
+ * @param {Object} data - CreateBug form data
+ * @returns {Object[]} - Entries of TEMPLATE_SECTIONS
+ */
+export function getMissingSections(template, data) {
+  if (!template) return []
+  return TEMPLATE_SECTIONS.filter((section) => (
+    template.required_sections.includes(section.key) && !sectionFilled(section.key, data)
+  ))
+}
+
+const sameIds = (a, b) => a.length === b.length && [...a].sort().join() === [...b].sort().join()
+
+/**
+ * Switch the template's defaults on a report in progress
+ * A value is only replaced while it is empty or still what the previous template put
+ * there, so switching templates never throws away what the reporter typed or picked.
+ *
+ * @param {Object} values - { description, priority, labelIds } ('' priority = workflow default)
+ * @param {Object|null} previous - Template applied so far
+ * @param {Object} next - Template being applied
+ * @param {Object} context - { priorityNames, labelIds } known to the app; unknown defaults are dropped
+ * @returns {Object} - { description, priority, labelIds }
+ */
+export function applyTemplateDefaults(values, previous, next, { priorityNames = [], labelIds = [] } = {}) {
+  const defaultsOf = (template) => ({
+    description: template?.description_template || '',
+    priority: priorityNames.includes(template?.default_priority) ? template.default_priority : '',
+    labelIds: (template?.default_label_ids || []).filter((id) => labelIds.includes(id)),
+  })
+  const before = defaultsOf(previous)
+  const after = defaultsOf(next)
+
+  return {
+    description: !values.description.trim() || values.description === before.description ? after.description : values.description,
+    priority: !values.priority || values.priority === before.priority ? after.priority : values.priority,
+    labelIds: values.labelIds.length === 0 || sameIds(values.labelIds, before.labelIds) ? after.labelIds : values.labelIds,
+  }
+}
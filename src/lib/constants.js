@@ -3,53 +3,183 @@
  * Centralizing these values makes the app easier to maintain
  */
 
-// Bug status options
-export const BUG_STATUSES = {
-  OPEN: 'Open',
-  IN_PROGRESS: 'In Progress',
-  RESOLVED: 'Resolved',
+// Workflow status categories: what a status means regardless of its name
+export const STATUS_CATEGORIES = {
+  OPEN: 'open',
+  ACTIVE: 'active',
+  DONE: 'done',
 }
 
-export const BUG_STATUS_LIST = [
-  BUG_STATUSES.OPEN,
-  BUG_STATUSES.IN_PROGRESS,
-  BUG_STATUSES.RESOLVED,
-]
-
-// Bug priority options
-export const BUG_PRIORITIES = {
-  LOW: 'Low',
-  MEDIUM: 'Medium',
-  HIGH: 'High',
+// Built-in workflow, used until the workflow_* tables are set up (see lib/workflow)
+// Priorities are listed from least to most severe; an empty transition list allows every move.
+export const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: 'Open', position: 1, color: 'blue', category: STATUS_CATEGORIES.OPEN, is_initial: true },
+    { name: 'In Progress', position: 2, color: 'purple', category: STATUS_CATEGORIES.ACTIVE, is_initial: false },
+    { name: 'Resolved', position: 3, color: 'emerald', category: STATUS_CATEGORIES.DONE, is_initial: false },
+  ],
+  priorities: [
+    { name: 'Low', position: 1, color: 'emerald', description: 'Minor issue, workaround exists', is_default: false },
+    { name: 'Medium', position: 2, color: 'amber', description: 'Causes inconvenience', is_default: true },
+    { name: 'High', position: 3, color: 'red', description: 'Critical, blocks workflow', is_default: false },
+  ],
+  transitions: [],
 }
 
-export const BUG_PRIORITY_LIST = [
-  BUG_PRIORITIES.LOW,
-  BUG_PRIORITIES.MEDIUM,
-  BUG_PRIORITIES.HIGH,
-]
-
-// Priority sort order (for sorting bugs by priority)
-export const PRIORITY_ORDER = {
-  [BUG_PRIORITIES.HIGH]: 1,
-  [BUG_PRIORITIES.MEDIUM]: 2,
-  [BUG_PRIORITIES.LOW]: 3,
+// Workflow colours: statuses and priorities store the key, classes stay literal for Tailwind
+export const WORKFLOW_COLORS = {
+  slate: {
+    badge: 'bg-slate-50 text-slate-700 border-slate-200',
+    pill: 'bg-slate-100 text-slate-700',
+    dot: 'bg-slate-500',
+    light: 'bg-slate-100',
+    soft: 'bg-slate-50',
+    icon: 'text-slate-600',
+    stroke: 'text-slate-500',
+    accent: 'border-l-slate-500',
+    selected: 'border-slate-500 bg-slate-50',
+    hover: 'hover:border-slate-300',
+  },
+  red: {
+    badge: 'bg-red-50 text-red-700 border-red-200',
+    pill: 'bg-red-100 text-red-700',
+    dot: 'bg-red-500',
+    light: 'bg-red-100',
+    soft: 'bg-red-50',
+    icon: 'text-red-600',
+    stroke: 'text-red-500',
+    accent: 'border-l-red-500',
+    selected: 'border-red-500 bg-red-50',
+    hover: 'hover:border-red-300',
+  },
+  orange: {
+    badge: 'bg-orange-50 text-orange-700 border-orange-200',
+    pill: 'bg-orange-100 text-orange-700',
+    dot: 'bg-orange-500',
+    light: 'bg-orange-100',
+    soft: 'bg-orange-50',
+    icon: 'text-orange-600',
+    stroke: 'text-orange-500',
+    accent: 'border-l-orange-500',
+    selected: 'border-orange-500 bg-orange-50',
+    hover: 'hover:border-orange-300',
+  },
+  amber: {
+    badge: 'bg-amber-50 text-amber-700 border-amber-200',
+    pill: 'bg-amber-100 text-amber-700',
+    dot: 'bg-amber-500',
+    light: 'bg-amber-100',
+    soft: 'bg-amber-50',
+    icon: 'text-amber-600',
+    stroke: 'text-amber-500',
+    accent: 'border-l-amber-500',
+    selected: 'border-amber-500 bg-amber-50',
+    hover: 'hover:border-amber-300',
+  },
+  green: {
+    badge: 'bg-green-50 text-green-700 border-green-200',
+    pill: 'bg-green-100 text-green-700',
+    dot: 'bg-green-500',
+    light: 'bg-green-100',
+    soft: 'bg-green-50',
+    icon: 'text-green-600',
+    stroke: 'text-green-500',
+    accent: 'border-l-green-500',
+    selected: 'border-green-500 bg-green-50',
+    hover: 'hover:border-green-300',
+  },
+  emerald: {
+    badge: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+    pill: 'bg-emerald-100 text-emerald-700',
+    dot: 'bg-emerald-500',
+    light: 'bg-emerald-100',
+    soft: 'bg-emerald-50',
+    icon: 'text-emerald-600',
+    stroke: 'text-emerald-500',
+    accent: 'border-l-emerald-500',
+    selected: 'border-emerald-500 bg-emerald-50',
+    hover: 'hover:border-emerald-300',
+  },
+  cyan: {
+    badge: 'bg-cyan-50 text-cyan-700 border-cyan-200',
+    pill: 'bg-cyan-100 text-cyan-700',
+    dot: 'bg-cyan-500',
+    light: 'bg-cyan-100',
+    soft: 'bg-cyan-50',
+    icon: 'text-cyan-600',
+    stroke: 'text-cyan-500',
+    accent: 'border-l-cyan-500',
+    selected: 'border-cyan-500 bg-cyan-50',
+    hover: 'hover:border-cyan-300',
+  },
+  blue: {
+    badge: 'bg-blue-50 text-blue-700 border-blue-200',
+    pill: 'bg-blue-100 text-blue-700',
+    dot: 'bg-blue-500',
+    light: 'bg-blue-100',
+    soft: 'bg-blue-50',
+    icon: 'text-blue-600',
+    stroke: 'text-blue-500',
+    accent: 'border-l-blue-500',
+    selected: 'border-blue-500 bg-blue-50',
+    hover: 'hover:border-blue-300',
+  },
+  indigo: {
+    badge: 'bg-indigo-50 text-indigo-700 border-indigo-200',
+    pill: 'bg-indigo-100 text-indigo-700',
+    dot: 'bg-indigo-500',
+    light: 'bg-indigo-100',
+    soft: 'bg-indigo-50',
+    icon: 'text-indigo-600',
+    stroke: 'text-indigo-500',
+    accent: 'border-l-indigo-500',
+    selected: 'border-indigo-500 bg-indigo-50',
+    hover: 'hover:border-indigo-300',
+  },
+  purple: {
+    badge: 'bg-purple-50 text-purple-700 border-purple-200',
+    pill: 'bg-purple-100 text-purple-700',
+    dot: 'bg-purple-500',
+    light: 'bg-purple-100',
+    soft: 'bg-purple-50',
+    icon: 'text-purple-600',
+    stroke: 'text-purple-500',
+    accent: 'border-l-purple-500',
+    selected: 'border-purple-500 bg-purple-50',
+    hover: 'hover:border-purple-300',
+  },
+  pink: {
+    badge: 'bg-pink-50 text-pink-700 border-pink-200',
+    pill: 'bg-pink-100 text-pink-700',
+    dot: 'bg-pink-500',
+    light: 'bg-pink-100',
+    soft: 'bg-pink-50',
+    icon: 'text-pink-600',
+    stroke: 'text-pink-500',
+    accent: 'border-l-pink-500',
+    selected: 'border-pink-500 bg-pink-50',
+    hover: 'hover:border-pink-300',
+  },
 }
 
-// Color mappings for status badges
-export const STATUS_COLORS = {
-  [BUG_STATUSES.OPEN]: 'bg-blue-100 text-blue-800',
-  [BUG_STATUSES.IN_PROGRESS]: 'bg-purple-100 text-purple-800',
-  [BUG_STATUSES.RESOLVED]: 'bg-green-100 text-green-800',
-}
+export const DEFAULT_WORKFLOW_COLOR = 'slate'
 
-// Color mappings for priority badges
-export const PRIORITY_COLORS = {
-  [BUG_PRIORITIES.LOW]: 'bg-green-100 text-green-800',
-  [BUG_PRIORITIES.MEDIUM]: 'bg-yellow-100 text-yellow-800',
-  [BUG_PRIORITIES.HIGH]: 'bg-red-100 text-red-800',
+// Label colours: the `labels.color` column stores the key, classes stay literal for Tailwind
+export const LABEL_COLORS = {
+  slate: 'bg-slate-100 text-slate-700',
+  red: 'bg-red-100 text-red-700',
+  orange: 'bg-orange-100 text-orange-700',
+  amber: 'bg-amber-100 text-amber-700',
+  green: 'bg-green-100 text-green-700',
+  cyan: 'bg-cyan-100 text-cyan-700',
+  blue: 'bg-blue-100 text-blue-700',
+  indigo: 'bg-indigo-100 text-indigo-700',
+  purple: 'bg-purple-100 text-purple-700',
+  pink: 'bg-pink-100 text-pink-700',
 }
 
+export const DEFAULT_LABEL_COLOR = 'slate'
+
 // User roles
 export const USER_ROLES = {
   ADMIN: 'admin',
@@ -57,10 +187,29 @@ export const USER_ROLES = {
 }
 
 // File upload configuration
+// Bug attachments: any file type (logs, text, PDFs, HAR files, screenshots, short videos)
 export const FILE_UPLOAD = {
-  MAX_SIZE: 2 * 1024 * 1024, // 2MB
-  ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-  ALLOWED_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+  MAX_SIZE: 20 * 1024 * 1024, // 20MB
+  MAX_VIDEO_SIZE: 50 * 1024 * 1024, // 50MB for short screen recordings
+  MAX_FILES: 10, // per upload
+  MAX_AVATAR_SIZE: 256 * 1024, // 256KB after cropping
+  // Browsers report no type for these; stored so previews and downloads behave
+  TYPES_BY_EXTENSION: {
+    har: 'application/json',
+    log: 'text/plain',
+    md: 'text/markdown',
+    mov: 'video/quicktime',
+  },
+}
+
+// Oversized images are downscaled and re-encoded in the browser until they fit (lib/imageCompression)
+export const IMAGE_COMPRESSION = {
+  TYPES: ['image/png', 'image/jpeg', 'image/webp', 'image/bmp'], // GIFs keep their animation, SVGs are not raster
+  MAX_DIMENSION: 3840, // longest side once an image has to be compressed
+  MIN_DIMENSION: 320, // gives up rather than shrink further
+  MIN_QUALITY: 0.5,
+  MAX_QUALITY: 0.92,
+  QUALITY_STEPS: 5, // binary search steps per size
 }
 
 // Activity types
@@ -91,12 +240,70 @@ export const SHORTCUT_KEYS = {
   QUICK_ACTIONS: 'ctrl+k',
 }
 
+// Bug relationships. A link is stored once (`bug_links.link_type`, read from the source bug);
+// `inverse` is how it reads on the target bug.
+export const BUG_LINK_TYPES = {
+  duplicate_of: { label: 'Duplicate of', inverse: 'Duplicated by' },
+  relates_to: { label: 'Related to', inverse: 'Related to' },
+  blocks: { label: 'Blocks', inverse: 'Blocked by' },
+  parent_of: { label: 'Parent of', inverse: 'Child of' },
+}
+
+// Choices in the BugDetail link picker; `reverse` ones are saved with the other bug as the source
+export const BUG_LINK_OPTIONS = [
+  { value: 'duplicate_of', label: 'Duplicate of', type: 'duplicate_of', reverse: false },
+  { value: 'relates_to', label: 'Related to', type: 'relates_to', reverse: false },
+  { value: 'blocks', label: 'Blocks', type: 'blocks', reverse: false },
+  { value: 'blocked_by', label: 'Blocked by', type: 'blocks', reverse: true },
+  { value: 'parent_of', label: 'Parent of', type: 'parent_of', reverse: false },
+  { value: 'child_of', label: 'Child of', type: 'parent_of', reverse: true },
+]
+
+// Client-side search index (lib/searchIndex) shared by the Dashboard, QuickActions and duplicate detection
+export const SEARCH_INDEX = {
+  STALE_MS: 60 * 1000, // Rebuilt from the database at most this often
+  MIN_QUERY_LENGTH: 2,
+  MAX_RESULTS: 100, // Dashboard search results, ranked
+  PAGE_SIZE: 1000, // Rows per request while loading bugs and comments (PostgREST max-rows)
+  UPDATE_DELAY_MS: 500, // Live bug changes are re-indexed in batches after this pause
+  SIMILAR_THRESHOLD: 0.2, // Cosine similarity for "Possible duplicates" / "Related bugs"
+}
+
+// Trash: how long deleted bug snapshots are kept before they can be purged
+export const TRASH_RETENTION = {
+  DEFAULT_DAYS: 30,
+  OPTIONS: [7, 30, 90, 365],
+}
+
+// Who may edit a bug's title, description, priority and reproduction sections after
+// filing, besides admins: 'reporter', 'reporter_or_assignee' or 'everyone'.
+// Enforce the same rule in the `bugs` update policy.
+export const BUG_EDIT_PERMISSION = 'reporter'
+
+// CreateBug drafts (useBugDrafts): kept per user in this browser
+export const BUG_DRAFTS = {
+  MAX_DRAFTS: 10, // The oldest draft is dropped beyond this
+  AUTOSAVE_MS: 800, // Quiet time after typing before the draft is saved
+}
+
 // Pagination defaults
 export const PAGINATION = {
   DEFAULT_PAGE_SIZE: 12,
   PAGE_SIZE_OPTIONS: [6, 12, 24, 48],
 }
 
+// Server-side sort options for bug lists (column/direction are passed to PostgREST)
+export const BUG_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first', column: 'created_at', ascending: false },
+  { value: 'oldest', label: 'Oldest first', column: 'created_at', ascending: true },
+  { value: 'updated', label: 'Recently updated', column: 'updated_at', ascending: false },
+  { value: 'title', label: 'Title (A-Z)', column: 'title', ascending: true },
+  // Workflow priorities, most severe first (useBugs walks them one priority at a time)
+  { value: 'priority', label: 'Priority (highest first)', byPriority: true },
+]
+
+export const DEFAULT_BUG_SORT = BUG_SORT_OPTIONS[0].value
+
 // Date formatting options
 export const DATE_FORMAT = {
   SHORT: { month: 'short', day: 'numeric' },
@@ -118,7 +325,11 @@ export const VALIDATION = {
   },
   DESCRIPTION: {
     MIN_LENGTH: 10,
-    MAX_LENGTH: 5000,
+    MAX_LENGTH: 2000,
+  },
+  // Steps to reproduce, expected and actual behavior
+  SECTION: {
+    MAX_LENGTH: 2000,
   },
   COMMENT: {
     MIN_LENGTH: 1,
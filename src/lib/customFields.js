@@ -0,0 +1,215 @@
+import { getProfileDisplayName } from './profileCache'
+
+/**
+ * Admin-defined custom fields on bugs
+ *
+ * Definitions live in `custom_fields` (useCustomFields, managed on /admin/fields);
+ * values live in `bugs.custom_fields`, a JSON object keyed by each field's `key`.
+ * Keys never change after a field is created, so stored values, exports and
+ * `cf.<key>:` search clauses keep working when a field is renamed.
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Single select' },
+  { value: 'multiselect', label: 'Multi select' },
+  { value: 'user', label: 'User' },
+  { value: 'url', label: 'URL' },
+]
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/
+
+/**
+ * Storage key for a new field, e.g. "Story Points" -> "story_points"
+ */
+export const toCustomFieldKey = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+|_+$/g, '')
+  .slice(0, 40)
+
+// Field types whose values are typed freely (and so are scanned by lib/redaction)
+const FREE_TEXT_FIELD_TYPES = ['text', 'url']
+
+/**
+ * Values of the free-text fields, for a redaction scan
+ * @returns {Object} - { key: text } for fields that hold a string
+ */
+export const pickFreeTextValues = (fields, values = {}) => Object.fromEntries(
+  fields
+    .filter((field) => FREE_TEXT_FIELD_TYPES.includes(field.type) && typeof values[field.key] === 'string')
+    .map((field) => [field.key, values[field.key]])
+)
+
+export const isEmptyCustomValue = (value) => (
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+)
+
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false
+  const [year, month, day] = value.split('-').map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+const isValidUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check a field definition before saving it
+ * @param {Object} field - { key, name, type, options, validation }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateCustomFieldDefinition({ key, name, type, options = [], validation = {} }) {
+  if (!name?.trim()) return 'Enter a name'
+  if (!KEY_PATTERN.test(key || '')) return 'The key must start with a letter and use only a-z, 0-9 and _'
+  if (!CUSTOM_FIELD_TYPES.some((candidate) => candidate.value === type)) return 'Choose a field type'
+
+  if (type === 'select' || type === 'multiselect') {
+    if (options.length === 0) return 'Add at least one option'
+    if (new Set(options.map((option) => option.toLowerCase())).size !== options.length) return 'Options must be unique'
+  }
+  if (type === 'number' && validation.min != null && validation.max != null && validation.min > validation.max) {
+    return 'The minimum is larger than the maximum'
+  }
+  if (type === 'date') {
+    if ((validation.min && !isValidDate(validation.min)) || (validation.max && !isValidDate(validation.max))) {
+      return 'Date limits must look like 2026-01-31'
+    }
+    if (validation.min && validation.max && validation.min > validation.max) return 'The earliest date is after the latest date'
+  }
+  if (type === 'text' && validation.pattern) {
+    try {
+      new RegExp(validation.pattern)
+    } catch (err) {
+      return err.message
+    }
+  }
+  return null
+}
+
+/**
+ * Check one value against its field
+ * @param {Object} field - Definition from useCustomFields
+ * @param {*} value
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateCustomFieldValue(field, value) {
+  if (isEmptyCustomValue(value)) return field.required ? `${field.name} is required` : null
+
+  const validation = field.validation || {}
+  switch (field.type) {
+    case 'text': {
+      const text = String(value)
+      if (validation.max_length && text.length > validation.max_length) {
+        return `${field.name} must be at most ${validation.max_length} characters`
+      }
+      if (validation.pattern && !new RegExp(validation.pattern).test(text)) {
+        return validation.pattern_hint || `${field.name} is not in the expected format`
+      }
+      return null
+    }
+    case 'number': {
+      const number = Number(value)
+      if (!Number.isFinite(number)) return `${field.name} must be a number`
+      if (validation.integer && !Number.isInteger(number)) return `${field.name} must be a whole number`
+      if (validation.min != null && number < validation.min) return `${field.name} must be at least ${validation.min}`
+      if (validation.max != null && number > validation.max) return `${field.name} must be at most ${validation.max}`
+      return null
+    }
+    case 'date':
+      if (!isValidDate(value)) return `${field.name} must be a date`
+      if (validation.min && value < validation.min) return `${field.name} must be on or after ${validation.min}`
+      if (validation.max && value > validation.max) return `${field.name} must be on or before ${validation.max}`
+      return null
+    case 'select':
+      return field.options.includes(value) ? null : `${field.name} has an unknown option`
+    case 'multiselect':
+      return value.every((option) => field.options.includes(option)) ? null : `${field.name} has an unknown option`
+    case 'url':
+      return isValidUrl(value) ? null : `${field.name} must be an http(s) link`
+    default:
+      return null
+  }
+}
+
+/**
+ * Validate every field
+ * @param {Object[]} fields
+ * @param {Object} values - { key: value }
+ * @returns {Object} - { key: error } for the invalid ones
+ */
+export function validateCustomFieldValues(fields, values) {
+  const errors = {}
+  fields.forEach((field) => {
+    const error = validateCustomFieldValue(field, values?.[field.key])
+    if (error) errors[field.key] = error
+  })
+  return errors
+}
+
+/**
+ * Values ready to store: typed (numbers as numbers, trimmed text), empty ones left out
+ * Only the given fields are touched; values of deleted fields are kept as they were.
+ *
+ * @param {Object[]} fields
+ * @param {Object} values - Form values
+ * @param {Object} [stored] - The bug's current `custom_fields`
+ * @returns {Object}
+ */
+export function cleanCustomFieldValues(fields, values, stored = {}) {
+  const result = { ...(stored || {}) }
+  fields.forEach((field) => {
+    let value = values?.[field.key]
+    if (typeof value === 'string') value = value.trim()
+    if (field.type === 'number' && !isEmptyCustomValue(value)) value = Number(value)
+    if (isEmptyCustomValue(value)) {
+      delete result[field.key]
+    } else {
+      result[field.key] = value
+    }
+  })
+  return result
+}
+
+/**
+ * Human-readable value for display, exports and the activity log
+ * @param {Object} field
+ * @param {*} value
+ * @param {Object} [options] - { profilesById } to name users
+ * @returns {string}
+ */
+export function formatCustomFieldValue(field, value, { profilesById } = {}) {
+  if (isEmptyCustomValue(value)) return ''
+  switch (field?.type) {
+    case 'multiselect':
+      return [].concat(value).join(', ')
+    case 'user': {
+      const profile = profilesById?.get ? profilesById.get(value) : profilesById?.[value]
+      return profile ? getProfileDisplayName(profile) : String(value)
+    }
+    case 'date': {
+      if (!isValidDate(value)) return String(value)
+      const [year, month, day] = value.split('-').map(Number)
+      return new Date(year, month - 1, day).toLocaleDateString()
+    }
+    default:
+      return String(value)
+  }
+}
+
+/**
+ * Keys whose stored value differs between two `custom_fields` objects
+ */
+export const getChangedCustomFieldKeys = (before = {}, after = {}) => (
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter((key) => JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null))
+)
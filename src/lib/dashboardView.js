@@ -0,0 +1,75 @@
+import { BUG_SORT_OPTIONS, DEFAULT_BUG_SORT, PAGINATION } from './constants'
+
+/**
+ * Dashboard view state <-> URL query string
+ *
+ * Everything that shapes the Dashboard (tab, view mode, filters, search, sort, page
+ * size) lives in the query string, so refreshes, back/forward and shared links all
+ * land on the same view. Saved views store the same query string.
+ */
+
+export const DASHBOARD_TABS = ['active', 'archived']
+export const DASHBOARD_MODES = ['grid', 'kanban', 'analytics']
+
+export const DEFAULT_DASHBOARD_VIEW = {
+  tab: 'active',
+  mode: 'grid',
+  priority: '',
+  status: '',
+  label: '',
+  category: '',
+  mine: false,
+  q: '',
+  sort: DEFAULT_BUG_SORT,
+  size: PAGINATION.DEFAULT_PAGE_SIZE,
+}
+
+const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback)
+
+/**
+ * Read the view from URL search params; unknown or invalid values fall back to the defaults
+ * @param {URLSearchParams} params
+ * @returns {Object} - Same shape as DEFAULT_DASHBOARD_VIEW
+ */
+export function parseDashboardView(params) {
+  const defaults = DEFAULT_DASHBOARD_VIEW
+  return {
+    tab: oneOf(params.get('tab'), DASHBOARD_TABS, defaults.tab),
+    mode: oneOf(params.get('mode'), DASHBOARD_MODES, defaults.mode),
+    priority: params.get('priority') || '',
+    status: params.get('status') || '',
+    label: params.get('label') || '',
+    category: params.get('category') || '',
+    mine: params.get('mine') === '1',
+    q: params.get('q') || '',
+    sort: oneOf(params.get('sort'), BUG_SORT_OPTIONS.map((option) => option.value), defaults.sort),
+    size: oneOf(Number(params.get('size')), PAGINATION.PAGE_SIZE_OPTIONS, defaults.size),
+  }
+}
+
+/**
+ * Search params for a view; defaults are left out so URLs stay short
+ * @param {Object} view
+ * @returns {URLSearchParams}
+ */
+export function toDashboardParams(view) {
+  const params = new URLSearchParams()
+  Object.entries(DEFAULT_DASHBOARD_VIEW).forEach(([key, fallback]) => {
+    const value = view[key] ?? fallback
+    if (value === fallback) return
+    params.set(key, typeof value === 'boolean' ? '1' : String(value))
+  })
+  return params
+}
+
+/**
+ * Canonical query string for a view (or raw params), used to compare and store views
+ * @param {Object|URLSearchParams|string} view
+ * @returns {string} - Without the leading "?"
+ */
+export function toDashboardSearch(view) {
+  const parsed = view instanceof URLSearchParams || typeof view === 'string'
+    ? parseDashboardView(new URLSearchParams(view))
+    : view
+  return toDashboardParams(parsed).toString()
+}
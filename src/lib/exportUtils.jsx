@@ -1,5 +1,17 @@
 /* eslint-disable react-refresh/only-export-components */
-export function exportToCSV(bugs, filename = 'bugs-export') {
+import { formatEnvironment } from './bugFields'
+import { createWorkflow } from './workflow'
+import { DEFAULT_WORKFLOW, STATUS_CATEGORIES } from './constants'
+import { formatCustomFieldValue } from './customFields'
+import { useCustomFields } from '../hooks/useCustomFields'
+import { useProfileDirectory } from '../hooks/useProfiles'
+
+/**
+ * @param {Object[]} bugs
+ * @param {string} [filename]
+ * @param {Object} [options] - { customFields, profilesById }: one extra column per custom field
+ */
+export function exportToCSV(bugs, filename = 'bugs-export', { customFields = [], profilesById = null } = {}) {
   if (!bugs || bugs.length === 0) {
     alert('No bugs to export')
     return
@@ -8,20 +20,36 @@ export function exportToCSV(bugs, filename = 'bugs-export') {
     { key: 'id', label: 'ID' },
     { key: 'title', label: 'Title' },
     { key: 'description', label: 'Description' },
+    { key: 'steps_to_reproduce', label: 'Steps to Reproduce' },
+    { key: 'expected_behavior', label: 'Expected Behavior' },
+    { key: 'actual_behavior', label: 'Actual Behavior' },
+    { key: 'environment', label: 'Environment' },
     { key: 'status', label: 'Status' },
     { key: 'priority', label: 'Priority' },
+    { key: 'category', label: 'Category' },
     { key: 'reporter', label: 'Reporter' },
     { key: 'created_at', label: 'Created At' },
     { key: 'updated_at', label: 'Updated At' },
+    ...customFields.map((field) => ({ key: `custom:${field.key}`, label: field.name, field })),
   ]
-  const header = columns.map(col => col.label).join(',')
+  const escapeCell = (value) => {
+    value = value.replace(/"/g, '""')
+    return value.includes(',') || value.includes('\n') || value.includes('"') ? `"${value}"` : value
+  }
+  const header = columns.map(col => escapeCell(col.label)).join(',')
   const rows = bugs.map(bug => {
     return columns.map(col => {
       let value = ''
+      if (col.field) {
+        return escapeCell(formatCustomFieldValue(col.field, bug.custom_fields?.[col.field.key], { profilesById }))
+      }
       switch (col.key) {
         case 'reporter':
           value = bug.reported_by_name || bug.reported_by_email || ''
           break
+        case 'environment':
+          value = formatEnvironment(bug.environment)
+          break
         case 'created_at':
         case 'updated_at':
           value = bug[col.key] ? new Date(bug[col.key]).toLocaleString() : ''
@@ -29,13 +57,7 @@ export function exportToCSV(bugs, filename = 'bugs-export') {
         default:
           value = bug[col.key] || ''
       }
-      if (typeof value === 'string') {
-        value = value.replace(/"/g, '""')
-        if (value.includes(',') || value.includes('\n') || value.includes('"')) {
-          value = `"${value}"`
-        }
-      }
-      return value
+      return typeof value === 'string' ? escapeCell(value) : value
     }).join(',')
   })
   const csv = [header, ...rows].join('\n')
@@ -50,8 +72,8 @@ export function exportToCSV(bugs, filename = 'bugs-export') {
   document.body.removeChild(link)
 }
 
-// Export to JSON
-export function exportToJSON(bugs, filename = 'bugs-export') {
+// Export to JSON; custom fields are exported by key, with the stored (not display) values
+export function exportToJSON(bugs, filename = 'bugs-export', { customFields = [] } = {}) {
   if (!bugs || bugs.length === 0) {
     alert('No bugs to export')
     return
@@ -63,11 +85,16 @@ export function exportToJSON(bugs, filename = 'bugs-export') {
     description: bug.description,
     status: bug.status,
     priority: bug.priority,
+    category: bug.category || null,
     steps_to_reproduce: bug.steps_to_reproduce || null,
+    expected_behavior: bug.expected_behavior || null,
+    actual_behavior: bug.actual_behavior || null,
+    environment: bug.environment || null,
     reporter: bug.reported_by_name || bug.reported_by_email || null,
     created_at: bug.created_at,
     updated_at: bug.updated_at,
     is_archived: bug.is_archived,
+    custom_fields: Object.fromEntries(customFields.map((field) => [field.key, bug.custom_fields?.[field.key] ?? null])),
   }))
 
   const json = JSON.stringify(data, null, 2)
@@ -82,31 +109,33 @@ export function exportToJSON(bugs, filename = 'bugs-export') {
   document.body.removeChild(link)
 }
 
-// Generate bug report summary
-export function generateReport(bugs) {
+// Generate bug report summary (counts keyed by status / priority name)
+export function generateReport(bugs, workflow = createWorkflow(DEFAULT_WORKFLOW)) {
   const total = bugs.length
-  const open = bugs.filter(b => b.status === 'Open').length
-  const inProgress = bugs.filter(b => b.status === 'In Progress').length
-  const resolved = bugs.filter(b => b.status === 'Resolved').length
-  const high = bugs.filter(b => b.priority === 'High').length
-  const medium = bugs.filter(b => b.priority === 'Medium').length
-  const low = bugs.filter(b => b.priority === 'Low').length
+  const countBy = (names, field) => Object.fromEntries(
+    names.map(name => [name, bugs.filter(b => b[field] === name).length])
+  )
+  const resolved = bugs.filter(b => workflow.getStatusCategory(b.status) === STATUS_CATEGORIES.DONE).length
 
   return {
     total,
-    byStatus: { open, inProgress, resolved },
-    byPriority: { high, medium, low },
+    byStatus: countBy(workflow.statusNames, 'status'),
+    byPriority: countBy(workflow.priorityNames, 'priority'),
     completionRate: total > 0 ? Math.round((resolved / total) * 100) : 0,
   }
 }
 
 // Export Menu Component
 export function ExportMenu({ bugs, onClose }) {
+  const { fields: customFields } = useCustomFields()
+  const { profiles } = useProfileDirectory()
+  const profilesById = new Map(profiles.map((profile) => [profile.id, profile]))
+
   return (
     <div className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50">
       <button
         onClick={() => {
-          exportToCSV(bugs)
+          exportToCSV(bugs, undefined, { customFields, profilesById })
           onClose()
         }}
         className="w-full px-4 py-2 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2"
@@ -118,7 +147,7 @@ export function ExportMenu({ bugs, onClose }) {
       </button>
       <button
         onClick={() => {
-          exportToJSON(bugs)
+          exportToJSON(bugs, undefined, { customFields })
           onClose()
         }}
         className="w-full px-4 py-2 text-left text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2"
@@ -0,0 +1,219 @@
+/**
+ * Screenshot annotations drawn on a canvas (components/ImageAnnotator).
+ * Shapes are plain objects in image pixel coordinates, drawn in order over the image:
+ * - arrow / rect / blur: { type, color, x1, y1, x2, y2 }
+ * - pen: { type, color, points: [{ x, y }] }
+ * - text: { type, color, x, y, text }
+ * - marker: { type, color, x, y, number }
+ * Blur pixelates whatever is under it, so the flattened image keeps no original pixels there.
+ */
+
+export const ANNOTATION_TOOLS = [
+  { id: 'arrow', label: 'Arrow', shortcut: 'a' },
+  { id: 'rect', label: 'Rectangle', shortcut: 'r' },
+  { id: 'pen', label: 'Freehand', shortcut: 'f' },
+  { id: 'text', label: 'Text', shortcut: 't' },
+  { id: 'marker', label: 'Numbered marker', shortcut: 'm' },
+  { id: 'blur', label: 'Redact (pixelate)', shortcut: 'b' },
+]
+
+export const ANNOTATION_COLORS = ['#ef4444', '#f59e0b', '#22c55e', '#3b82f6', '#a855f7', '#0f172a', '#ffffff']
+
+// Output formats canvas.toBlob can write; anything else is saved as PNG
+const OUTPUT_TYPES = ['image/png', 'image/jpeg', 'image/webp']
+
+/**
+ * Stroke width, font size and marker radius scaled to the image, so annotations
+ * look the same on a phone screenshot and a 4K one
+ */
+export function getAnnotationScale(width, height) {
+  const base = Math.max(width, height)
+  const stroke = Math.max(2, Math.round(base / 400))
+  return {
+    stroke,
+    fontSize: Math.max(14, Math.round(base / 50)),
+    markerRadius: Math.max(12, Math.round(base / 70)),
+    blurBlock: Math.max(8, Math.round(base / 80)),
+    minDrag: stroke * 2,
+  }
+}
+
+const normalizeRect = ({ x1, y1, x2, y2 }) => ({
+  x: Math.round(Math.min(x1, x2)),
+  y: Math.round(Math.min(y1, y2)),
+  width: Math.round(Math.abs(x2 - x1)),
+  height: Math.round(Math.abs(y2 - y1)),
+})
+
+/**
+ * Whether a drag-drawn shape is big enough to keep (a click with the arrow tool is not an arrow)
+ */
+export function isMeaningfulShape(shape, scale) {
+  if (shape.type === 'pen') return shape.points.length > 1
+  if (shape.type === 'text') return Boolean(shape.text.trim())
+  if (shape.type === 'marker') return true
+  return Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) >= scale.minDrag
+}
+
+function drawArrow(ctx, shape, scale) {
+  const { x1, y1, x2, y2 } = shape
+  const angle = Math.atan2(y2 - y1, x2 - x1)
+  const head = scale.stroke * 5
+
+  ctx.beginPath()
+  ctx.moveTo(x1, y1)
+  // Stop the shaft short of the tip so the thick line does not poke through the head
+  ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8)
+  ctx.stroke()
+
+  ctx.beginPath()
+  ctx.moveTo(x2, y2)
+  ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7))
+  ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7))
+  ctx.closePath()
+  ctx.fill()
+}
+
+function drawPen(ctx, shape) {
+  const [first, ...rest] = shape.points
+  ctx.beginPath()
+  ctx.moveTo(first.x, first.y)
+  rest.forEach((point) => ctx.lineTo(point.x, point.y))
+  ctx.stroke()
+}
+
+function drawText(ctx, shape, scale) {
+  const lines = shape.text.split('\n')
+  const lineHeight = scale.fontSize * 1.25
+  const padding = scale.fontSize * 0.35
+  ctx.font = `600 ${scale.fontSize}px system-ui, -apple-system, 'Segoe UI', sans-serif`
+  ctx.textBaseline = 'top'
+  const width = Math.max(...lines.map((line) => ctx.measureText(line).width))
+
+  // Callout box in the annotation colour with contrasting text
+  ctx.fillStyle = shape.color
+  ctx.fillRect(shape.x, shape.y, width + padding * 2, lines.length * lineHeight + padding * 2)
+  ctx.fillStyle = shape.color === '#ffffff' ? '#0f172a' : '#ffffff'
+  lines.forEach((line, i) => ctx.fillText(line, shape.x + padding, shape.y + padding + i * lineHeight))
+}
+
+function drawMarker(ctx, shape, scale) {
+  const radius = scale.markerRadius
+  ctx.beginPath()
+  ctx.arc(shape.x, shape.y, radius, 0, Math.PI * 2)
+  ctx.fill()
+  ctx.lineWidth = Math.max(2, scale.stroke / 2)
+  ctx.strokeStyle = shape.color === '#ffffff' ? '#0f172a' : '#ffffff'
+  ctx.stroke()
+
+  ctx.fillStyle = shape.color === '#ffffff' ? '#0f172a' : '#ffffff'
+  ctx.font = `700 ${Math.round(radius * 1.1)}px system-ui, -apple-system, 'Segoe UI', sans-serif`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(String(shape.number), shape.x, shape.y + radius * 0.05)
+}
+
+function drawBlur(ctx, shape, scale) {
+  const rect = normalizeRect(shape)
+  const x = Math.max(0, rect.x)
+  const y = Math.max(0, rect.y)
+  const width = Math.min(ctx.canvas.width, rect.x + rect.width) - x
+  const height = Math.min(ctx.canvas.height, rect.y + rect.height) - y
+  if (width < 1 || height < 1) return
+
+  // Shrink the area to one pixel per block, then scale it back up without smoothing
+  const small = document.createElement('canvas')
+  small.width = Math.max(1, Math.ceil(width / scale.blurBlock))
+  small.height = Math.max(1, Math.ceil(height / scale.blurBlock))
+  const smallCtx = small.getContext('2d')
+  smallCtx.drawImage(ctx.canvas, x, y, width, height, 0, 0, small.width, small.height)
+
+  ctx.imageSmoothingEnabled = false
+  ctx.drawImage(small, 0, 0, small.width, small.height, x, y, width, height)
+  ctx.imageSmoothingEnabled = true
+}
+
+/**
+ * Draw one shape on a canvas the size of the image
+ */
+export function drawAnnotation(ctx, shape, scale) {
+  ctx.save()
+  ctx.strokeStyle = shape.color
+  ctx.fillStyle = shape.color
+  ctx.lineWidth = scale.stroke
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  switch (shape.type) {
+    case 'arrow':
+      drawArrow(ctx, shape, scale)
+      break
+    case 'rect': {
+      const rect = normalizeRect(shape)
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height)
+      break
+    }
+    case 'pen':
+      drawPen(ctx, shape)
+      break
+    case 'text':
+      drawText(ctx, shape, scale)
+      break
+    case 'marker':
+      drawMarker(ctx, shape, scale)
+      break
+    case 'blur':
+      drawBlur(ctx, shape, scale)
+      break
+    default:
+      break
+  }
+  ctx.restore()
+}
+
+/**
+ * Redraw the image and every shape onto a canvas (resizing it to the image)
+ * @param {HTMLCanvasElement} canvas
+ * @param {HTMLImageElement} image
+ * @param {Object[]} shapes
+ */
+export function renderAnnotations(canvas, image, shapes) {
+  const width = image.naturalWidth
+  const height = image.naturalHeight
+  if (canvas.width !== width) canvas.width = width
+  if (canvas.height !== height) canvas.height = height
+
+  const ctx = canvas.getContext('2d')
+  const scale = getAnnotationScale(width, height)
+  ctx.clearRect(0, 0, width, height)
+  ctx.drawImage(image, 0, 0)
+  shapes.forEach((shape) => drawAnnotation(ctx, shape, scale))
+}
+
+/**
+ * Flatten the image and its annotations into a new file
+ * Keeps the original's format where the browser can encode it; the name gets an "-annotated" suffix.
+ *
+ * @param {HTMLImageElement} image
+ * @param {Object[]} shapes
+ * @param {File} originalFile
+ * @returns {Promise<File>}
+ */
+export function exportAnnotatedImage(image, shapes, originalFile) {
+  const canvas = document.createElement('canvas')
+  renderAnnotations(canvas, image, shapes)
+
+  const type = OUTPUT_TYPES.includes(originalFile.type) ? originalFile.type : 'image/png'
+  const extension = type.split('/')[1].replace('jpeg', 'jpg')
+  const baseName = (originalFile.name || 'screenshot').replace(/\.[^.]+$/, '')
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error('Could not export the annotated image'))
+        return
+      }
+      resolve(new File([blob], `${baseName}-annotated.${extension}`, { type }))
+    }, type, 0.92)
+  })
+}
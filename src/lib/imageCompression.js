@@ -0,0 +1,105 @@
+import { IMAGE_COMPRESSION } from './constants'
+
+/**
+ * Image compression pipeline shared by the compression worker and its main-thread
+ * fallback (lib/imageCompressionClient). Decodes the image, caps its longest side,
+ * then binary-searches the WebP (or JPEG) quality for the best result under the
+ * size limit, shrinking the image further whenever even the lowest quality is too big.
+ */
+
+/**
+ * Whether an image can go through the pipeline
+ */
+export const isCompressibleImage = (file) => IMAGE_COMPRESSION.TYPES.includes(file?.type)
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+const encodeCanvas = (canvas, type, quality) => {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality })
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality)
+  })
+}
+
+const drawScaled = (bitmap, width, height, opaque) => {
+  const canvas = createCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  // JPEG has no alpha channel; transparent areas would turn black
+  if (opaque) {
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, width, height)
+  }
+  ctx.imageSmoothingQuality = 'high'
+  ctx.drawImage(bitmap, 0, 0, width, height)
+  return canvas
+}
+
+// Browsers without a WebP encoder silently return PNG instead
+const pickOutputType = async () => {
+  const probe = await encodeCanvas(createCanvas(1, 1), 'image/webp', 0.8)
+  return probe.type === 'image/webp' ? 'image/webp' : 'image/jpeg'
+}
+
+// Highest quality whose encoding fits, or null when even the lowest one does not
+const searchQuality = async (canvas, type, maxSize) => {
+  const { MIN_QUALITY, MAX_QUALITY, QUALITY_STEPS } = IMAGE_COMPRESSION
+  let low = MIN_QUALITY
+  let high = MAX_QUALITY
+  let best = null
+
+  // Each step depends on the previous encode, so they run one at a time
+  for (let step = 0; step < QUALITY_STEPS; step++) {
+    const quality = step === 0 ? high : (low + high) / 2
+    const blob = await encodeCanvas(canvas, type, quality)
+    if (blob.size <= maxSize) {
+      best = { blob, quality }
+      if (step === 0) break
+      low = quality
+    } else {
+      high = quality
+    }
+  }
+
+  if (!best) {
+    const blob = await encodeCanvas(canvas, type, MIN_QUALITY)
+    if (blob.size <= maxSize) best = { blob, quality: MIN_QUALITY }
+  }
+  return best
+}
+
+/**
+ * Downscale and re-encode an image until it fits
+ *
+ * @param {Blob} file - PNG, JPEG, WebP or BMP
+ * @param {Object} options - { maxSize (bytes), maxDimension? }
+ * @returns {Promise<Object>} - { blob, type, width, height, quality }
+ * @throws When the image cannot fit even at IMAGE_COMPRESSION.MIN_DIMENSION
+ */
+export async function compressImageBlob(file, { maxSize, maxDimension = IMAGE_COMPRESSION.MAX_DIMENSION }) {
+  const bitmap = await createImageBitmap(file)
+  try {
+    const type = await pickOutputType()
+    let scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height))
+
+    for (;;) {
+      const width = Math.max(1, Math.round(bitmap.width * scale))
+      const height = Math.max(1, Math.round(bitmap.height * scale))
+      const canvas = drawScaled(bitmap, width, height, type === 'image/jpeg')
+      const result = await searchQuality(canvas, type, maxSize)
+      if (result) return { ...result, type, width, height }
+
+      if (Math.max(width, height) <= IMAGE_COMPRESSION.MIN_DIMENSION) {
+        throw new Error('Image is too large to compress under the upload limit')
+      }
+      scale *= 0.75
+    }
+  } finally {
+    bitmap.close?.()
+  }
+}
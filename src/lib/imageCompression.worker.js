@@ -0,0 +1,12 @@
+import { compressImageBlob } from './imageCompression'
+
+// Stateless: each message compresses one image. Canvas encoding runs here so large
+// screenshots do not freeze the page.
+self.onmessage = async ({ data }) => {
+  const { requestId, payload } = data
+  try {
+    self.postMessage({ requestId, result: await compressImageBlob(payload.file, payload.options) })
+  } catch (err) {
+    self.postMessage({ requestId, error: err.message })
+  }
+}
@@ -0,0 +1,84 @@
+import { compressImageBlob, isCompressibleImage } from './imageCompression'
+
+/**
+ * Main-thread side of the image compression worker
+ * One worker is shared by the whole app. Where workers or OffscreenCanvas are
+ * unavailable (or the worker fails to start) images are compressed on the main thread.
+ */
+
+let worker // undefined = not started yet, null = unavailable
+let nextRequestId = 0
+const pending = new Map()
+
+const runLocally = (payload) => compressImageBlob(payload.file, payload.options)
+
+const getWorker = () => {
+  if (worker !== undefined) return worker
+
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    worker = null
+    return worker
+  }
+
+  try {
+    worker = new Worker(new URL('./imageCompression.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.requestId)
+      if (!request) return
+      pending.delete(data.requestId)
+      if (data.error) request.reject(new Error(data.error))
+      else request.resolve(data.result)
+    }
+    worker.onerror = (event) => {
+      console.warn('⚠️ Compression worker failed, compressing on the main thread instead:', event.message)
+      worker.terminate()
+      worker = null
+      const requests = [...pending.values()]
+      pending.clear()
+      requests.forEach((request) => runLocally(request.payload).then(request.resolve, request.reject))
+    }
+  } catch (err) {
+    console.warn('⚠️ Web Workers unavailable, compressing on the main thread:', err)
+    worker = null
+  }
+  return worker
+}
+
+const call = (payload) => {
+  const target = getWorker()
+  if (!target) return runLocally(payload)
+
+  const requestId = ++nextRequestId
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { payload, resolve, reject })
+    target.postMessage({ requestId, payload })
+  })
+}
+
+const renameForType = (name, type) => {
+  const extension = type === 'image/webp' ? 'webp' : 'jpg'
+  return `${(name || 'image').replace(/\.[^.]+$/, '')}.${extension}`
+}
+
+/**
+ * Make an image fit under a size limit, leaving anything that already fits (or is
+ * not a PNG, JPEG, WebP or BMP) untouched
+ *
+ * @param {File} file
+ * @param {Object} options - { maxSize (bytes), maxDimension? }
+ * @returns {Promise<Object>} - { file, originalSize, compressed }
+ * @throws When the image cannot be made small enough
+ */
+export async function compressImageToFit(file, options) {
+  if (!isCompressibleImage(file) || file.size <= options.maxSize) {
+    return { file, originalSize: file.size, compressed: false }
+  }
+
+  const result = await call({ file, options })
+  const compressedFile = new File([result.blob], renameForType(file.name, result.type), {
+    type: result.type,
+    lastModified: file.lastModified,
+  })
+  console.log(`✅ Compressed ${file.name}: ${file.size} → ${compressedFile.size} bytes (${result.width}×${result.height}, quality ${result.quality.toFixed(2)})`)
+  return { file: compressedFile, originalSize: file.size, compressed: true }
+}
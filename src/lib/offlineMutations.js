@@ -0,0 +1,154 @@
+/**
+ * Replayable mutations for the offline queue
+ *
+ * Replays are conditional: a queued status change only applies while the bug is
+ * still in the status the user saw, so an edit made by someone else in the
+ * meantime surfaces as a conflict instead of being silently overwritten.
+ */
+
+import { supabase } from './supabaseClient'
+import { logBugActivity } from './activityLogger'
+import { registerMutationHandler } from './offlineQueue'
+
+export const MUTATION_TYPES = {
+  BUG_STATUS: 'bug_status',
+  BUG_ARCHIVE: 'bug_archive',
+  BUG_UNARCHIVE: 'bug_unarchive',
+  COMMENT_CREATE: 'comment_create',
+}
+
+const fetchCurrentBug = async (bugId, columns) => {
+  const { data, error } = await supabase
+    .from('bugs')
+    .select(columns)
+    .eq('id', bugId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Conditionally update one bug column from `from` to `to`
+ * @returns {Promise<Object>} - { applied: true } | { conflict: string }
+ */
+const replayBugFieldChange = async ({ bugId, field, from, to, describe }) => {
+  const { data: updated, error } = await supabase
+    .from('bugs')
+    .update({ [field]: to })
+    .eq('id', bugId)
+    .eq(field, from)
+    .select('id')
+
+  if (error) throw error
+  if (updated?.length) return { applied: true, changed: true }
+
+  const current = await fetchCurrentBug(bugId, `id, ${field}`)
+  if (!current) return { conflict: 'The bug has been deleted' }
+  // Someone made the same change already - nothing left to do
+  if (current[field] === to) return { applied: true, changed: false }
+  return { conflict: `${describe} is now "${current[field]}"` }
+}
+
+registerMutationHandler(MUTATION_TYPES.BUG_STATUS, async ({ bugId, newStatus, oldStatus, userId, userEmail }) => {
+  const outcome = await replayBugFieldChange({ bugId, field: 'status', from: oldStatus, to: newStatus, describe: 'Status' })
+
+  if (outcome.changed) {
+    await logBugActivity({
+      action: 'status_changed',
+      bugId,
+      actorId: userId,
+      actorEmail: userEmail,
+      field: 'status',
+      oldValue: oldStatus,
+      newValue: newStatus,
+    })
+  }
+  return outcome
+})
+
+registerMutationHandler(MUTATION_TYPES.BUG_ARCHIVE, async ({ bugId, userId, userEmail }) => {
+  const outcome = await replayBugFieldChange({ bugId, field: 'is_archived', from: false, to: true, describe: 'Archived' })
+
+  if (outcome.changed) {
+    await logBugActivity({
+      action: 'bug_archived',
+      bugId,
+      actorId: userId,
+      actorEmail: userEmail,
+      field: 'is_archived',
+      oldValue: 'false',
+      newValue: 'true',
+    })
+  }
+  return outcome
+})
+
+registerMutationHandler(MUTATION_TYPES.BUG_UNARCHIVE, async ({ bugId, userId, userEmail }) => {
+  const outcome = await replayBugFieldChange({ bugId, field: 'is_archived', from: true, to: false, describe: 'Archived' })
+
+  if (outcome.changed) {
+    await logBugActivity({
+      action: 'bug_restored',
+      bugId,
+      actorId: userId,
+      actorEmail: userEmail,
+      field: 'is_archived',
+      oldValue: 'true',
+      newValue: 'false',
+    })
+  }
+  return outcome
+})
+
+/**
+ * Insert a comment and its `comment_created` activity row
+ * The id is generated on the client, so a replay after a lost response is a no-op.
+ */
+export async function createComment({ id, bugId, content, userId, userEmail }) {
+  const { data: inserted, error: insertError } = await supabase
+    .from('comments')
+    .upsert({ id, bug_id: bugId, user_id: userId, content }, { onConflict: 'id', ignoreDuplicates: true })
+    .select('*')
+
+  if (insertError) throw insertError
+  // Empty result: the comment was already stored by an earlier attempt
+  if (!inserted?.length) return null
+
+  await supabase.from('bug_activity').insert({
+    bug_id: bugId,
+    user_id: userId,
+    actor_id: userId,
+    actor_email: userEmail,
+    action: 'comment_created',
+    metadata: { comment_id: id },
+  })
+  return inserted[0]
+}
+
+registerMutationHandler(MUTATION_TYPES.COMMENT_CREATE, async (payload) => {
+  const bug = await fetchCurrentBug(payload.bugId, 'id')
+  if (!bug) return { conflict: 'The bug has been deleted' }
+
+  await createComment(payload)
+  return { applied: true }
+})
+
+/**
+ * Fold queued bug changes into a patch per bug id, for optimistic display
+ * @param {Array} entries - Offline queue entries
+ * @returns {Map} - bugId -> partial bug row
+ */
+export function getPendingBugPatches(entries) {
+  const patches = new Map()
+  entries.forEach(({ type, payload, status }) => {
+    if (status !== 'pending') return
+    const patch = patches.get(payload.bugId) || {}
+    if (type === MUTATION_TYPES.BUG_STATUS) patch.status = payload.newStatus
+    else if (type === MUTATION_TYPES.BUG_ARCHIVE) patch.is_archived = true
+    else if (type === MUTATION_TYPES.BUG_UNARCHIVE) patch.is_archived = false
+    else return
+    patches.set(payload.bugId, patch)
+  })
+  return patches
+}
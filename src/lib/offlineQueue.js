@@ -0,0 +1,198 @@
+/**
+ * Offline mutation queue
+ *
+ * Mutations that fail because the network is down are stored in IndexedDB and
+ * replayed in the order they were made once connectivity returns. Each entry is
+ * `{ seq, type, payload, userId, createdAt, status, conflict }`:
+ * - status 'pending'  - waiting for replay
+ * - status 'conflict' - replay found the change no longer applies; kept until dismissed
+ *
+ * Replay handlers are registered per mutation type (see lib/offlineMutations) and
+ * return { applied: true } or { conflict: 'reason' }. A network error stops the
+ * replay so later entries never overtake earlier ones.
+ */
+
+const DB_NAME = 'bug-tracker-offline'
+const DB_VERSION = 1
+const STORE_NAME = 'mutations'
+
+const handlers = new Map()
+const listeners = new Set()
+
+let dbPromise = null
+let snapshot = { entries: [], loaded: false, replaying: false }
+let replayPromise = null
+
+// Entries are also mirrored in memory so the queue keeps working (for this tab)
+// when IndexedDB is unavailable, e.g. in some private browsing modes
+let memoryEntries = []
+let memorySeq = 0
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.warn('⚠️ OFFLINE QUEUE: IndexedDB unavailable, queue will not survive a reload', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+const withStore = async (mode, run) => {
+  const db = await openDatabase()
+  if (!db) return null
+  const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+  return requestToPromise(run(store))
+}
+
+const setSnapshot = (patch) => {
+  snapshot = { ...snapshot, ...patch }
+  listeners.forEach((listener) => listener())
+}
+
+const refreshSnapshot = async () => {
+  const stored = await withStore('readonly', (store) => store.getAll())
+  const entries = stored || memoryEntries
+  setSnapshot({ entries: [...entries].sort((a, b) => a.seq - b.seq), loaded: true })
+}
+
+/**
+ * Current queue state: { entries, loaded, replaying }
+ * The object only changes identity when the queue changes.
+ */
+export function getOfflineQueueSnapshot() {
+  return snapshot
+}
+
+export function subscribeOfflineQueue(listener) {
+  listeners.add(listener)
+  if (!snapshot.loaded) refreshSnapshot()
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Register the replay handler for one mutation type
+ * @param {string} type
+ * @param {Function} handler - async (payload) => { applied: true } | { conflict: string }
+ */
+export function registerMutationHandler(type, handler) {
+  handlers.set(type, handler)
+}
+
+/**
+ * True when an error means "could not reach the server" rather than "the server said no"
+ * supabase-js reports fetch failures as { message: 'TypeError: Failed to fetch' }.
+ */
+export function isNetworkError(err) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+  if (err instanceof TypeError) return true
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(err?.message || '')
+}
+
+/**
+ * Store a mutation for later replay
+ * @returns {Promise<Object>} - The stored entry
+ */
+export async function enqueueMutation(type, payload, userId) {
+  const entry = { type, payload, userId, createdAt: new Date().toISOString(), status: 'pending', conflict: null }
+  const seq = await withStore('readwrite', (store) => store.add(entry))
+  const stored = { ...entry, seq: seq ?? ++memorySeq }
+  if (seq === null) memoryEntries = [...memoryEntries, stored]
+
+  console.log(`⚠️ OFFLINE QUEUE: Queued ${type} for replay`)
+  await refreshSnapshot()
+  return stored
+}
+
+const removeEntry = async (seq) => {
+  memoryEntries = memoryEntries.filter((entry) => entry.seq !== seq)
+  await withStore('readwrite', (store) => store.delete(seq))
+}
+
+const saveEntry = async (entry) => {
+  memoryEntries = memoryEntries.map((existing) => (existing.seq === entry.seq ? entry : existing))
+  await withStore('readwrite', (store) => store.put(entry))
+}
+
+/**
+ * Drop a queued or conflicted entry without applying it
+ */
+export async function discardMutation(seq) {
+  await removeEntry(seq)
+  await refreshSnapshot()
+}
+
+/**
+ * Replay pending mutations for a user, oldest first
+ * Concurrent calls share one run.
+ *
+ * @param {string} userId - Only this user's entries are replayed
+ * @returns {Promise<Object>} - { applied, conflicts: [entry], remaining }
+ */
+export function replayMutations(userId) {
+  if (replayPromise) return replayPromise
+
+  replayPromise = (async () => {
+    const result = { applied: 0, conflicts: [], remaining: 0 }
+    setSnapshot({ replaying: true })
+
+    try {
+      await refreshSnapshot()
+      const pending = snapshot.entries.filter((entry) => entry.status === 'pending' && entry.userId === userId)
+
+      for (let index = 0; index < pending.length; index += 1) {
+        const entry = pending[index]
+        const handler = handlers.get(entry.type)
+        if (!handler) {
+          console.warn(`⚠️ OFFLINE QUEUE: No handler for ${entry.type}, leaving it queued`)
+          result.remaining += 1
+          continue
+        }
+
+        let outcome
+        try {
+          outcome = await handler(entry.payload)
+        } catch (err) {
+          if (isNetworkError(err)) {
+            // Still offline - keep this and everything after it, in order
+            result.remaining += pending.length - index
+            break
+          }
+          outcome = { conflict: err.message || 'The change could not be applied' }
+        }
+
+        if (outcome?.conflict) {
+          const conflicted = { ...entry, status: 'conflict', conflict: outcome.conflict }
+          await saveEntry(conflicted)
+          result.conflicts.push(conflicted)
+          console.warn(`⚠️ OFFLINE QUEUE: ${entry.type} conflicted:`, outcome.conflict)
+        } else {
+          await removeEntry(entry.seq)
+          result.applied += 1
+        }
+      }
+
+      if (result.applied > 0) console.log(`✅ OFFLINE QUEUE: Replayed ${result.applied} queued change(s)`)
+      return result
+    } finally {
+      await refreshSnapshot()
+      setSnapshot({ replaying: false })
+      replayPromise = null
+    }
+  })()
+
+  return replayPromise
+}
@@ -0,0 +1,80 @@
+/**
+ * Cached profile lookups for activity feeds and comments
+ *
+ * Each profile summary is its own query-cache entry, so a timeline, the logs
+ * page and a comment thread showing the same people share one lookup.
+ * Unknown ids are fetched together in a single `in()` query.
+ */
+
+import { supabase } from './supabaseClient'
+import { fetchQuery, getQueryState, setQueryData } from './queryCache'
+
+const PROFILE_SUMMARY_COLUMNS = 'id, username, email, full_name, avatar_url'
+const PROFILE_SUMMARY_STALE_MS = 5 * 60 * 1000
+
+const summaryKey = (userId) => ['profiles', 'summary', userId]
+
+const isFresh = (userId) => {
+  const { status, updatedAt } = getQueryState(summaryKey(userId))
+  return status === 'success' && Date.now() - updatedAt < PROFILE_SUMMARY_STALE_MS
+}
+
+/**
+ * Resolve profile summaries for a set of user ids
+ * @param {string[]} userIds
+ * @returns {Promise<Object>} - Map of id -> { id, username, email, full_name, avatar_url }
+ */
+export async function fetchProfileSummaries(userIds) {
+  const ids = [...new Set((userIds || []).filter(Boolean))]
+  const missing = ids.filter((id) => !isFresh(id)).sort()
+
+  if (missing.length > 0) {
+    // Identical batches requested concurrently share one request
+    try {
+      const rows = await fetchQuery(['profiles', 'batch', missing], async () => {
+        const { data, error } = await supabase
+          .from('profiles')
+          .select(PROFILE_SUMMARY_COLUMNS)
+          .in('id', missing)
+        if (error) throw error
+        return data || []
+      }, { force: true })
+
+      const byId = new Map(rows.map((profile) => [profile.id, profile]))
+      // Cache misses as null too, so deleted users are not looked up again and again
+      missing.forEach((id) => setQueryData(summaryKey(id), byId.get(id) || null))
+    } catch (err) {
+      console.error('Error fetching profiles:', err)
+    }
+  }
+
+  return ids.reduce((acc, id) => {
+    const profile = getQueryState(summaryKey(id)).data
+    if (profile) acc[id] = profile
+    return acc
+  }, {})
+}
+
+/**
+ * All profiles, for assignee pickers
+ * Each row also seeds its summary entry so later lookups by id are free.
+ * @returns {Promise<Array>} - Profile summaries sorted by display name
+ */
+export async function fetchProfileDirectory() {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select(PROFILE_SUMMARY_COLUMNS)
+    .order('username', { ascending: true })
+
+  if (error) throw error
+  const profiles = data || []
+  profiles.forEach((profile) => setQueryData(summaryKey(profile.id), profile))
+  return profiles
+}
+
+/**
+ * Best display name for a profile summary
+ */
+export const getProfileDisplayName = (profile) => (
+  profile?.full_name || profile?.username || profile?.email?.split('@')[0] || 'Unknown'
+)
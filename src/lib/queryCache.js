@@ -0,0 +1,188 @@
+/**
+ * Shared client-side query cache
+ *
+ * One entry per query key (an array, e.g. ['bugs', 'list', { status: 'Open' }]).
+ * - Concurrent fetches of the same key share one in-flight request
+ * - Every subscriber of a key sees the same data
+ * - Cached data is served immediately and revalidated once it is older than staleTime
+ * - Mutations patch entries with updateQueries() or mark them stale with invalidateQueries()
+ *
+ * React components read entries through hooks/useQuery.
+ */
+
+const DEFAULT_STALE_TIME_MS = 30 * 1000
+// Unobserved entries are dropped after this long
+const GC_TIME_MS = 5 * 60 * 1000
+
+const entries = new Map()
+
+export const serializeQueryKey = (key) => JSON.stringify(key)
+
+const matchesPrefix = (key, prefix) => (
+  prefix.every((part, index) => serializeQueryKey(part) === serializeQueryKey(key[index]))
+)
+
+const getEntry = (key) => {
+  const hash = serializeQueryKey(key)
+  let entry = entries.get(hash)
+  if (!entry) {
+    entry = {
+      key,
+      state: { data: undefined, error: null, status: 'idle', isFetching: false, updatedAt: 0 },
+      listeners: new Set(),
+      fetcher: null,
+      promise: null,
+      // Refetch queued behind the in-flight request (forced or invalidated mid-flight)
+      followUp: null,
+      invalidated: false,
+      gcTimer: null,
+    }
+    entries.set(hash, entry)
+  }
+  return entry
+}
+
+const setEntryState = (entry, patch) => {
+  entry.state = { ...entry.state, ...patch }
+  entry.listeners.forEach((listener) => listener())
+}
+
+const scheduleGc = (entry) => {
+  clearTimeout(entry.gcTimer)
+  entry.gcTimer = setTimeout(() => {
+    if (entry.listeners.size === 0 && !entry.promise) {
+      entries.delete(serializeQueryKey(entry.key))
+    }
+  }, GC_TIME_MS)
+}
+
+/**
+ * Current state of a key: { data, error, status, isFetching, updatedAt }
+ * The returned object only changes identity when the entry changes.
+ */
+export function getQueryState(key) {
+  return getEntry(key).state
+}
+
+export function subscribeQuery(key, listener) {
+  const entry = getEntry(key)
+  clearTimeout(entry.gcTimer)
+  entry.listeners.add(listener)
+
+  return () => {
+    entry.listeners.delete(listener)
+    if (entry.listeners.size === 0) scheduleGc(entry)
+  }
+}
+
+/**
+ * Fetch a key, reusing fresh data and any request already in flight
+ *
+ * @param {Array} key
+ * @param {Function} fetcher - async () => data
+ * @param {Object} options
+ * @param {number} [options.staleTime] - How long data counts as fresh (ms)
+ * @param {boolean} [options.force=false] - Ignore fresh data and refetch; while a request is
+ *   in flight, another one is started once it settles, since it may predate the change
+ * @returns {Promise<any>} - Resolves with the data, rejects with the fetch error
+ */
+export function fetchQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME_MS, force = false } = {}) {
+  const entry = getEntry(key)
+  entry.fetcher = fetcher
+
+  if (entry.promise) {
+    if (!force) return entry.promise
+    if (!entry.followUp) {
+      entry.followUp = entry.promise
+        .catch(() => {})
+        .then(() => {
+          entry.followUp = null
+          return fetchQuery(key, entry.fetcher, { staleTime, force: true })
+        })
+    }
+    return entry.followUp
+  }
+
+  const { status, updatedAt, data } = entry.state
+  const isFresh = status === 'success' && !entry.invalidated && Date.now() - updatedAt < staleTime
+  if (isFresh && !force) return Promise.resolve(data)
+
+  // Cleared when the request starts, so an invalidation that lands mid-flight is kept
+  const wasInvalidated = entry.invalidated
+  entry.invalidated = false
+  setEntryState(entry, {
+    isFetching: true,
+    status: status === 'success' ? 'success' : 'loading',
+  })
+
+  entry.promise = Promise.resolve()
+    .then(fetcher)
+    .then(
+      (result) => {
+        setEntryState(entry, { data: result, error: null, status: 'success', isFetching: false, updatedAt: Date.now() })
+        return result
+      },
+      (err) => {
+        // Keep serving stale data if we have it
+        entry.invalidated = entry.invalidated || wasInvalidated
+        setEntryState(entry, { error: err, status: entry.state.data === undefined ? 'error' : 'success', isFetching: false })
+        throw err
+      }
+    )
+    .finally(() => {
+      entry.promise = null
+      if (entry.listeners.size === 0) scheduleGc(entry)
+    })
+
+  return entry.promise
+}
+
+/**
+ * Replace one key's data (value or updater function)
+ */
+export function setQueryData(key, updater) {
+  const entry = getEntry(key)
+  const data = typeof updater === 'function' ? updater(entry.state.data) : updater
+  setEntryState(entry, { data, error: null, status: 'success', updatedAt: Date.now() })
+  if (entry.listeners.size === 0) scheduleGc(entry)
+}
+
+/**
+ * Patch every cached entry whose key starts with prefix
+ * The updater receives (data, key) and is only called for entries that hold data.
+ */
+export function updateQueries(prefix, updater) {
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix) || entry.state.data === undefined) return
+    const next = updater(entry.state.data, entry.key)
+    if (next !== entry.state.data) setEntryState(entry, { data: next })
+  })
+}
+
+/**
+ * Mark entries stale; observed entries refetch right away, others on next use
+ */
+export function invalidateQueries(prefix) {
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix)) return
+    entry.invalidated = true
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      fetchQuery(entry.key, entry.fetcher, { force: true }).catch(() => {})
+    }
+  })
+}
+
+/**
+ * Drop everything (e.g. on sign-out, so one user's data never leaks into the next session)
+ */
+export function clearQueryCache() {
+  entries.forEach((entry, hash) => {
+    clearTimeout(entry.gcTimer)
+    if (entry.listeners.size === 0) {
+      entries.delete(hash)
+      return
+    }
+    entry.invalidated = true
+    setEntryState(entry, { data: undefined, error: null, status: 'idle', isFetching: false, updatedAt: 0 })
+  })
+}
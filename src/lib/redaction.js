@@ -0,0 +1,198 @@
+/**
+ * Secret and personal-data scanner for bug reports and comments
+ * Built-in rules find JWTs, bearer tokens, API keys, emails, IP addresses and card
+ * numbers; admins add their own regexes (`redaction_patterns`, useRedactionPatterns).
+ * Findings are reviewed in RedactionReview and masked in place before anything is saved.
+ */
+
+const luhnCheck = (digits) => {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+const isCardNumber = (value) => {
+  const digits = value.replace(/\D/g, '')
+  return digits.length >= 13 && digits.length <= 19 && luhnCheck(digits)
+}
+
+// Loopback and unspecified addresses say nothing about anyone
+const isSensitiveIpv4 = (value) => {
+  const octets = value.split('.').map(Number)
+  if (octets.some((octet) => octet > 255)) return false
+  return octets[0] !== 127 && value !== '0.0.0.0'
+}
+
+export const BUILT_IN_REDACTION_RULES = [
+  {
+    id: 'jwt',
+    label: 'JWT',
+    mask: 'TOKEN',
+    regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    id: 'bearer',
+    label: 'Bearer token',
+    mask: 'TOKEN',
+    regex: /\bBearer\s+[A-Za-z0-9\-._~+/]{16,}=*/gi,
+  },
+  {
+    id: 'api_key',
+    label: 'API key',
+    mask: 'API KEY',
+    // Stripe-style sk_/pk_/rk_, GitHub ghp_/gho_/github_pat_, Slack xox*-, AWS, Google, OpenAI-style sk-
+    regex: /\b(?:(?:sk|pk|rk|ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9_]{16,}|github_pat_[A-Za-z0-9_]{40,}|xox[abposr]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|sk-[A-Za-z0-9_-]{20,})/g,
+  },
+  {
+    id: 'email',
+    label: 'Email address',
+    mask: 'EMAIL',
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    id: 'ipv4',
+    label: 'IP address',
+    mask: 'IP',
+    regex: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+    validate: isSensitiveIpv4,
+  },
+  {
+    id: 'ipv6',
+    label: 'IP address',
+    mask: 'IP',
+    regex: /\b(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}\b/g,
+  },
+  {
+    id: 'card',
+    label: 'Card number',
+    mask: 'CARD',
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: isCardNumber,
+  },
+]
+
+const withGlobalFlag = (flags = '') => (flags.includes('g') ? flags : `${flags}g`)
+
+/**
+ * Check an admin-entered pattern
+ * @returns {string|null} - Error message, or null when the pattern compiles and cannot match nothing
+ */
+export function validateRedactionPattern(pattern, flags = '') {
+  if (!pattern?.trim()) return 'Enter a regular expression'
+  if (!/^[gimsuy]*$/.test(flags)) return 'Flags may only use g, i, m, s, u and y'
+  let regex
+  try {
+    regex = new RegExp(pattern, withGlobalFlag(flags))
+  } catch (err) {
+    return err.message
+  }
+  if (regex.test('')) return 'The pattern must not match empty text'
+  return null
+}
+
+/**
+ * Turn `redaction_patterns` rows into scanner rules, skipping any that no longer compile
+ * @param {Object[]} patterns - [{ id, name, pattern, flags }]
+ * @returns {Object[]}
+ */
+export function compileRedactionPatterns(patterns) {
+  return (patterns || []).flatMap((row) => {
+    try {
+      return [{
+        id: `custom:${row.id}`,
+        label: row.name,
+        mask: row.name.toUpperCase(),
+        regex: new RegExp(row.pattern, withGlobalFlag(row.flags || '')),
+      }]
+    } catch (err) {
+      console.warn('⚠️ Skipping invalid redaction pattern:', row.name, err.message)
+      return []
+    }
+  })
+}
+
+/**
+ * Find every match of the rules in a text; overlapping matches keep the one that starts
+ * first (or the longer one when they start together)
+ *
+ * @returns {Object[]} - [{ ruleId, label, mask, start, end, value }] in text order
+ */
+export function scanText(text, rules = BUILT_IN_REDACTION_RULES) {
+  if (!text) return []
+
+  const matches = []
+  rules.forEach((rule) => {
+    const regex = new RegExp(rule.regex.source, rule.regex.flags)
+    let match
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0] === '') {
+        regex.lastIndex++
+        continue
+      }
+      if (rule.validate && !rule.validate(match[0])) continue
+      matches.push({
+        ruleId: rule.id,
+        label: rule.label,
+        mask: rule.mask,
+        start: match.index,
+        end: match.index + match[0].length,
+        value: match[0],
+      })
+    }
+  })
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end)
+  const findings = []
+  matches.forEach((match) => {
+    const previous = findings[findings.length - 1]
+    if (!previous || match.start >= previous.end) findings.push(match)
+  })
+  return findings
+}
+
+/**
+ * Scan several named fields at once
+ * @param {Object} values - { fieldName: text }
+ * @returns {Object[]} - Findings with `field` and a stable `id`
+ */
+export function scanFields(values, rules = BUILT_IN_REDACTION_RULES) {
+  return Object.entries(values).flatMap(([field, text]) => (
+    scanText(text, rules).map((finding) => ({ ...finding, field, id: `${field}:${finding.start}:${finding.end}` }))
+  ))
+}
+
+/**
+ * Replace findings in a text with "[REDACTED <KIND>]"
+ * @param {string} text
+ * @param {Object[]} findings - From scanText on this same text
+ * @returns {string}
+ */
+export function maskText(text, findings) {
+  return [...findings]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, finding) => (
+      `${result.slice(0, finding.start)}[REDACTED ${finding.mask}]${result.slice(finding.end)}`
+    ), text)
+}
+
+/**
+ * Mask findings across fields
+ * @param {Object} values - { fieldName: text }
+ * @param {Object[]} findings - From scanFields on these values
+ * @returns {Object} - Only the fields that changed
+ */
+export function maskFields(values, findings) {
+  const changes = {}
+  Object.keys(values).forEach((field) => {
+    const fieldFindings = findings.filter((finding) => finding.field === field)
+    if (fieldFindings.length > 0) changes[field] = maskText(values[field], fieldFindings)
+  })
+  return changes
+}
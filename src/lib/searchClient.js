@@ -0,0 +1,99 @@
+import { buildSearchIndex, searchIndex, findSimilar, mergeSearchDocuments } from './searchIndex'
+
+/**
+ * Main-thread side of the search worker
+ * One worker is shared by the whole app. Where workers are unavailable (or the
+ * worker fails to start) the same index runs on the main thread instead.
+ */
+
+let worker // undefined = not started yet, null = unavailable
+let localIndex = null
+let localDocuments = []
+let nextRequestId = 0
+const pending = new Map()
+
+const runLocally = (type, payload) => {
+  if (type === 'index' || type === 'update') {
+    localDocuments = type === 'index'
+      ? payload.documents
+      : mergeSearchDocuments(localDocuments, payload.documents, payload.removedIds)
+    localIndex = buildSearchIndex(localDocuments)
+    return { size: localDocuments.length }
+  }
+  if (!localIndex) return []
+  return type === 'search'
+    ? searchIndex(localIndex, payload.query, payload.options)
+    : findSimilar(localIndex, payload.target, payload.options)
+}
+
+const getWorker = () => {
+  if (worker !== undefined) return worker
+
+  try {
+    worker = new Worker(new URL('./searchIndex.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.requestId)
+      if (!request) return
+      pending.delete(data.requestId)
+      if (data.error) request.reject(new Error(data.error))
+      else request.resolve(data.result)
+    }
+    worker.onerror = (event) => {
+      console.warn('⚠️ Search worker failed, indexing on the main thread instead:', event.message)
+      worker.terminate()
+      worker = null
+      // Replay in order so the fallback index is rebuilt before the queries that follow
+      const requests = [...pending.values()]
+      pending.clear()
+      requests.forEach((request) => {
+        try {
+          request.resolve(runLocally(request.type, request.payload))
+        } catch (err) {
+          request.reject(err)
+        }
+      })
+    }
+  } catch (err) {
+    console.warn('⚠️ Web Workers unavailable, indexing on the main thread:', err)
+    worker = null
+  }
+  return worker
+}
+
+const call = (type, payload) => {
+  const target = getWorker()
+  if (!target) {
+    try {
+      return Promise.resolve(runLocally(type, payload))
+    } catch (err) {
+      return Promise.reject(err)
+    }
+  }
+
+  const requestId = ++nextRequestId
+  return new Promise((resolve, reject) => {
+    pending.set(requestId, { type, payload, resolve, reject })
+    target.postMessage({ requestId, type, payload })
+  })
+}
+
+/**
+ * Replace the index with these documents ({ id, title, description, steps, reporter, comments })
+ */
+export const indexSearchDocuments = (documents) => call('index', { documents })
+
+/**
+ * Re-index changed bugs and drop deleted ones; documents without `comments` keep theirs
+ */
+export const updateSearchDocuments = (documents, removedIds = []) => call('update', { documents, removedIds })
+
+/**
+ * @returns {Promise<Object[]>} - [{ id, score }], best first
+ */
+export const querySearchIndex = (query, options) => call('search', { query, options })
+
+/**
+ * @param {Object} target - { id } of an indexed bug, or { text }
+ * @returns {Promise<Object[]>} - [{ id, score }] with score in 0..1, best first
+ */
+export const querySimilarDocuments = (target, options) => call('similar', { target, options })
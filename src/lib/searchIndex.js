@@ -0,0 +1,311 @@
+/**
+ * Full-text search index over bugs: tokenising, light stemming, TF-IDF ranking,
+ * typo tolerance and document similarity.
+ *
+ * Pure functions with no DOM or Supabase access, so the same code runs inside
+ * the search worker (lib/searchIndex.worker.js) and on the main thread as a fallback.
+ */
+
+// Matches in the title count for more than matches in a comment
+const FIELD_WEIGHTS = {
+  title: 3,
+  description: 1,
+  steps: 1,
+  reporter: 1,
+  comments: 0.5,
+}
+
+// Searchable, but left out of document similarity: sharing a reporter does not make bugs duplicates
+const SEARCH_ONLY_FIELDS = new Set(['reporter'])
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'so', 'that', 'the', 'then', 'there', 'this', 'to', 'was', 'we', 'were', 'when', 'which',
+  'while', 'will', 'with', 'you',
+])
+
+// Weight of a term reached through a typo or an unfinished word, relative to an exact match
+const FUZZY_WEIGHT = 0.6
+const PREFIX_WEIGHT = 0.8
+
+const ID_QUERY = /^#?([0-9a-f]{4,}(?:-[0-9a-f]*)*)$/i
+
+/**
+ * Split text into lowercase words, dropping stop words and single characters
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return []
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+}
+
+/**
+ * Reduce an English word to a rough stem ("crashes", "crashing", "crashed" -> "crash")
+ * Deliberately conservative: a stem is never shorter than three characters.
+ * @param {string} word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word
+
+  const rules = [
+    [/ies$/, 'y'],
+    [/sses$/, 'ss'],
+    [/(sh|ch|x|z)es$/, '$1'],
+    [/([^s])s$/, '$1'],
+    [/ingly$/, ''],
+    [/edly$/, ''],
+    [/ing$/, ''],
+    [/ed$/, ''],
+    [/ly$/, ''],
+    [/ment$/, ''],
+    [/ness$/, ''],
+  ]
+
+  let result = word
+  for (const [pattern, replacement] of rules) {
+    const next = result.replace(pattern, replacement)
+    if (next !== result && next.length >= 3) {
+      result = next
+      // "crashing" -> "crash", "stopped" -> "stopp" -> "stop"
+      if (result.length > 3 && /([^aeiouls])\1$/.test(result)) result = result.slice(0, -1)
+      break
+    }
+  }
+  return result
+}
+
+const analyze = (text) => tokenize(text).map(stem)
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds `max`
+ * @returns {number} - The distance, or max + 1 when further apart
+ */
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  let beforePrevious = null
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > max) return max + 1
+    beforePrevious = previous
+    previous = current
+  }
+  return previous[b.length]
+}
+
+// Short words allow no typos, medium ones one, long ones two
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0)
+
+/**
+ * Build an index from documents of the form { id, title, description, steps, reporter, comments }
+ * `reporter` is the reporter's name and email.
+ * @param {Object[]} documents
+ * @returns {Object} - Opaque index for searchIndex / findSimilar
+ */
+export function buildSearchIndex(documents) {
+  const postings = new Map() // term -> Map(docId -> weighted term frequency)
+  const contentPostings = new Map() // The same without SEARCH_ONLY_FIELDS, for similarity
+
+  const addPosting = (target, term, docId, weight) => {
+    if (!target.has(term)) target.set(term, new Map())
+    const docs = target.get(term)
+    docs.set(docId, (docs.get(docId) || 0) + weight)
+  }
+
+  documents.forEach((doc) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      analyze(doc[field]).forEach((term) => {
+        addPosting(postings, term, doc.id, weight)
+        if (!SEARCH_ONLY_FIELDS.has(field)) addPosting(contentPostings, term, doc.id, weight)
+      })
+    })
+  })
+
+  const total = documents.length
+  const idf = new Map()
+  postings.forEach((docs, term) => idf.set(term, Math.log(1 + total / docs.size)))
+
+  // TF-IDF vectors with log-scaled term frequency, and their lengths for cosine similarity
+  const toVectors = (source) => {
+    const vectors = new Map(documents.map((doc) => [doc.id, new Map()]))
+    source.forEach((docs, term) => {
+      docs.forEach((frequency, docId) => {
+        vectors.get(docId).set(term, (1 + Math.log(frequency)) * idf.get(term))
+      })
+    })
+    const norms = new Map()
+    vectors.forEach((vector, docId) => {
+      let sum = 0
+      vector.forEach((value) => { sum += value * value })
+      norms.set(docId, Math.sqrt(sum))
+    })
+    return { vectors, norms }
+  }
+  const { vectors, norms } = toVectors(postings)
+  const content = toVectors(contentPostings)
+
+  return {
+    postings,
+    idf,
+    vectors,
+    norms,
+    contentVectors: content.vectors,
+    contentNorms: content.norms,
+    terms: [...postings.keys()],
+    ids: documents.map((doc) => doc.id),
+  }
+}
+
+/**
+ * Index terms a query word can match, with how much each match counts
+ * @returns {Map<string, number>} - term -> weight
+ */
+const expandTerm = (index, term, isPrefix) => {
+  const matches = new Map()
+  if (index.postings.has(term)) matches.set(term, 1)
+
+  const typos = allowedTypos(term)
+  index.terms.forEach((candidate) => {
+    if (candidate === term) return
+    if (isPrefix && candidate.startsWith(term)) {
+      matches.set(candidate, Math.max(matches.get(candidate) || 0, PREFIX_WEIGHT))
+    } else if (typos > 0 && editDistance(term, candidate, typos) <= typos) {
+      matches.set(candidate, Math.max(matches.get(candidate) || 0, FUZZY_WEIGHT))
+    }
+  })
+  return matches
+}
+
+/**
+ * Rank documents for a search query
+ * Every query word must match (exactly, by stem, with a typo, or as a prefix for the
+ * word still being typed); scores add up the TF-IDF weight of each match.
+ * A query that looks like a bug id ("#3fa2c1") also matches ids starting with it.
+ *
+ * @param {Object} index
+ * @param {string} query
+ * @param {Object} [options] - { limit } - null returns every match
+ * @returns {Object[]} - [{ id, score }], best first
+ */
+export function searchIndex(index, query, { limit = 20 } = {}) {
+  const words = tokenize(query)
+  const scores = new Map()
+
+  const idMatch = String(query || '').trim().match(ID_QUERY)
+  const idPrefix = idMatch ? idMatch[1].toLowerCase() : null
+
+  if (words.length > 0) {
+    // The last word is a prefix unless the user has moved on to the next one
+    const typingLastWord = !/\s$/.test(query)
+    let candidates = null
+
+    words.forEach((word, position) => {
+      const isPrefix = typingLastWord && position === words.length - 1
+      const expansions = expandTerm(index, stem(word), isPrefix)
+      if (stem(word) !== word) {
+        expandTerm(index, word, isPrefix).forEach((weight, term) => {
+          expansions.set(term, Math.max(expansions.get(term) || 0, weight))
+        })
+      }
+
+      const wordScores = new Map()
+      expansions.forEach((weight, term) => {
+        index.postings.get(term).forEach((_, docId) => {
+          const value = weight * index.vectors.get(docId).get(term)
+          wordScores.set(docId, Math.max(wordScores.get(docId) || 0, value))
+        })
+      })
+
+      candidates = candidates === null
+        ? wordScores
+        : new Map([...candidates].filter(([docId]) => wordScores.has(docId)).map(([docId, score]) => [docId, score + wordScores.get(docId)]))
+    })
+
+    candidates.forEach((score, docId) => scores.set(docId, score / Math.sqrt(index.norms.get(docId) || 1)))
+  }
+
+  if (idPrefix) {
+    index.ids.forEach((docId) => {
+      if (docId.toLowerCase().startsWith(idPrefix)) scores.set(docId, (scores.get(docId) || 0) + 100)
+    })
+  }
+
+  const ranked = [...scores]
+    .map(([id, score]) => ({ id, score }))
+    .sort((a, b) => b.score - a.score)
+  return limit === null ? ranked : ranked.slice(0, limit)
+}
+
+/**
+ * Documents most similar to an indexed bug or to free text (cosine similarity of TF-IDF vectors)
+ * @param {Object} index
+ * @param {Object} target - { id } of an indexed bug, or { text }
+ * @param {Object} [options] - { limit, threshold, exclude: ids to leave out }
+ * @returns {Object[]} - [{ id, score }] with score in 0..1, best first
+ */
+export function findSimilar(index, target, { limit = 5, threshold = 0.15, exclude = [] } = {}) {
+  let vector = target.id ? index.contentVectors.get(target.id) : null
+  if (!vector) {
+    vector = new Map()
+    analyze(target.text).forEach((term) => {
+      if (index.idf.has(term)) vector.set(term, (vector.get(term) || 0) + 1)
+    })
+    vector.forEach((frequency, term) => vector.set(term, (1 + Math.log(frequency)) * index.idf.get(term)))
+  }
+
+  let norm = 0
+  vector.forEach((value) => { norm += value * value })
+  norm = Math.sqrt(norm)
+  if (norm === 0) return []
+
+  const skip = new Set([target.id, ...exclude])
+  const dots = new Map()
+  vector.forEach((value, term) => {
+    index.postings.get(term).forEach((_, docId) => {
+      const other = index.contentVectors.get(docId).get(term)
+      if (skip.has(docId) || !other) return
+      dots.set(docId, (dots.get(docId) || 0) + value * other)
+    })
+  })
+
+  return [...dots]
+    .map(([id, dot]) => ({ id, score: dot / (norm * index.contentNorms.get(id)) }))
+    .filter((match) => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+}
+
+/**
+ * Documents after upserting `updates` and dropping `removedIds`, in their original order
+ * An update without `comments` keeps the comments already indexed for that bug.
+ *
+ * @param {Object[]} documents - As passed to buildSearchIndex
+ * @param {Object[]} updates
+ * @param {string[]} removedIds
+ * @returns {Object[]}
+ */
+export function mergeSearchDocuments(documents, updates = [], removedIds = []) {
+  const byId = new Map(documents.map((document) => [document.id, document]))
+  removedIds.forEach((id) => byId.delete(id))
+  updates.forEach((update) => {
+    byId.set(update.id, { ...update, comments: update.comments ?? byId.get(update.id)?.comments ?? '' })
+  })
+  return [...byId.values()]
+}
@@ -0,0 +1,31 @@
+import { buildSearchIndex, searchIndex, findSimilar, mergeSearchDocuments } from './searchIndex'
+
+// Holds the most recent index; messages are handled in order, so a query sent
+// after an `index` message always sees that index.
+let index = null
+// Documents behind the index, so single bugs can be updated without a reload
+let indexed = []
+
+const handlers = {
+  index: ({ documents }) => {
+    indexed = documents
+    index = buildSearchIndex(indexed)
+    return { size: indexed.length }
+  },
+  update: ({ documents, removedIds }) => {
+    indexed = mergeSearchDocuments(indexed, documents, removedIds)
+    index = buildSearchIndex(indexed)
+    return { size: indexed.length }
+  },
+  search: ({ query, options }) => (index ? searchIndex(index, query, options) : []),
+  similar: ({ target, options }) => (index ? findSimilar(index, target, options) : []),
+}
+
+self.onmessage = ({ data }) => {
+  const { requestId, type, payload } = data
+  try {
+    self.postMessage({ requestId, result: handlers[type](payload) })
+  } catch (err) {
+    self.postMessage({ requestId, error: err.message })
+  }
+}
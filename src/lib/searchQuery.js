@@ -0,0 +1,588 @@
+import { ENVIRONMENT_KEYS } from './bugFields'
+import { STATUS_CATEGORIES } from './constants'
+
+/**
+ * Search query language for bug lists
+ *
+ *   status:open priority:high,medium reporter:alice label:backend category:"Feature Request"
+ *   created:>2026-01-01 "exact phrase" -is:archived cf.points:>3 cf.customer:acme
+ *
+ * parseSearchQuery turns the text into an AST of clauses; compileSearchQuery resolves
+ * names against the workflow, labels, templates, custom fields and profiles and produces serializable filter
+ * clauses. applyQueryClauses runs those as PostgREST filters and matchesQueryClauses
+ * is the client-side mirror (realtime updates, QuickActions).
+ */
+
+const SEARCHABLE_COLUMNS = [
+  'title',
+  'description',
+  'steps_to_reproduce',
+  'expected_behavior',
+  'actual_behavior',
+  'reported_by_name',
+  'reported_by_email',
+]
+
+// Free text is searched in these, environment keys through their JSON path
+export const TEXT_COLUMNS = [...SEARCHABLE_COLUMNS, ...ENVIRONMENT_KEYS.map((key) => `environment->>${key}`)]
+const REPORTER_COLUMNS = ['reported_by_name', 'reported_by_email']
+
+// PostgREST `or()` filters are comma/paren delimited - strip anything that would break the expression
+export const sanitizeSearchTerm = (term) => (term || '').replace(/[%*,()"\\]/g, ' ').trim()
+
+export const SEARCH_FIELDS = {
+  status: { description: 'Status or category (open, active, done)' },
+  priority: { description: 'Priority' },
+  label: { description: 'Label name' },
+  category: { description: 'Report template, e.g. "Feature Request"' },
+  reporter: { description: 'Reporter name or email, or "me"' },
+  assignee: { description: 'Assignee username, "me" or "none"' },
+  created: { description: 'Reported on, before (<) or after (>) a date', range: true },
+  updated: { description: 'Last changed on, before (<) or after (>) a date', range: true },
+  is: { description: 'archived, assigned or unassigned', values: ['archived', 'assigned', 'unassigned'] },
+}
+
+const RANGE_COLUMNS = { created: 'created_at', updated: 'updated_at' }
+
+// Custom fields are addressed by key: cf.<key>:value (lib/customFields)
+const CUSTOM_FIELD_PREFIX = 'cf.'
+const isCustomFieldName = (field) => field.startsWith(CUSTOM_FIELD_PREFIX)
+const INVERSE_RANGE_OPS = { gt: 'lte', gte: 'lt', lt: 'gte', lte: 'gt' }
+const RANGE_OPS = { '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' }
+const RANGE_OPERATORS = ['>=', '<=', '>', '<']
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Split the input into tokens, keeping quoted text together
+ * @returns {Object[]} - [{ text, start, end }]
+ */
+export function tokenizeSearchQuery(input) {
+  const tokens = []
+  let start = null
+  let inQuotes = false
+
+  for (let i = 0; i <= input.length; i++) {
+    const char = input[i]
+    const atEnd = i === input.length
+    if (!atEnd && char === '"') inQuotes = !inQuotes
+
+    if (atEnd || (/\s/.test(char) && !inQuotes)) {
+      if (start !== null) tokens.push({ text: input.slice(start, i), start, end: i })
+      start = null
+    } else if (start === null) {
+      start = i
+    }
+  }
+  return tokens
+}
+
+const unquote = (value) => value.replace(/^"/, '').replace(/"$/, '')
+
+// Comma-separated values, respecting quotes: label:"UI/UX",backend
+const splitValues = (raw) => (raw.match(/"[^"]*"?|[^,]+/g) || []).map((value) => unquote(value).trim()).filter(Boolean)
+
+/**
+ * Parse a query into clauses
+ * Unknown `name:` prefixes are kept as plain text, so "TypeError: x" still searches as before.
+ *
+ * @param {string} input
+ * @returns {Object} - { clauses: [{ type: 'field', field, operator, values, negated } | { type: 'text', value, phrase, negated }] }
+ */
+export function parseSearchQuery(input) {
+  const clauses = tokenizeSearchQuery(input || '').map(({ text, start, end }) => {
+    const negated = text.length > 1 && text.startsWith('-')
+    const body = negated ? text.slice(1) : text
+    const fieldMatch = body.match(/^([a-z]+|cf\.[a-z][a-z0-9_]*):(.*)$/i)
+    const field = fieldMatch?.[1].toLowerCase()
+
+    if (fieldMatch && (SEARCH_FIELDS[field] || isCustomFieldName(field))) {
+      let raw = fieldMatch[2]
+      let operator = '='
+      if (SEARCH_FIELDS[field]?.range || isCustomFieldName(field)) {
+        operator = RANGE_OPERATORS.find((candidate) => raw.startsWith(candidate)) || '='
+        if (operator !== '=') raw = raw.slice(operator.length)
+      }
+      return { type: 'field', field, operator, values: splitValues(raw), negated, start, end }
+    }
+
+    const phrase = body.startsWith('"')
+    return { type: 'text', value: phrase ? unquote(body) : body, phrase, negated, start, end }
+  })
+
+  return { clauses: clauses.filter((clause) => clause.type === 'field' || clause.value) }
+}
+
+const findByName = (items, value, getName = (item) => item.name) => (
+  items.find((item) => getName(item).toLowerCase() === value.toLowerCase())
+)
+
+const profileMatches = (profile, value) => {
+  const needle = value.toLowerCase()
+  return [profile.username, profile.email, profile.email?.split('@')[0]].some((name) => name?.toLowerCase() === needle)
+    || (profile.full_name || '').toLowerCase().includes(needle)
+}
+
+// Local midnight of a YYYY-MM-DD date, optionally some days later
+const dayStart = (date, addDays = 0) => {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(year, month - 1, day + addDays)
+}
+
+const toDateString = (date) => {
+  const pad = (number) => String(number).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+const compileCustomField = (clause, { customFields = [], profiles = [], userId = null }, errors) => {
+  const { field: name, values, negated: negate, operator } = clause
+  const key = name.slice(CUSTOM_FIELD_PREFIX.length)
+  const field = customFields.find((candidate) => candidate.key === key)
+  if (!field) {
+    errors.push(`Unknown field "${key}"`)
+    return []
+  }
+  const textColumn = `custom_fields->>${key}`
+
+  if (operator !== '=') {
+    if (field.type !== 'number' && field.type !== 'date') {
+      errors.push(`"${name}:" does not support ${operator}`)
+      return []
+    }
+    const value = values[0]
+    if (field.type === 'number' ? !Number.isFinite(Number(value)) : !DATE_PATTERN.test(value)) {
+      errors.push(`"${name}:" expects ${field.type === 'number' ? 'a number' : 'a date like 2026-01-31'}`)
+      return []
+    }
+    const op = negate ? INVERSE_RANGE_OPS[RANGE_OPS[operator]] : RANGE_OPS[operator]
+    // Numbers compare as JSON numbers, dates as YYYY-MM-DD text
+    return field.type === 'number'
+      ? [{ kind: 'range', column: `custom_fields->${key}`, op, value: Number(value), numeric: true }]
+      : [{ kind: 'range', column: textColumn, op, value }]
+  }
+
+  switch (field.type) {
+    case 'text':
+    case 'url':
+      return [{ kind: 'text', columns: [textColumn], values: values.map(sanitizeSearchTerm).filter(Boolean), negate }]
+    case 'select':
+    case 'multiselect': {
+      const options = values.flatMap((value) => {
+        const option = field.options.find((candidate) => candidate.toLowerCase() === value.toLowerCase())
+        if (!option) errors.push(`Unknown ${field.name} "${value}"`)
+        return option ? [option] : []
+      })
+      return field.type === 'select'
+        ? [{ kind: 'in', column: textColumn, values: options, negate }]
+        : [{ kind: 'contains', column: `custom_fields->${key}`, values: options, negate }]
+    }
+    case 'user': {
+      const ids = values.flatMap((value) => {
+        if (value.toLowerCase() === 'me') return userId ? [userId] : []
+        const matches = profiles.filter((profile) => profileMatches(profile, value))
+        if (matches.length === 0) errors.push(`No user matches "${value}"`)
+        return matches.map((profile) => profile.id)
+      })
+      return [{ kind: 'in', column: textColumn, values: [...new Set(ids)], negate }]
+    }
+    case 'number': {
+      const numbers = values.filter((value) => Number.isFinite(Number(value)))
+      if (numbers.length < values.length) errors.push(`"${name}:" expects a number`)
+      return [{ kind: 'in', column: textColumn, values: numbers.map((value) => String(Number(value))), negate }]
+    }
+    default: {
+      const dates = values.filter((value) => DATE_PATTERN.test(value))
+      if (dates.length < values.length) errors.push(`"${name}:" expects a date like 2026-01-31`)
+      return [{ kind: 'in', column: textColumn, values: dates, negate }]
+    }
+  }
+}
+
+const compileField = (clause, context, errors) => {
+  const { workflow, labels = [], templates = [], profiles = [], userId = null } = context
+  const { field, values, negated, operator } = clause
+  const negate = negated
+  if (values.length === 0) {
+    errors.push(`"${field}:" needs a value`)
+    return []
+  }
+  if (isCustomFieldName(field)) return compileCustomField(clause, context, errors)
+
+  switch (field) {
+    case 'status': {
+      // A category wins over a status of the same name ("open" includes the "Open" status)
+      const names = values.flatMap((value) => {
+        if (Object.values(STATUS_CATEGORIES).includes(value.toLowerCase())) {
+          return workflow.getStatusesInCategory(value.toLowerCase())
+        }
+        const status = findByName(workflow.statuses, value)
+        if (status) return [status.name]
+        errors.push(`Unknown status "${value}"`)
+        return []
+      })
+      return [{ kind: 'in', column: 'status', values: [...new Set(names)], negate }]
+    }
+    case 'priority': {
+      const names = values.flatMap((value) => {
+        const priority = findByName(workflow.priorities, value)
+        if (!priority) errors.push(`Unknown priority "${value}"`)
+        return priority ? [priority.name] : []
+      })
+      return [{ kind: 'in', column: 'priority', values: names, negate }]
+    }
+    case 'label': {
+      const ids = values.flatMap((value) => {
+        const label = findByName(labels, value)
+        if (!label) errors.push(`Unknown label "${value}"`)
+        return label ? [label.id] : []
+      })
+      return [{ kind: 'overlaps', column: 'label_ids', values: ids, negate }]
+    }
+    case 'category': {
+      // Bugs keep the template name they were filed under, so retired names still match exactly
+      const names = values.map((value) => findByName(templates, value)?.name || value)
+      return [{ kind: 'in', column: 'category', values: names, negate }]
+    }
+    case 'reporter': {
+      const clauses = []
+      const names = values.filter((value) => value.toLowerCase() !== 'me')
+      if (names.length < values.length) clauses.push({ kind: 'in', column: 'user_id', values: userId ? [userId] : [], negate })
+      if (names.length > 0) {
+        clauses.push({ kind: 'text', columns: REPORTER_COLUMNS, values: names.map(sanitizeSearchTerm).filter(Boolean), negate })
+      }
+      // reporter:me,alice means either of them
+      return clauses.length === 2 && !negate ? [{ kind: 'any', clauses }] : clauses
+    }
+    case 'assignee': {
+      const includeNull = values.some((value) => value.toLowerCase() === 'none')
+      const ids = values.flatMap((value) => {
+        const lower = value.toLowerCase()
+        if (lower === 'none') return []
+        if (lower === 'me') return userId ? [userId] : []
+        const matches = profiles.filter((profile) => profileMatches(profile, value))
+        if (matches.length === 0) errors.push(`No user matches "${value}"`)
+        return matches.map((profile) => profile.id)
+      })
+      return [{ kind: 'in', column: 'assigned_to', values: [...new Set(ids)], includeNull, negate }]
+    }
+    case 'created':
+    case 'updated': {
+      const value = values[0]
+      if (!DATE_PATTERN.test(value) || toDateString(dayStart(value)) !== value) {
+        errors.push(`"${field}:" expects a date like 2026-01-31`)
+        return []
+      }
+      const column = RANGE_COLUMNS[field]
+      const from = operator === '>' ? dayStart(value, 1) : operator === '<' || operator === '<=' ? null : dayStart(value)
+      const until = operator === '<' ? dayStart(value) : operator === '>' || operator === '>=' ? null : dayStart(value, 1)
+      // "-created:2026-01-01" excludes that day, i.e. before it or after it
+      const ranges = [
+        from && { kind: 'range', column, op: 'gte', value: from.toISOString() },
+        until && { kind: 'range', column, op: 'lt', value: until.toISOString() },
+      ].filter(Boolean)
+      if (!negate) return ranges
+      const inverted = ranges.map((range) => ({ ...range, op: range.op === 'gte' ? 'lt' : 'gte' }))
+      return inverted.length === 1 ? inverted : [{ kind: 'any', clauses: inverted }]
+    }
+    case 'is':
+      return values.flatMap((value) => {
+        switch (value.toLowerCase()) {
+          case 'archived': return [{ kind: 'in', column: 'is_archived', values: [!negate] }]
+          case 'assigned': return [{ kind: 'null', column: 'assigned_to', negate: !negate }]
+          case 'unassigned': return [{ kind: 'null', column: 'assigned_to', negate }]
+          default:
+            errors.push(`Unknown "is:" value "${value}"`)
+            return []
+        }
+      })
+    default:
+      return []
+  }
+}
+
+/**
+ * Resolve a parsed query into filter clauses
+ * Plain words are returned as `text` for ranked search; phrases and negated words
+ * become substring clauses.
+ *
+ * @param {Object} ast - From parseSearchQuery
+ * @param {Object} context - { workflow, labels, templates, customFields, profiles, userId }
+ * @returns {Object} - { clauses, text, archived: true | false | null, errors }
+ */
+export function compileSearchQuery(ast, context) {
+  const errors = []
+  const clauses = []
+  const words = []
+
+  ast.clauses.forEach((clause) => {
+    if (clause.type === 'field') {
+      clauses.push(...compileField(clause, context, errors))
+    } else if (!clause.phrase && !clause.negated) {
+      words.push(clause.value)
+    } else {
+      const term = sanitizeSearchTerm(clause.value)
+      if (term) clauses.push({ kind: 'text', columns: TEXT_COLUMNS, values: [term], negate: clause.negated })
+    }
+  })
+
+  const archivedClause = clauses.find((clause) => clause.column === 'is_archived')
+  return {
+    clauses,
+    text: words.join(' '),
+    archived: archivedClause ? archivedClause.values[0] : null,
+    errors,
+  }
+}
+
+// Double-quoted PostgREST filter value, safe inside `or()` and `in.()` lists
+export const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+
+// One clause as a PostgREST `or()` condition (used for "any of" clauses)
+const toCondition = (clause) => {
+  const { column } = clause
+  switch (clause.kind) {
+    case 'in': return `${column}.in.(${clause.values.map(quoteFilterValue).join(',')})`
+    case 'null': return `${column}.${clause.negate ? 'not.is' : 'is'}.null`
+    case 'range': return `${column}.${clause.op}.${clause.value}`
+    case 'text': return clause.values.flatMap((value) => clause.columns.map((textColumn) => `${textColumn}.ilike.%${value}%`)).join(',')
+    case 'contains': return clause.values.map((value) => `${column}.cs.${quoteFilterValue(JSON.stringify([value]))}`).join(',')
+    default: return null
+  }
+}
+
+const applyClause = (query, clause) => {
+  const { column } = clause
+  switch (clause.kind) {
+    case 'in': {
+      const list = `(${clause.values.map(quoteFilterValue).join(',')})`
+      if (clause.negate) {
+        if (clause.includeNull) query = query.not(column, 'is', null)
+        return clause.values.length > 0 ? query.or(`${column}.is.null,${column}.not.in.${list}`) : query
+      }
+      return clause.includeNull ? query.or(`${column}.is.null,${column}.in.${list}`) : query.in(column, clause.values)
+    }
+    case 'null':
+      return clause.negate ? query.not(column, 'is', null) : query.is(column, null)
+    case 'overlaps':
+      if (clause.negate) return clause.values.length > 0 ? query.not(column, 'ov', `{${clause.values.join(',')}}`) : query
+      return query.overlaps(column, clause.values)
+    case 'range':
+      return query[clause.op](column, clause.value)
+    case 'contains':
+      if (!clause.negate) return clause.values.length > 0 ? query.or(toCondition(clause)) : query.in('id', [])
+      clause.values.forEach((value) => {
+        query = query.or(`${column}.is.null,${column}.not.cs.${quoteFilterValue(JSON.stringify([value]))}`)
+      })
+      return query
+    case 'text':
+      if (!clause.negate) return query.or(toCondition(clause))
+      clause.values.forEach((value) => {
+        clause.columns.forEach((textColumn) => {
+          query = query.or(`${textColumn}.is.null,${textColumn}.not.ilike.%${value}%`)
+        })
+      })
+      return query
+    case 'any':
+      return query.or(clause.clauses.map(toCondition).join(','))
+    default:
+      return query
+  }
+}
+
+/**
+ * Apply compiled clauses to a PostgREST query
+ */
+export function applyQueryClauses(query, clauses = []) {
+  return clauses.reduce(applyClause, query)
+}
+
+// `a->>b` (text) and `a->b` (JSON) paths both read bug[a][b]
+const columnValue = (bug, column) => {
+  const [base, key] = column.split(/->>?/)
+  return key ? bug[base]?.[key] : bug[base]
+}
+
+/**
+ * Whether any of the columns contains the term (case-insensitive)
+ */
+export const matchesText = (bug, term, columns = TEXT_COLUMNS) => (
+  columns.some((column) => String(columnValue(bug, column) ?? '').toLowerCase().includes(term.toLowerCase()))
+)
+
+const compareRange = (value, { op, value: bound, numeric }) => {
+  const left = numeric ? Number(value) : new Date(value).getTime()
+  const right = numeric ? Number(bound) : new Date(bound).getTime()
+  switch (op) {
+    case 'gt': return left > right
+    case 'gte': return left >= right
+    case 'lte': return left <= right
+    default: return left < right
+  }
+}
+
+const matchesClause = (bug, clause) => {
+  const value = clause.column ? columnValue(bug, clause.column) : undefined
+  switch (clause.kind) {
+    case 'in': {
+      // ->> paths read numbers as text, as PostgREST does
+      const comparable = clause.column.includes('->>') && value != null ? String(value) : value
+      const hit = clause.values.includes(comparable) || (clause.includeNull && value == null)
+      return clause.negate ? !hit : hit
+    }
+    case 'null':
+      return clause.negate ? value != null : value == null
+    case 'overlaps': {
+      const hit = (value || []).some((id) => clause.values.includes(id))
+      return clause.negate ? !hit : hit
+    }
+    case 'range':
+      return value != null && value !== '' && compareRange(value, clause)
+    case 'contains': {
+      const hit = Array.isArray(value) && value.some((item) => clause.values.includes(item))
+      return clause.negate ? !hit : hit
+    }
+    case 'text':
+      return clause.negate
+        ? clause.values.every((term) => !matchesText(bug, term, clause.columns))
+        : clause.values.some((term) => matchesText(bug, term, clause.columns))
+    case 'any':
+      return clause.clauses.some((inner) => matchesClause(bug, inner))
+    default:
+      return true
+  }
+}
+
+/**
+ * Client-side mirror of applyQueryClauses
+ */
+export function matchesQueryClauses(bug, clauses = []) {
+  return clauses.every((clause) => matchesClause(bug, clause))
+}
+
+const quoteIfNeeded = (value) => (/[\s,]/.test(value) ? `"${value}"` : value)
+
+const customFieldValueOptions = (field, profiles) => {
+  switch (field.type) {
+    case 'select':
+    case 'multiselect':
+      return field.options.map((option) => ({ value: option, description: field.name }))
+    case 'user':
+      return [
+        { value: 'me', description: 'You' },
+        ...profiles
+          .filter((profile) => profile.username || profile.email)
+          .map((profile) => ({ value: profile.username || profile.email, description: profile.full_name || profile.email || '' })),
+      ]
+    default:
+      return []
+  }
+}
+
+const fieldValueOptions = (field, { workflow, labels = [], templates = [], customFields = [], profiles = [] }) => {
+  if (isCustomFieldName(field)) {
+    const customField = customFields.find((candidate) => `${CUSTOM_FIELD_PREFIX}${candidate.key}` === field)
+    return customField ? customFieldValueOptions(customField, profiles) : []
+  }
+  switch (field) {
+    case 'status': {
+      const categories = Object.values(STATUS_CATEGORIES)
+      return [
+        ...categories.map((category) => ({ value: category, description: `Any ${category} status` })),
+        ...workflow.statuses
+          .filter((status) => !categories.includes(status.name.toLowerCase()))
+          .map((status) => ({ value: status.name, description: `Status (${status.category})` })),
+      ]
+    }
+    case 'priority':
+      return workflow.priorities.map((priority) => ({ value: priority.name, description: priority.description || 'Priority' }))
+    case 'label':
+      return labels.map((label) => ({ value: label.name, description: label.description || 'Label' }))
+    case 'category':
+      return templates.map((template) => ({ value: template.name, description: 'Template' }))
+    case 'reporter':
+    case 'assignee':
+      return [
+        { value: 'me', description: 'You' },
+        ...(field === 'assignee' ? [{ value: 'none', description: 'Unassigned' }] : []),
+        ...profiles
+          .filter((profile) => profile.username || profile.email)
+          .map((profile) => ({ value: profile.username || profile.email, description: profile.full_name || profile.email || '' })),
+      ]
+    case 'is':
+      return SEARCH_FIELDS.is.values.map((value) => ({ value, description: '' }))
+    case 'created':
+    case 'updated': {
+      const daysAgo = (days) => toDateString(new Date(Date.now() - days * 24 * 60 * 60 * 1000))
+      return [
+        { value: `>${daysAgo(7)}`, description: 'In the last 7 days' },
+        { value: `>${daysAgo(30)}`, description: 'In the last 30 days' },
+        { value: `<${daysAgo(30)}`, description: 'More than 30 days ago' },
+      ]
+    }
+    default:
+      return []
+  }
+}
+
+/**
+ * Autocomplete for the token under the caret: field names, then values for the field
+ * @param {string} input
+ * @param {number} caret
+ * @param {Object} context - { workflow, labels, templates, customFields, profiles }
+ * @returns {Object[]} - [{ label, description, start, end, replacement }]
+ */
+export function getSearchSuggestions(input, caret, context, limit = 8) {
+  const token = tokenizeSearchQuery(input).find(({ start, end }) => start <= caret && caret <= end)
+    || { text: '', start: caret, end: caret }
+  const prefix = token.text.startsWith('-') ? '-' : ''
+  const body = token.text.slice(prefix.length)
+  const colon = body.indexOf(':')
+
+  if (colon === -1) {
+    const partial = body.toLowerCase()
+    const customEntries = (context.customFields || []).map((field) => [
+      `${CUSTOM_FIELD_PREFIX}${field.key}`,
+      { description: field.description || `${field.name} (custom field)` },
+    ])
+    return [...Object.entries(SEARCH_FIELDS), ...customEntries]
+      .filter(([field]) => field.startsWith(partial) && field !== partial)
+      .slice(0, limit)
+      .map(([field, { description }]) => ({
+        label: `${field}:`,
+        description,
+        start: token.start,
+        end: token.end,
+        replacement: `${prefix}${field}:`,
+      }))
+  }
+
+  const field = body.slice(0, colon).toLowerCase()
+  if (!SEARCH_FIELDS[field] && !isCustomFieldName(field)) return []
+
+  // Only the value after the last comma is being completed
+  const rawValues = body.slice(colon + 1)
+  const lastComma = rawValues.lastIndexOf(',')
+  const done = lastComma === -1 ? '' : rawValues.slice(0, lastComma + 1)
+  const partial = unquote(rawValues.slice(lastComma + 1)).toLowerCase()
+
+  return fieldValueOptions(field, context)
+    .filter(({ value }) => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+    .slice(0, limit)
+    .map(({ value, description }) => ({
+      label: value,
+      description,
+      start: token.start,
+      end: token.end,
+      replacement: `${prefix}${field}:${done}${quoteIfNeeded(value)}`,
+    }))
+}
+
+/**
+ * Put a suggestion into the input; a completed value is followed by a space
+ * @returns {Object} - { value, caret }
+ */
+export function applySearchSuggestion(input, suggestion) {
+  const suffix = suggestion.replacement.endsWith(':') ? '' : ' '
+  const before = input.slice(0, suggestion.start) + suggestion.replacement + suffix
+  const after = input.slice(suggestion.end).replace(/^\s+/, suffix ? '' : ' ')
+  return { value: before + after, caret: before.length }
+}
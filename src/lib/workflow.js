@@ -0,0 +1,131 @@
+/**
+ * Bug workflow: statuses, priorities and the allowed status transitions
+ *
+ * The definition lives in the workflow_statuses, workflow_priorities and
+ * workflow_transitions tables and is shared through the query cache. Until those
+ * tables exist (or while they are empty) DEFAULT_WORKFLOW applies.
+ */
+
+import { supabase } from './supabaseClient'
+import { fetchQuery, getQueryState } from './queryCache'
+import {
+  DEFAULT_WORKFLOW,
+  DEFAULT_WORKFLOW_COLOR,
+  STATUS_CATEGORIES,
+  WORKFLOW_COLORS,
+} from './constants'
+
+export const WORKFLOW_KEY = ['workflow']
+export const WORKFLOW_STALE_MS = 5 * 60 * 1000
+
+// Postgres "undefined table" / PostgREST "table not in schema cache"
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205']
+
+/**
+ * Load the raw workflow definition: { statuses, priorities, transitions }
+ */
+export async function fetchWorkflowDefinition() {
+  const results = await Promise.all([
+    supabase
+      .from('workflow_statuses')
+      .select('name, position, color, category, is_initial')
+      .order('position', { ascending: true }),
+    supabase
+      .from('workflow_priorities')
+      .select('name, position, color, description, is_default')
+      .order('position', { ascending: true }),
+    supabase
+      .from('workflow_transitions')
+      .select('from_status, to_status'),
+  ])
+
+  const failed = results.find((result) => result.error)
+  if (failed) {
+    if (MISSING_TABLE_CODES.includes(failed.error.code)) {
+      console.warn('⚠️ Workflow tables not found - using the default workflow')
+      return DEFAULT_WORKFLOW
+    }
+    throw failed.error
+  }
+
+  const [{ data: statuses }, { data: priorities }, { data: transitions }] = results
+  const hasStatuses = statuses.length > 0
+
+  return {
+    statuses: hasStatuses ? statuses : DEFAULT_WORKFLOW.statuses,
+    priorities: priorities.length > 0 ? priorities : DEFAULT_WORKFLOW.priorities,
+    // Transitions only make sense against the statuses they were written for
+    transitions: hasStatuses ? transitions : DEFAULT_WORKFLOW.transitions,
+  }
+}
+
+const getColors = (entry) => WORKFLOW_COLORS[entry?.color] || WORKFLOW_COLORS[DEFAULT_WORKFLOW_COLOR]
+
+const built = new WeakMap()
+
+/**
+ * Wrap a raw definition with lookups and transition rules
+ * Built once per definition object, so it is safe to call during render.
+ */
+export function createWorkflow(definition) {
+  if (built.has(definition)) return built.get(definition)
+
+  const { statuses, priorities, transitions } = definition
+  const statusByName = new Map(statuses.map((status) => [status.name, status]))
+  const priorityByName = new Map(priorities.map((priority) => [priority.name, priority]))
+
+  const allowedTargets = new Map()
+  transitions.forEach(({ from_status: from, to_status: to }) => {
+    if (!allowedTargets.has(from)) allowedTargets.set(from, new Set())
+    allowedTargets.get(from).add(to)
+  })
+  const restricted = transitions.length > 0
+
+  /**
+   * No transition rows means every move is allowed. Bugs in a status the
+   * workflow no longer defines can move anywhere so they never get stuck.
+   */
+  const canTransition = (from, to) => {
+    if (!statusByName.has(to)) return false
+    if (from === to || !restricted || !statusByName.has(from)) return true
+    return Boolean(allowedTargets.get(from)?.has(to))
+  }
+
+  const workflow = {
+    statuses,
+    priorities,
+    statusNames: statuses.map((status) => status.name),
+    priorityNames: priorities.map((priority) => priority.name),
+    initialStatus: (statuses.find((status) => status.is_initial) || statuses[0]).name,
+    defaultPriority: (priorities.find((priority) => priority.is_default) || priorities[0]).name,
+    topPriority: priorities[priorities.length - 1].name,
+    getStatus: (name) => statusByName.get(name) || null,
+    getPriority: (name) => priorityByName.get(name) || null,
+    getStatusColors: (name) => getColors(statusByName.get(name)),
+    getPriorityColors: (name) => getColors(priorityByName.get(name)),
+    getStatusCategory: (name) => statusByName.get(name)?.category || STATUS_CATEGORIES.OPEN,
+    getStatusesInCategory: (category) => statuses
+      .filter((status) => status.category === category)
+      .map((status) => status.name),
+    // Higher is more severe; unknown priorities sort last
+    getPriorityRank: (name) => priorities.findIndex((priority) => priority.name === name),
+    canTransition,
+    getAllowedStatuses: (from) => statuses.filter((status) => status.name !== from && canTransition(from, status.name)),
+  }
+
+  built.set(definition, workflow)
+  return workflow
+}
+
+/**
+ * Current workflow outside React (e.g. inside mutations)
+ * Falls back to the last loaded definition, then to the default, when offline.
+ */
+export async function loadWorkflow() {
+  try {
+    return createWorkflow(await fetchQuery(WORKFLOW_KEY, fetchWorkflowDefinition, { staleTime: WORKFLOW_STALE_MS }))
+  } catch (err) {
+    console.warn('⚠️ Could not load workflow, using cached definition:', err.message)
+    return createWorkflow(getQueryState(WORKFLOW_KEY).data || DEFAULT_WORKFLOW)
+  }
+}
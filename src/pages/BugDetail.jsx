@@ -1,22 +1,37 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
-import { supabase } from '../lib/supabaseClient'
-import { deleteBugImages, listBugImages } from '../lib/bugImageStorage'
-import { useBugMutations } from '../hooks/useBugs'
+import { useBug, useBugMutations } from '../hooks/useBugs'
 import { useKeyboardShortcut } from '../hooks/useKeyboardShortcut'
-import { SHORTCUT_KEYS } from '../lib/constants'
+import { useWorkflow } from '../hooks/useWorkflow'
 import { BugDetailSkeleton } from '../components/Skeleton'
 import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
 import { CopyIconButton } from '../components/CopyButton'
 import { useToast } from '../components/Toast'
 import StatusBadge from '../components/StatusBadge'
+import AssigneePicker from '../components/AssigneePicker'
+import { LabelList, LabelSelector } from '../components/BugHelpers'
+import BugLinks from '../components/BugLinks'
+import BugAttachments from '../components/BugAttachments'
+import RelatedBugs from '../components/RelatedBugs'
 import CommentSection from '../components/CommentSection'
 import ActivityTimeline from '../components/ActivityTimeline'
+import { CustomFieldsForm, CustomFieldList } from '../components/CustomFields'
+import InlineTextEdit from '../components/InlineTextEdit'
+import RedactionReview from '../components/RedactionReview'
+import { useCustomFields } from '../hooks/useCustomFields'
+import { useRedactionPatterns } from '../hooks/useRedactionPatterns'
+import { scanFields, maskFields } from '../lib/redaction'
+import { validateCustomFieldValues, pickFreeTextValues } from '../lib/customFields'
+import { canEditBugFields, EDITABLE_BUG_FIELDS } from '../lib/bugFields'
+import { SHORTCUT_KEYS, VALIDATION } from '../lib/constants'
 import { formatSmartDate } from '../lib/dateUtils'
 import { DropdownMenu, DropdownMenuTrigger, DropdownMenuContent, DropdownMenuItem } from '../components/DropdownMenu'
 
 import MarkdownRenderer from '../components/MarkdownRenderer'
 
+// Inline-editable text fields checked for secrets and personal data before saving
+const REDACTION_FIELD_LABELS = Object.fromEntries(EDITABLE_BUG_FIELDS.map(({ key, label }) => [key, label]))
+
 export default function BugDetail({ session, isAdmin }) {
   const { id } = useParams()
   const navigate = useNavigate()
@@ -24,62 +39,210 @@ export default function BugDetail({ session, isAdmin }) {
   const archiveDialog = useConfirmDialog()
   const deleteDialog = useConfirmDialog()
 
-  const [bug, setBug] = useState(null)
-  const [bugImages, setBugImages] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [updating, setUpdating] = useState(false)
-  const [error, setError] = useState(null)
-
-  // Keyboard shortcuts
-  useKeyboardShortcut(SHORTCUT_KEYS.ESCAPE, () => navigate('/'))
+  // Shared with the query cache: revisits render instantly and realtime edits land here too
+  const { bug, loading, error: bugError, refetch: fetchBug, updateBug } = useBug(id)
+  const [dismissedError, setDismissedError] = useState(null)
+  const error = bugError && bugError !== dismissedError ? 'Bug not found' : null
+
+  const { workflow } = useWorkflow()
+  const { fields: customFields } = useCustomFields()
+  // Custom field values being edited (null while not editing) and their errors
+  const [customDraft, setCustomDraft] = useState(null)
+  const [customErrors, setCustomErrors] = useState({})
+  // Key of the field being edited in place (EDITABLE_BUG_FIELDS), or null
+  const [editingField, setEditingField] = useState(null)
+  // Edit held back for secret/PII review: { values, fieldLabels, save(values) }, or null
+  const [redactionReview, setRedactionReview] = useState(null)
+  const { rules: redactionRules } = useRedactionPatterns()
+
+  // Keyboard shortcuts (Esc cancels an inline edit instead of leaving)
+  useKeyboardShortcut(SHORTCUT_KEYS.ESCAPE, () => navigate('/'), { enabled: !editingField })
   useKeyboardShortcut(SHORTCUT_KEYS.GO_HOME, () => navigate('/'))
 
-  const fetchBug = useCallback(async () => {
-    try {
-      const { data, error: fetchError } = await supabase
-        .from('bugs')
-        .select(`*`)
-        .eq('id', id)
-        .single()
-
-      if (fetchError) {
-        throw fetchError
-      }
-
-      const images = await listBugImages(data.user_id, data.id)
-      setBug({ ...data, preview_image: images[0] || null })
-      setBugImages(images)
-    } catch {
-      setError('Bug not found')
-    } finally {
-      setLoading(false)
-    }
-  }, [id])
-
-  useEffect(() => {
-    fetchBug()
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [id])
-
   /* Refactored to useBugMutations hook */
   const {
     updateStatus: mutateStatus,
+    updateAssignee: mutateAssignee,
+    updateLabels: mutateLabels,
+    updateCustomFields: mutateCustomFields,
+    updateBugFields: mutateBugFields,
     archiveBug: mutateArchive,
     unarchiveBug: mutateRestore,
     deleteBug: mutateDelete,
     loading: mutationLoading
   } = useBugMutations()
 
-  const handleUpdateStatus = async (newStatus) => {
+  // A write rejected because someone else changed the bug first: { description, current, retry }
+  const [conflict, setConflict] = useState(null)
+
+  const handleConflict = (result, description, retry) => {
+    if (!result.current) {
+      showToast(result.error, 'error')
+      navigate('/')
+      return
+    }
+    // The cache already shows their version; let the user decide whether to re-apply theirs on top
+    setConflict({ description, current: result.current, retry: () => retry(result.current) })
+  }
+
+  const resolveConflict = async (applyMine) => {
+    const pending = conflict
+    setConflict(null)
+    if (applyMine) {
+      await pending.retry()
+    } else {
+      fetchBug()
+    }
+  }
+
+  // `base` is the version the change is made against; its updated_at guards the write
+  const handleUpdateStatus = async (newStatus, base = bug) => {
     // Optimistic update
-    const oldStatus = bug.status
-    setBug(prev => ({ ...prev, status: newStatus }))
+    const oldStatus = base.status
+    updateBug({ status: newStatus })
 
-    const result = await mutateStatus(id, newStatus, session.user.id, session.user.email, oldStatus)
+    const result = await mutateStatus(id, newStatus, session.user.id, session.user.email, oldStatus, {
+      expectedUpdatedAt: base.updated_at,
+    })
 
-    if (!result.success) {
-      setBug(prev => ({ ...prev, status: oldStatus })) // Revert
+    if (result.conflict) {
+      handleConflict(result, `status → ${newStatus}`, (current) => handleUpdateStatus(newStatus, current))
+    } else if (!result.success) {
+      updateBug({ status: oldStatus }) // Revert
       showToast(result.error || 'Failed to update status', 'error')
+    } else if (result.queued) {
+      showToast('You are offline - the status change will sync when you reconnect', 'info')
+    }
+  }
+
+  const handleAssign = async (assigneeId, base = bug) => {
+    if ((base.assigned_to || null) === assigneeId) return
+    const oldAssignee = base.assigned_to || null
+    updateBug({ assigned_to: assigneeId })
+
+    const result = await mutateAssignee(id, assigneeId, session.user.id, session.user.email, oldAssignee, {
+      expectedUpdatedAt: base.updated_at,
+      bugTitle: base.title,
+    })
+
+    if (result.conflict) {
+      handleConflict(result, assigneeId ? 'assignment' : 'unassignment', (current) => handleAssign(assigneeId, current))
+    } else if (!result.success) {
+      updateBug({ assigned_to: oldAssignee }) // Revert
+      showToast(result.error || 'Failed to update assignee', 'error')
+    } else {
+      showToast(assigneeId ? 'Assignee updated' : 'Bug unassigned', 'success')
+    }
+  }
+
+  const handleLabels = async (labelIds, base = bug) => {
+    const oldLabelIds = base.label_ids || []
+    updateBug({ label_ids: labelIds })
+
+    const result = await mutateLabels(id, labelIds, session.user.id, session.user.email, oldLabelIds, {
+      expectedUpdatedAt: base.updated_at,
+    })
+
+    if (result.conflict) {
+      handleConflict(result, 'labels', (current) => handleLabels(labelIds, current))
+    } else if (!result.success) {
+      updateBug({ label_ids: oldLabelIds }) // Revert
+      showToast(result.error || 'Failed to update labels', 'error')
+    }
+  }
+
+  const handleEditField = async (key, value, base = bug) => {
+    const label = EDITABLE_BUG_FIELDS.find((field) => field.key === key)?.label || key
+    const result = await mutateBugFields(id, { [key]: value }, session.user.id, session.user.email, base, {
+      expectedUpdatedAt: base.updated_at,
+      isAdmin,
+    })
+
+    if (result.conflict) {
+      setEditingField(null)
+      handleConflict(result, `${label.toLowerCase()} edit`, (current) => handleEditField(key, value, current))
+    } else if (!result.success) {
+      showToast(result.error || `Failed to update ${label.toLowerCase()}`, 'error')
+    } else {
+      setEditingField(null)
+    }
+  }
+
+  // Possible secrets are reviewed (and masked) before an edit is saved, as on CreateBug
+  const reviewBeforeSaving = (values, fieldLabels, save) => {
+    if (scanFields(values, redactionRules).length > 0) {
+      setRedactionReview({ values, fieldLabels, save })
+      return
+    }
+    save(values)
+  }
+
+  const handleSaveField = (key, value) => {
+    reviewBeforeSaving({ [key]: value }, REDACTION_FIELD_LABELS, (values) => handleEditField(key, values[key]))
+  }
+
+  const redactionFindings = redactionReview ? scanFields(redactionReview.values, redactionRules) : []
+
+  const handleRedactionMask = (findings) => {
+    setRedactionReview((prev) => ({ ...prev, values: { ...prev.values, ...maskFields(prev.values, findings) } }))
+  }
+
+  const handleRedactionProceed = ({ maskAll }) => {
+    const { values, save } = redactionReview
+    setRedactionReview(null)
+    save(maskAll ? { ...values, ...maskFields(values, redactionFindings) } : values)
+  }
+
+  const startEditingCustomFields = () => {
+    setCustomErrors({})
+    setCustomDraft({ ...(bug.custom_fields || {}) })
+  }
+
+  // Free-text custom values are reviewed first; the masked text goes back into the form
+  const handleSaveCustomFields = (values) => {
+    const invalid = validateCustomFieldValues(customFields, values)
+    if (Object.keys(invalid).length > 0) {
+      setCustomErrors(invalid)
+      return
+    }
+
+    const fieldLabels = Object.fromEntries(customFields.map((field) => [field.key, field.name]))
+    reviewBeforeSaving(pickFreeTextValues(customFields, values), fieldLabels, (masked) => {
+      const next = { ...values, ...masked }
+      setCustomDraft(next)
+      handleCustomFields(next)
+    })
+  }
+
+  const handleCustomFields = async (values, base = bug) => {
+    const result = await mutateCustomFields(id, customFields, values, session.user.id, session.user.email, base, {
+      expectedUpdatedAt: base.updated_at,
+      isAdmin,
+    })
+
+    if (result.conflict) {
+      handleConflict(result, 'details', (current) => handleCustomFields(values, current))
+    } else if (!result.success) {
+      showToast(result.error || 'Failed to update details', 'error')
+    } else {
+      setCustomDraft(null)
+      showToast('Details updated', 'success')
+    }
+  }
+
+  const archive = async (base = bug) => {
+    const result = await mutateArchive(id, session.user.id, session.user.email, { expectedUpdatedAt: base.updated_at })
+
+    if (result.conflict) {
+      handleConflict(result, 'archive', archive)
+    } else if (result.queued) {
+      showToast('You are offline - the bug will be archived when you reconnect', 'info')
+      navigate('/')
+    } else if (result.success) {
+      showToast('Bug archived successfully', 'success')
+      navigate('/')  // Navigate to dashboard after archive
+    } else {
+      showToast(result.error || 'Failed to archive bug', 'error')
     }
   }
 
@@ -93,22 +256,18 @@ export default function BugDetail({ session, isAdmin }) {
     })
 
     if (!confirmed) return
-
-    const result = await mutateArchive(id, session.user.id, session.user.email)
-
-    if (result.success) {
-      showToast('Bug archived successfully', 'success')
-      navigate('/')  // Navigate to dashboard after archive
-    } else {
-      showToast(result.error || 'Failed to archive bug', 'error')
-    }
+    await archive()
   }
 
-  const handleRestore = async () => {
+  const handleRestore = async (base = bug) => {
     // Any authenticated user can restore
-    const result = await mutateRestore(id, session.user.id, session.user.email)
+    const result = await mutateRestore(id, session.user.id, session.user.email, { expectedUpdatedAt: base.updated_at })
 
-    if (result.success) {
+    if (result.conflict) {
+      handleConflict(result, 'restore', handleRestore)
+    } else if (result.queued) {
+      showToast('You are offline - the bug will be restored when you reconnect', 'info')
+    } else if (result.success) {
       showToast('Bug restored successfully', 'success')
       fetchBug()
     } else {
@@ -147,12 +306,6 @@ export default function BugDetail({ session, isAdmin }) {
     }
   }
 
-  const priorityColors = {
-    Low: 'bg-green-100 text-green-800',
-    Medium: 'bg-yellow-100 text-yellow-800',
-    High: 'bg-red-100 text-red-800',
-  }
-
   if (loading) {
     return <BugDetailSkeleton />
   }
@@ -179,13 +332,41 @@ export default function BugDetail({ session, isAdmin }) {
     )
   }
 
+  const canEdit = canEditBugFields(bug, session.user.id, isAdmin)
+  const sectionEditor = (key) => (
+    <InlineTextEdit
+      initialValue={bug[key]}
+      onSave={(value) => handleSaveField(key, value)}
+      onCancel={() => setEditingField(null)}
+      multiline
+      rows={5}
+      maxLength={VALIDATION.SECTION.MAX_LENGTH}
+      disabled={mutationLoading}
+      className="text-sm"
+    />
+  )
+  const editButton = (key) => canEdit && editingField !== key && (
+    <button
+      type="button"
+      onClick={() => setEditingField(key)}
+      disabled={mutationLoading}
+      className="text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+    >
+      Edit
+    </button>
+  )
+  // Reproduction sections that are empty and can be filled in
+  const addableSections = canEdit
+    ? EDITABLE_BUG_FIELDS.filter(({ key }) => ['steps_to_reproduce', 'expected_behavior', 'actual_behavior'].includes(key) && !bug[key] && editingField !== key)
+    : []
+
   return (
     <div className="min-h-screen bg-slate-50">
       <div className="max-w-5xl mx-auto p-6">
         {error && (
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl mb-6 flex items-center justify-between">
             <span className="text-sm">{error}</span>
-            <button onClick={() => setError(null)} className="text-red-500 hover:text-red-700 p-1">
+            <button onClick={() => setDismissedError(bugError)} className="text-red-500 hover:text-red-700 p-1">
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
               </svg>
@@ -193,6 +374,33 @@ export default function BugDetail({ session, isAdmin }) {
           </div>
         )}
 
+        {conflict && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-xl mb-6">
+            <p className="text-sm font-semibold">Someone else updated this bug while you were viewing it</p>
+            <p className="text-sm mt-1">
+              Your change ({conflict.description}) was not saved. You are now seeing their version: status {conflict.current.status}
+              {conflict.current.is_archived ? ', archived' : ''}, updated {formatSmartDate(conflict.current.updated_at)}.
+            </p>
+            <div className="flex items-center gap-2 mt-3">
+              <button
+                type="button"
+                onClick={() => resolveConflict(true)}
+                disabled={mutationLoading}
+                className="px-3 py-1.5 bg-amber-600 text-white rounded-lg text-xs font-medium hover:bg-amber-700 disabled:opacity-50"
+              >
+                Apply my change anyway
+              </button>
+              <button
+                type="button"
+                onClick={() => resolveConflict(false)}
+                className="px-3 py-1.5 bg-white border border-amber-200 text-amber-800 rounded-lg text-xs font-medium hover:bg-amber-100"
+              >
+                Keep their version
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Header */}
         <div className="flex items-center justify-between gap-4 mb-6">
           <div className="flex items-center gap-4">
@@ -273,45 +481,130 @@ export default function BugDetail({ session, isAdmin }) {
             {/* Bug Info Card */}
             <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
               <div className="flex items-start justify-between gap-4 mb-6">
-                <h1 className="text-2xl font-bold text-slate-800 leading-tight">{bug.title}</h1>
+                <div className="min-w-0 flex-1">
+                  {editingField === 'title' ? (
+                    <InlineTextEdit
+                      initialValue={bug.title}
+                      onSave={(value) => handleSaveField('title', value)}
+                      onCancel={() => setEditingField(null)}
+                      required
+                      maxLength={VALIDATION.TITLE.MAX_LENGTH}
+                      disabled={mutationLoading}
+                      className="text-lg font-semibold"
+                    />
+                  ) : (
+                    <div className="flex items-start gap-3">
+                      <h1 className="text-2xl font-bold text-slate-800 leading-tight">{bug.title}</h1>
+                      <span className="mt-1.5 flex-shrink-0">{editButton('title')}</span>
+                    </div>
+                  )}
+                  <LabelList labelIds={bug.label_ids} className="mt-2" />
+                </div>
                 <div className="flex items-center gap-2 flex-shrink-0">
+                  {bug.category && (
+                    <span className="px-3 py-1.5 rounded-full text-sm font-medium bg-slate-100 text-slate-600">
+                      {bug.category}
+                    </span>
+                  )}
                   {bug.is_archived && (
                     <span className="px-3 py-1.5 rounded-full text-sm font-medium bg-amber-100 text-amber-700">
                       Archived
                     </span>
                   )}
-                  <span className={`px-3 py-1.5 rounded-full text-sm font-medium ${priorityColors[bug.priority]}`}>
+                  <span className={`px-3 py-1.5 rounded-full text-sm font-medium ${workflow.getPriorityColors(bug.priority).pill}`}>
                     {bug.priority}
                   </span>
                 </div>
               </div>
 
               <div className="prose prose-slate max-w-none">
-                <h3 className="text-sm font-semibold text-slate-700 mb-2">Description</h3>
-                <div className="text-slate-600 text-sm leading-relaxed">
-                  <MarkdownRenderer content={bug.description} />
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="text-sm font-semibold text-slate-700">Description</h3>
+                  {editButton('description')}
                 </div>
+                {editingField === 'description' ? (
+                  <InlineTextEdit
+                    initialValue={bug.description}
+                    onSave={(value) => handleSaveField('description', value)}
+                    onCancel={() => setEditingField(null)}
+                    multiline
+                    required
+                    rows={8}
+                    maxLength={VALIDATION.DESCRIPTION.MAX_LENGTH}
+                    disabled={mutationLoading}
+                    className="text-sm"
+                  />
+                ) : (
+                  <div className="text-slate-600 text-sm leading-relaxed">
+                    <MarkdownRenderer content={bug.description} />
+                  </div>
+                )}
               </div>
 
-              {bug.steps_to_reproduce && (
+              {(bug.steps_to_reproduce || editingField === 'steps_to_reproduce') && (
                 <div className="mt-6 pt-6 border-t border-slate-100">
-                  <h3 className="text-sm font-semibold text-slate-700 mb-2">Steps to Reproduce</h3>
-                  <div className="text-slate-600 text-sm leading-relaxed">
-                    <MarkdownRenderer content={bug.steps_to_reproduce} />
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold text-slate-700">Steps to Reproduce</h3>
+                    {editButton('steps_to_reproduce')}
                   </div>
+                  {editingField === 'steps_to_reproduce' ? sectionEditor('steps_to_reproduce') : (
+                    <div className="text-slate-600 text-sm leading-relaxed">
+                      <MarkdownRenderer content={bug.steps_to_reproduce} />
+                    </div>
+                  )}
                 </div>
               )}
 
-              {bug.preview_image && (
-                <div className="mt-6 pt-6 border-t border-slate-100">
-                  <h3 className="text-sm font-semibold text-slate-700 mb-3">Screenshot</h3>
-                  <img
-                    src={bug.preview_image}
-                    alt="Bug screenshot"
-                    className="max-w-full rounded-xl border border-slate-200 shadow-sm"
-                  />
+              {(bug.expected_behavior || bug.actual_behavior || editingField === 'expected_behavior' || editingField === 'actual_behavior') && (
+                <div className="mt-6 pt-6 border-t border-slate-100 grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {(bug.expected_behavior || editingField === 'expected_behavior') && (
+                    <div className="rounded-xl border border-emerald-200 bg-emerald-50 p-4">
+                      <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-sm font-semibold text-emerald-800">Expected Behavior</h3>
+                        {editButton('expected_behavior')}
+                      </div>
+                      {editingField === 'expected_behavior' ? sectionEditor('expected_behavior') : (
+                        <div className="text-slate-600 text-sm leading-relaxed">
+                          <MarkdownRenderer content={bug.expected_behavior} />
+                        </div>
+                      )}
+                    </div>
+                  )}
+                  {(bug.actual_behavior || editingField === 'actual_behavior') && (
+                    <div className="rounded-xl border border-red-200 bg-red-50 p-4">
+                      <div className="flex items-center justify-between mb-2">
+                        <h3 className="text-sm font-semibold text-red-800">Actual Behavior</h3>
+                        {editButton('actual_behavior')}
+                      </div>
+                      {editingField === 'actual_behavior' ? sectionEditor('actual_behavior') : (
+                        <div className="text-slate-600 text-sm leading-relaxed">
+                          <MarkdownRenderer content={bug.actual_behavior} />
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
+
+              {addableSections.length > 0 && (
+                <div className="mt-4 flex flex-wrap gap-2">
+                  {addableSections.map(({ key, label }) => (
+                    <button
+                      key={key}
+                      type="button"
+                      onClick={() => setEditingField(key)}
+                      disabled={mutationLoading}
+                      className="px-2.5 py-1 text-xs font-medium text-slate-600 bg-slate-50 border border-dashed border-slate-300 rounded-lg hover:border-slate-400 hover:text-slate-800 transition-colors disabled:opacity-50"
+                    >
+                      + Add {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="mt-6 pt-6 border-t border-slate-100">
+                <BugAttachments bug={bug} session={session} isAdmin={isAdmin} />
+              </div>
             </div>
 
             {/* Comments Section */}
@@ -321,6 +614,7 @@ export default function BugDetail({ session, isAdmin }) {
               bugReporterId={bug.user_id}
               bugReporterName={bug.reported_by_name}
               bugReporterEmail={bug.reported_by_email}
+              bugCreatedAt={bug.created_at}
             />
 
             {/* Activity Timeline */}
@@ -338,19 +632,164 @@ export default function BugDetail({ session, isAdmin }) {
 
               <div className="space-y-4">
                 <div>
-                  <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-2">Status</label>
+                  <label className="flex items-center justify-between text-xs font-medium text-slate-500 uppercase tracking-wide mb-2">
+                    Status
+                    {bug.pending_sync && (
+                      <span className="normal-case tracking-normal text-amber-600">Pending sync</span>
+                    )}
+                  </label>
                   <select
                     value={bug.status}
-                    onChange={(e) => updateStatus(e.target.value)}
-                    disabled={updating}
+                    onChange={(e) => handleUpdateStatus(e.target.value)}
+                    disabled={mutationLoading}
                     className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
                   >
-                    <option value="Open">Open</option>
-                    <option value="In Progress">In Progress</option>
-                    <option value="Resolved">Resolved</option>
+                    {/* Current status plus the ones the workflow allows moving to */}
+                    <option value={bug.status}>{bug.status}</option>
+                    {workflow.getAllowedStatuses(bug.status).map((status) => (
+                      <option key={status.name} value={status.name}>{status.name}</option>
+                    ))}
                   </select>
                 </div>
+
+                {canEdit && (
+                  <div>
+                    <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-2">Priority</label>
+                    <select
+                      value={bug.priority}
+                      onChange={(e) => handleEditField('priority', e.target.value)}
+                      disabled={mutationLoading}
+                      className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                      {!workflow.priorityNames.includes(bug.priority) && <option value={bug.priority}>{bug.priority}</option>}
+                      {workflow.priorityNames.map((name) => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-2">Assignee</label>
+                  <AssigneePicker
+                    value={bug.assigned_to}
+                    onChange={(assigneeId) => handleAssign(assigneeId)}
+                    currentUserId={session.user.id}
+                    disabled={mutationLoading}
+                  />
+                  {bug.assigned_to !== session.user.id && (
+                    <button
+                      type="button"
+                      onClick={() => handleAssign(session.user.id)}
+                      disabled={mutationLoading}
+                      className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                    >
+                      Assign to me
+                    </button>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-2">Labels</label>
+                  <LabelSelector
+                    selected={bug.label_ids || []}
+                    onChange={(labelIds) => handleLabels(labelIds)}
+                    disabled={mutationLoading}
+                  />
+                </div>
+
+                {bug.environment && (
+                  <div>
+                    <label className="block text-xs font-medium text-slate-500 uppercase tracking-wide mb-2">Environment</label>
+                    <dl className="space-y-1 text-sm">
+                      {bug.environment.browser && (
+                        <div className="flex justify-between gap-2">
+                          <dt className="text-slate-500">Browser</dt>
+                          <dd className="text-slate-800 text-right">{bug.environment.browser}</dd>
+                        </div>
+                      )}
+                      {bug.environment.os && (
+                        <div className="flex justify-between gap-2">
+                          <dt className="text-slate-500">OS</dt>
+                          <dd className="text-slate-800 text-right">{bug.environment.os}</dd>
+                        </div>
+                      )}
+                      {bug.environment.version && (
+                        <div className="flex justify-between gap-2">
+                          <dt className="text-slate-500">App Version</dt>
+                          <dd className="text-slate-800 text-right">v{bug.environment.version}</dd>
+                        </div>
+                      )}
+                    </dl>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Custom fields defined by admins */}
+            {customFields.length > 0 && (
+              <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-sm font-semibold text-slate-700">Additional Details</h3>
+                  {canEdit && !customDraft && (
+                    <button
+                      type="button"
+                      onClick={startEditingCustomFields}
+                      disabled={mutationLoading}
+                      className="text-xs font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                    >
+                      Edit
+                    </button>
+                  )}
+                </div>
+                {customDraft ? (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault()
+                      handleSaveCustomFields(customDraft)
+                    }}
+                  >
+                    <CustomFieldsForm
+                      fields={customFields}
+                      values={customDraft}
+                      errors={customErrors}
+                      onChange={(key, value) => {
+                        setCustomDraft((prev) => ({ ...prev, [key]: value }))
+                        setCustomErrors((prev) => ({ ...prev, [key]: null }))
+                      }}
+                      disabled={mutationLoading}
+                    />
+                    <div className="flex justify-end gap-2 mt-4">
+                      <button
+                        type="button"
+                        onClick={() => setCustomDraft(null)}
+                        className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={mutationLoading}
+                        className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <CustomFieldList fields={customFields} values={bug.custom_fields} />
+                )}
               </div>
+            )}
+
+            {/* Relationships */}
+            <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
+              <h3 className="text-sm font-semibold text-slate-700 mb-4">Linked Bugs</h3>
+              <BugLinks bug={bug} session={session} disabled={mutationLoading} />
+            </div>
+
+            {/* Similar bugs from the search index */}
+            <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
+              <h3 className="text-sm font-semibold text-slate-700 mb-4">Related Bugs</h3>
+              <RelatedBugs bugId={bug.id} />
             </div>
 
             {/* Reporter Info */}
@@ -396,7 +835,7 @@ export default function BugDetail({ session, isAdmin }) {
               {/* Restore - any auth user, only shown when archived */}
               {bug.is_archived && (
                 <button
-                  onClick={handleRestore}
+                  onClick={() => handleRestore()}
                   disabled={mutationLoading}
                   className="w-full px-4 py-2.5 text-sm bg-green-50 text-green-700 rounded-lg hover:bg-green-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
                 >
@@ -425,6 +864,18 @@ export default function BugDetail({ session, isAdmin }) {
         </div>
       </div>
 
+      {redactionReview && (
+        <RedactionReview
+          values={redactionReview.values}
+          fieldLabels={redactionReview.fieldLabels}
+          findings={redactionFindings}
+          actionLabel="Save"
+          onMask={handleRedactionMask}
+          onProceed={handleRedactionProceed}
+          onCancel={() => setRedactionReview(null)}
+        />
+      )}
+
       {/* Confirm Dialogs */}
       <ConfirmDialog {...archiveDialog.dialogProps} />
       <ConfirmDialog {...deleteDialog.dialogProps} />
@@ -1,19 +1,66 @@
 import { useState, useRef, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { supabase } from '../lib/supabaseClient'
-import { uploadBugImage } from '../lib/bugImageStorage' // PHASE 3 FIX: Isolated bug image storage
+import { uploadBugAttachments, prepareAttachmentFiles, getPastedImages, formatFileSize, getAttachmentKind, getAttachmentType } from '../lib/bugAttachments'
 import { useKeyboardShortcut } from '../hooks/useKeyboardShortcut'
-import { useBugs } from '../hooks/useBugs'
 import { useAuth } from '../hooks/useAuth'
-import { SHORTCUT_KEYS } from '../lib/constants'
+import { useWorkflow } from '../hooks/useWorkflow'
+import { SHORTCUT_KEYS, FILE_UPLOAD, BUG_DRAFTS, VALIDATION } from '../lib/constants'
+import { buildEnvironment, ENVIRONMENT_KEYS } from '../lib/bugFields'
 import { useToast } from '../components/Toast'
 import { DuplicateDetector, LabelSelector } from '../components/BugHelpers'
+import { ImageAnnotator } from '../components/ImageAnnotator'
+import RedactionReview from '../components/RedactionReview'
+import ResumeDraftPrompt from '../components/ResumeDraftPrompt'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
+import { useRedactionPatterns } from '../hooks/useRedactionPatterns'
+import { useBugTemplates } from '../hooks/useBugTemplates'
+import { useLabels } from '../hooks/useLabels'
+import { useCustomFields } from '../hooks/useCustomFields'
+import { useBugDrafts } from '../hooks/useBugDrafts'
+import { CustomFieldsForm } from '../components/CustomFields'
+import { validateCustomFieldValues, cleanCustomFieldValues, pickFreeTextValues } from '../lib/customFields'
+import { scanFields, maskFields } from '../lib/redaction'
+import { TEMPLATE_SECTIONS, getDefaultBugTemplate, getMissingSections, applyTemplateDefaults } from '../lib/bugTemplates'
+import { saveDraftAttachments, loadDraftAttachments, hasDraftContent, getDraftName } from '../lib/bugDrafts'
+
+// Free-text fields checked for secrets and personal data before submitting
+const REDACTION_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  steps_to_reproduce: 'Steps to reproduce',
+  expected_behavior: 'Expected behavior',
+  actual_behavior: 'Actual behavior',
+  browser: 'Browser',
+  os: 'Operating system',
+  version: 'Version',
+}
+
+const pickRedactionValues = (data, skipFields = []) => Object.fromEntries(
+  Object.keys(REDACTION_FIELD_LABELS)
+    .filter((field) => !skipFields.includes(field))
+    .map((field) => [field, data[field] || ''])
+)
+
+// Free-text custom fields are scanned too, as `custom:<key>` so they never clash with the fields above
+const CUSTOM_REDACTION_PREFIX = 'custom:'
+const pickCustomRedactionValues = (fields, values) => Object.fromEntries(
+  Object.entries(pickFreeTextValues(fields, values)).map(([key, text]) => [`${CUSTOM_REDACTION_PREFIX}${key}`, text])
+)
+
+// Masked `custom:<key>` values back to { key: value } for customValues
+const unprefixCustomValues = (masked) => Object.fromEntries(
+  Object.entries(masked).map(([field, value]) => [field.slice(CUSTOM_REDACTION_PREFIX.length), value])
+)
 
 export default function CreateBug({ session }) {
   const navigate = useNavigate()
   const { showToast } = useToast()
   const { userProfile } = useAuth()
-  const { bugs: existingBugs } = useBugs({ includeArchived: false })
+  const { workflow, loading: workflowLoading } = useWorkflow()
+  const { templates, loading: templatesLoading } = useBugTemplates()
+  const { labels, loading: labelsLoading } = useLabels()
+  const { fields: customFields } = useCustomFields()
   const titleInputRef = useRef(null)
   const [loading, setLoading] = useState(false)
   const [submitting, setSubmitting] = useState(false) // PHASE 1 — ATOMIC BUG SUBMISSION: Prevent double submission
@@ -25,14 +72,149 @@ export default function CreateBug({ session }) {
     steps_to_reproduce: '',
     expected_behavior: '',
     actual_behavior: '',
-    priority: 'Medium',
-    category: 'Bug',
+    priority: '', // empty: the workflow's default priority
+    category: '', // template name; the default template once templates load
     browser: '',
     os: '',
     version: '',
   })
-  const [imageFile, setImageFile] = useState(null)
+  const [customValues, setCustomValues] = useState({})
+  const [customErrors, setCustomErrors] = useState({})
+  // [{ file, originalSize, compressed }] - oversized images are already compressed here
+  const [attachmentFiles, setAttachmentFiles] = useState([])
+  const [preparingFiles, setPreparingFiles] = useState(false)
+  const [annotatingIndex, setAnnotatingIndex] = useState(null)
   const [isDragging, setIsDragging] = useState(false)
+  const [reviewingRedaction, setReviewingRedaction] = useState(false)
+  const { rules: redactionRules } = useRedactionPatterns()
+  const selectedPriority = formData.priority || workflow.defaultPriority
+
+  // The chosen template reshapes the form: its skeleton, sections, priority and labels
+  const [appliedTemplate, setAppliedTemplate] = useState(null)
+  const template = templates.find((candidate) => candidate.name === formData.category) || getDefaultBugTemplate(templates)
+  const showsSection = (key) => !template || template.sections.includes(key)
+  const requiresSection = (key) => Boolean(template?.required_sections.includes(key))
+  if (template && template.id !== appliedTemplate?.id && !templatesLoading && !labelsLoading && !workflowLoading) {
+    const defaults = applyTemplateDefaults(
+      { description: formData.description, priority: formData.priority, labelIds: selectedLabels },
+      appliedTemplate,
+      template,
+      { priorityNames: workflow.priorityNames, labelIds: labels.map((label) => label.id) }
+    )
+    setAppliedTemplate(template)
+    setFormData({ ...formData, category: template.name, description: defaults.description, priority: defaults.priority })
+    setSelectedLabels(defaults.labelIds)
+  }
+
+  // Drafts: the form is autosaved while it has content, so leaving the page (Esc,
+  // navigation, a crash) never loses a report; attachments go to IndexedDB
+  const { drafts, saveDraft, discardDraft, discardDrafts } = useBugDrafts(session?.user?.id)
+  const discardDialog = useConfirmDialog()
+  const [draftId, setDraftId] = useState(null)
+  const [draftPromptDismissed, setDraftPromptDismissed] = useState(false)
+  const [resumingDraft, setResumingDraft] = useState(false)
+  const savedAttachmentsRef = useRef(null)
+  const draftPendingRef = useRef(false)
+  const submittedRef = useRef(false)
+  const currentDraft = drafts.find((draft) => draft.id === draftId) || null
+  const otherDrafts = drafts.filter((draft) => draft.id !== draftId)
+  const draftHasContent = hasDraftContent(
+    { formData, customValues, attachmentCount: attachmentFiles.length },
+    template?.description_template
+  )
+
+  const persistDraft = () => {
+    draftPendingRef.current = false
+    if (submittedRef.current) return
+    const id = draftId || crypto.randomUUID()
+    saveDraft({
+      id,
+      name: getDraftName(formData),
+      formData,
+      customValues,
+      labelIds: selectedLabels,
+      attachmentCount: attachmentFiles.length,
+    })
+    if (savedAttachmentsRef.current !== attachmentFiles) {
+      savedAttachmentsRef.current = attachmentFiles
+      saveDraftAttachments(id, attachmentFiles)
+    }
+    if (!draftId) setDraftId(id)
+  }
+
+  const persistDraftRef = useRef(persistDraft)
+  useEffect(() => {
+    persistDraftRef.current = persistDraft
+  })
+
+  useEffect(() => {
+    if (!draftHasContent || resumingDraft) return
+    draftPendingRef.current = true
+    const timer = setTimeout(() => persistDraftRef.current(), BUG_DRAFTS.AUTOSAVE_MS)
+    return () => clearTimeout(timer)
+  }, [draftHasContent, resumingDraft, formData, customValues, selectedLabels, attachmentFiles])
+
+  // Save what was typed since the last autosave when the page is left
+  useEffect(() => () => {
+    if (draftPendingRef.current) persistDraftRef.current()
+  }, [])
+
+  const handleResumeDraft = async (draft) => {
+    if (draftPendingRef.current) persistDraft()
+    setDraftPromptDismissed(true)
+    setResumingDraft(true)
+    setDraftId(draft.id)
+    setFormData((prev) => ({ ...prev, ...draft.formData }))
+    setCustomValues(draft.customValues || {})
+    setCustomErrors({})
+    setSelectedLabels(draft.labelIds || [])
+    // The draft's template is already applied; a deleted one is replaced without touching what was typed
+    setAppliedTemplate(templates.find((candidate) => candidate.name === draft.formData?.category) || null)
+    setError(null)
+    try {
+      const files = await loadDraftAttachments(draft.id)
+      savedAttachmentsRef.current = files
+      setAttachmentFiles(files)
+    } finally {
+      setResumingDraft(false)
+    }
+  }
+
+  const handleDiscardOtherDrafts = async () => {
+    const confirmed = await discardDialog.confirm({
+      title: `Discard ${otherDrafts.length} drafts?`,
+      description: 'The drafts and their attachments are deleted from this browser.',
+      confirmLabel: 'Discard All',
+      confirmVariant: 'danger',
+    })
+    if (confirmed) discardDrafts(otherDrafts.map((draft) => draft.id))
+  }
+
+  const handleDiscardCurrentDraft = async () => {
+    const confirmed = await discardDialog.confirm({
+      title: 'Discard this draft?',
+      description: 'The form is cleared and the saved draft and its attachments are deleted.',
+      confirmLabel: 'Discard Draft',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+    draftPendingRef.current = false
+    discardDraft(draftId)
+    setDraftId(null)
+    setFormData((prev) => ({
+      ...prev,
+      title: '',
+      description: template?.description_template || '',
+      steps_to_reproduce: '',
+      expected_behavior: '',
+      actual_behavior: '',
+      version: '',
+    }))
+    setCustomValues({})
+    setCustomErrors({})
+    setAttachmentFiles([])
+    setError(null)
+  }
 
   useEffect(() => {
     const ua = navigator.userAgent
@@ -107,28 +289,70 @@ export default function CreateBug({ session }) {
     setFormData({ ...formData, [e.target.name]: e.target.value })
   }
 
-  const validateFile = (file) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
-    const maxSize = 2 * 1024 * 1024
-    if (!allowedTypes.includes(file.type)) return 'Only images (JPEG, PNG, GIF, WebP) are allowed.'
-    if (file.size > maxSize) return 'File size must be less than 2MB.'
-    return null
+  const handleCustomFieldChange = (key, value) => {
+    setCustomValues((prev) => ({ ...prev, [key]: value }))
+    setCustomErrors((prev) => ({ ...prev, [key]: null }))
   }
 
-  const handleImageChange = (e) => {
-    if (e.target.files?.[0]) processFile(e.target.files[0], e.target)
+  const handleFileChange = (e) => {
+    processFiles(e.target.files)
+    e.target.value = ''
   }
 
-  const processFile = (file, inputElement = null) => {
-    const validationError = validateFile(file)
-    if (validationError) {
-      setError(validationError)
-      setImageFile(null)
-      if (inputElement) inputElement.value = ''
+  const processFiles = async (fileList) => {
+    const files = Array.from(fileList || [])
+    if (files.length === 0) return
+    if (attachmentFiles.length + files.length > FILE_UPLOAD.MAX_FILES) {
+      setError(`You can attach up to ${FILE_UPLOAD.MAX_FILES} files.`)
       return
     }
-    setError(null)
-    setImageFile(file)
+    setPreparingFiles(true)
+    try {
+      const prepared = await prepareAttachmentFiles(files)
+      setError(null)
+      setAttachmentFiles((prev) => [...prev, ...prepared])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPreparingFiles(false)
+    }
+  }
+
+  // Screenshots pasted anywhere on the page (Ctrl/Cmd+V) are attached like dropped files;
+  // re-subscribed every render so the handler sees the current list
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (annotatingIndex !== null || loading || preparingFiles) return
+      const images = getPastedImages(e.clipboardData)
+      if (images.length === 0) return
+      e.preventDefault()
+      processFiles(images)
+    }
+    document.addEventListener('paste', handlePaste)
+    return () => document.removeEventListener('paste', handlePaste)
+  })
+
+  const removeAttachmentFile = (index) => {
+    setAttachmentFiles((prev) => prev.filter((_, i) => i !== index))
+  }
+
+  // The annotated copy takes the original's place; a kept original follows it
+  const handleAnnotationComplete = async (annotatedFile, { keepOriginal }) => {
+    const index = annotatingIndex
+    setAnnotatingIndex(null)
+    setPreparingFiles(true)
+    try {
+      const [annotated] = await prepareAttachmentFiles([annotatedFile])
+      setError(null)
+      setAttachmentFiles((prev) => prev.flatMap((entry, i) => {
+        if (i !== index) return [entry]
+        return keepOriginal ? [annotated, entry] : [annotated]
+      }))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setPreparingFiles(false)
+    }
   }
 
   const handleDragOver = (e) => { e.preventDefault(); setIsDragging(true) }
@@ -136,21 +360,75 @@ export default function CreateBug({ session }) {
   const handleDrop = (e) => {
     e.preventDefault()
     setIsDragging(false)
-    if (e.dataTransfer.files?.[0]) processFile(e.dataTransfer.files[0])
+    processFiles(e.dataTransfer.files)
+  }
+
+  // Sections the template hides are not saved, so they are not scanned either
+  const hiddenFields = TEMPLATE_SECTIONS
+    .filter((section) => !showsSection(section.key))
+    .flatMap((section) => (section.key === 'environment' ? ENVIRONMENT_KEYS : [section.key]))
+  const customRedactionValues = pickCustomRedactionValues(customFields, customValues)
+  const redactionValues = { ...pickRedactionValues(formData, hiddenFields), ...customRedactionValues }
+  const redactionFieldLabels = {
+    ...REDACTION_FIELD_LABELS,
+    ...Object.fromEntries(customFields.map((field) => [`${CUSTOM_REDACTION_PREFIX}${field.key}`, field.name])),
+  }
+  const redactionFindings = reviewingRedaction ? scanFields(redactionValues, redactionRules) : []
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (template?.description_template && formData.description.trim() === template.description_template.trim()) {
+      setError('Fill in the description template before submitting.')
+      return
+    }
+    const missingSections = getMissingSections(template, formData)
+    if (missingSections.length > 0) {
+      setError(`${template.name} reports need: ${missingSections.map((section) => section.label).join(', ')}.`)
+      return
+    }
+    const invalidFields = validateCustomFieldValues(customFields, customValues)
+    if (Object.keys(invalidFields).length > 0) {
+      setCustomErrors(invalidFields)
+      setError('Some details are missing or invalid.')
+      return
+    }
+    // Possible secrets are reviewed (and masked) before anything reaches the bugs table
+    if (!submitting && scanFields(redactionValues, redactionRules).length > 0) {
+      setReviewingRedaction(true)
+      return
+    }
+    submitBug(formData)
+  }
+
+  const handleRedactionMask = (findings) => {
+    setFormData((prev) => ({ ...prev, ...maskFields(pickRedactionValues(prev), findings) }))
+    setCustomValues((prev) => ({
+      ...prev,
+      ...unprefixCustomValues(maskFields(pickCustomRedactionValues(customFields, prev), findings)),
+    }))
+  }
+
+  const handleRedactionProceed = ({ maskAll }) => {
+    const data = maskAll ? { ...formData, ...maskFields(pickRedactionValues(formData, hiddenFields), redactionFindings) } : formData
+    const custom = maskAll
+      ? { ...customValues, ...unprefixCustomValues(maskFields(customRedactionValues, redactionFindings)) }
+      : customValues
+    setFormData(data)
+    setCustomValues(custom)
+    setReviewingRedaction(false)
+    submitBug(data, custom)
   }
 
   /**
    * PHASE 1 — ATOMIC BUG SUBMISSION
    * 
    * INVARIANTS:
-   * 1. If image upload fails → bug creation is rolled back (no orphan DB rows)
+   * 1. If an attachment upload fails → bug creation is rolled back (no orphan DB rows)
    * 2. If bug insert fails → submission fails loudly (no silent errors)
    * 3. Form state only resets after FULL success
    * 4. Double submission is prevented via submitting state
    */
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    
+  const submitBug = async (data, customData = customValues) => {
     // PHASE 1: Prevent double submission
     if (submitting) {
       console.warn('⚠️ PHASE 1: Submission already in progress, ignoring duplicate')
@@ -161,7 +439,7 @@ export default function CreateBug({ session }) {
     setLoading(true)
     setError(null)
 
-    // PHASE 1: Track created bugId for rollback if storage upload fails
+    // PHASE 1: Track created bugId for rollback if an attachment upload fails
     let createdBugId = null
 
     try {
@@ -174,28 +452,25 @@ export default function CreateBug({ session }) {
         setSubmitting(false)
         return
       }
-      // PHASE 1 — STEP 1: Build full description (embed steps into description)
-      let fullDescription = formData.description
-      if (formData.steps_to_reproduce && formData.steps_to_reproduce.trim()) {
-        fullDescription += `\n\n---\n\n**Steps to Reproduce:**\n\n${formData.steps_to_reproduce.trim()}`
-      }
-      if (formData.expected_behavior || formData.actual_behavior) {
-        fullDescription += '\n\n---'
-        if (formData.expected_behavior) fullDescription += `\n\n**Expected:** ${formData.expected_behavior}`
-        if (formData.actual_behavior) fullDescription += `\n\n**Actual:** ${formData.actual_behavior}`
-      }
-      if (formData.browser || formData.os || formData.version) {
-        fullDescription += `\n\n**Environment:** ${formData.browser} / ${formData.os}${formData.version ? ` / v${formData.version}` : ''}`
-      }
+      // PHASE 1 — STEP 1: Structured fields are stored in their own columns
+      const trimOrNull = (value) => value?.trim() || null
 
       // PHASE 1 — STEP 2: Insert bug metadata first
       const { data: inserted, error: insertError } = await supabase
         .from('bugs')
         .insert({
-          title: formData.title,
-          description: fullDescription,
-          priority: formData.priority,
-          status: 'Open',
+          title: data.title,
+          description: data.description,
+          // Sections the template hides are not saved, even if filled in under another template
+          steps_to_reproduce: showsSection('steps_to_reproduce') ? trimOrNull(data.steps_to_reproduce) : null,
+          expected_behavior: showsSection('expected_behavior') ? trimOrNull(data.expected_behavior) : null,
+          actual_behavior: showsSection('actual_behavior') ? trimOrNull(data.actual_behavior) : null,
+          environment: showsSection('environment') ? buildEnvironment(data) : null,
+          category: template?.name || null,
+          custom_fields: cleanCustomFieldValues(customFields, customData),
+          label_ids: selectedLabels,
+          priority: selectedPriority,
+          status: workflow.initialStatus,
           is_archived: false,
           user_id: session.user.id, // RLS: user_id matches auth.uid()
           reported_by_email: session.user.email,
@@ -216,14 +491,10 @@ export default function CreateBug({ session }) {
       }
       createdBugId = inserted?.id || null
       
-      // PHASE 1 — STEP 3: Upload image (storage only) using bugId
-      if (imageFile && createdBugId) {
+      // PHASE 1 — STEP 3: Upload attachments using bugId (all or nothing)
+      if (attachmentFiles.length > 0 && createdBugId) {
         try {
-          await uploadBugImage(imageFile, createdBugId, formData.title, {
-            full_name: userProfile.full_name,
-            username: userProfile.username,
-            email: session?.user?.email
-          })
+          await uploadBugAttachments(createdBugId, attachmentFiles.map((entry) => entry.file), session.user.id)
         } catch (uploadErr) {
           // Roll back created bug to preserve previous invariant
           await supabase.from('bugs').delete().eq('id', createdBugId)
@@ -232,6 +503,8 @@ export default function CreateBug({ session }) {
       }
       
       // PHASE 1 — SUCCESS: Only show success and navigate after FULL completion
+      submittedRef.current = true
+      if (draftId) discardDraft(draftId)
       showToast('Bug report submitted!', 'success')
       navigate('/')
       
@@ -241,7 +514,7 @@ export default function CreateBug({ session }) {
         error: err,
         message: err.message,
         bugId: createdBugId,
-        formTitle: formData.title
+        formTitle: data.title
       })
       
       // Surface error to user
@@ -256,10 +529,32 @@ export default function CreateBug({ session }) {
     }
   }
 
-  const categories = ['Bug', 'Feature Request', 'Improvement', 'Documentation', 'Question']
-
   return (
     <div className="min-h-screen bg-slate-50">
+      {reviewingRedaction && (
+        <RedactionReview
+          values={redactionValues}
+          fieldLabels={redactionFieldLabels}
+          findings={redactionFindings}
+          actionLabel="Submit Bug"
+          onMask={handleRedactionMask}
+          onProceed={handleRedactionProceed}
+          onCancel={() => setReviewingRedaction(false)}
+        />
+      )}
+
+      <ConfirmDialog {...discardDialog.dialogProps} />
+
+      {/* Screenshot Annotation Modal */}
+      {annotatingIndex !== null && attachmentFiles[annotatingIndex] && (
+        <ImageAnnotator
+          imageFile={attachmentFiles[annotatingIndex].file}
+          canKeepOriginal={attachmentFiles.length < FILE_UPLOAD.MAX_FILES}
+          onComplete={handleAnnotationComplete}
+          onCancel={() => setAnnotatingIndex(null)}
+        />
+      )}
+
       <div className="max-w-[1600px] mx-auto p-6">
         {/* Page Title */}
         <div className="mb-6">
@@ -267,6 +562,16 @@ export default function CreateBug({ session }) {
           <p className="text-slate-500 text-sm mt-1">Help us improve by reporting issues you encounter</p>
         </div>
 
+        {!draftPromptDismissed && otherDrafts.length > 0 && (
+          <ResumeDraftPrompt
+            drafts={otherDrafts}
+            onResume={handleResumeDraft}
+            onDiscard={discardDraft}
+            onDiscardAll={handleDiscardOtherDrafts}
+            onDismiss={() => setDraftPromptDismissed(true)}
+          />
+        )}
+
         {error && (
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-xl text-sm flex items-center gap-2 mb-6">
             <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -299,91 +604,109 @@ export default function CreateBug({ session }) {
               />
               
               {/* Duplicate Detection */}
-              <DuplicateDetector 
-                title={formData.title} 
-                bugs={existingBugs} 
+              <DuplicateDetector
+                title={formData.title}
+                description={formData.description}
                 onSelect={(bug) => navigate(`/bug/${bug.id}`)}
               />
             </div>
 
             {/* Description & Steps */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className={`grid grid-cols-1 gap-6 ${showsSection('steps_to_reproduce') ? 'lg:grid-cols-2' : ''}`}>
               <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm hover:shadow-md transition-shadow">
                 <div className="flex justify-between items-center mb-3">
                   <label className="block text-sm font-semibold text-slate-700">
                     Description <span className="text-red-500">*</span>
                   </label>
                   <span className="text-xs text-slate-400 bg-slate-100 px-2 py-1 rounded-full">
-                    {formData.description.length}/2000
+                    {formData.description.length}/{VALIDATION.DESCRIPTION.MAX_LENGTH}
                   </span>
                 </div>
                 <textarea
                   name="description"
                   value={formData.description}
                   onChange={handleChange}
-                  rows={7}
-                  maxLength={2000}
+                  rows={template?.description_template ? 10 : 7}
+                  maxLength={VALIDATION.DESCRIPTION.MAX_LENGTH}
                   className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none transition-all"
                   placeholder="Describe the bug in detail. What happened? When did it occur?"
                   required
                 />
               </div>
 
-              <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm hover:shadow-md transition-shadow">
-                <label className="block text-sm font-semibold text-slate-700 mb-3">
-                  Steps to Reproduce
-                </label>
-                <textarea
-                  name="steps_to_reproduce"
-                  value={formData.steps_to_reproduce}
-                  onChange={handleChange}
-                  rows={7}
-                  className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none transition-all"
-                  placeholder={"1. Navigate to the page...\n2. Click on the button...\n3. Fill in the form...\n4. Submit and observe..."}
-                />
-              </div>
+              {showsSection('steps_to_reproduce') && (
+                <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm hover:shadow-md transition-shadow">
+                  <label className="block text-sm font-semibold text-slate-700 mb-3">
+                    Steps to Reproduce {requiresSection('steps_to_reproduce') && <span className="text-red-500">*</span>}
+                  </label>
+                  <textarea
+                    name="steps_to_reproduce"
+                    value={formData.steps_to_reproduce}
+                    onChange={handleChange}
+                    rows={7}
+                    maxLength={VALIDATION.SECTION.MAX_LENGTH}
+                    className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none transition-all"
+                    placeholder={"1. Navigate to the page...\n2. Click on the button...\n3. Fill in the form...\n4. Submit and observe..."}
+                    required={requiresSection('steps_to_reproduce')}
+                  />
+                </div>
+              )}
             </div>
 
             {/* Expected & Actual */}
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-              <div className="bg-gradient-to-br from-emerald-50 to-green-50 rounded-2xl border border-emerald-200 p-6 shadow-sm">
-                <div className="flex items-center gap-2 mb-3">
-                  <div className="w-7 h-7 rounded-lg bg-emerald-500 flex items-center justify-center">
-                    <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                    </svg>
+            {(showsSection('expected_behavior') || showsSection('actual_behavior')) && (
+              <div className={`grid grid-cols-1 gap-6 ${showsSection('expected_behavior') && showsSection('actual_behavior') ? 'lg:grid-cols-2' : ''}`}>
+                {showsSection('expected_behavior') && (
+                  <div className="bg-gradient-to-br from-emerald-50 to-green-50 rounded-2xl border border-emerald-200 p-6 shadow-sm">
+                    <div className="flex items-center gap-2 mb-3">
+                      <div className="w-7 h-7 rounded-lg bg-emerald-500 flex items-center justify-center">
+                        <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                        </svg>
+                      </div>
+                      <label className="text-sm font-semibold text-slate-700">
+                        Expected Behavior {requiresSection('expected_behavior') && <span className="text-red-500">*</span>}
+                      </label>
+                    </div>
+                    <textarea
+                      name="expected_behavior"
+                      value={formData.expected_behavior}
+                      onChange={handleChange}
+                      rows={4}
+                      maxLength={VALIDATION.SECTION.MAX_LENGTH}
+                      className="w-full px-4 py-3 bg-white/80 border border-emerald-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent resize-none transition-all"
+                      placeholder="What should have happened?"
+                      required={requiresSection('expected_behavior')}
+                    />
                   </div>
-                  <label className="text-sm font-semibold text-slate-700">Expected Behavior</label>
-                </div>
-                <textarea
-                  name="expected_behavior"
-                  value={formData.expected_behavior}
-                  onChange={handleChange}
-                  rows={4}
-                  className="w-full px-4 py-3 bg-white/80 border border-emerald-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent resize-none transition-all"
-                  placeholder="What should have happened?"
-                />
-              </div>
+                )}
 
-              <div className="bg-gradient-to-br from-red-50 to-rose-50 rounded-2xl border border-red-200 p-6 shadow-sm">
-                <div className="flex items-center gap-2 mb-3">
-                  <div className="w-7 h-7 rounded-lg bg-red-500 flex items-center justify-center">
-                    <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                    </svg>
+                {showsSection('actual_behavior') && (
+                  <div className="bg-gradient-to-br from-red-50 to-rose-50 rounded-2xl border border-red-200 p-6 shadow-sm">
+                    <div className="flex items-center gap-2 mb-3">
+                      <div className="w-7 h-7 rounded-lg bg-red-500 flex items-center justify-center">
+                        <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </div>
+                      <label className="text-sm font-semibold text-slate-700">
+                        Actual Behavior {requiresSection('actual_behavior') && <span className="text-red-500">*</span>}
+                      </label>
+                    </div>
+                    <textarea
+                      name="actual_behavior"
+                      value={formData.actual_behavior}
+                      onChange={handleChange}
+                      rows={4}
+                      maxLength={VALIDATION.SECTION.MAX_LENGTH}
+                      className="w-full px-4 py-3 bg-white/80 border border-red-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent resize-none transition-all"
+                      placeholder="What actually happened instead?"
+                      required={requiresSection('actual_behavior')}
+                    />
                   </div>
-                  <label className="text-sm font-semibold text-slate-700">Actual Behavior</label>
-                </div>
-                <textarea
-                  name="actual_behavior"
-                  value={formData.actual_behavior}
-                  onChange={handleChange}
-                  rows={4}
-                  className="w-full px-4 py-3 bg-white/80 border border-red-200 rounded-xl text-slate-800 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent resize-none transition-all"
-                  placeholder="What actually happened instead?"
-                />
+                )}
               </div>
-            </div>
+            )}
 
             {/* Screenshot Upload */}
             <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm hover:shadow-md transition-shadow">
@@ -396,44 +719,69 @@ export default function CreateBug({ session }) {
                 onDrop={handleDrop}
                 className={`relative border-2 border-dashed rounded-xl p-8 transition-all ${
                   isDragging ? 'border-blue-500 bg-blue-50' :
-                  imageFile ? 'border-emerald-400 bg-emerald-50' :
+                  attachmentFiles.length > 0 ? 'border-emerald-400 bg-emerald-50' :
                   'border-slate-300 hover:border-slate-400 bg-slate-50'
                 }`}
               >
-                {imageFile ? (
-                  <div className="flex items-center gap-6">
-                    <div className="w-24 h-24 rounded-xl overflow-hidden bg-white border border-slate-200 shadow-sm">
-                      <img src={URL.createObjectURL(imageFile)} alt="Preview" className="w-full h-full object-cover" />
-                    </div>
-                    <div className="flex-1">
-                      <p className="font-semibold text-slate-700">{imageFile.name}</p>
-                      <p className="text-sm text-slate-500 mt-1">{(imageFile.size / 1024).toFixed(1)} KB</p>
-                      <button
-                        type="button"
-                        onClick={() => setImageFile(null)}
-                        className="mt-2 px-3 py-1.5 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg font-medium transition-all"
-                      >
-                        Remove file
-                      </button>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="text-center py-4">
-                    <div className="w-14 h-14 mx-auto rounded-xl bg-slate-100 flex items-center justify-center mb-4">
-                      <svg className="h-7 w-7 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                      </svg>
-                    </div>
-                    <p className="text-slate-600 font-medium">
-                      <label className="cursor-pointer text-blue-600 hover:text-blue-700 transition-colors">
-                        Click to upload
-                        <input type="file" accept="image/*" onChange={handleImageChange} disabled={loading} className="sr-only" />
-                      </label>
-                      {' '}or drag and drop
-                    </p>
-                    <p className="mt-2 text-sm text-slate-400">PNG, JPG, GIF, WebP up to 2MB</p>
-                  </div>
+                {attachmentFiles.length > 0 && (
+                  <ul className="mb-6 space-y-3">
+                    {attachmentFiles.map(({ file, originalSize, compressed }, index) => (
+                      <li key={`${file.name}-${file.lastModified}-${index}`} className="flex items-center gap-4">
+                        <div className="w-14 h-14 flex-shrink-0 rounded-xl overflow-hidden bg-white border border-slate-200 shadow-sm flex items-center justify-center">
+                          {getAttachmentKind(getAttachmentType(file)) === 'image' ? (
+                            <img src={URL.createObjectURL(file)} alt="Preview" className="w-full h-full object-cover" />
+                          ) : (
+                            <span className="text-[10px] font-semibold uppercase text-slate-400">{file.name.split('.').pop().slice(0, 4)}</span>
+                          )}
+                        </div>
+                        <div className="flex-1 min-w-0">
+                          <p className="font-semibold text-slate-700 truncate">{file.name}</p>
+                          <p className="text-sm text-slate-500">
+                            {formatFileSize(file.size)}
+                            {compressed && (
+                              <span className="text-emerald-600"> · compressed from {formatFileSize(originalSize)}</span>
+                            )}
+                          </p>
+                        </div>
+                        {getAttachmentKind(getAttachmentType(file)) === 'image' && (
+                          <button
+                            type="button"
+                            onClick={() => setAnnotatingIndex(index)}
+                            disabled={loading || preparingFiles}
+                            className="px-3 py-1.5 text-sm text-blue-600 hover:text-blue-700 hover:bg-blue-50 rounded-lg font-medium transition-all"
+                          >
+                            Annotate
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => removeAttachmentFile(index)}
+                          disabled={loading || preparingFiles}
+                          className="px-3 py-1.5 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg font-medium transition-all"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
                 )}
+                <div className="text-center py-4">
+                  <div className="w-14 h-14 mx-auto rounded-xl bg-slate-100 flex items-center justify-center mb-4">
+                    <svg className="h-7 w-7 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                    </svg>
+                  </div>
+                  <p className="text-slate-600 font-medium">
+                    <label className="cursor-pointer text-blue-600 hover:text-blue-700 transition-colors">
+                      {preparingFiles ? 'Compressing images...' : attachmentFiles.length > 0 ? 'Add more files' : 'Click to upload'}
+                      <input type="file" multiple onChange={handleFileChange} disabled={loading || preparingFiles} className="sr-only" />
+                    </label>
+                    , drag and drop, or paste a screenshot (Ctrl+V)
+                  </p>
+                  <p className="mt-2 text-sm text-slate-400">
+                    Screenshots, logs, PDFs, HAR files or recordings · up to {FILE_UPLOAD.MAX_FILES} files, {formatFileSize(FILE_UPLOAD.MAX_SIZE)} each ({formatFileSize(FILE_UPLOAD.MAX_VIDEO_SIZE)} for videos); larger images are compressed to fit
+                  </p>
+                </div>
               </div>
             </div>
           </div>
@@ -458,14 +806,16 @@ export default function CreateBug({ session }) {
                 </label>
                 <select
                   name="category"
-                  value={formData.category}
+                  value={template?.name || ''}
                   onChange={handleChange}
+                  disabled={templatesLoading}
                   className="w-full px-4 py-3 bg-slate-50 border border-slate-200 rounded-xl text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all cursor-pointer"
                 >
-                  {categories.map(cat => (
-                    <option key={cat} value={cat}>{cat}</option>
+                  {templates.map((candidate) => (
+                    <option key={candidate.id} value={candidate.name}>{candidate.name}</option>
                   ))}
                 </select>
+                <p className="mt-2 text-xs text-slate-400">Switching keeps what you have typed or picked</p>
               </div>
 
               {/* Labels */}
@@ -481,18 +831,16 @@ export default function CreateBug({ session }) {
                   Priority <span className="text-red-500">*</span>
                 </label>
                 <div className="space-y-2">
-                  {[
-                    { value: 'Low', color: 'emerald', desc: 'Minor issue, workaround exists' },
-                    { value: 'Medium', color: 'amber', desc: 'Causes inconvenience' },
-                    { value: 'High', color: 'red', desc: 'Critical, blocks workflow' },
-                  ].map((p) => (
+                  {workflow.priorities.map((p) => ({
+                    value: p.name,
+                    colors: workflow.getPriorityColors(p.name),
+                    desc: p.description,
+                  })).map((p) => (
                     <label
                       key={p.value}
                       className={`flex items-center gap-4 p-4 rounded-xl border-2 cursor-pointer transition-all ${
-                        formData.priority === p.value
-                          ? p.color === 'emerald' ? 'border-emerald-500 bg-emerald-50' :
-                            p.color === 'amber' ? 'border-amber-500 bg-amber-50' :
-                            'border-red-500 bg-red-50'
+                        selectedPriority === p.value
+                          ? p.colors.selected
                           : 'border-slate-200 hover:border-slate-300 bg-white hover:bg-slate-50'
                       }`}
                     >
@@ -500,23 +848,17 @@ export default function CreateBug({ session }) {
                         type="radio"
                         name="priority"
                         value={p.value}
-                        checked={formData.priority === p.value}
+                        checked={selectedPriority === p.value}
                         onChange={handleChange}
                         className="sr-only"
                       />
-                      <span className={`w-3 h-3 rounded-full ${
-                        p.color === 'emerald' ? 'bg-emerald-500' :
-                        p.color === 'amber' ? 'bg-amber-500' : 'bg-red-500'
-                      }`} />
+                      <span className={`w-3 h-3 rounded-full ${p.colors.dot}`} />
                       <div className="flex-1">
                         <span className="font-semibold text-slate-800">{p.value}</span>
-                        <p className="text-xs text-slate-500 mt-0.5">{p.desc}</p>
+                        {p.desc && <p className="text-xs text-slate-500 mt-0.5">{p.desc}</p>}
                       </div>
-                      {formData.priority === p.value && (
-                        <svg className={`w-5 h-5 ${
-                          p.color === 'emerald' ? 'text-emerald-500' :
-                          p.color === 'amber' ? 'text-amber-500' : 'text-red-500'
-                        }`} fill="currentColor" viewBox="0 0 20 20">
+                      {selectedPriority === p.value && (
+                        <svg className={`w-5 h-5 ${p.colors.stroke}`} fill="currentColor" viewBox="0 0 20 20">
                           <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
                         </svg>
                       )}
@@ -526,60 +868,83 @@ export default function CreateBug({ session }) {
               </div>
             </div>
 
+            {/* Custom fields defined by admins */}
+            {customFields.length > 0 && (
+              <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
+                <h3 className="text-sm font-bold text-slate-800 mb-5 flex items-center gap-2">
+                  <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-amber-500 to-orange-500 flex items-center justify-center">
+                    <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h7" />
+                    </svg>
+                  </div>
+                  Additional Details
+                </h3>
+                <CustomFieldsForm
+                  fields={customFields}
+                  values={customValues}
+                  errors={customErrors}
+                  onChange={handleCustomFieldChange}
+                  disabled={loading}
+                />
+              </div>
+            )}
+
             {/* Environment */}
-            <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
-              <h3 className="text-sm font-bold text-slate-800 mb-5 flex items-center gap-2">
-                <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-cyan-500 to-blue-500 flex items-center justify-center">
-                  <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
-                  </svg>
-                </div>
-                Environment
-              </h3>
+            {showsSection('environment') && (
+              <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
+                <h3 className="text-sm font-bold text-slate-800 mb-5 flex items-center gap-2">
+                  <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-cyan-500 to-blue-500 flex items-center justify-center">
+                    <svg className="w-4 h-4 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                    </svg>
+                  </div>
+                  Environment {requiresSection('environment') && <span className="text-red-500">*</span>}
+                </h3>
               
-              <div className="grid grid-cols-2 gap-4 mb-4">
-                <div>
-                  <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
-                    Browser
-                  </label>
-                  <input
-                    type="text"
-                    name="browser"
-                    value={formData.browser}
-                    onChange={handleChange}
-                    className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all"
-                    placeholder="Chrome"
-                  />
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
+                      Browser
+                    </label>
+                    <input
+                      type="text"
+                      name="browser"
+                      value={formData.browser}
+                      onChange={handleChange}
+                      className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all"
+                      placeholder="Chrome"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
+                      OS
+                    </label>
+                    <input
+                      type="text"
+                      name="os"
+                      value={formData.os}
+                      onChange={handleChange}
+                      className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all"
+                      placeholder="Windows"
+                    />
+                  </div>
                 </div>
+              
                 <div>
                   <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
-                    OS
+                    App Version
                   </label>
                   <input
                     type="text"
-                    name="os"
-                    value={formData.os}
+                    name="version"
+                    value={formData.version}
                     onChange={handleChange}
                     className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all"
-                    placeholder="Windows"
+                    placeholder="e.g., 1.2.3"
                   />
                 </div>
               </div>
-              
-              <div>
-                <label className="block text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
-                  App Version
-                </label>
-                <input
-                  type="text"
-                  name="version"
-                  value={formData.version}
-                  onChange={handleChange}
-                  className="w-full px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-slate-800 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all"
-                  placeholder="e.g., 1.2.3"
-                />
-              </div>
-            </div>
+            )}
 
             {/* Tips */}
             <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-2xl border border-blue-200 p-6">
@@ -627,6 +992,19 @@ export default function CreateBug({ session }) {
 
         {/* Form Actions */}
         <div className="mt-6 flex items-center justify-end gap-3 pt-6 border-t border-slate-200">
+          {currentDraft && (
+            <div className="flex items-center gap-2 text-sm text-slate-400 mr-auto">
+              <span title={new Date(currentDraft.updatedAt).toLocaleString()}>Draft saved</span>
+              <button
+                type="button"
+                onClick={handleDiscardCurrentDraft}
+                disabled={loading}
+                className="px-2 py-1 text-red-600 hover:bg-red-50 rounded-lg font-medium transition-all"
+              >
+                Discard draft
+              </button>
+            </div>
+          )}
           <div className="hidden md:flex items-center gap-4 text-sm text-slate-400 mr-4">
             <span className="flex items-center gap-1.5">
               <kbd className="px-2 py-1 bg-slate-100 border border-slate-200 rounded text-xs">Esc</kbd>
@@ -646,7 +1024,7 @@ export default function CreateBug({ session }) {
           </button>
           <button
             type="submit"
-            disabled={loading || submitting || !formData.title || !formData.description}
+            disabled={loading || submitting || preparingFiles || !formData.title || !formData.description}
             className="px-6 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center gap-2"
           >
             {(loading || submitting) && (
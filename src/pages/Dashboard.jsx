@@ -1,119 +1,230 @@
-import { useState, useRef, useMemo, useEffect } from 'react'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { useNavigate, Link } from 'react-router-dom'
-import { useBugs, useBugMutations } from '../hooks/useBugs'
+import { useBugs, useBugStats, useBugMutations, fetchMatchingBugIds, matchesBugFilters } from '../hooks/useBugs'
+import { useBulkBugActions } from '../hooks/useBulkBugActions'
+import { useSelection } from '../hooks/useSelection'
 import { useDebounce } from '../hooks/useDebounce'
+import { useBugSearch } from '../hooks/useSearchIndex'
+import { useSearchQuery } from '../hooks/useSearchQuery'
+import { useDashboardView } from '../hooks/useDashboardView'
+import { useLabels } from '../hooks/useLabels'
+import { useBugTemplates } from '../hooks/useBugTemplates'
 import { useKeyboardShortcut } from '../hooks/useKeyboardShortcut'
 import { DashboardSkeleton } from '../components/Skeleton'
 import { EmptyState } from '../components/EmptyState'
 import { useToast } from '../components/Toast'
 import BugCard from '../components/BugCard'
+import SearchQueryInput from '../components/SearchQueryInput'
+import SavedViewsSidebar from '../components/SavedViewsSidebar'
+import BulkActionBar from '../components/BulkActionBar'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
 import Analytics from '../components/Analytics'
 import KanbanBoard from '../components/KanbanBoard'
 import { ExportMenu } from '../lib/exportUtils.jsx'
+import { useWorkflow } from '../hooks/useWorkflow'
 import {
-  BUG_STATUS_LIST,
-  BUG_PRIORITY_LIST,
-  PRIORITY_ORDER,
+  STATUS_CATEGORIES,
+  BUG_SORT_OPTIONS,
+  DEFAULT_BUG_SORT,
+  PAGINATION,
+  SEARCH_INDEX,
   SHORTCUT_KEYS,
 } from '../lib/constants'
 
 import { useAuth } from '../hooks/useAuth'
 
+// Stat card icons by status category (clock, bolt, check)
+const STATUS_CATEGORY_ICONS = {
+  [STATUS_CATEGORIES.OPEN]: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z',
+  [STATUS_CATEGORIES.ACTIVE]: 'M13 10V3L4 14h7v7l9-11h-7z',
+  [STATUS_CATEGORIES.DONE]: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z',
+}
+
+// Extra sort option while searching: search index score
+const RELEVANCE_SORT = 'relevance'
+
+const CLEARED_FILTERS = { priority: '', status: '', label: '', category: '', mine: false, q: '' }
+
 export default function Dashboard() {
   const navigate = useNavigate()
   const searchInputRef = useRef(null)
   const { showToast } = useToast()
   const { session, isAdmin } = useAuth()
 
-  const [activeTab, setActiveTab] = useState('active')
-  const [viewMode, setViewMode] = useState('grid') // grid, kanban, analytics
+  // Tab, view mode, filters, search, sort and page size live in the URL (shareable, back/forward)
+  const { view, search: viewSearch, updateView } = useDashboardView()
+  const {
+    tab: activeTab,
+    mode: viewMode, // grid, kanban, analytics
+    priority: priorityFilter,
+    status: statusFilter,
+    label: labelFilter,
+    category: categoryFilter,
+    mine: assignedToMe,
+    sort: sortBy,
+    size: pageSize,
+  } = view
   const [showExportMenu, setShowExportMenu] = useState(false)
+  const [searchSort, setSearchSort] = useState(RELEVANCE_SORT)
 
-  const { bugs: activeBugs, loading: activeLoading, error: activeError, refetch: refetchActive } = useBugs({ includeArchived: false })
-  const { bugs: archivedBugs, loading: archivedLoading, error: archivedError, refetch: refetchArchived } = useBugs({ includeArchived: true })
+  // The search box is edited locally and written to the URL once typing pauses
+  const [searchQuery, setSearchQuery] = useState(view.q)
+  const [urlQuery, setUrlQuery] = useState(view.q)
+  const debouncedSearch = useDebounce(searchQuery, 300)
+  if (view.q !== urlQuery) {
+    // Back/forward or a saved view changed the URL (not our own write catching up)
+    setUrlQuery(view.q)
+    if (view.q !== debouncedSearch) setSearchQuery(view.q)
+  }
 
-  const { unarchiveBug, loading: mutationLoading } = useBugMutations()
+  useEffect(() => {
+    updateView({ q: debouncedSearch }, { replace: true })
+  }, [debouncedSearch, updateView])
 
-  const bugs = activeTab === 'active' ? activeBugs : archivedBugs.filter(b => b.is_archived)
-  const loading = activeTab === 'active' ? activeLoading : archivedLoading
-  const error = activeTab === 'active' ? activeError : archivedError
-  const refetch = activeTab === 'active' ? refetchActive : refetchArchived
+  // Field clauses (status:open, label:backend, ...) and phrases filter server-side; the
+  // remaining words go through the shared index (ranked, typo tolerant), falling back to
+  // a server-side substring match until it is built
+  const { query: parsedSearch, context: searchContext } = useSearchQuery(debouncedSearch, { userId: session?.user?.id })
+  // is:archived / -is:archived in the query overrides the tab
+  const archiveScope = useMemo(() => (
+    parsedSearch.archived === null ? { archivedOnly: activeTab === 'archived' } : { includeArchived: true }
+  ), [parsedSearch.archived, activeTab])
+  const scopeFilters = useMemo(() => ({
+    priority: priorityFilter,
+    status: statusFilter,
+    assignedTo: assignedToMe ? session?.user?.id : '',
+    label: labelFilter,
+    category: categoryFilter,
+    where: parsedSearch.clauses,
+  }), [priorityFilter, statusFilter, assignedToMe, session?.user?.id, labelFilter, categoryFilter, parsedSearch.clauses])
+  // Index hits are narrowed to the tab and filters before the MAX_RESULTS cut, so none are lost to it
+  const inSearchScope = useCallback((bug) => matchesBugFilters(bug, { ...archiveScope, ...scopeFilters }), [archiveScope, scopeFilters])
 
-  const [priorityFilter, setPriorityFilter] = useState('')
-  const [statusFilter, setStatusFilter] = useState('')
-  const [searchQuery, setSearchQuery] = useState('')
+  const { results: searchResults, ready: searchReady } = useBugSearch(parsedSearch.text, {
+    limit: SEARCH_INDEX.MAX_RESULTS,
+    enabled: viewMode === 'grid',
+    filter: inSearchScope,
+  })
+  const searchIds = useMemo(() => searchResults.map((result) => result.id), [searchResults])
+  const indexedSearch = searchReady && parsedSearch.text.trim().length >= SEARCH_INDEX.MIN_QUERY_LENGTH
+  const rankBySearch = indexedSearch && searchSort === RELEVANCE_SORT
 
-  const debouncedSearch = useDebounce(searchQuery, 300)
+  const gridFilters = {
+    ...scopeFilters,
+    ...(indexedSearch ? { ids: searchIds } : { search: parsedSearch.text }),
+  }
+
+  // Grid: one server-side page at a time for the selected tab (kept live via realtime)
+  const {
+    bugs: gridBugs,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    totalCount,
+    loadMore,
+    refetch,
+  } = useBugs({
+    ...archiveScope,
+    filters: gridFilters,
+    sort: rankBySearch ? DEFAULT_BUG_SORT : sortBy,
+    // Ranked hits (at most SEARCH_INDEX.MAX_RESULTS) load in one go and are put in score order below
+    pageSize: rankBySearch ? null : pageSize,
+    limit: rankBySearch ? SEARCH_INDEX.MAX_RESULTS : null,
+    enabled: viewMode === 'grid',
+  })
+
+  const bugs = useMemo(() => {
+    if (!rankBySearch) return gridBugs
+    const rank = new Map(searchIds.map((id, index) => [id, index]))
+    return [...gridBugs].sort((a, b) => rank.get(a.id) - rank.get(b.id))
+  }, [gridBugs, rankBySearch, searchIds])
+
+  // Kanban and analytics work on the whole active set rather than a page
+  const { bugs: boardBugs, loading: boardLoading } = useBugs({
+    includeArchived: false,
+    enabled: viewMode !== 'grid',
+    // Neither view shows preview images
+    previews: false,
+  })
+
+  const { stats } = useBugStats()
+  const { labels } = useLabels()
+  const { templates } = useBugTemplates()
+  const { workflow } = useWorkflow()
+  const topPriorityColors = workflow.getPriorityColors(workflow.topPriority)
+
+  const { unarchiveBug, loading: mutationLoading } = useBugMutations()
+
+  // Bulk selection on the grid (ids only; batches re-read the rows)
+  const selection = useSelection()
+  const bulk = useBulkBugActions()
+  const deleteDialog = useConfirmDialog()
+  const [bulkResult, setBulkResult] = useState(null)
 
   useKeyboardShortcut(SHORTCUT_KEYS.NEW_BUG, () => navigate('/create'))
   useKeyboardShortcut(SHORTCUT_KEYS.SEARCH, () => searchInputRef.current?.focus())
   useKeyboardShortcut(SHORTCUT_KEYS.GO_HOME, () => navigate('/'))
 
-  const handleUnarchive = async (bugId) => {
-    const result = await unarchiveBug(bugId, session?.user?.id, session?.user?.email)
-    if (result.success) {
+  const handleUnarchive = async (bug) => {
+    const result = await unarchiveBug(bug.id, session?.user?.id, session?.user?.email, { expectedUpdatedAt: bug.updated_at })
+    if (result.conflict) {
+      showToast(result.error, 'error')
+    } else if (result.queued) {
+      showToast('You are offline - the bug will be restored when you reconnect', 'info')
+    } else if (result.success) {
       showToast('Bug restored successfully', 'success')
-      refetchActive()
-      refetchArchived()
     } else {
       showToast('Failed to restore bug', 'error')
     }
   }
 
-  // Listen for bug-archived events to update UI reactively
-  useEffect(() => {
-    const handleBugArchived = () => {
-      refetchActive()
-      refetchArchived()
+  const handleSelect = (e, bugId) => {
+    selection.toggle(bugId, { shiftKey: e.nativeEvent.shiftKey, orderedIds: bugs.map((bug) => bug.id) })
+  }
+
+  const handleSelectAllMatching = async () => {
+    try {
+      const ids = await fetchMatchingBugIds({ ...archiveScope, filters: gridFilters })
+      selection.selectMany(ids)
+    } catch (err) {
+      console.error('Failed to select matching bugs', err)
+      showToast('Failed to select all matching bugs', 'error')
     }
-    window.addEventListener('bug-archived', handleBugArchived)
-    return () => window.removeEventListener('bug-archived', handleBugArchived)
-  }, [refetchActive, refetchArchived])
-
-  const filteredBugs = useMemo(() => {
-    return bugs
-      .filter((bug) => {
-        if (priorityFilter && bug.priority !== priorityFilter) return false
-        if (statusFilter && bug.status !== statusFilter) return false
-        if (debouncedSearch) {
-          const query = debouncedSearch.toLowerCase()
-          const matchesTitle = bug.title?.toLowerCase().includes(query)
-          const matchesDescription = bug.description?.toLowerCase().includes(query)
-          const reporterName = (bug.reported_by_name) || (bug.reported_by_email ? bug.reported_by_email.split('@')[0] : '')
-          const matchesReporter = (reporterName || '').toLowerCase().includes(query) ||
-            (bug.reported_by_email || '').toLowerCase().includes(query)
-          if (!matchesTitle && !matchesDescription && !matchesReporter) return false
-        }
-        return true
-      })
-      .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
-  }, [bugs, priorityFilter, statusFilter, debouncedSearch])
-
-  const stats = useMemo(() => {
-    const open = activeBugs.filter(b => b.status === 'Open').length
-    const inProgress = activeBugs.filter(b => b.status === 'In Progress').length
-    const resolved = activeBugs.filter(b => b.status === 'Resolved').length
-    const highPriority = activeBugs.filter(b => b.priority === 'High').length
-    return { open, inProgress, resolved, highPriority, total: activeBugs.length }
-  }, [activeBugs])
-
-  const archivedCount = archivedBugs.filter(b => b.is_archived).length
-  const hasActiveFilters = priorityFilter || statusFilter || searchQuery
+  }
 
-  const clearFilters = () => {
-    setPriorityFilter('')
-    setStatusFilter('')
+  // Run a batch over the selection; failed bugs stay selected so they can be retried
+  const runBulk = async (label, action) => {
+    const ids = [...selection.selectedIds]
+    const result = await action(ids)
+    setBulkResult({ ...result, label })
+    selection.clear()
+    selection.selectMany(result.failed.map(({ bug }) => bug.id))
+  }
+
+  const handleBulkDelete = async () => {
+    const confirmed = await deleteDialog.confirm({
+      title: `Delete ${selection.count} bug${selection.count !== 1 ? 's' : ''}?`,
+      description: 'Each bug is moved to the trash and its comments and images are removed. Bugs you are not allowed to delete are skipped.',
+      confirmLabel: 'Delete',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+    runBulk('Delete', (ids) => bulk.remove(ids, session?.user?.id, session?.user?.email, isAdmin))
+  }
+
+  const switchTab = (tab) => {
     setSearchQuery('')
+    updateView({ tab, ...CLEARED_FILTERS })
+    selection.clear()
+    setBulkResult(null)
   }
 
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-slate-50 p-6">
-        <div className="max-w-[1600px] mx-auto">
-          <DashboardSkeleton count={8} />
-        </div>
-      </div>
-    )
+  const hasActiveFilters = priorityFilter || statusFilter || labelFilter || categoryFilter || assignedToMe || searchQuery
+
+  const clearFilters = () => {
+    setSearchQuery('')
+    updateView(CLEARED_FILTERS)
   }
 
   if (error) {
@@ -150,7 +261,7 @@ export default function Dashboard() {
             {/* View Mode Toggle */}
             <div className="hidden md:flex items-center bg-white border border-slate-200 rounded-lg p-1">
               <button
-                onClick={() => setViewMode('grid')}
+                onClick={() => updateView({ mode: 'grid' })}
                 className={`p-2 rounded-md transition-colors ${viewMode === 'grid' ? 'bg-slate-100 text-slate-800' : 'text-slate-400 hover:text-slate-600'}`}
                 title="Grid View"
               >
@@ -159,7 +270,7 @@ export default function Dashboard() {
                 </svg>
               </button>
               <button
-                onClick={() => setViewMode('kanban')}
+                onClick={() => updateView({ mode: 'kanban' })}
                 className={`p-2 rounded-md transition-colors ${viewMode === 'kanban' ? 'bg-slate-100 text-slate-800' : 'text-slate-400 hover:text-slate-600'}`}
                 title="Kanban Board"
               >
@@ -168,7 +279,7 @@ export default function Dashboard() {
                 </svg>
               </button>
               <button
-                onClick={() => setViewMode('analytics')}
+                onClick={() => updateView({ mode: 'analytics' })}
                 className={`p-2 rounded-md transition-colors ${viewMode === 'analytics' ? 'bg-slate-100 text-slate-800' : 'text-slate-400 hover:text-slate-600'}`}
                 title="Analytics"
               >
@@ -190,7 +301,7 @@ export default function Dashboard() {
                 </svg>
               </button>
               {showExportMenu && (
-                <ExportMenu bugs={activeBugs} onClose={() => setShowExportMenu(false)} />
+                <ExportMenu bugs={viewMode === 'grid' ? bugs : boardBugs} onClose={() => setShowExportMenu(false)} />
               )}
             </div>
 
@@ -206,216 +317,315 @@ export default function Dashboard() {
           </div>
         </div>
 
-        {/* Analytics View */}
-        {viewMode === 'analytics' && (
-          <Analytics bugs={activeBugs} />
-        )}
-
-        {/* Kanban View */}
-        {viewMode === 'kanban' && (
-          <KanbanBoard bugs={activeBugs} onUpdate={refetchActive} />
-        )}
-
-        {/* Grid View */}
-        {viewMode === 'grid' && (
-          <>
-            {/* Stats */}
-            {activeTab === 'active' && stats.total > 0 && (
-              <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-                <button onClick={() => setStatusFilter('Open')} className="bg-white rounded-xl border border-slate-200 p-4 hover:border-blue-300 hover:shadow-sm transition-all text-left">
-                  <div className="flex items-center justify-between">
-                    <span className="text-2xl font-bold text-slate-800">{stats.open}</span>
-                    <div className="w-10 h-10 bg-blue-50 rounded-lg flex items-center justify-center">
-                      <svg className="w-5 h-5 text-blue-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                    </div>
+        <div className="flex flex-col lg:flex-row gap-6">
+          <div className="lg:w-56 flex-shrink-0">
+            <SavedViewsSidebar currentSearch={viewSearch} session={session} isAdmin={isAdmin} />
+          </div>
+
+          <div className="flex-1 min-w-0">
+            {viewMode !== 'grid' && boardLoading && (
+              <DashboardSkeleton count={8} />
+            )}
+
+            {/* Analytics View */}
+            {viewMode === 'analytics' && !boardLoading && (
+              <Analytics bugs={boardBugs} />
+            )}
+
+            {/* Kanban View */}
+            {viewMode === 'kanban' && !boardLoading && (
+              <KanbanBoard bugs={boardBugs} />
+            )}
+
+            {/* Grid View */}
+            {viewMode === 'grid' && (
+              <>
+                {/* Stats */}
+                {activeTab === 'active' && stats.total > 0 && (
+                  <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                    {workflow.statuses.map((status) => {
+                      const colors = workflow.getStatusColors(status.name)
+                      return (
+                        <button key={status.name} onClick={() => updateView({ status: status.name })} className={`bg-white rounded-xl border border-slate-200 p-4 ${colors.hover} hover:shadow-sm transition-all text-left`}>
+                          <div className="flex items-center justify-between">
+                            <span className="text-2xl font-bold text-slate-800">{stats.byStatus[status.name] || 0}</span>
+                            <div className={`w-10 h-10 ${colors.soft} rounded-lg flex items-center justify-center`}>
+                              <svg className={`w-5 h-5 ${colors.icon}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={STATUS_CATEGORY_ICONS[status.category] || STATUS_CATEGORY_ICONS[STATUS_CATEGORIES.OPEN]} />
+                              </svg>
+                            </div>
+                          </div>
+                          <p className="text-slate-500 text-sm mt-1">{status.name}</p>
+                        </button>
+                      )
+                    })}
+                    <button onClick={() => updateView({ priority: workflow.topPriority })} className={`bg-white rounded-xl border border-slate-200 p-4 ${topPriorityColors.hover} hover:shadow-sm transition-all text-left`}>
+                      <div className="flex items-center justify-between">
+                        <span className="text-2xl font-bold text-slate-800">{stats.highPriority}</span>
+                        <div className={`w-10 h-10 ${topPriorityColors.soft} rounded-lg flex items-center justify-center`}>
+                          <svg className={`w-5 h-5 ${topPriorityColors.icon}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                          </svg>
+                        </div>
+                      </div>
+                      <p className="text-slate-500 text-sm mt-1">{workflow.topPriority} Priority</p>
+                    </button>
                   </div>
-                  <p className="text-slate-500 text-sm mt-1">Open</p>
-                </button>
-                <button onClick={() => setStatusFilter('In Progress')} className="bg-white rounded-xl border border-slate-200 p-4 hover:border-purple-300 hover:shadow-sm transition-all text-left">
-                  <div className="flex items-center justify-between">
-                    <span className="text-2xl font-bold text-slate-800">{stats.inProgress}</span>
-                    <div className="w-10 h-10 bg-purple-50 rounded-lg flex items-center justify-center">
-                      <svg className="w-5 h-5 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
-                      </svg>
-                    </div>
+                )}
+
+                {/* Filters & Tabs */}
+                <div className="bg-white rounded-xl border border-slate-200 mb-6">
+                  {/* Tabs */}
+                  <div className="flex border-b border-slate-200">
+                    <button
+                      onClick={() => switchTab('active')}
+                      className={`px-5 py-3 text-sm font-medium border-b-2 -mb-px transition-colors ${activeTab === 'active'
+                        ? 'border-blue-600 text-blue-600'
+                        : 'border-transparent text-slate-500 hover:text-slate-700'
+                        }`}
+                    >
+                      Active
+                      {stats.total > 0 && (
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${activeTab === 'active' ? 'bg-blue-100 text-blue-600' : 'bg-slate-100 text-slate-500'}`}>
+                          {stats.total}
+                        </span>
+                      )}
+                    </button>
+                    <button
+                      onClick={() => switchTab('archived')}
+                      className={`px-5 py-3 text-sm font-medium border-b-2 -mb-px transition-colors ${activeTab === 'archived'
+                        ? 'border-blue-600 text-blue-600'
+                        : 'border-transparent text-slate-500 hover:text-slate-700'
+                        }`}
+                    >
+                      Archived
+                      {stats.archived > 0 && (
+                        <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${activeTab === 'archived' ? 'bg-blue-100 text-blue-600' : 'bg-slate-100 text-slate-500'}`}>
+                          {stats.archived}
+                        </span>
+                      )}
+                    </button>
                   </div>
-                  <p className="text-slate-500 text-sm mt-1">In Progress</p>
-                </button>
-                <button onClick={() => setStatusFilter('Resolved')} className="bg-white rounded-xl border border-slate-200 p-4 hover:border-green-300 hover:shadow-sm transition-all text-left">
-                  <div className="flex items-center justify-between">
-                    <span className="text-2xl font-bold text-slate-800">{stats.resolved}</span>
-                    <div className="w-10 h-10 bg-green-50 rounded-lg flex items-center justify-center">
-                      <svg className="w-5 h-5 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+
+                  {/* Search & Filters */}
+                  <div className="p-4 flex flex-col lg:flex-row gap-4">
+                    <div className="flex-1 relative">
+                      <svg className="absolute z-10 pointer-events-none left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                       </svg>
+                      <SearchQueryInput
+                        inputRef={searchInputRef}
+                        value={searchQuery}
+                        onChange={setSearchQuery}
+                        context={searchContext}
+                        errors={parsedSearch.errors}
+                        placeholder="Search bugs or filter, e.g. status:open label:backend"
+                        className="w-full pl-10 pr-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      />
                     </div>
-                  </div>
-                  <p className="text-slate-500 text-sm mt-1">Resolved</p>
-                </button>
-                <button onClick={() => setPriorityFilter('High')} className="bg-white rounded-xl border border-slate-200 p-4 hover:border-red-300 hover:shadow-sm transition-all text-left">
-                  <div className="flex items-center justify-between">
-                    <span className="text-2xl font-bold text-slate-800">{stats.highPriority}</span>
-                    <div className="w-10 h-10 bg-red-50 rounded-lg flex items-center justify-center">
-                      <svg className="w-5 h-5 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-                      </svg>
+                    <div className="flex gap-3">
+                      <select
+                        value={priorityFilter}
+                        onChange={(e) => updateView({ priority: e.target.value })}
+                        className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">All Priorities</option>
+                        {workflow.priorityNames.map((p) => <option key={p} value={p}>{p}</option>)}
+                      </select>
+                      <select
+                        value={statusFilter}
+                        onChange={(e) => updateView({ status: e.target.value })}
+                        className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">All Statuses</option>
+                        {workflow.statusNames.map((s) => <option key={s} value={s}>{s}</option>)}
+                      </select>
+                      <select
+                        value={labelFilter}
+                        onChange={(e) => updateView({ label: e.target.value })}
+                        className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">All Labels</option>
+                        {labels.map((label) => <option key={label.id} value={label.id}>{label.name}</option>)}
+                      </select>
+                      <select
+                        value={categoryFilter}
+                        onChange={(e) => updateView({ category: e.target.value })}
+                        className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">All Categories</option>
+                        {templates.map((template) => <option key={template.id} value={template.name}>{template.name}</option>)}
+                      </select>
+                      <button
+                        type="button"
+                        onClick={() => updateView({ mine: !assignedToMe })}
+                        aria-pressed={assignedToMe}
+                        className={`px-3 py-2.5 border rounded-lg text-sm whitespace-nowrap transition-colors ${assignedToMe
+                          ? 'bg-blue-50 border-blue-200 text-blue-700'
+                          : 'bg-slate-50 border-slate-200 text-slate-600 hover:text-slate-800'
+                          }`}
+                      >
+                        Assigned to me
+                      </button>
+                      <select
+                        value={indexedSearch ? searchSort : sortBy}
+                        onChange={(e) => (indexedSearch ? setSearchSort(e.target.value) : updateView({ sort: e.target.value }))}
+                        className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        title="Sort order"
+                      >
+                        {indexedSearch && <option value={RELEVANCE_SORT}>Best match</option>}
+                        {BUG_SORT_OPTIONS.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                      </select>
+                      <select
+                        value={pageSize}
+                        onChange={(e) => updateView({ size: Number(e.target.value) })}
+                        disabled={rankBySearch}
+                        className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                        title="Page size"
+                      >
+                        {PAGINATION.PAGE_SIZE_OPTIONS.map((size) => <option key={size} value={size}>{size} / page</option>)}
+                      </select>
+                      {hasActiveFilters && (
+                        <button onClick={clearFilters} className="px-3 py-2.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors">
+                          Clear
+                        </button>
+                      )}
                     </div>
                   </div>
-                  <p className="text-slate-500 text-sm mt-1">High Priority</p>
-                </button>
-              </div>
-            )}
 
-            {/* Filters & Tabs */}
-            <div className="bg-white rounded-xl border border-slate-200 mb-6">
-              {/* Tabs */}
-              <div className="flex border-b border-slate-200">
-                <button
-                  onClick={() => { setActiveTab('active'); clearFilters() }}
-                  className={`px-5 py-3 text-sm font-medium border-b-2 -mb-px transition-colors ${activeTab === 'active'
-                    ? 'border-blue-600 text-blue-600'
-                    : 'border-transparent text-slate-500 hover:text-slate-700'
-                    }`}
-                >
-                  Active
-                  {activeBugs.length > 0 && (
-                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${activeTab === 'active' ? 'bg-blue-100 text-blue-600' : 'bg-slate-100 text-slate-500'}`}>
-                      {activeBugs.length}
-                    </span>
-                  )}
-                </button>
-                <button
-                  onClick={() => { setActiveTab('archived'); clearFilters() }}
-                  className={`px-5 py-3 text-sm font-medium border-b-2 -mb-px transition-colors ${activeTab === 'archived'
-                    ? 'border-blue-600 text-blue-600'
-                    : 'border-transparent text-slate-500 hover:text-slate-700'
-                    }`}
-                >
-                  Archived
-                  {archivedCount > 0 && (
-                    <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${activeTab === 'archived' ? 'bg-blue-100 text-blue-600' : 'bg-slate-100 text-slate-500'}`}>
-                      {archivedCount}
+                  {/* Results count */}
+                  <div className="px-4 pb-3 flex items-center gap-4 text-xs text-slate-500">
+                    {bugs.length > 0 && (
+                      <label className="flex items-center gap-1.5 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={bugs.every((bug) => selection.isSelected(bug.id))}
+                          onChange={(e) => (e.target.checked
+                            ? selection.selectMany(bugs.map((bug) => bug.id))
+                            : selection.clear())}
+                          className="rounded border-slate-300"
+                        />
+                        Select page
+                      </label>
+                    )}
+                    <span>
+                      Showing {bugs.length} of {totalCount ?? 0} bugs
+                      {hasActiveFilters && ' (filtered)'}
                     </span>
-                  )}
-                </button>
-              </div>
-
-              {/* Search & Filters */}
-              <div className="p-4 flex flex-col lg:flex-row gap-4">
-                <div className="flex-1 relative">
-                  <svg className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                  </svg>
-                  <input
-                    ref={searchInputRef}
-                    type="text"
-                    value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                    placeholder="Search bugs..."
-                    className="w-full pl-10 pr-4 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  />
-                </div>
-                <div className="flex gap-3">
-                  <select
-                    value={priorityFilter}
-                    onChange={(e) => setPriorityFilter(e.target.value)}
-                    className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="">All Priorities</option>
-                    {BUG_PRIORITY_LIST.map((p) => <option key={p} value={p}>{p}</option>)}
-                  </select>
-                  <select
-                    value={statusFilter}
-                    onChange={(e) => setStatusFilter(e.target.value)}
-                    className="px-3 py-2.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  >
-                    <option value="">All Statuses</option>
-                    {BUG_STATUS_LIST.map((s) => <option key={s} value={s}>{s}</option>)}
-                  </select>
-                  {hasActiveFilters && (
-                    <button onClick={clearFilters} className="px-3 py-2.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors">
-                      Clear
-                    </button>
-                  )}
+                  </div>
                 </div>
-              </div>
-
-              {/* Results count */}
-              <div className="px-4 pb-3 text-xs text-slate-500">
-                Showing {filteredBugs.length} of {bugs.length} bugs
-                {hasActiveFilters && ' (filtered)'}
-              </div>
-            </div>
 
-            {/* Bug Grid */}
-            {bugs.length === 0 ? (
-              activeTab === 'archived' ? (
-                <EmptyState
-                  icon="Archive"
-                  title="No archived bugs"
-                  description="Archived bugs will appear here."
+                <BulkActionBar
+                  count={selection.count}
+                  matchingCount={totalCount ?? 0}
+                  archived={activeTab === 'archived'}
+                  running={bulk.running}
+                  progress={bulk.progress}
+                  result={bulkResult}
+                  onSelectAllMatching={handleSelectAllMatching}
+                  onClear={selection.clear}
+                  onSetStatus={(status) => runBulk(`Status → ${status}`, (ids) => bulk.setStatus(ids, status, session?.user?.id, session?.user?.email))}
+                  onSetPriority={(priority) => runBulk(`Priority → ${priority}`, (ids) => bulk.setPriority(ids, priority, session?.user?.id, session?.user?.email, isAdmin))}
+                  onArchive={() => runBulk('Archive', (ids) => bulk.archive(ids, session?.user?.id, session?.user?.email))}
+                  onRestore={() => runBulk('Restore', (ids) => bulk.restore(ids, session?.user?.id, session?.user?.email))}
+                  onDelete={handleBulkDelete}
+                  onDismissResult={() => setBulkResult(null)}
                 />
-              ) : (
-                <div className="bg-white rounded-xl border border-slate-200 p-12 text-center">
-                  <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-4">
-                    <svg className="w-8 h-8 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-                    </svg>
-                  </div>
-                  <h3 className="text-lg font-semibold text-slate-800 mb-2">No bugs yet</h3>
-                  <p className="text-slate-500 text-sm mb-6">Get started by reporting your first bug</p>
-                  <Link to="/create" className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700">
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                    </svg>
-                    Report Bug
-                  </Link>
-                </div>
-              )
-            ) : filteredBugs.length === 0 ? (
-              <div className="bg-white rounded-xl border border-slate-200 p-12 text-center">
-                <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <svg className="w-8 h-8 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                  </svg>
-                </div>
-                <h3 className="text-lg font-semibold text-slate-800 mb-2">No results found</h3>
-                <p className="text-slate-500 text-sm mb-4">Try adjusting your filters</p>
-                <button onClick={clearFilters} className="text-blue-600 hover:text-blue-700 text-sm font-medium">
-                  Clear all filters
-                </button>
-              </div>
-            ) : (
-              <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
-                {filteredBugs.map((bug) => (
-                  <div key={bug.id} className="relative">
-                    {activeTab === 'archived' && (
-                      <button
-                        onClick={(e) => {
-                          e.preventDefault()
-                          e.stopPropagation()
-                          handleUnarchive(bug.id)
-                        }}
-                        disabled={mutationLoading}
-                        className="absolute -top-2 -right-2 z-10 flex items-center gap-1 px-2.5 py-1 text-xs bg-green-500 text-white rounded-full shadow-md hover:bg-green-600 transition-colors disabled:opacity-50"
-                      >
-                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+
+                {/* Bug Grid */}
+                {loading ? (
+                  <DashboardSkeleton count={Math.min(pageSize, 8)} />
+                ) : bugs.length === 0 && !hasActiveFilters ? (
+                  activeTab === 'archived' ? (
+                    <EmptyState
+                      icon="Archive"
+                      title="No archived bugs"
+                      description="Archived bugs will appear here."
+                    />
+                  ) : (
+                    <div className="bg-white rounded-xl border border-slate-200 p-12 text-center">
+                      <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                        <svg className="w-8 h-8 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                         </svg>
-                        Restore
-                      </button>
-                    )}
-                    <BugCard bug={bug} />
+                      </div>
+                      <h3 className="text-lg font-semibold text-slate-800 mb-2">No bugs yet</h3>
+                      <p className="text-slate-500 text-sm mb-6">Get started by reporting your first bug</p>
+                      <Link to="/create" className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700">
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                        Report Bug
+                      </Link>
+                    </div>
+                  )
+                ) : bugs.length === 0 ? (
+                  <div className="bg-white rounded-xl border border-slate-200 p-12 text-center">
+                    <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                      <svg className="w-8 h-8 text-slate-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                      </svg>
+                    </div>
+                    <h3 className="text-lg font-semibold text-slate-800 mb-2">No results found</h3>
+                    <p className="text-slate-500 text-sm mb-4">Try adjusting your filters</p>
+                    <button onClick={clearFilters} className="text-blue-600 hover:text-blue-700 text-sm font-medium">
+                      Clear all filters
+                    </button>
                   </div>
-                ))}
-              </div>
+                ) : (
+                  <>
+                    <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4">
+                      {bugs.map((bug) => (
+                        <div key={bug.id} className={`relative rounded-2xl ${selection.isSelected(bug.id) ? 'ring-2 ring-blue-500' : ''}`}>
+                          {/* Outside the card link so ticking it does not open the bug; shift-click selects a range */}
+                          <input
+                            type="checkbox"
+                            checked={selection.isSelected(bug.id)}
+                            onChange={(e) => handleSelect(e, bug.id)}
+                            aria-label={`Select ${bug.title}`}
+                            className="absolute top-3 left-3 z-10 w-4 h-4 rounded border-slate-300 shadow-sm cursor-pointer"
+                          />
+                          {activeTab === 'archived' && (
+                            <button
+                              onClick={(e) => {
+                                e.preventDefault()
+                                e.stopPropagation()
+                                handleUnarchive(bug)
+                              }}
+                              disabled={mutationLoading}
+                              className="absolute -top-2 -right-2 z-10 flex items-center gap-1 px-2.5 py-1 text-xs bg-green-500 text-white rounded-full shadow-md hover:bg-green-600 transition-colors disabled:opacity-50"
+                            >
+                              <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+                              </svg>
+                              Restore
+                            </button>
+                          )}
+                          <BugCard bug={bug} />
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Load more */}
+                    {hasMore && (
+                      <div className="flex justify-center mt-6">
+                        <button
+                          onClick={loadMore}
+                          disabled={loadingMore}
+                          className="px-5 py-2.5 bg-white border border-slate-200 rounded-lg text-sm font-medium text-slate-700 hover:border-slate-300 hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                        >
+                          {loadingMore ? 'Loading...' : `Load more (${(totalCount ?? 0) - bugs.length} remaining)`}
+                        </button>
+                      </div>
+                    )}
+                  </>
+                )}
+              </>
             )}
-          </>
-        )}
+          </div>
+        </div>
       </div>
+      <ConfirmDialog {...deleteDialog.dialogProps} />
     </div>
   )
 }
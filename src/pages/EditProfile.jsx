@@ -5,6 +5,9 @@ import { generateAvatarUrl, resolveAvatar } from '../lib/avatarUtils'
 import { useToast } from '../components/Toast'
 import { useAuth } from '../hooks/useAuth'
 import { AvatarCropper } from '../components/AvatarCropper'
+import { compressImageToFit } from '../lib/imageCompressionClient'
+import { formatFileSize } from '../lib/bugAttachments'
+import { FILE_UPLOAD } from '../lib/constants'
 
 export default function EditProfile() {
   const navigate = useNavigate()
@@ -58,9 +61,9 @@ export default function EditProfile() {
         return
       }
       
-      // Validate file size (max 2MB)
-      if (file.size > 2 * 1024 * 1024) {
-        setError('Image must be less than 2MB')
+      // Validate file size (the cropped result is compressed separately)
+      if (file.size > FILE_UPLOAD.MAX_SIZE) {
+        setError(`Image must be less than ${formatFileSize(FILE_UPLOAD.MAX_SIZE)}`)
         return
       }
       
@@ -81,10 +84,17 @@ export default function EditProfile() {
    * Called when user finishes cropping
    * @param {Blob} croppedBlob - The cropped image as a PNG blob
    */
-  const handleCropComplete = (croppedBlob) => {
-    // Convert blob to file for upload
+  const handleCropComplete = async (croppedBlob) => {
+    // Convert blob to file for upload, re-encoded if it is over the avatar limit
     const croppedFile = new File([croppedBlob], 'avatar.png', { type: 'image/png' })
-    setAvatarFile(croppedFile)
+    let finalFile = croppedFile
+    try {
+      const result = await compressImageToFit(croppedFile, { maxSize: FILE_UPLOAD.MAX_AVATAR_SIZE })
+      finalFile = result.file
+    } catch (err) {
+      console.warn('⚠️ Avatar compression failed, using the cropped PNG:', err)
+    }
+    setAvatarFile(finalFile)
     setProceduralAvatarOverride(false)
     
     // Preview the cropped image
@@ -92,7 +102,7 @@ export default function EditProfile() {
     reader.onloadend = () => {
       setAvatarUrl(reader.result)
     }
-    reader.readAsDataURL(croppedBlob)
+    reader.readAsDataURL(finalFile)
     
     // Close cropper
     setShowCropper(false)
@@ -164,15 +174,16 @@ export default function EditProfile() {
           .replace(/^-+|-+$/g, '')
           .substring(0, 50)
         
-        // Path: {userId}/{display_name}.png inside 'avatars' bucket ONLY
-        const filePath = `${session.user.id}/${displayName}.png`
+        // Path: {userId}/{display_name}.{png|webp|jpg} inside 'avatars' bucket ONLY
+        const extension = avatarFile.name.split('.').pop()
+        const filePath = `${session.user.id}/${displayName}.${extension}`
 
         // Upload cropped avatar to 'avatars' bucket ONLY (never to Bug images)
         const { error: uploadError } = await supabase.storage
           .from('avatars')
           .upload(filePath, avatarFile, { 
             upsert: true,
-            contentType: 'image/png'
+            contentType: avatarFile.type
           })
 
         if (uploadError) {
@@ -361,7 +372,7 @@ export default function EditProfile() {
               )}
               
               <p className="text-xs text-slate-500 text-center">
-                JPG or PNG only (max 2MB)
+                JPG or PNG only (max {formatFileSize(FILE_UPLOAD.MAX_SIZE)})
               </p>
             </div>
           </div>
@@ -0,0 +1,340 @@
+import { useState } from 'react'
+import { useCustomFields, useCustomFieldMutations } from '../hooks/useCustomFields'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
+import { useToast } from '../components/Toast'
+import { PageLoader } from '../components/Skeleton'
+import { CUSTOM_FIELD_TYPES, toCustomFieldKey, validateCustomFieldDefinition } from '../lib/customFields'
+
+const EMPTY_FORM = {
+  name: '',
+  key: '',
+  type: 'text',
+  optionsText: '',
+  required: false,
+  description: '',
+  position: 0,
+  validation: {},
+}
+
+const INPUT_CLASSES = 'px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60'
+
+const toNumberOrNull = (value) => (value === '' || value == null ? null : Number(value))
+
+// Form state -> definition for useCustomFieldMutations
+const toDefinition = (form) => ({
+  name: form.name,
+  key: form.key,
+  type: form.type,
+  options: form.optionsText.split('\n').map((option) => option.trim()).filter(Boolean),
+  required: form.required,
+  description: form.description,
+  position: form.position,
+  validation: {
+    text: { max_length: toNumberOrNull(form.validation.max_length), pattern: form.validation.pattern, pattern_hint: form.validation.pattern_hint },
+    number: { min: toNumberOrNull(form.validation.min), max: toNumberOrNull(form.validation.max), integer: form.validation.integer },
+    date: { min: form.validation.min, max: form.validation.max },
+  }[form.type] || {},
+})
+
+const typeLabel = (type) => CUSTOM_FIELD_TYPES.find((candidate) => candidate.value === type)?.label || type
+
+function FieldForm({ initial = EMPTY_FORM, submitLabel, onSubmit, onCancel, disabled, editing = false }) {
+  const [form, setForm] = useState(initial)
+  const definition = toDefinition(form)
+  const definitionError = form.name.trim() ? validateCustomFieldDefinition(definition) : null
+  const setValidation = (changes) => setForm({ ...form, validation: { ...form.validation, ...changes } })
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim() || definitionError) return
+    const saved = await onSubmit(definition)
+    if (saved && !onCancel) setForm(EMPTY_FORM)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={form.name}
+          // The key follows the name until the field is created, then never changes
+          onChange={(e) => setForm({ ...form, name: e.target.value, key: editing ? form.key : toCustomFieldKey(e.target.value) })}
+          placeholder="Name (e.g. Story Points)"
+          maxLength={40}
+          className={`flex-1 ${INPUT_CLASSES}`}
+        />
+        <input
+          type="text"
+          value={form.key}
+          onChange={(e) => setForm({ ...form, key: e.target.value.toLowerCase() })}
+          placeholder="key"
+          disabled={editing}
+          spellCheck={false}
+          title="Used in exports and search (cf.key:value); cannot be changed later"
+          className={`sm:w-40 font-mono ${INPUT_CLASSES}`}
+        />
+        <select
+          value={form.type}
+          onChange={(e) => setForm({ ...form, type: e.target.value, validation: {} })}
+          disabled={editing}
+          title={editing ? 'The type cannot be changed once values are stored' : 'Field type'}
+          className={INPUT_CLASSES}
+        >
+          {CUSTOM_FIELD_TYPES.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+      </div>
+
+      {(form.type === 'select' || form.type === 'multiselect') && (
+        <textarea
+          value={form.optionsText}
+          onChange={(e) => setForm({ ...form, optionsText: e.target.value })}
+          placeholder="One option per line"
+          rows={4}
+          className={`w-full resize-y ${INPUT_CLASSES}`}
+        />
+      )}
+
+      {form.type === 'text' && (
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="number"
+            min={1}
+            value={form.validation.max_length ?? ''}
+            onChange={(e) => setValidation({ max_length: e.target.value })}
+            placeholder="Max length"
+            className={`sm:w-32 ${INPUT_CLASSES}`}
+          />
+          <input
+            type="text"
+            value={form.validation.pattern || ''}
+            onChange={(e) => setValidation({ pattern: e.target.value })}
+            placeholder="Pattern (regex, optional)"
+            spellCheck={false}
+            className={`flex-1 font-mono ${INPUT_CLASSES}`}
+          />
+          <input
+            type="text"
+            value={form.validation.pattern_hint || ''}
+            onChange={(e) => setValidation({ pattern_hint: e.target.value })}
+            placeholder="Message when it does not match"
+            className={`flex-1 ${INPUT_CLASSES}`}
+          />
+        </div>
+      )}
+
+      {(form.type === 'number' || form.type === 'date') && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <input
+            type={form.type}
+            value={form.validation.min ?? ''}
+            onChange={(e) => setValidation({ min: e.target.value })}
+            placeholder="Minimum"
+            className={`sm:w-40 ${INPUT_CLASSES}`}
+            title={form.type === 'date' ? 'Earliest date' : 'Minimum'}
+          />
+          <input
+            type={form.type}
+            value={form.validation.max ?? ''}
+            onChange={(e) => setValidation({ max: e.target.value })}
+            placeholder="Maximum"
+            className={`sm:w-40 ${INPUT_CLASSES}`}
+            title={form.type === 'date' ? 'Latest date' : 'Maximum'}
+          />
+          {form.type === 'number' && (
+            <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={Boolean(form.validation.integer)}
+                onChange={(e) => setValidation({ integer: e.target.checked })}
+                className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+              />
+              Whole numbers only
+            </label>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Help text (optional)"
+          className={`flex-1 ${INPUT_CLASSES}`}
+        />
+        <input
+          type="number"
+          value={form.position}
+          onChange={(e) => setForm({ ...form, position: e.target.value })}
+          title="Order on forms (lowest first)"
+          className={`sm:w-20 ${INPUT_CLASSES}`}
+        />
+        <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={form.required}
+            onChange={(e) => setForm({ ...form, required: e.target.checked })}
+            className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+          />
+          Required
+        </label>
+        <div className="flex items-center gap-2">
+          <button
+            type="submit"
+            disabled={disabled || !form.name.trim() || Boolean(definitionError)}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-2 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+      {definitionError && <p className="text-xs text-red-600">{definitionError}</p>}
+    </form>
+  )
+}
+
+const describeValidation = (field) => {
+  const { validation = {} } = field
+  return [
+    field.required && 'required',
+    validation.integer && 'whole numbers',
+    validation.min != null && `min ${validation.min}`,
+    validation.max != null && `max ${validation.max}`,
+    validation.max_length && `up to ${validation.max_length} characters`,
+    validation.pattern && `matches /${validation.pattern}/`,
+    field.options.length > 0 && field.options.join(', '),
+  ].filter(Boolean).join(' · ')
+}
+
+export default function ManageFields() {
+  const { fields, loading, error } = useCustomFields()
+  const { createField, updateField, deleteField, loading: saving } = useCustomFieldMutations()
+  const { showToast } = useToast()
+  const deleteDialog = useConfirmDialog()
+  const [editingId, setEditingId] = useState(null)
+
+  const handleCreate = async (definition) => {
+    const result = await createField(definition)
+    if (result.success) {
+      showToast(`Field "${definition.name.trim()}" added`, 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleUpdate = async (fieldId, definition) => {
+    const result = await updateField(fieldId, definition)
+    if (result.success) {
+      setEditingId(null)
+      showToast('Field updated', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleDelete = async (field) => {
+    const confirmed = await deleteDialog.confirm({
+      title: `Delete "${field.name}"?`,
+      description: 'The field disappears from forms, exports and search. Values already entered stay on the bugs.',
+      confirmLabel: 'Delete Field',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+
+    const result = await deleteField(field.id)
+    if (result.success) {
+      showToast('Field deleted', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  if (loading) return <PageLoader />
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-slate-900">Custom Fields</h1>
+        <p className="text-slate-500 mt-1">Extra details collected on every bug report, shown on bug pages, exported and searchable with cf.key:value</p>
+      </div>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm mb-6">
+        <h2 className="text-sm font-semibold text-slate-800 mb-4">New field</h2>
+        <FieldForm submitLabel="Add" onSubmit={handleCreate} disabled={saving} />
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm divide-y divide-slate-100">
+        {fields.length === 0 ? (
+          <p className="p-6 text-sm text-slate-500 text-center">No custom fields yet</p>
+        ) : fields.map((field) => (
+          <div key={field.id} className="p-4">
+            {editingId === field.id ? (
+              <FieldForm
+                initial={{
+                  name: field.name,
+                  key: field.key,
+                  type: field.type,
+                  optionsText: field.options.join('\n'),
+                  required: field.required,
+                  description: field.description || '',
+                  position: field.position ?? 0,
+                  validation: field.validation,
+                }}
+                submitLabel="Save"
+                onSubmit={(definition) => handleUpdate(field.id, definition)}
+                onCancel={() => setEditingId(null)}
+                disabled={saving}
+                editing
+              />
+            ) : (
+              <div className="flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-slate-800">
+                    {field.name}
+                    <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-600">{typeLabel(field.type)}</span>
+                  </p>
+                  <p className="text-xs font-mono text-slate-500">cf.{field.key}</p>
+                  {describeValidation(field) && <p className="text-xs text-slate-500 truncate">{describeValidation(field)}</p>}
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(field.id)}
+                    className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(field)}
+                    disabled={saving}
+                    className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <ConfirmDialog {...deleteDialog.dialogProps} />
+    </div>
+  )
+}
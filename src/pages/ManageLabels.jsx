@@ -0,0 +1,177 @@
+import { useState } from 'react'
+import { useLabels, useLabelMutations, getLabelClasses } from '../hooks/useLabels'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
+import { useToast } from '../components/Toast'
+import { PageLoader } from '../components/Skeleton'
+import { DEFAULT_LABEL_COLOR, LABEL_COLORS } from '../lib/constants'
+
+const EMPTY_FORM = { name: '', color: DEFAULT_LABEL_COLOR, description: '' }
+
+function LabelForm({ initial = EMPTY_FORM, submitLabel, onSubmit, onCancel, disabled }) {
+  const [form, setForm] = useState(initial)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return
+    const saved = await onSubmit(form)
+    if (saved && !onCancel) setForm(EMPTY_FORM)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row sm:items-start gap-3">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm({ ...form, name: e.target.value })}
+        placeholder="Label name"
+        maxLength={40}
+        className="sm:w-44 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <select
+        value={form.color}
+        onChange={(e) => setForm({ ...form, color: e.target.value })}
+        className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        title="Colour"
+      >
+        {Object.keys(LABEL_COLORS).map((color) => <option key={color} value={color}>{color}</option>)}
+      </select>
+      <input
+        type="text"
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        placeholder="Description (optional)"
+        className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={disabled || !form.name.trim()}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-2 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default function ManageLabels() {
+  const { labels, loading, error } = useLabels()
+  const { createLabel, updateLabel, deleteLabel, loading: saving } = useLabelMutations()
+  const { showToast } = useToast()
+  const deleteDialog = useConfirmDialog()
+  const [editingId, setEditingId] = useState(null)
+
+  const handleCreate = async (fields) => {
+    const result = await createLabel(fields)
+    if (result.success) {
+      showToast(`Label "${fields.name.trim()}" created`, 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleUpdate = async (labelId, fields) => {
+    const result = await updateLabel(labelId, fields)
+    if (result.success) {
+      setEditingId(null)
+      showToast('Label updated', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleDelete = async (label) => {
+    const confirmed = await deleteDialog.confirm({
+      title: `Delete "${label.name}"?`,
+      description: 'The label will be removed from every bug that uses it.',
+      confirmLabel: 'Delete Label',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+
+    const result = await deleteLabel(label.id)
+    if (result.success) {
+      showToast('Label deleted', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  if (loading) return <PageLoader />
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-slate-900">Labels</h1>
+        <p className="text-slate-500 mt-1">Labels available to everyone when filing and triaging bugs</p>
+      </div>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm mb-6">
+        <h2 className="text-sm font-semibold text-slate-800 mb-4">New label</h2>
+        <LabelForm submitLabel="Create" onSubmit={handleCreate} disabled={saving} />
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm divide-y divide-slate-100">
+        {labels.length === 0 ? (
+          <p className="p-6 text-sm text-slate-500 text-center">No labels yet</p>
+        ) : labels.map((label) => (
+          <div key={label.id} className="p-4">
+            {editingId === label.id ? (
+              <LabelForm
+                initial={{ name: label.name, color: label.color, description: label.description || '' }}
+                submitLabel="Save"
+                onSubmit={(fields) => handleUpdate(label.id, fields)}
+                onCancel={() => setEditingId(null)}
+                disabled={saving}
+              />
+            ) : (
+              <div className="flex items-center justify-between gap-4">
+                <div className="flex items-center gap-3 min-w-0">
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium flex-shrink-0 ${getLabelClasses(label)}`}>
+                    {label.name}
+                  </span>
+                  {label.description && <span className="text-sm text-slate-500 truncate">{label.description}</span>}
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(label.id)}
+                    className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(label)}
+                    disabled={saving}
+                    className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <ConfirmDialog {...deleteDialog.dialogProps} />
+    </div>
+  )
+}
@@ -0,0 +1,228 @@
+import { useState } from 'react'
+import { useRedactionPatterns, useRedactionPatternMutations } from '../hooks/useRedactionPatterns'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
+import { useToast } from '../components/Toast'
+import { PageLoader } from '../components/Skeleton'
+import { BUILT_IN_REDACTION_RULES, validateRedactionPattern, scanText, maskText } from '../lib/redaction'
+
+const EMPTY_FORM = { name: '', pattern: '', flags: '', description: '' }
+
+// Built-in rules listed once per label (the two IP rules read as one)
+const BUILT_IN_LABELS = [...new Set(BUILT_IN_REDACTION_RULES.map((rule) => rule.label))]
+
+function PatternForm({ initial = EMPTY_FORM, submitLabel, onSubmit, onCancel, disabled }) {
+  const [form, setForm] = useState(initial)
+  const patternError = form.pattern ? validateRedactionPattern(form.pattern, form.flags) : null
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim() || patternError) return
+    const saved = await onSubmit(form)
+    if (saved && !onCancel) setForm(EMPTY_FORM)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name (e.g. Customer ID)"
+          maxLength={40}
+          className="sm:w-48 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="text"
+          value={form.pattern}
+          onChange={(e) => setForm({ ...form, pattern: e.target.value })}
+          placeholder="Regular expression (e.g. CUST-\d{6})"
+          spellCheck={false}
+          className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <input
+          type="text"
+          value={form.flags}
+          onChange={(e) => setForm({ ...form, flags: e.target.value })}
+          placeholder="Flags"
+          maxLength={6}
+          spellCheck={false}
+          className="sm:w-20 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          title="Regular expression flags, e.g. i for case-insensitive"
+        />
+      </div>
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Description (optional)"
+          className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex items-center gap-2">
+          <button
+            type="submit"
+            disabled={disabled || !form.name.trim() || !form.pattern || Boolean(patternError)}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-2 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+      {patternError && <p className="text-xs text-red-600">{patternError}</p>}
+    </form>
+  )
+}
+
+export default function ManageRedaction() {
+  const { patterns, rules, loading, error } = useRedactionPatterns()
+  const { createPattern, updatePattern, deletePattern, loading: saving } = useRedactionPatternMutations()
+  const { showToast } = useToast()
+  const deleteDialog = useConfirmDialog()
+  const [editingId, setEditingId] = useState(null)
+  const [sample, setSample] = useState('')
+
+  const sampleFindings = scanText(sample, rules)
+
+  const handleCreate = async (fields) => {
+    const result = await createPattern(fields)
+    if (result.success) {
+      showToast(`Pattern "${fields.name.trim()}" added`, 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleUpdate = async (patternId, fields) => {
+    const result = await updatePattern(patternId, fields)
+    if (result.success) {
+      setEditingId(null)
+      showToast('Pattern updated', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleDelete = async (pattern) => {
+    const confirmed = await deleteDialog.confirm({
+      title: `Delete "${pattern.name}"?`,
+      description: 'Reports and comments will no longer be checked for this pattern.',
+      confirmLabel: 'Delete Pattern',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+
+    const result = await deletePattern(pattern.id)
+    if (result.success) {
+      showToast('Pattern deleted', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  if (loading) return <PageLoader />
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-slate-900">Redaction Rules</h1>
+        <p className="text-slate-500 mt-1">Bug reports and comments are checked for these before they are saved, and reporters can mask what is found</p>
+      </div>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm mb-6">
+        <h2 className="text-sm font-semibold text-slate-800 mb-3">Always checked</h2>
+        <div className="flex flex-wrap gap-2">
+          {BUILT_IN_LABELS.map((label) => (
+            <span key={label} className="px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-600">{label}</span>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm mb-6">
+        <h2 className="text-sm font-semibold text-slate-800 mb-4">New pattern</h2>
+        <PatternForm submitLabel="Add" onSubmit={handleCreate} disabled={saving} />
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm divide-y divide-slate-100 mb-6">
+        {patterns.length === 0 ? (
+          <p className="p-6 text-sm text-slate-500 text-center">No custom patterns yet</p>
+        ) : patterns.map((pattern) => (
+          <div key={pattern.id} className="p-4">
+            {editingId === pattern.id ? (
+              <PatternForm
+                initial={{ name: pattern.name, pattern: pattern.pattern, flags: pattern.flags || '', description: pattern.description || '' }}
+                submitLabel="Save"
+                onSubmit={(fields) => handleUpdate(pattern.id, fields)}
+                onCancel={() => setEditingId(null)}
+                disabled={saving}
+              />
+            ) : (
+              <div className="flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-slate-800">{pattern.name}</p>
+                  <p className="text-xs font-mono text-slate-500 truncate">/{pattern.pattern}/{pattern.flags}</p>
+                  {pattern.description && <p className="text-xs text-slate-500 truncate">{pattern.description}</p>}
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => setEditingId(pattern.id)}
+                    className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(pattern)}
+                    disabled={saving}
+                    className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm">
+        <h2 className="text-sm font-semibold text-slate-800 mb-1">Try it</h2>
+        <p className="text-xs text-slate-500 mb-3">Paste sample text to see what every rule above would mask</p>
+        <textarea
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+          rows={4}
+          spellCheck={false}
+          className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+        />
+        {sample && (
+          <div className="mt-3">
+            <p className="text-xs font-medium text-slate-500 mb-1">
+              {sampleFindings.length} finding{sampleFindings.length !== 1 ? 's' : ''}
+              {sampleFindings.length > 0 && `: ${[...new Set(sampleFindings.map((finding) => finding.label))].join(', ')}`}
+            </p>
+            <pre className="px-3 py-2 bg-slate-900 text-slate-100 rounded-lg text-xs whitespace-pre-wrap break-all">{maskText(sample, sampleFindings)}</pre>
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog {...deleteDialog.dialogProps} />
+    </div>
+  )
+}
@@ -0,0 +1,293 @@
+import { useState } from 'react'
+import { useBugTemplates, useBugTemplateMutations } from '../hooks/useBugTemplates'
+import { useWorkflow } from '../hooks/useWorkflow'
+import { useLabels } from '../hooks/useLabels'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
+import { LabelSelector, LabelList } from '../components/BugHelpers'
+import { useToast } from '../components/Toast'
+import { PageLoader } from '../components/Skeleton'
+import { TEMPLATE_SECTIONS } from '../lib/bugTemplates'
+
+const EMPTY_FORM = {
+  name: '',
+  description_template: '',
+  sections: TEMPLATE_SECTIONS.map((section) => section.key),
+  required_sections: [],
+  default_priority: '',
+  default_label_ids: [],
+  is_default: false,
+}
+
+const SECTION_MODES = [
+  { value: 'hidden', label: 'Hidden' },
+  { value: 'optional', label: 'Optional' },
+  { value: 'required', label: 'Required' },
+]
+
+const getSectionMode = (form, key) => {
+  if (form.required_sections.includes(key)) return 'required'
+  return form.sections.includes(key) ? 'optional' : 'hidden'
+}
+
+const withSectionMode = (form, key, mode) => {
+  const sections = form.sections.filter((section) => section !== key)
+  const required = form.required_sections.filter((section) => section !== key)
+  return {
+    ...form,
+    sections: mode === 'hidden' ? sections : [...sections, key],
+    required_sections: mode === 'required' ? [...required, key] : required,
+  }
+}
+
+function TemplateForm({ initial = EMPTY_FORM, submitLabel, onSubmit, onCancel, disabled }) {
+  const { workflow } = useWorkflow()
+  const [form, setForm] = useState(initial)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return
+    const saved = await onSubmit(form)
+    if (saved && !onCancel) setForm(EMPTY_FORM)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Name (e.g. Security Issue)"
+          maxLength={40}
+          className="flex-1 px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={form.is_default}
+            onChange={(e) => setForm({ ...form, is_default: e.target.checked })}
+            className="rounded border-slate-300 text-blue-600 focus:ring-blue-500"
+          />
+          Preselected on new reports
+        </label>
+      </div>
+
+      <textarea
+        value={form.description_template}
+        onChange={(e) => setForm({ ...form, description_template: e.target.value })}
+        placeholder={'Description skeleton (optional), e.g.\n## Impact\n\n## Affected versions'}
+        rows={5}
+        maxLength={2000}
+        className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+      />
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {TEMPLATE_SECTIONS.map((section) => (
+          <label key={section.key} className="flex items-center justify-between gap-3 text-sm text-slate-700">
+            {section.label}
+            <select
+              value={getSectionMode(form, section.key)}
+              onChange={(e) => setForm(withSectionMode(form, section.key, e.target.value))}
+              className="px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {SECTION_MODES.map((mode) => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <select
+          value={form.default_priority}
+          onChange={(e) => setForm({ ...form, default_priority: e.target.value })}
+          className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Workflow default priority ({workflow.defaultPriority})</option>
+          {workflow.priorityNames.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <LabelSelector
+          selected={form.default_label_ids}
+          onChange={(ids) => setForm({ ...form, default_label_ids: ids })}
+        />
+        <div className="flex items-center gap-2 sm:ml-auto">
+          <button
+            type="submit"
+            disabled={disabled || !form.name.trim()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+          >
+            {submitLabel}
+          </button>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-2 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+    </form>
+  )
+}
+
+const describeSections = (template) => {
+  if (template.sections.length === 0) return 'Description only'
+  return TEMPLATE_SECTIONS
+    .filter((section) => template.sections.includes(section.key))
+    .map((section) => (template.required_sections.includes(section.key) ? `${section.label} (required)` : section.label))
+    .join(', ')
+}
+
+export default function ManageTemplates() {
+  const { templates, custom, loading, error } = useBugTemplates()
+  const { createTemplate, updateTemplate, deleteTemplate, importBuiltInTemplates, loading: saving } = useBugTemplateMutations()
+  const { labelsById } = useLabels()
+  const { showToast } = useToast()
+  const deleteDialog = useConfirmDialog()
+  const [editingId, setEditingId] = useState(null)
+
+  const handleCreate = async (fields) => {
+    const result = await createTemplate(fields)
+    if (result.success) {
+      showToast(`Template "${fields.name.trim()}" added`, 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleUpdate = async (templateId, fields) => {
+    const result = await updateTemplate(templateId, fields)
+    if (result.success) {
+      setEditingId(null)
+      showToast('Template updated', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+    return result.success
+  }
+
+  const handleImport = async () => {
+    const result = await importBuiltInTemplates()
+    if (result.success) {
+      showToast('Built-in templates copied', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  const handleDelete = async (template) => {
+    const confirmed = await deleteDialog.confirm({
+      title: `Delete "${template.name}"?`,
+      description: 'Existing reports keep this category and can still be filtered by it.',
+      confirmLabel: 'Delete Template',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+
+    const result = await deleteTemplate(template.id)
+    if (result.success) {
+      showToast('Template deleted', 'success')
+    } else {
+      showToast(result.error, 'error')
+    }
+  }
+
+  if (loading) return <PageLoader />
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-slate-900">Report Templates</h1>
+        <p className="text-slate-500 mt-1">Each template is a bug category with its own description skeleton, form sections, priority and labels</p>
+      </div>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {!custom && (
+        <div className="mb-6 px-4 py-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800 flex flex-col sm:flex-row sm:items-center gap-3">
+          <p className="flex-1">
+            Reporters see the built-in templates below until templates are added here. Adding one replaces them all, so copy them first to keep them.
+          </p>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={saving}
+            className="px-3 py-1.5 bg-white border border-blue-200 rounded-lg font-medium hover:bg-blue-100 transition-colors disabled:opacity-50"
+          >
+            Copy Built-in Templates
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm mb-6">
+        <h2 className="text-sm font-semibold text-slate-800 mb-4">New template</h2>
+        <TemplateForm submitLabel="Add" onSubmit={handleCreate} disabled={saving} />
+      </div>
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm divide-y divide-slate-100">
+        {templates.map((template) => (
+          <div key={template.id} className="p-4">
+            {editingId === template.id ? (
+              <TemplateForm
+                initial={{
+                  name: template.name,
+                  description_template: template.description_template,
+                  sections: template.sections,
+                  required_sections: template.required_sections,
+                  default_priority: template.default_priority || '',
+                  default_label_ids: template.default_label_ids.filter((id) => labelsById.has(id)),
+                  is_default: template.is_default,
+                }}
+                submitLabel="Save"
+                onSubmit={(fields) => handleUpdate(template.id, fields)}
+                onCancel={() => setEditingId(null)}
+                disabled={saving}
+              />
+            ) : (
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-slate-800">
+                    {template.name}
+                    {template.is_default && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-700">Default</span>}
+                  </p>
+                  <p className="text-xs text-slate-500">{describeSections(template)}</p>
+                  <p className="text-xs text-slate-500">
+                    Priority: {template.default_priority || 'workflow default'}
+                    {template.description_template && ' · Has description skeleton'}
+                  </p>
+                  <LabelList labelIds={template.default_label_ids} className="mt-1" />
+                </div>
+                {custom && (
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(template.id)}
+                      className="px-3 py-1.5 text-sm text-slate-600 hover:text-slate-800 hover:bg-slate-100 rounded-lg transition-colors"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(template)}
+                      disabled={saving}
+                      className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <ConfirmDialog {...deleteDialog.dialogProps} />
+    </div>
+  )
+}
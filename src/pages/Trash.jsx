@@ -0,0 +1,159 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useTrash, useTrashMutations } from '../hooks/useTrash'
+import { useAuth } from '../hooks/useAuth'
+import { useLocalStorage } from '../hooks/useLocalStorage'
+import { ConfirmDialog, useConfirmDialog } from '../components/ConfirmDialog'
+import { useToast } from '../components/Toast'
+import StatusBadge from '../components/StatusBadge'
+import { PageLoader } from '../components/Skeleton'
+import { formatDateTime, formatRelativeTime } from '../lib/dateUtils'
+import { TRASH_RETENTION } from '../lib/constants'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export default function Trash() {
+  const navigate = useNavigate()
+  const { session } = useAuth()
+  const { showToast } = useToast()
+  const { snapshots, loading, error } = useTrash()
+  const { restoreBug, purgeExpired, purgeSnapshot, loading: working } = useTrashMutations()
+  const [retentionDays, setRetentionDays] = useLocalStorage('trash-retention-days', TRASH_RETENTION.DEFAULT_DAYS)
+  const dialog = useConfirmDialog()
+
+  // Fixed for the visit; good enough for day-granular retention
+  const [now] = useState(() => Date.now())
+
+  const daysLeft = (snapshot) => Math.ceil((new Date(snapshot.deleted_at).getTime() + retentionDays * DAY_MS - now) / DAY_MS)
+  const expiredCount = snapshots.filter((snapshot) => daysLeft(snapshot) <= 0).length
+
+  const handleRestore = async (snapshot) => {
+    const result = await restoreBug(snapshot, session?.user?.id, session?.user?.email)
+    if (result.success) {
+      showToast(`"${snapshot.title}" restored`, 'success')
+      navigate(`/bug/${result.bugId}`)
+    } else {
+      showToast(result.error || 'Failed to restore bug', 'error')
+    }
+  }
+
+  const handlePurge = async (snapshot) => {
+    const confirmed = await dialog.confirm({
+      title: 'Delete permanently?',
+      description: `"${snapshot.title}" will be removed from the trash and can no longer be restored.`,
+      confirmLabel: 'Delete Permanently',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+
+    const result = await purgeSnapshot(snapshot.id)
+    showToast(result.success ? 'Snapshot deleted' : result.error || 'Failed to delete snapshot', result.success ? 'success' : 'error')
+  }
+
+  const handlePurgeExpired = async () => {
+    const confirmed = await dialog.confirm({
+      title: `Purge ${expiredCount} expired bug${expiredCount !== 1 ? 's' : ''}?`,
+      description: `Snapshots deleted more than ${retentionDays} days ago are removed for good and can no longer be restored.`,
+      confirmLabel: 'Purge',
+      confirmVariant: 'danger',
+    })
+    if (!confirmed) return
+
+    const result = await purgeExpired(retentionDays)
+    if (result.success) {
+      showToast(`Purged ${result.purged} snapshot${result.purged !== 1 ? 's' : ''}`, 'success')
+    } else {
+      showToast(result.error || 'Failed to purge trash', 'error')
+    }
+  }
+
+  if (loading) return <PageLoader />
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">Trash</h1>
+          <p className="text-slate-500 mt-1">Deleted bugs can be restored until they are purged. Comments and images are not recovered.</p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-slate-600 flex items-center gap-2">
+            Keep for
+            <select
+              value={retentionDays}
+              onChange={(e) => setRetentionDays(Number(e.target.value))}
+              className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {TRASH_RETENTION.OPTIONS.map((days) => <option key={days} value={days}>{days} days</option>)}
+            </select>
+          </label>
+          <button
+            type="button"
+            onClick={handlePurgeExpired}
+            disabled={working || expiredCount === 0}
+            className="px-4 py-2 text-sm font-medium text-red-600 border border-red-200 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+          >
+            Purge expired{expiredCount > 0 ? ` (${expiredCount})` : ''}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6 px-4 py-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="bg-white rounded-2xl border border-slate-200 shadow-sm divide-y divide-slate-100">
+        {snapshots.length === 0 ? (
+          <p className="p-6 text-sm text-slate-500 text-center">The trash is empty</p>
+        ) : snapshots.map((snapshot) => {
+          const remaining = daysLeft(snapshot)
+          const expired = remaining <= 0
+
+          return (
+            <div key={snapshot.id} className="p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 mb-1">
+                  <h3 className="font-medium text-slate-800 truncate">{snapshot.title}</h3>
+                  <StatusBadge status={snapshot.status} />
+                </div>
+                <p className="text-xs text-slate-500">
+                  Deleted by {snapshot.deleted_by_name}{' '}
+                  <span title={formatDateTime(snapshot.deleted_at)}>{formatRelativeTime(snapshot.deleted_at)}</span>
+                  {' · '}
+                  <span className={expired ? 'text-red-600 font-medium' : ''}>
+                    {expired ? 'Past retention' : `Kept for ${remaining} more day${remaining !== 1 ? 's' : ''}`}
+                  </span>
+                </p>
+                <p className="text-xs text-slate-400 mt-0.5">
+                  Reported by {snapshot.reported_by_name || snapshot.reported_by_email || 'unknown'} · #{snapshot.original_bug_id.slice(0, 8)}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => handleRestore(snapshot)}
+                  disabled={working}
+                  className="px-3 py-1.5 text-sm font-medium text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handlePurge(snapshot)}
+                  disabled={working}
+                  className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  Delete permanently
+                </button>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      <ConfirmDialog {...dialog.dialogProps} />
+    </div>
+  )
+}